@@ -0,0 +1,90 @@
+/**
+ * Code 128 encoding (src/lib/barcodes.js) against the symbol table of ISO/IEC 15417
+ * The bars are read back into symbol values, so each vector lists the code sets it switches to and its checksum.
+ */
+
+import { code128Bars, encodeCode128, CODE128_QUIET_ZONE } from '../src/lib/barcodes.js';
+
+// Symbol values 0-105 as 11 modules, bar = 1 - the stop symbol (106) is 13 modules
+const REFERENCE_PATTERNS = [
+    '11011001100', '11001101100', '11001100110', '10010011000', '10010001100', '10001001100',
+    '10011001000', '10011000100', '10001100100', '11001001000', '11001000100', '11000100100',
+    '10110011100', '10011011100', '10011001110', '10111001100', '10011101100', '10011100110',
+    '11001110010', '11001011100', '11001001110', '11011100100', '11001110100', '11101101110',
+    '11101001100', '11100101100', '11100100110', '11101100100', '11100110100', '11100110010',
+    '11011011000', '11011000110', '11000110110', '10100011000', '10001011000', '10001000110',
+    '10110001000', '10001101000', '10001100010', '11010001000', '11000101000', '11000100010',
+    '10110111000', '10110001110', '10001101110', '10111011000', '10111000110', '10001110110',
+    '11101110110', '11010001110', '11000101110', '11011101000', '11011100010', '11011101110',
+    '11101011000', '11101000110', '11100010110', '11101101000', '11101100010', '11100011010',
+    '11101111010', '11001000010', '11110001010', '10100110000', '10100001100', '10010110000',
+    '10010000110', '10000101100', '10000100110', '10110010000', '10110000100', '10011010000',
+    '10011000010', '10000110100', '10000110010', '11000010010', '11001010000', '11110111010',
+    '11000010100', '10001111010', '10100111100', '10010111100', '10010011110', '10111100100',
+    '10011110100', '10011110010', '11110100100', '11110010100', '11110010010', '11011011110',
+    '11011110110', '11110110110', '10101111000', '10100011110', '10001011110', '10111101000',
+    '10111100010', '11110101000', '11110100010', '10111011110', '10111101110', '11101011110',
+    '11110101110', '11010000100', '11010010000', '11010011100',
+];
+const REFERENCE_STOP = '1100011101011';
+
+const [CODE_C, CODE_B, START_B, START_C, STOP] = [99, 100, 104, 105, 106];
+
+// Bar/space widths as modules, starting with a bar
+const toBits = (widths) => widths.map((width, i) => (i % 2 === 0 ? '1' : '0').repeat(width)).join('');
+
+// Symbol values of an encoding, or null where a symbol is not in the table
+function decode(widths) {
+    const bits = toBits(widths);
+    if (!bits.endsWith(REFERENCE_STOP)) return null;
+    const symbols = [];
+    for (let i = 0; i < bits.length - REFERENCE_STOP.length; i += 11) {
+        const value = REFERENCE_PATTERNS.indexOf(bits.slice(i, i + 11));
+        if (value === -1) return null;
+        symbols.push(value);
+    }
+    return [...symbols, STOP];
+}
+
+export default function runBarcodeChecks() {
+    const results = [];
+    const check = (name, actual, expected) => {
+        const [got, wanted] = [JSON.stringify(actual), JSON.stringify(expected)];
+        results.push({ name, passed: got === wanted, message: got === wanted ? '' : `expected ${wanted}, got ${got}` });
+    };
+
+    // [text, symbols including start, checksum and stop]
+    const vectors = [
+        // Set B throughout; checksum (104 + 33 + 34*2 + 35*3) % 103 = 1
+        ['ABC', [START_B, 33, 34, 35, 1, STOP]],
+        // Even digits only: set C from the start
+        ['123456', [START_C, 12, 34, 56, 44, STOP]],
+        ['1234', [START_C, 12, 34, 82, STOP]],
+        // Three digits are shorter in set B
+        ['123', [START_B, 17, 18, 19, 8, STOP]],
+        // Four digits at the end switch to set C
+        ['HB1234', [START_B, 40, 34, CODE_C, 12, 34, 6, STOP]],
+        // An odd run leaves its first digit in set B, then switches back for the letter
+        ['12345X', [START_B, 17, CODE_C, 23, 45, CODE_B, 56, 65, STOP]],
+        // In between, five digits stay in set B, six switch to set C and back
+        ['A12345B', [START_B, 33, 17, 18, 19, 20, 21, 34, 44, STOP]],
+        ['A123456B', [START_B, 33, CODE_C, 12, 34, 56, CODE_B, 34, 80, STOP]],
+        // Characters outside printable ASCII are dropped
+        ['A\tB\u00e9', [START_B, 33, 34, 102, STOP]],
+    ];
+    for (const [text, symbols] of vectors) {
+        check(`${JSON.stringify(text)} symbols`, decode(encodeCode128(text)), symbols);
+    }
+
+    check('"ABC" modules', toBits(encodeCode128('ABC')),
+        '11010010000' + '10100011000' + '10001011000' + '10001000110' + '11001101100' + REFERENCE_STOP);
+    check('empty text', encodeCode128(''), []);
+    check('unprintable text', encodeCode128('\u0001\u0002'), []);
+
+    // 11 modules per symbol, 13 for stop, plus both quiet zones
+    const { bars, modules } = code128Bars('ABC');
+    check('"ABC" width with quiet zones', modules, CODE128_QUIET_ZONE * 2 + 11 * 5 + 13);
+    check('"ABC" first bar after the quiet zone', bars[0], { x: CODE128_QUIET_ZONE, width: 2 });
+
+    return results;
+}
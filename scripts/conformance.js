@@ -0,0 +1,146 @@
+/**
+ * Run the storage adapter conformance suite in Node
+ *   npm run conformance                 in-memory adapter and the Supabase adapter on a Postgres stand-in
+ *   SUPABASE_URL=... SUPABASE_KEY=... npm run conformance
+ *                                       the Supabase adapter on a real (scratch!) project instead
+ * Also checks that two warehouses don't see each other's data, that clearAllData empties a mode
+ * (everything of the mode in the default warehouse goes), that an import whose last writes fail
+ * is rolled back and that failed reads throw (not against a real project), that an import clears its upload's importing flag
+ * (stand-in only) and the in-memory record store's index lookups.
+ * Exits with status 1 if any check fails.
+ */
+
+import { fileURLToPath } from 'node:url';
+import { createClient } from '@supabase/supabase-js';
+import { createStorageAdapter, createLocalAdapter, createRecordStore } from '../src/lib/adapters/index.js';
+import {
+    runClearSuite,
+    runConformanceSuite,
+    runFailedReadSuite,
+    runRecordStoreSuite,
+    runRollbackSuite,
+    runWarehouseSuite,
+} from '../src/lib/adapters/conformance.js';
+import { createPostgresStandIn } from './postgresStandIn.js';
+
+const schemaPath = fileURLToPath(new URL('../supabase-schema.sql', import.meta.url));
+
+// Second warehouse for the warehouse checks; the suite itself runs on the default one
+const OTHER_WAREHOUSE = 'conformance';
+
+const failing = { enabled: false, reads: false };
+const setFailing = (enabled) => {
+    failing.enabled = enabled;
+};
+const setFailingReads = (enabled) => {
+    failing.reads = enabled;
+};
+
+// In-memory store whose multi-collection commits (the import) fail while `failing` is on,
+// and whose reads fail while `failing.reads` is
+function failingMemoryStore() {
+    const store = createRecordStore('memory');
+    const commit = store.commit.bind(store);
+    store.commit = async (writes) => {
+        if (failing.enabled && writes.length > 1) throw new Error('QuotaExceededError (simulated)');
+        return commit(writes);
+    };
+    for (const method of ['getAll', 'getAllByIndex']) {
+        const read = store[method].bind(store);
+        store[method] = async (...args) => {
+            if (failing.reads) throw new Error('UnknownError (simulated)');
+            return read(...args);
+        };
+    }
+    return store;
+}
+
+// Postgres stand-in whose item_history inserts fail while `failing` is on, and every query while `failing.reads` is
+function failingStandIn() {
+    const client = createPostgresStandIn(schemaPath);
+    const from = client.from;
+    client.from = (table) => {
+        const query = from(table);
+        if (failing.reads) {
+            query.then = (resolve, reject) => Promise.resolve({ data: null, error: { message: 'connection reset (simulated)' } })
+                .then(resolve, reject);
+        }
+        if (table === 'item_history') {
+            const insert = query.insert.bind(query);
+            query.insert = (rows) => (failing.enabled
+                ? Promise.resolve({ data: null, error: { message: 'connection reset (simulated)' } })
+                : insert(rows));
+        }
+        return query;
+    };
+    return client;
+}
+
+function supabaseTarget() {
+    const { SUPABASE_URL, SUPABASE_KEY } = process.env;
+    if (SUPABASE_URL && SUPABASE_KEY) {
+        return { label: `supabase (${SUPABASE_URL})`, client: createClient(SUPABASE_URL, SUPABASE_KEY), rollback: false };
+    }
+    const standIn = failingStandIn();
+    return { label: 'supabase (Postgres stand-in)', client: standIn, rollback: true, tables: standIn.tables };
+}
+
+const { label, client, rollback, tables } = supabaseTarget();
+const memoryStore = failingMemoryStore();
+
+// The data rows reference the warehouse, so it has to exist
+const { error: warehouseError } = await client
+    .from('warehouses')
+    .upsert({ id: OTHER_WAREHOUSE, name: 'Conformance' }, { onConflict: 'id', ignoreDuplicates: true });
+if (warehouseError) console.error(`Could not add warehouse ${OTHER_WAREHOUSE}:`, warehouseError.message);
+
+const targets = [
+    {
+        label: 'memory',
+        adapter: createLocalAdapter(memoryStore, 'memory'),
+        otherAdapter: createLocalAdapter(memoryStore, 'memory', { warehouse: OTHER_WAREHOUSE }),
+        rollback: true,
+        store: memoryStore,
+    },
+    {
+        label,
+        adapter: createStorageAdapter('supabase', { client }),
+        otherAdapter: createStorageAdapter('supabase', { client, warehouse: OTHER_WAREHOUSE }),
+        rollback,
+        tables,
+    },
+];
+
+let failures = 0;
+for (const target of targets) {
+    const results = await runConformanceSuite(target.adapter);
+    for (const mode of ['ocean', 'air']) {
+        results.push(...await runWarehouseSuite(target.adapter, target.otherAdapter, mode));
+        results.push(...await runClearSuite(target.adapter, target.otherAdapter, mode));
+    }
+    if (target.rollback) {
+        for (const mode of ['ocean', 'air']) {
+            results.push(...await runRollbackSuite(target.adapter, setFailing, mode));
+            results.push(...await runFailedReadSuite(target.adapter, setFailingReads, mode));
+        }
+    }
+    if (target.store) {
+        results.push(...await runRecordStoreSuite(target.store));
+    }
+    if (target.tables) {
+        // A finished import is no longer one the clerk who ran it may delete (see the uploads policies)
+        const { upload } = await target.adapter.importUpload('importing.csv', [{ MBL: 'IMPORTING-G1', HB: 'IMPORTING-K1' }]);
+        const row = target.tables.uploads.find(saved => saved.upload_id === upload.id);
+        results.push({ name: 'importUpload finishes its upload', passed: row?.importing === false, message: `importing is ${row?.importing}` });
+        await target.adapter.deleteUpload(upload.id);
+    }
+    const failed = results.filter(result => !result.passed);
+    failures += failed.length;
+
+    console.log(`${target.label}: ${results.length - failed.length} of ${results.length} checks passed`);
+    for (const result of failed) {
+        console.log(`  FAIL ${result.name}${result.message ? ` - ${result.message}` : ''}`);
+    }
+}
+
+process.exit(failures > 0 ? 1 : 0);
@@ -0,0 +1,50 @@
+/**
+ * Excel cells as parseExcelSheet reads them (src/lib/csvUtils.js)
+ * Date serials count the 29 Feb 1900 Excel made up (serial 60), so later dates are not a day off;
+ * whole numbers past 2^53 keep every digit instead of turning into scientific notation.
+ */
+
+import * as XLSX from 'xlsx';
+import { parseExcelSheet } from '../src/lib/csvUtils.js';
+
+// One-sheet workbook: a header cell over each of the given cells
+function workbookOf(cells) {
+    const sheet = XLSX.utils.aoa_to_sheet([cells.map((_, i) => `C${i + 1}`)]);
+    cells.forEach((cell, i) => {
+        sheet[XLSX.utils.encode_cell({ r: 1, c: i })] = cell;
+    });
+    sheet['!ref'] = XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: 1, c: cells.length - 1 } });
+    return { SheetNames: ['Sheet1'], Sheets: { Sheet1: sheet } };
+}
+
+export default async function runCsvUtilsChecks() {
+    const results = [];
+    const check = (name, actual, expected) => results.push({
+        name,
+        passed: actual === expected,
+        message: actual === expected ? '' : `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`,
+    });
+
+    const date = (v, z = 'm/d/yyyy') => ({ t: 'n', v, z });
+    const vectors = [
+        ['serial 1', date(1), '01/01/1900'],
+        ['serial 59', date(59), '02/28/1900'],
+        ['serial 60 (Excel leap-year bug)', date(60), '02/29/1900'],
+        ['serial 61', date(61), '03/01/1900'],
+        ['serial 45658', date(45658), '01/01/2025'],
+        ['serial with a time', date(45658.75, 'm/d/yyyy h:mm'), '01/01/2025 18:00'],
+        ['whole number', { t: 'n', v: 123456789012, z: 'General' }, '123456789012'],
+        ['whole number 2^70', { t: 'n', v: 2 ** 70, z: 'General' }, '1180591620717411303424'],
+        ['whole number 1e21', { t: 'n', v: 1e21, z: 'General' }, '1000000000000000000000'],
+        ['decimal as formatted', { t: 'n', v: 12.5, z: '0.00', w: '12.50' }, '12.50'],
+        ['decimal without formatted text', { t: 'n', v: 12.5 }, '12.5'],
+        ['boolean', { t: 'b', v: true }, 'TRUE'],
+        ['error cell', { t: 'e', v: 7, w: '#DIV/0!' }, ''],
+        ['text', { t: 's', v: 'HB 001' }, 'HB 001'],
+    ];
+
+    const { data } = await parseExcelSheet(workbookOf(vectors.map(([, cell]) => cell)), 'Sheet1');
+    vectors.forEach(([name, , expected], i) => check(name, data[0]?.[`C${i + 1}`], expected));
+
+    return results;
+}
@@ -0,0 +1,350 @@
+/**
+ * Postgres Stand-in - In-memory tables built from supabase-schema.sql behind a Supabase-style client
+ * Enough of PostgREST for the Supabase adapter: unknown columns, NOT NULL, UNIQUE (and the partial
+ * master list indexes, WHERE column = 'value' or LIKE 'prefix%'), foreign keys with ON DELETE CASCADE, defaults and the updated_at triggers.
+ * supabase.rpc() runs JS twins of the schema's functions (see `functions` below).
+ * Tables start with the schema's seed rows (single-row INSERT ... VALUES of quoted strings).
+ */
+
+import { readFileSync } from 'node:fs';
+import { randomUUID } from 'node:crypto';
+import { addReceivedPieces } from '../src/lib/receiving.js';
+
+// PostgREST caps a response at 1000 rows
+const MAX_ROWS = 1000;
+
+function parseDefault(expression) {
+    if (!expression) return undefined;
+    if (/^uuid_generate_v4\(\)$/i.test(expression)) return () => randomUUID();
+    if (/^NOW\(\)$/i.test(expression)) return 'now';
+    if (/^(true|false)$/i.test(expression)) return expression.toLowerCase() === 'true';
+    const quoted = expression.match(/^'(.*)'(::jsonb)?$/);
+    if (quoted) return quoted[2] ? () => JSON.parse(quoted[1]) : quoted[1];
+    return Number(expression);
+}
+
+/**
+ * Tables, columns and constraints from a schema file
+ */
+export function parseSchema(sql) {
+    const tables = {};
+
+    for (const [, name, body] of sql.matchAll(/CREATE TABLE (\w+) \(([\s\S]*?)\n\);/g)) {
+        const table = { columns: {}, unique: [], references: [] };
+        for (const line of body.split('\n').map(l => l.trim().replace(/,$/, '')).filter(Boolean)) {
+            const tableUnique = line.match(/^UNIQUE \((.+)\)$/);
+            if (tableUnique) {
+                table.unique.push({ columns: tableUnique[1].split(',').map(c => c.trim()) });
+                continue;
+            }
+            const [column, type] = line.split(/\s+/);
+            const reference = line.match(/REFERENCES (\w+)\((\w+)\)/);
+            table.columns[column] = {
+                type,
+                notNull: /NOT NULL|PRIMARY KEY/.test(line),
+                default: parseDefault(line.match(/DEFAULT (\S+)/)?.[1]),
+            };
+            if (/UNIQUE|PRIMARY KEY/.test(line)) table.unique.push({ columns: [column] });
+            if (reference) {
+                table.references.push({ column, table: reference[1], key: reference[2], cascade: /ON DELETE CASCADE/.test(line) });
+            }
+        }
+        tables[name] = table;
+    }
+
+    for (const [, name, columns, whereColumn, operator, pattern] of sql.matchAll(/CREATE UNIQUE INDEX \w+ ON (\w+)\(([^)]+)\)(?: WHERE (\w+) (=|LIKE) '([^']*)')?/g)) {
+        const matches = operator === 'LIKE'
+            ? (value) => typeof value === 'string' && value.startsWith(pattern.replace(/%$/, ''))
+            : (value) => value === pattern;
+        tables[name].unique.push({
+            columns: columns.split(',').map(c => c.trim()),
+            where: whereColumn ? (row) => matches(row[whereColumn]) : null,
+        });
+    }
+
+    for (const [, name] of sql.matchAll(/BEFORE UPDATE ON (\w+)/g)) {
+        tables[name].touchUpdatedAt = true;
+    }
+
+    for (const [, name, columns, values] of sql.matchAll(/^INSERT INTO (\w+) \(([^)]+)\) VALUES \(([^)]+)\);/gm)) {
+        const names = columns.split(',').map(c => c.trim());
+        const quoted = [...values.matchAll(/'([^']*)'/g)].map(match => match[1]);
+        tables[name].seed = tables[name].seed || [];
+        tables[name].seed.push(Object.fromEntries(names.map((column, i) => [column, quoted[i]])));
+    }
+
+    return tables;
+}
+
+/**
+ * A client with supabase.from(table) over empty tables of the schema
+ * @param {string} schemaPath - Path to supabase-schema.sql
+ */
+export function createPostgresStandIn(schemaPath) {
+    const schema = parseSchema(readFileSync(schemaPath, 'utf8'));
+    const data = Object.fromEntries(Object.keys(schema).map(name => [name, []]));
+
+    // Strictly increasing timestamps, so ORDER BY upload_date / created_at is deterministic
+    let lastTime = 0;
+    const now = () => {
+        lastTime = Math.max(Date.now(), lastTime + 1);
+        return new Date(lastTime).toISOString();
+    };
+
+    const fail = (message, code) => {
+        throw Object.assign(new Error(message), { code });
+    };
+
+    const checkColumns = (name, columns) => {
+        for (const column of columns) {
+            if (!(column in schema[name].columns)) fail(`column ${name}.${column} does not exist`, '42703');
+        }
+    };
+
+    const conflicts = (name, row, constraint, except = null) => {
+        if (constraint.where && !constraint.where(row)) return null;
+        if (constraint.columns.some(column => row[column] == null)) return null;
+        return data[name].find(other =>
+            other !== except &&
+            (!constraint.where || constraint.where(other)) &&
+            constraint.columns.every(column => other[column] === row[column])
+        ) || null;
+    };
+
+    const validate = (name, row, except = null) => {
+        const table = schema[name];
+        for (const [column, definition] of Object.entries(table.columns)) {
+            if (definition.notNull && row[column] == null) {
+                fail(`null value in column "${column}" of relation "${name}" violates not-null constraint`, '23502');
+            }
+        }
+        for (const constraint of table.unique) {
+            if (conflicts(name, row, constraint, except)) {
+                fail(`duplicate key value violates unique constraint on ${name}(${constraint.columns.join(', ')})`, '23505');
+            }
+        }
+        for (const reference of table.references) {
+            if (row[reference.column] != null && !data[reference.table].some(r => r[reference.key] === row[reference.column])) {
+                fail(`insert or update on table "${name}" violates foreign key constraint on ${reference.column}`, '23503');
+            }
+        }
+    };
+
+    const insertRow = (name, values) => {
+        checkColumns(name, Object.keys(values));
+        const row = {};
+        for (const [column, definition] of Object.entries(schema[name].columns)) {
+            if (values[column] !== undefined) {
+                row[column] = values[column];
+            } else if (definition.default === 'now') {
+                row[column] = now();
+            } else if (typeof definition.default === 'function') {
+                row[column] = definition.default();
+            } else {
+                row[column] = definition.default ?? null;
+            }
+        }
+        validate(name, row);
+        data[name].push(row);
+        return row;
+    };
+
+    const updateRow = (name, row, values) => {
+        checkColumns(name, Object.keys(values));
+        const updated = { ...row, ...values };
+        if (schema[name].touchUpdatedAt) updated.updated_at = now();
+        validate(name, updated, row);
+        Object.assign(row, updated);
+        return row;
+    };
+
+    const deleteRows = (name, rows) => {
+        data[name] = data[name].filter(row => !rows.includes(row));
+        // ON DELETE CASCADE
+        for (const [childName, child] of Object.entries(schema)) {
+            for (const reference of child.references.filter(r => r.table === name)) {
+                const keys = new Set(rows.map(row => row[reference.key]));
+                const orphans = data[childName].filter(row => keys.has(row[reference.column]));
+                if (orphans.length === 0) continue;
+                if (!reference.cascade) fail(`delete on table "${name}" violates foreign key constraint`, '23503');
+                deleteRows(childName, orphans);
+            }
+        }
+    };
+
+    class Query {
+        constructor(name) {
+            if (!schema[name]) fail(`relation "${name}" does not exist`, '42P01');
+            this.name = name;
+            this.action = 'select';
+            this.columns = '*';
+            this.filters = [];
+            this.orders = [];
+        }
+
+        select(columns = '*') {
+            if (this.action === 'select') this.columns = columns;
+            else this.returning = columns;
+            return this;
+        }
+
+        insert(rows) {
+            this.action = 'insert';
+            this.rows = [].concat(rows);
+            return this;
+        }
+
+        upsert(rows, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+            this.action = 'upsert';
+            this.rows = [].concat(rows);
+            this.onConflict = onConflict.split(',').map(c => c.trim());
+            this.ignoreDuplicates = ignoreDuplicates;
+            return this;
+        }
+
+        update(values) {
+            this.action = 'update';
+            this.values = values;
+            return this;
+        }
+
+        delete() {
+            this.action = 'delete';
+            return this;
+        }
+
+        filter(column, test) {
+            this.filters.push({ column, test });
+            return this;
+        }
+
+        eq(column, value) { return this.filter(column, v => v === value); }
+        neq(column, value) { return this.filter(column, v => v !== value); }
+        in(column, values) { return this.filter(column, v => values.includes(v)); }
+        lt(column, value) { return this.filter(column, v => v != null && v < value); }
+        gte(column, value) { return this.filter(column, v => v != null && v >= value); }
+        lte(column, value) { return this.filter(column, v => v != null && v <= value); }
+
+        order(column, { ascending = true } = {}) {
+            this.orders.push({ column, ascending });
+            return this;
+        }
+
+        range(from, to) {
+            this.rangeFrom = from;
+            this.rangeTo = to;
+            return this;
+        }
+
+        single() {
+            this.one = 'single';
+            return this;
+        }
+
+        maybeSingle() {
+            this.one = 'maybe';
+            return this;
+        }
+
+        project(rows, columns) {
+            if (columns === '*') return rows.map(row => ({ ...row }));
+            const names = columns.split(',').map(c => c.trim());
+            checkColumns(this.name, names);
+            return rows.map(row => Object.fromEntries(names.map(column => [column, row[column]])));
+        }
+
+        matching() {
+            checkColumns(this.name, [...this.filters.map(f => f.column), ...this.orders.map(o => o.column)]);
+            return data[this.name].filter(row => this.filters.every(f => f.test(row[f.column])));
+        }
+
+        execute() {
+            let rows;
+            if (this.action === 'select') {
+                rows = [...this.matching()];
+                rows.sort((a, b) => {
+                    for (const { column, ascending } of this.orders) {
+                        if (a[column] === b[column]) continue;
+                        // NULLS LAST ascending, NULLS FIRST descending, like Postgres
+                        const greater = a[column] == null || (b[column] != null && a[column] > b[column]);
+                        return (greater ? 1 : -1) * (ascending ? 1 : -1);
+                    }
+                    return 0;
+                });
+                const from = this.rangeFrom ?? 0;
+                const to = Math.min(this.rangeTo ?? Infinity, from + MAX_ROWS - 1);
+                rows = this.project(rows.slice(from, to + 1), this.columns);
+            } else if (this.action === 'insert') {
+                rows = this.rows.map(values => insertRow(this.name, values));
+            } else if (this.action === 'upsert') {
+                rows = [];
+                for (const values of this.rows) {
+                    const existing = conflicts(this.name, values, { columns: this.onConflict });
+                    if (!existing) rows.push(insertRow(this.name, values));
+                    else if (!this.ignoreDuplicates) rows.push(updateRow(this.name, existing, values));
+                }
+            } else if (this.action === 'update') {
+                rows = this.matching().map(row => updateRow(this.name, row, this.values));
+            } else {
+                rows = this.matching();
+                deleteRows(this.name, rows);
+            }
+
+            if (this.action !== 'select') {
+                rows = this.returning ? this.project(rows, this.returning) : null;
+            }
+            rows = rows && structuredClone(rows);
+
+            if (this.one) {
+                if (rows.length > 1 || (this.one === 'single' && rows.length === 0)) {
+                    fail('JSON object requested, multiple (or no) rows returned', 'PGRST116');
+                }
+                return { data: rows[0] ?? null, error: null };
+            }
+            return { data: rows, error: null };
+        }
+
+        then(resolve, reject) {
+            let result;
+            try {
+                result = this.execute();
+            } catch (err) {
+                result = { data: null, error: { message: err.message, code: err.code, details: '' } };
+            }
+            return Promise.resolve(result).then(resolve, reject);
+        }
+    }
+
+    // The schema's functions called through supabase.rpc(), run in one step like a statement
+    const functions = {
+        receive_pieces({ p_warehouse, p_mode, p_item_key, p_group_key, p_arrival = 0, p_pieces = 1, p_time = null }) {
+            const key = { warehouse: p_warehouse, mode: p_mode, item_key: p_item_key };
+            const tally = data.dock_tallies.find(row => Object.entries(key).every(([column, value]) => row[column] === value))
+                || insertRow('dock_tallies', key);
+            return updateRow('dock_tallies', tally, {
+                group_key: p_group_key,
+                ...addReceivedPieces(tally, p_mode, { arrival: p_arrival, pieces: p_pieces, time: p_time }),
+            });
+        },
+    };
+
+    const rpc = async (name, args = {}) => {
+        try {
+            if (!functions[name]) fail(`function ${name} does not exist`, '42883');
+            return { data: structuredClone(functions[name](args)), error: null };
+        } catch (err) {
+            return { data: null, error: { message: err.message, code: err.code, details: '' } };
+        }
+    };
+
+    for (const [name, table] of Object.entries(schema)) {
+        for (const values of table.seed || []) insertRow(name, values);
+    }
+
+    return {
+        from: (name) => new Query(name),
+        rpc,
+        // Direct access for checks outside the adapter
+        tables: data,
+    };
+}
@@ -0,0 +1,63 @@
+/**
+ * Container and MAWB check digits (src/lib/rowValidation.js)
+ * Containers: ISO 6346 - letters A=10 upwards skipping multiples of 11, weights 2^position,
+ * sum mod 11 (a remainder of 10 is written 0). MAWBs: the 7-digit serial mod 7.
+ */
+
+import { checkContainerNumber, checkMawbNumber, validateRows } from '../src/lib/rowValidation.js';
+
+export default function runRowValidationChecks() {
+    const results = [];
+    const check = (name, actual, expected) => results.push({
+        name,
+        passed: actual === expected,
+        message: actual === expected ? '' : `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`,
+    });
+
+    const containers = [
+        // The ISO 6346 example: 13 + 30*2 + 28*4 + 32*8 + ... = 6185, 6185 mod 11 = 3
+        ['CSQU3054383', 'valid'],
+        ['MSKU9070323', 'valid'],
+        // Remainder 10 is written 0
+        ['MSKU1000090', 'valid'],
+        ['csqu 305438-3', 'valid'],
+        ['CSQU3054384', 'check_digit'],
+        ['MSKU1000091', 'check_digit'],
+        ['CSQU305438', 'format'],
+        // Category letter must be U, J or Z
+        ['CSQA3054383', 'format'],
+        ['', 'format'],
+    ];
+    for (const [value, expected] of containers) {
+        check(`container ${JSON.stringify(value)}`, checkContainerNumber(value), expected);
+    }
+
+    const mawbs = [
+        // 1234567 mod 7 = 5
+        ['176-12345675', 'valid'],
+        ['17612345675', 'valid'],
+        // 8765432 mod 7 = 4
+        ['618 87654324', 'valid'],
+        ['176-12345670', 'check_digit'],
+        // A check digit of 7-9 can never match
+        ['176-12345677', 'check_digit'],
+        ['176-1234567', 'format'],
+        ['ABC-12345675', 'format'],
+    ];
+    for (const [value, expected] of mawbs) {
+        check(`MAWB ${JSON.stringify(value)}`, checkMawbNumber(value), expected);
+    }
+
+    // Check digit mistakes are errors on the row, in the file's line numbering
+    const issueAt = (issues, column) => {
+        const issue = issues.find(found => found.column === column);
+        return issue ? `${issue.row}:${issue.severity}` : null;
+    };
+    check('row with a wrong container check digit',
+        issueAt(validateRows([{ CONTAINER: 'CSQU3054384', HB: 'H1', MBL: 'M1' }]), 'CONTAINER'), '2:error');
+    check('row with a wrong MAWB check digit',
+        issueAt(validateRows([{ MAWB: '176-12345670', HAWB: 'H1' }], 'air'), 'MAWB'), '2:error');
+    check('row with valid check digits', validateRows([{ CONTAINER: 'CSQU3054383', HB: 'H1', MBL: 'M1' }]).length, 0);
+
+    return results;
+}
@@ -0,0 +1,33 @@
+/**
+ * Run the unit checks in Node
+ *   npm test
+ * Each *.test.js file next to this one checks a module against known-good values;
+ * its default export returns [{ name, passed, message }] like the conformance suites.
+ * Exits with status 1 if any check fails.
+ */
+
+import runCsvUtilsChecks from './csvUtils.test.js';
+import runBarcodeChecks from './barcodes.test.js';
+import runUploadFingerprintChecks from './uploadFingerprint.test.js';
+import runRowValidationChecks from './rowValidation.test.js';
+
+const suites = [
+    { label: 'csvUtils', run: runCsvUtilsChecks },
+    { label: 'barcodes', run: runBarcodeChecks },
+    { label: 'uploadFingerprint', run: runUploadFingerprintChecks },
+    { label: 'rowValidation', run: runRowValidationChecks },
+];
+
+let failures = 0;
+for (const suite of suites) {
+    const results = await suite.run();
+    const failed = results.filter(result => !result.passed);
+    failures += failed.length;
+
+    console.log(`${suite.label}: ${results.length - failed.length} of ${results.length} checks passed`);
+    for (const result of failed) {
+        console.log(`  FAIL ${result.name}${result.message ? ` - ${result.message}` : ''}`);
+    }
+}
+
+process.exit(failures > 0 ? 1 : 0);
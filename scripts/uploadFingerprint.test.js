@@ -0,0 +1,69 @@
+/**
+ * Duplicate upload detection (src/lib/uploadFingerprint.js)
+ * An earlier upload is flagged when the files or rows match, or when SIMILAR_KEY_OVERLAP (0.9)
+ * of the HB / MBL pairs in either upload are in both.
+ */
+
+import {
+    findDuplicateUploads,
+    hashContent,
+    keyOverlap,
+    keyOverlapCandidates,
+    SIMILAR_KEY_OVERLAP,
+    uploadKeys,
+} from '../src/lib/uploadFingerprint.js';
+
+// HB / MBL records HB1..HBn without the skipped numbers, plus the extra HBs
+const records = (count, { skip = [], extra = [] } = {}) => [
+    ...Array.from({ length: count }, (_, i) => i + 1)
+        .filter(n => !skip.includes(n))
+        .map(n => ({ hb: `HB${n}`, mbl: 'MBL1' })),
+    ...extra.map(hb => ({ hb, mbl: 'MBL1' })),
+];
+
+export default function runUploadFingerprintChecks() {
+    const results = [];
+    const check = (name, actual, expected) => {
+        const [got, wanted] = [JSON.stringify(actual), JSON.stringify(expected)];
+        results.push({ name, passed: got === wanted, message: got === wanted ? '' : `expected ${wanted}, got ${got}` });
+    };
+
+    check('threshold', SIMILAR_KEY_OVERLAP, 0.9);
+
+    // 9 shared of 10 pairs in either upload
+    const ten = uploadKeys(records(10));
+    const nineOfTen = keyOverlap(ten, uploadKeys(records(10, { skip: [10] })));
+    check('one line dropped of 10', nineOfTen, 0.9);
+    // 9 shared of 11 - one line dropped and one added
+    const changed = keyOverlap(ten, uploadKeys(records(10, { skip: [10], extra: ['HB11'] })));
+    check('one line dropped and one added of 10', changed, 9 / 11);
+    check('no keys', keyOverlap(new Set(), new Set()), 0);
+    check('same HB on another MBL is another key', keyOverlap(uploadKeys([{ hb: 'HB1', mbl: 'A' }]), uploadKeys([{ hb: 'HB1', mbl: 'B' }])), 0);
+    check('air keys', [...uploadKeys([{ hawb: 'H1', mawb: 'M1' }, { hawb: '', mawb: 'M1' }], 'air')], ['H1\u001fM1']);
+
+    const uploads = [
+        { id: 'exact', file_hash: 'f1', row_hash: 'r1', row_count: 10 },
+        { id: 'rows', file_hash: 'f2', row_hash: 'r2', row_count: 10 },
+        { id: 'at', file_hash: 'f3', row_hash: 'r3', row_count: 10 },
+        { id: 'below', file_hash: 'f4', row_hash: 'r4', row_count: 10 },
+    ];
+    const overlaps = new Map([['at', nineOfTen], ['below', changed]]);
+    check('matches', findDuplicateUploads(uploads, { fileHash: 'f1', rowHash: 'r2' }, overlaps)
+        .map(({ upload, match }) => `${upload.id}:${match}`), ['exact:file', 'rows:rows', 'at:keys']);
+    check('just below the threshold', findDuplicateUploads(uploads, {}, new Map([['at', 0.8999]])), []);
+
+    // Only uploads with at least 90% of the new file's keys in rows can reach the threshold
+    const candidates = keyOverlapCandidates([
+        { id: 'same-file', file_hash: 'f1', row_count: 10 },
+        { id: 'nine', row_count: 9 },
+        { id: 'eight', row_count: 8 },
+    ], { fileHash: 'f1', rowHash: 'r1' }, 10);
+    check('overlap candidates', candidates.map(upload => upload.id), ['nine']);
+
+    // Published cyrb53 values: '' is 3338908027751811, 'a' is 7929297801672961
+    check('hash of empty text', hashContent(''), (3338908027751811).toString(16).padStart(14, '0'));
+    check('hash of text', hashContent('a'), (7929297801672961).toString(16).padStart(14, '0'));
+    check('hash of bytes', hashContent(new Uint8Array([97])), hashContent('a'));
+
+    return results;
+}
@@ -1,21 +1,124 @@
 /**
  * CSV Dock Tally Application
- * Testing mode - bypasses auth and uses localStorage
+ * Sign-in gates the Dashboard; the user's role decides what they may change (see lib/permissions)
+ * and their warehouses which data they see (see lib/warehouses)
+ * Every Dashboard view has its own URL (see lib/routes), so links can be shared
  */
 
-import { useState } from 'react';
+import { useState, useEffect, useLayoutEffect } from 'react';
+import { Routes, Route, Navigate, useParams, useLocation } from 'react-router-dom';
 import Dashboard from './components/Dashboard';
+import LoginPage from './components/LoginPage';
+import { MODES, viewPath } from './lib/routes';
+import { signIn, signOut, getSession, getUserRole, getUserWarehouses, onAuthStateChange } from './lib/supabase';
+import { setAuditUser, setWarehouse } from './lib/database';
+
+// Warehouses the user doesn't work in and unknown modes go to the Ocean master list of their first warehouse
+function DashboardRoute({ user, onLogout }) {
+  const { warehouse, mode } = useParams();
+  const allowed = user.warehouses.some(w => w.id === warehouse) && MODES.includes(mode);
+
+  // Point the database at the warehouse before the Dashboard loads anything
+  useLayoutEffect(() => {
+    if (allowed) setWarehouse(warehouse);
+  }, [allowed, warehouse]);
+
+  if (!allowed) return <Navigate to={viewPath({ warehouse: user.warehouses[0].id })} replace />;
+  // A fresh Dashboard per warehouse, so the last warehouse's data isn't shown while this one loads
+  return <Dashboard key={warehouse} user={user} onLogout={onLogout} />;
+}
+
+// Links from before warehouses (/:mode/master) open in the user's first warehouse
+function LegacyRoute({ warehouse }) {
+  const { mode, uploadId } = useParams();
+  const location = useLocation();
+  return <Navigate to={viewPath({ warehouse, mode, uploadId }) + location.search} replace />;
+}
 
 function App() {
-  const [testMode] = useState(true);
+  // undefined until the stored session has been checked
+  const [session, setSession] = useState(undefined);
+  // Role and warehouses of the signed-in user: { userId, role, warehouses }
+  const [access, setAccess] = useState(null);
+
+  const user = session?.user ?? null;
+
+  // Pick up a stored session, then follow sign-ins, sign-outs and token refreshes
+  useEffect(() => {
+    getSession().then(setSession);
+    const { data: { subscription } } = onAuthStateChange((_event, nextSession) => setSession(nextSession));
+    return () => subscription.unsubscribe();
+  }, []);
 
-  const handleLogout = () => {
-    // In test mode, just reload the page
-    window.location.reload();
+  // Changes are recorded in the audit log under whoever is signed in
+  useEffect(() => {
+    setAuditUser(user);
+  }, [user]);
+
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+    Promise.all([getUserRole(user), getUserWarehouses(user)]).then(([role, warehouses]) => {
+      if (!cancelled) setAccess({ userId: user.id, role, warehouses });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  const handleLogin = async (email, password) => {
+    const { error } = await signIn(email, password);
+    if (error) throw new Error(error.message);
+  };
+
+  const handleLogout = async () => {
+    const { error } = await signOut();
+    if (error) console.error('Sign out error:', error);
   };
 
-  // In test mode, go directly to dashboard
-  return <Dashboard onLogout={handleLogout} />;
+  if (session === undefined || (user && access?.userId !== user.id)) {
+    return (
+      <div className="login-page">
+        <span className="loading-spinner" style={{ width: '40px', height: '40px' }}></span>
+      </div>
+    );
+  }
+
+  // Signed out - the URL is kept, so a shared link opens once signed in
+  if (!user) return <LoginPage onLogin={handleLogin} />;
+
+  if (!access.role || access.warehouses.length === 0) {
+    return (
+      <div className="login-page">
+        <div className="login-container">
+          <div className="login-card" style={{ textAlign: 'center' }}>
+            <h1 style={{ fontSize: '1.25rem', marginBottom: '12px' }}>No access yet</h1>
+            <p style={{ color: 'var(--text-secondary)', marginBottom: '24px' }}>
+              {access.role
+                ? `${user.email} has no warehouse. Ask an admin to add you to user_warehouses.`
+                : `${user.email} has no role. Ask an admin to add you to user_roles.`}
+            </p>
+            <button className="btn btn-secondary" onClick={handleLogout}>
+              Sign Out
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const dashboardUser = { email: user.email, role: access.role, warehouses: access.warehouses };
+  const firstWarehouse = access.warehouses[0].id;
+
+  return (
+    <Routes>
+      <Route path="/:warehouse/:mode/master" element={<DashboardRoute user={dashboardUser} onLogout={handleLogout} />} />
+      <Route path="/:warehouse/:mode/uploads/:uploadId" element={<DashboardRoute user={dashboardUser} onLogout={handleLogout} />} />
+      <Route path="/:mode/master" element={<LegacyRoute warehouse={firstWarehouse} />} />
+      <Route path="/:mode/uploads/:uploadId" element={<LegacyRoute warehouse={firstWarehouse} />} />
+      <Route path="*" element={<Navigate to={viewPath({ warehouse: firstWarehouse })} replace />} />
+    </Routes>
+  );
 }
 
 export default App;
@@ -0,0 +1,211 @@
+/**
+ * Audit Log Modal - Who uploaded, deleted or edited what, filterable by user, date range and action
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { X, ScrollText, Download } from 'lucide-react';
+import { exportToCSV } from '../lib/csvUtils';
+import { getAuditLog } from '../lib/database';
+import { AUDIT_ACTIONS, getAuditActionLabel, formatAuditValue, toAuditExportRows } from '../lib/auditLog';
+
+// Item keys shown per entry before "+N more"
+const MAX_KEYS_SHOWN = 5;
+// Before / after JSON is cut to this length in the table (the CSV has all of it)
+const MAX_VALUE_LENGTH = 120;
+
+// Date input value (YYYY-MM-DD, local time) to an ISO timestamp at the start or end of that day
+function dayBoundary(day, end = false) {
+    if (!day) return undefined;
+    return new Date(`${day}T${end ? '23:59:59.999' : '00:00:00'}`).toISOString();
+}
+
+function AuditValue({ value }) {
+    const text = formatAuditValue(value);
+    if (!text) return <span style={{ color: 'var(--text-muted)' }}>—</span>;
+    return (
+        <code title={text} style={{ fontSize: '0.75rem', wordBreak: 'break-all' }}>
+            {text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text}
+        </code>
+    );
+}
+
+export default function AuditLogModal({ isOpen, onClose }) {
+    const [entries, setEntries] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [action, setAction] = useState('');
+    const [userEmail, setUserEmail] = useState('');
+    const [fromDay, setFromDay] = useState('');
+    const [toDay, setToDay] = useState('');
+
+    useEffect(() => {
+        if (!isOpen) return;
+
+        let cancelled = false;
+        const load = async () => {
+            setLoading(true);
+            setError('');
+            try {
+                const log = await getAuditLog({
+                    action: action || undefined,
+                    from: dayBoundary(fromDay),
+                    to: dayBoundary(toDay, true),
+                });
+                if (!cancelled) setEntries(log);
+            } catch (err) {
+                if (!cancelled) setError(err.message);
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+        load();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [isOpen, action, fromDay, toDay]);
+
+    // Users are picked from the loaded entries, so the list only offers users who did something
+    const users = useMemo(
+        () => [...new Set(entries.map(e => e.user_email).filter(Boolean))].sort(),
+        [entries]
+    );
+    const shown = userEmail ? entries.filter(e => e.user_email === userEmail) : entries;
+
+    if (!isOpen) return null;
+
+    const handleExportCSV = () => {
+        const timestamp = new Date().toISOString().split('T')[0];
+        exportToCSV(toAuditExportRows(shown), `audit_log_${timestamp}.csv`);
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div
+                className="modal"
+                onClick={e => e.stopPropagation()}
+                style={{ maxWidth: '1100px', maxHeight: '90vh' }}
+            >
+                <div className="modal-header">
+                    <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <ScrollText size={20} />
+                        Audit Log
+                    </h3>
+                    <button className="btn btn-ghost btn-icon" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body" style={{ overflow: 'auto' }}>
+                    <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '16px' }}>
+                        <select
+                            className="input select"
+                            value={userEmail}
+                            onChange={(e) => setUserEmail(e.target.value)}
+                        >
+                            <option value="">All users</option>
+                            {users.map(email => (
+                                <option key={email} value={email}>{email}</option>
+                            ))}
+                        </select>
+                        <select
+                            className="input select"
+                            value={action}
+                            onChange={(e) => setAction(e.target.value)}
+                        >
+                            <option value="">All actions</option>
+                            {Object.entries(AUDIT_ACTIONS).map(([key, label]) => (
+                                <option key={key} value={key}>{label}</option>
+                            ))}
+                        </select>
+                        <input
+                            type="date"
+                            className="input"
+                            value={fromDay}
+                            max={toDay || undefined}
+                            onChange={(e) => setFromDay(e.target.value)}
+                            title="From"
+                        />
+                        <span style={{ color: 'var(--text-muted)' }}>to</span>
+                        <input
+                            type="date"
+                            className="input"
+                            value={toDay}
+                            min={fromDay || undefined}
+                            onChange={(e) => setToDay(e.target.value)}
+                            title="To"
+                        />
+                    </div>
+
+                    {loading ? (
+                        <div className="empty-state">
+                            <span className="loading-spinner" style={{ width: '32px', height: '32px' }}></span>
+                        </div>
+                    ) : error ? (
+                        <div className="empty-state">
+                            <p>{error}</p>
+                        </div>
+                    ) : shown.length === 0 ? (
+                        <div className="empty-state">
+                            <p>No changes recorded for these filters.</p>
+                        </div>
+                    ) : (
+                        <div className="table-container" style={{ maxHeight: '480px', overflow: 'auto' }}>
+                            <table className="data-table">
+                                <thead>
+                                    <tr>
+                                        <th>Time</th>
+                                        <th>User</th>
+                                        <th>Action</th>
+                                        <th>Mode</th>
+                                        <th>Upload</th>
+                                        <th>Items</th>
+                                        <th>Before</th>
+                                        <th>After</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {shown.map(entry => {
+                                        const keys = entry.item_keys || [];
+                                        return (
+                                            <tr key={entry.id}>
+                                                <td style={{ whiteSpace: 'nowrap' }}>{new Date(entry.created_at).toLocaleString()}</td>
+                                                <td>{entry.user_email || '—'}</td>
+                                                <td style={{ fontWeight: '500' }}>{getAuditActionLabel(entry.action)}</td>
+                                                <td>{entry.mode === 'air' ? 'Air' : entry.mode === 'ocean' ? 'Ocean' : '—'}</td>
+                                                <td>{entry.upload_id || '—'}</td>
+                                                <td title={keys.join(' ')}>
+                                                    {keys.slice(0, MAX_KEYS_SHOWN).join(', ')}
+                                                    {keys.length > MAX_KEYS_SHOWN && ` +${keys.length - MAX_KEYS_SHOWN} more`}
+                                                </td>
+                                                <td><AuditValue value={entry.before_value} /></td>
+                                                <td><AuditValue value={entry.after_value} /></td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+
+                <div className="modal-footer">
+                    <span style={{ marginRight: 'auto', color: 'var(--text-muted)', fontSize: '0.875rem' }}>
+                        {shown.length} entr{shown.length === 1 ? 'y' : 'ies'}
+                    </span>
+                    <button className="btn btn-secondary" onClick={onClose}>
+                        Close
+                    </button>
+                    <button
+                        className="btn btn-primary"
+                        onClick={handleExportCSV}
+                        disabled={shown.length === 0}
+                    >
+                        <Download size={18} />
+                        Export CSV
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,77 @@
+/**
+ * Clear Data Modal - Confirms deleting every upload and the master list of a mode in one warehouse
+ */
+
+import { useState } from 'react';
+import { X, Trash2, AlertTriangle } from 'lucide-react';
+
+export default function ClearDataModal({ isOpen, onClose, onConfirm, uploadCount = 0, mode = 'ocean', warehouseName }) {
+    const [error, setError] = useState('');
+    const [clearing, setClearing] = useState(false);
+
+    if (!isOpen) return null;
+
+    const modeLabel = mode === 'air' ? 'Air' : 'Ocean';
+
+    const handleConfirm = async () => {
+        setClearing(true);
+        setError('');
+        try {
+            await onConfirm();
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setClearing(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={e => e.stopPropagation()} style={{ maxWidth: '480px' }}>
+                <div className="modal-header">
+                    <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <Trash2 size={20} />
+                        Clear {modeLabel} Data
+                    </h3>
+                    <button className="btn btn-ghost btn-icon" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    {error && (
+                        <div style={{
+                            background: 'var(--danger-bg)',
+                            border: '1px solid var(--danger)',
+                            borderRadius: 'var(--radius-md)',
+                            padding: '12px',
+                            marginBottom: '16px',
+                            color: 'var(--danger)',
+                            fontSize: '0.875rem'
+                        }}>
+                            {error}
+                        </div>
+                    )}
+
+                    <div style={{ display: 'flex', alignItems: 'flex-start', gap: '8px' }}>
+                        <AlertTriangle size={18} style={{ color: 'var(--danger)', flexShrink: 0, marginTop: '2px' }} />
+                        <p>
+                            Delete all {uploadCount} {modeLabel} upload{uploadCount === 1 ? '' : 's'} of {warehouseName},
+                            the master list and its item history? Other warehouses are not touched. This can't be undone.
+                        </p>
+                    </div>
+                </div>
+
+                <div className="modal-footer">
+                    <button className="btn btn-secondary" onClick={onClose} disabled={clearing}>
+                        Cancel
+                    </button>
+                    <button className="btn btn-danger" onClick={handleConfirm} disabled={clearing}>
+                        {clearing ? 'Clearing...' : `Clear ${modeLabel} Data`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,145 @@
+/**
+ * Column Mapping Step - Assign file headers to required columns
+ * Shown by UploadModal when a file's headers don't match the expected layout
+ */
+
+import { Columns, CheckCircle, AlertCircle } from 'lucide-react';
+import { REQUIRED_COLUMNS, AIR_REQUIRED_COLUMNS, getUnmappedColumns } from '../lib/csvUtils';
+
+export default function ColumnMappingStep({
+    headers,
+    mapping,
+    sampleRow = {},
+    profiles = [],
+    profileName,
+    mode = 'ocean',
+    onMappingChange,
+    onProfileNameChange,
+    onSelectProfile
+}) {
+    const requiredCols = mode === 'air' ? AIR_REQUIRED_COLUMNS : REQUIRED_COLUMNS;
+    const missingColumns = getUnmappedColumns(mapping, mode);
+
+    const handleAssign = (header, target) => {
+        const next = { ...mapping };
+        // A required column can only come from one header
+        if (target) {
+            for (const key of Object.keys(next)) {
+                if (next[key] === target) next[key] = null;
+            }
+        }
+        next[header] = target || null;
+        onMappingChange(next);
+    };
+
+    return (
+        <div>
+            <div style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                marginBottom: '12px',
+                fontWeight: '500'
+            }}>
+                <Columns size={18} />
+                Map columns ({requiredCols.length - missingColumns.length} of {requiredCols.length} required)
+            </div>
+
+            {profiles.length > 0 && (
+                <div style={{ marginBottom: '12px' }}>
+                    <select
+                        className="input select"
+                        value=""
+                        onChange={(e) => onSelectProfile(profiles.find(p => p.id === e.target.value))}
+                    >
+                        <option value="">Apply a saved profile...</option>
+                        {profiles.map(profile => (
+                            <option key={profile.id} value={profile.id}>{profile.name}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+
+            <div style={{
+                maxHeight: '300px',
+                overflowY: 'auto',
+                border: '1px solid var(--border-color)',
+                borderRadius: 'var(--radius-md)'
+            }}>
+                <table className="data-table" style={{ fontSize: '0.8rem' }}>
+                    <thead>
+                        <tr>
+                            <th>File Column</th>
+                            <th>Sample</th>
+                            <th>Import As</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {headers.map(header => (
+                            <tr key={header}>
+                                <td style={{ fontWeight: '500' }}>{header}</td>
+                                <td style={{
+                                    color: 'var(--text-muted)',
+                                    maxWidth: '120px',
+                                    overflow: 'hidden',
+                                    textOverflow: 'ellipsis',
+                                    whiteSpace: 'nowrap'
+                                }}>
+                                    {sampleRow[header] ?? ''}
+                                </td>
+                                <td>
+                                    <select
+                                        className="input select"
+                                        style={{ padding: '4px 8px', fontSize: '0.8rem' }}
+                                        value={mapping[header] || ''}
+                                        onChange={(e) => handleAssign(header, e.target.value)}
+                                    >
+                                        <option value="">— Ignore —</option>
+                                        {requiredCols.map(col => (
+                                            <option key={col} value={col}>{col}</option>
+                                        ))}
+                                    </select>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div style={{
+                marginTop: '12px',
+                display: 'flex',
+                alignItems: 'flex-start',
+                gap: '8px',
+                fontSize: '0.8rem',
+                color: missingColumns.length > 0 ? 'var(--danger)' : 'var(--success)'
+            }}>
+                {missingColumns.length > 0 ? (
+                    <>
+                        <AlertCircle size={16} style={{ flexShrink: 0 }} />
+                        <span>Still missing: {missingColumns.join(', ')}</span>
+                    </>
+                ) : (
+                    <>
+                        <CheckCircle size={16} style={{ flexShrink: 0 }} />
+                        <span>All required columns are mapped</span>
+                    </>
+                )}
+            </div>
+
+            <div className="form-group" style={{ marginTop: '12px' }}>
+                <label htmlFor="mapping-profile-name" style={{ fontSize: '0.8rem' }}>
+                    Save as profile (carrier / forwarder)
+                </label>
+                <input
+                    id="mapping-profile-name"
+                    type="text"
+                    className="input"
+                    placeholder="e.g. MSC weekly manifest"
+                    value={profileName}
+                    onChange={(e) => onProfileNameChange(e.target.value)}
+                />
+            </div>
+        </div>
+    );
+}
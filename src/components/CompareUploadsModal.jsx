@@ -0,0 +1,258 @@
+/**
+ * Compare Uploads Modal - Added / removed / changed HBs between any two uploads
+ */
+
+import { useState, useEffect } from 'react';
+import { X, GitCompare, Download, FileText, ArrowLeftRight } from 'lucide-react';
+import DockTallyReport from './DockTallyReport';
+import { exportToCSV, DISPLAY_COLUMNS, AIR_DISPLAY_COLUMNS } from '../lib/csvUtils';
+import { compareUploads } from '../lib/database';
+
+const TABS = [
+    { key: 'added', label: 'Added' },
+    { key: 'removed', label: 'Removed' },
+    { key: 'changed', label: 'Changed' },
+];
+
+// Older upload is the base, newer the target (uploads are newest first)
+function orderPair(uploads, pair) {
+    const [first, second] = pair;
+    if (first && second) {
+        const indexOf = (id) => uploads.findIndex(u => u.id === id);
+        return indexOf(first) > indexOf(second) ? [first, second] : [second, first];
+    }
+    if (uploads.length >= 2) {
+        return [uploads[1].id, uploads[0].id];
+    }
+    return ['', ''];
+}
+
+export default function CompareUploadsModal({ isOpen, onClose, uploads = [], initialPair = [], mode = 'ocean' }) {
+    const [baseId, setBaseId] = useState(() => orderPair(uploads, initialPair)[0]);
+    const [targetId, setTargetId] = useState(() => orderPair(uploads, initialPair)[1]);
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [activeTab, setActiveTab] = useState('added');
+    const [showReport, setShowReport] = useState(false);
+
+    const isAir = mode === 'air';
+    const keyField = isAir ? 'hawb' : 'hb';
+    const columns = isAir ? AIR_DISPLAY_COLUMNS : DISPLAY_COLUMNS;
+
+    useEffect(() => {
+        if (!isOpen || !baseId || !targetId || baseId === targetId) return;
+
+        let cancelled = false;
+        const load = async () => {
+            setLoading(true);
+            setError('');
+            try {
+                const comparison = await compareUploads(baseId, targetId, mode);
+                if (!cancelled) setResult(comparison);
+            } catch (err) {
+                if (!cancelled) setError(err.message);
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+        load();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [isOpen, baseId, targetId, mode]);
+
+    if (!isOpen) return null;
+
+    const uploadLabel = (upload) =>
+        `${new Date(upload.upload_date).toLocaleDateString()} - ${upload.filename}`;
+
+    const tabRows = result ? result[activeTab] : [];
+
+    const handleSwap = () => {
+        setBaseId(targetId);
+        setTargetId(baseId);
+    };
+
+    const handleExportCSV = () => {
+        if (!result) return;
+
+        const toExportRow = (row, change) => {
+            const exportRow = { CHANGE: change };
+            for (const col of columns) {
+                exportRow[col.label] = row[col.key] ?? '';
+            }
+            exportRow['CHANGED FIELDS'] = (row.changes || [])
+                .map(c => `${c.label}: ${c.old_value ?? ''} -> ${c.new_value ?? ''}`)
+                .join('; ');
+            return exportRow;
+        };
+
+        const rows = [
+            ...result.added.map(r => toExportRow(r, 'ADDED')),
+            ...result.removed.map(r => toExportRow(r, 'REMOVED')),
+            ...result.changed.map(r => toExportRow(r, 'CHANGED')),
+        ];
+
+        const timestamp = new Date().toISOString().split('T')[0];
+        exportToCSV(rows, `compare_${mode}_${timestamp}.csv`);
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div
+                className="modal"
+                onClick={e => e.stopPropagation()}
+                style={{ maxWidth: '1000px', maxHeight: '90vh' }}
+            >
+                <div className="modal-header">
+                    <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <GitCompare size={20} />
+                        Compare Uploads
+                    </h3>
+                    <button className="btn btn-ghost btn-icon" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body" style={{ overflow: 'auto' }}>
+                    <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '16px' }}>
+                        <select
+                            className="input select"
+                            value={baseId}
+                            onChange={(e) => setBaseId(e.target.value)}
+                        >
+                            {uploads.map(upload => (
+                                <option key={upload.id} value={upload.id}>{uploadLabel(upload)}</option>
+                            ))}
+                        </select>
+                        <button className="btn btn-ghost btn-icon" onClick={handleSwap} title="Swap">
+                            <ArrowLeftRight size={18} />
+                        </button>
+                        <select
+                            className="input select"
+                            value={targetId}
+                            onChange={(e) => setTargetId(e.target.value)}
+                        >
+                            {uploads.map(upload => (
+                                <option key={upload.id} value={upload.id}>{uploadLabel(upload)}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {baseId && baseId === targetId ? (
+                        <div className="empty-state">
+                            <p>Pick two different uploads to compare.</p>
+                        </div>
+                    ) : error && !loading ? (
+                        <div className="empty-state">
+                            <p>{error}</p>
+                        </div>
+                    ) : loading || !result ? (
+                        <div className="empty-state">
+                            <span className="loading-spinner" style={{ width: '32px', height: '32px' }}></span>
+                        </div>
+                    ) : (
+                        <>
+                            <div className="metrics-bar">
+                                {TABS.map(tab => (
+                                    <div
+                                        key={tab.key}
+                                        className={`metric-card ${activeTab === tab.key ? 'active' : ''}`}
+                                        onClick={() => setActiveTab(tab.key)}
+                                    >
+                                        <div className="metric-value">{result[tab.key].length}</div>
+                                        <div className="metric-label">{tab.label}</div>
+                                    </div>
+                                ))}
+                                <div className="metric-card" style={{ pointerEvents: 'none' }}>
+                                    <div className="metric-value">{result.unchangedCount}</div>
+                                    <div className="metric-label">Unchanged</div>
+                                </div>
+                            </div>
+
+                            {tabRows.length === 0 ? (
+                                <div className="empty-state">
+                                    <p>No {activeTab} {isAir ? 'HAWBs' : 'HBs'}</p>
+                                </div>
+                            ) : (
+                                <div className="table-container" style={{ maxHeight: '400px', overflow: 'auto' }}>
+                                    <table className="data-table">
+                                        <thead>
+                                            <tr>
+                                                <th>{isAir ? 'HAWB' : 'HB'}</th>
+                                                <th>{isAir ? 'MAWB' : 'MBL'}</th>
+                                                {activeTab === 'changed' ? (
+                                                    <th>Differences</th>
+                                                ) : (
+                                                    <th>{isAir ? 'FLIGHT #' : 'CONTAINER'}</th>
+                                                )}
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {tabRows.map(row => (
+                                                <tr key={row[keyField]}>
+                                                    <td style={{ fontWeight: '500' }}>{row[keyField]}</td>
+                                                    <td>{isAir ? row.mawb : row.mbl}</td>
+                                                    {activeTab === 'changed' ? (
+                                                        <td>
+                                                            {row.changes.map(change => (
+                                                                <div key={change.field} style={{ fontSize: '0.8rem' }}>
+                                                                    <strong>{change.label}:</strong>{' '}
+                                                                    <span style={{ color: 'var(--text-muted)', textDecoration: 'line-through' }}>
+                                                                        {change.old_value || '—'}
+                                                                    </span>
+                                                                    {' → '}
+                                                                    {change.new_value || '—'}
+                                                                </div>
+                                                            ))}
+                                                        </td>
+                                                    ) : (
+                                                        <td>{isAir ? row.flight_number : row.container}</td>
+                                                    )}
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+
+                <div className="modal-footer">
+                    <button className="btn btn-secondary" onClick={onClose}>
+                        Close
+                    </button>
+                    <button
+                        className="btn btn-secondary"
+                        onClick={() => setShowReport(true)}
+                        disabled={tabRows.length === 0}
+                    >
+                        <FileText size={18} />
+                        Dock Tally ({TABS.find(t => t.key === activeTab).label})
+                    </button>
+                    <button
+                        className="btn btn-primary"
+                        onClick={handleExportCSV}
+                        disabled={!result}
+                    >
+                        <Download size={18} />
+                        Export CSV
+                    </button>
+                </div>
+            </div>
+
+            <div onClick={e => e.stopPropagation()}>
+                <DockTallyReport
+                    isOpen={showReport}
+                    onClose={() => setShowReport(false)}
+                    data={tabRows}
+                    activeFilter={`compare_${activeTab}`}
+                    mode={mode}
+                />
+            </div>
+        </div>
+    );
+}
@@ -3,14 +3,21 @@
  */
 
 import { useState, useEffect, useMemo } from 'react';
-import { Download, FileText, X, Anchor, Plane } from 'lucide-react';
+import { useParams, useSearchParams, useNavigate, useLocation } from 'react-router-dom';
+import { Download, FileText, ClipboardCheck, AlertTriangle, ScanLine, X, Anchor, Plane, PackageX } from 'lucide-react';
 import Sidebar from './Sidebar';
 import MetricsBar from './MetricsBar';
 import DataTable from './DataTable';
 import SearchBar from './SearchBar';
 import UploadModal from './UploadModal';
 import DockTallyReport from './DockTallyReport';
-import { exportToCSV } from '../lib/csvUtils';
+import TallyEntryModal from './TallyEntryModal';
+import OsdReport from './OsdReport';
+import RemovedItemsReport from './RemovedItemsReport';
+import ReceiveScreen from './ReceiveScreen';
+import HistoryDrawer from './HistoryDrawer';
+import CompareUploadsModal from './CompareUploadsModal';
+import { exportToCSV, filterBySearch, toDisplayRows, DISPLAY_COLUMNS, AIR_DISPLAY_COLUMNS } from '../lib/csvUtils';
 import {
     getAllUploads,
     deleteUpload,
@@ -20,35 +27,61 @@ import {
     getMasterListNewItems,
     getMasterListUpdatedItems,
     getMasterListNewFrl,
+    getMasterListRemovedItems,
+    archiveRemovedItems,
+    getSettings,
+    saveSettings,
     getNewItemsData,
     getRemovedItemsData,
     detectNewItems,
     detectRemovedItems,
+    getDiscrepancies,
+    clearAllData,
+    getWarehousesMasterListData,
     // Air functions
     getAllAirUploads,
     deleteAirUpload,
-    getAirReportData,
-    getAirMasterListData,
-    getAirMasterListMetrics,
-    getAirMasterListNewItems,
 } from '../lib/database';
-
-export default function Dashboard({ onLogout }) {
-    // Mode: 'ocean' or 'air'
-    const [mode, setMode] = useState('ocean');
+import { countDiscrepancies } from '../lib/osdReport';
+import { withLastSeen, uploadLabel } from '../lib/removedItems';
+import { viewPath } from '../lib/routes';
+import { can } from '../lib/permissions';
+import { getWarehouseName } from '../lib/warehouses';
+
+export default function Dashboard({ user, onLogout }) {
+    // The view comes from the URL, so it can be shared and back / forward work:
+    // warehouse, mode ('ocean' or 'air') and upload from the path, filter and search from the query
+    const params = useParams();
+    const [searchParams] = useSearchParams();
+    const navigate = useNavigate();
+    const location = useLocation();
+    const warehouse = params.warehouse;
+    const mode = params.mode;
+    const selectedUpload = params.uploadId ?? null;
+    const isMasterList = !selectedUpload;
+    const activeFilter = searchParams.get('filter') || 'all';
+    const searchText = searchParams.get('q') || '';
+    const searchField = searchParams.get('field') || 'all';
+    // Admins can search the master lists of all their warehouses at once
+    const canSearchAll = can(user.role, 'searchAllWarehouses') && user.warehouses.length > 1;
+    const searchAll = canSearchAll && isMasterList && searchParams.get('scope') === 'all';
 
     // State
     const [uploads, setUploads] = useState([]);
-    const [selectedUpload, setSelectedUpload] = useState(null);
-    const [isMasterList, setIsMasterList] = useState(true);
     const [data, setData] = useState([]);
     const [loading, setLoading] = useState(false);
-    const [activeFilter, setActiveFilter] = useState('all');
-    const [searchText, setSearchText] = useState('');
-    const [searchField, setSearchField] = useState('all');
     const [showUploadModal, setShowUploadModal] = useState(false);
     const [showDockReport, setShowDockReport] = useState(false);
+    const [showTallyEntry, setShowTallyEntry] = useState(false);
+    const [showOsdReport, setShowOsdReport] = useState(false);
+    const [showRemovedReport, setShowRemovedReport] = useState(false);
+    const [showReceive, setShowReceive] = useState(false);
+    const [discrepancies, setDiscrepancies] = useState([]);
     const [toast, setToast] = useState(null);
+    const [historyKey, setHistoryKey] = useState(null);
+    const [archiveAfterDays, setArchiveAfterDays] = useState(0);
+    const [comparePair, setComparePair] = useState(null);
+    const [warehouseItems, setWarehouseItems] = useState([]);
 
     // Metrics state
     const [metrics, setMetrics] = useState({
@@ -59,18 +92,51 @@ export default function Dashboard({ onLogout }) {
         updatedItems: 0,
         removedItems: 0,
         newFrl: 0,
+        osdOver: 0,
+        osdShort: 0,
+        osdDamaged: 0,
+        osdUnmanifested: 0,
     });
 
+    const showToast = (message, type = 'success') => {
+        setToast({ message, type });
+        setTimeout(() => setToast(null), 3000);
+    };
+
     // Load uploads on mount and when mode changes
     useEffect(() => {
         loadUploads();
-        // Reset selection when mode changes
-        setSelectedUpload(null);
-        setIsMasterList(true);
-        setActiveFilter('all');
-        setSearchText('');
     }, [mode]);
 
+    // Load settings once
+    useEffect(() => {
+        getSettings()
+            .then(settings => setArchiveAfterDays(settings.archiveRemovedAfterDays || 0))
+            .catch(err => console.error('Error loading settings:', err));
+    }, []);
+
+    // Master lists of all the admin's warehouses, for searching across them
+    useEffect(() => {
+        if (!searchAll) return;
+
+        let cancelled = false;
+        getWarehousesMasterListData(user.warehouses.map(w => w.id), mode).then(items => {
+            if (!cancelled) {
+                setWarehouseItems(items.map(item => ({
+                    ...item,
+                    warehouse_name: getWarehouseName(user.warehouses, item.warehouse),
+                })));
+            }
+        }).catch(err => {
+            console.error('Error loading warehouses:', err);
+            if (!cancelled) showToast('Error loading other warehouses', 'error');
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [searchAll, mode, user.warehouses]);
+
     // Load data when selection changes
     useEffect(() => {
         if (isMasterList) {
@@ -80,79 +146,92 @@ export default function Dashboard({ onLogout }) {
         }
     }, [isMasterList, selectedUpload, activeFilter, mode]);
 
+    // OS&D filters are 'osd_over', 'osd_short', 'osd_damaged' and 'osd_unmanifested'
+    const osdType = activeFilter.startsWith('osd_') ? activeFilter.slice(4) : null;
+
+    // Compare captured tallies against the manifest rows of the current view
+    const loadDiscrepancies = async (rows) => {
+        const found = await getDiscrepancies(rows, mode);
+        setDiscrepancies(found);
+        const counts = countDiscrepancies(found);
+        return {
+            found,
+            metrics: {
+                osdOver: counts.over,
+                osdShort: counts.short,
+                osdDamaged: counts.damaged,
+                osdUnmanifested: counts.unmanifested,
+            },
+        };
+    };
+
+    const filterDiscrepancies = (found) => found.filter(item => item.osd_types.includes(osdType));
+
     const loadUploads = async () => {
-        const uploadList = mode === 'air'
-            ? await getAllAirUploads()
-            : await getAllUploads();
-        setUploads(uploadList);
+        try {
+            const uploadList = mode === 'air'
+                ? await getAllAirUploads()
+                : await getAllUploads();
+            setUploads(uploadList);
+        } catch (err) {
+            console.error('Error loading uploads:', err);
+            showToast('Error loading uploads', 'error');
+        }
     };
 
+    // Group column and FRL column of the mode - Air uses MAWB and LOG
+    const groupField = mode === 'air' ? 'mawb' : 'mbl';
+    const frlField = mode === 'air' ? 'log' : 'frl';
+
     const loadMasterListData = async () => {
         setLoading(true);
         try {
-            if (mode === 'air') {
-                // Air mode
-                const allMasterData = await getAirMasterListData('all');
-                const uniqueMawbSet = new Set(allMasterData.filter(r => r.mawb && r.mawb.trim() !== '').map(r => r.mawb));
-                const masterMetrics = await getAirMasterListMetrics();
-                const newItems = await getAirMasterListNewItems();
-
-                setMetrics({
-                    totalRows: masterMetrics.totalRows,
-                    uniqueMbls: uniqueMawbSet.size,
-                    withFrl: masterMetrics.withFrl,
-                    withoutFrl: masterMetrics.withoutFrl,
-                    newItems: newItems.count,
-                    updatedItems: 0,
-                    removedItems: 0,
-                    newFrl: 0,
-                });
-
-                let loadedData = [];
-                switch (activeFilter) {
-                    case 'new_items':
-                        loadedData = newItems.data;
-                        break;
-                    default:
-                        loadedData = await getAirMasterListData(activeFilter);
-                }
-                setData(loadedData);
-            } else {
-                // Ocean mode (original logic)
-                const allMasterData = await getMasterListData('all');
-                const uniqueMblSet = new Set(allMasterData.filter(r => r.mbl && r.mbl.trim() !== '').map(r => r.mbl));
-                const masterMetrics = await getMasterListMetrics();
-                const newItems = await getMasterListNewItems();
-                const updatedItems = await getMasterListUpdatedItems();
-                const newFrl = await getMasterListNewFrl();
-
-                setMetrics({
-                    totalRows: masterMetrics.totalRows,
-                    uniqueMbls: uniqueMblSet.size,
-                    withFrl: masterMetrics.withFrl,
-                    withoutFrl: masterMetrics.withoutFrl,
-                    newItems: newItems.count,
-                    updatedItems: updatedItems.count,
-                    removedItems: 0,
-                    newFrl: newFrl.count,
-                });
-
-                let loadedData = [];
-                switch (activeFilter) {
-                    case 'new_items':
-                        loadedData = newItems.data;
-                        break;
-                    case 'updated_items':
-                        loadedData = updatedItems.data;
-                        break;
-                    case 'new_frl':
-                        loadedData = newFrl.data;
-                        break;
-                    default:
-                        loadedData = await getMasterListData(activeFilter);
-                }
-                setData(loadedData);
+            const settings = await getSettings();
+            // Archiving is housekeeping - if it fails the master list still loads
+            await archiveRemovedItems(settings.archiveRemovedAfterDays, mode)
+                .catch(err => console.error('Error archiving removed items:', err));
+
+            const allMasterData = await getMasterListData('all', mode);
+            const uniqueGroupSet = new Set(allMasterData.filter(r => r[groupField] && r[groupField].trim() !== '').map(r => r[groupField]));
+            const masterMetrics = await getMasterListMetrics(mode);
+            const newItems = await getMasterListNewItems(mode);
+            const updatedItems = await getMasterListUpdatedItems(mode);
+            const newFrl = await getMasterListNewFrl(mode);
+            const removedItems = await getMasterListRemovedItems(mode);
+            const osd = await loadDiscrepancies(allMasterData);
+
+            setMetrics({
+                totalRows: masterMetrics.totalRows,
+                uniqueMbls: uniqueGroupSet.size,
+                withFrl: masterMetrics.withFrl,
+                withoutFrl: masterMetrics.withoutFrl,
+                newItems: newItems.count,
+                updatedItems: updatedItems.count,
+                removedItems: removedItems.count,
+                newFrl: newFrl.count,
+                ...osd.metrics,
+            });
+
+            let loadedData = [];
+            switch (activeFilter) {
+                case 'new_items':
+                    loadedData = newItems.data;
+                    break;
+                case 'updated_items':
+                    loadedData = updatedItems.data;
+                    break;
+                case 'new_frl':
+                    loadedData = newFrl.data;
+                    break;
+                case 'removed_items':
+                    loadedData = removedItems.data;
+                    break;
+                default:
+                    loadedData = osdType
+                        ? filterDiscrepancies(osd.found)
+                        : await getMasterListData(activeFilter, mode);
             }
+            setData(loadedData);
         } catch (err) {
             console.error('Error loading master list:', err);
             showToast('Error loading data', 'error');
@@ -163,57 +242,39 @@ export default function Dashboard({ onLogout }) {
     const loadUploadData = async (uploadId) => {
         setLoading(true);
         try {
-            if (mode === 'air') {
-                // Air mode
-                const reportData = await getAirReportData(uploadId);
-                const uniqueMawbSet = new Set(reportData.filter(r => r.mawb && r.mawb.trim() !== '').map(r => r.mawb));
-                const withLog = reportData.filter(r => r.log && r.log.trim() !== '').length;
-
-                setMetrics({
-                    totalRows: reportData.length,
-                    uniqueMbls: uniqueMawbSet.size,
-                    withFrl: withLog,
-                    withoutFrl: reportData.length - withLog,
-                    newItems: 0,
-                    removedItems: 0,
-                    updatedItems: 0,
-                    newFrl: 0,
-                });
-
-                const loadedData = await getAirReportData(uploadId, activeFilter);
-                setData(loadedData);
-            } else {
-                // Ocean mode (original logic)
-                const reportData = await getReportData(uploadId);
-                const uniqueMblSet = new Set(reportData.filter(r => r.mbl && r.mbl.trim() !== '').map(r => r.mbl));
-                const withFrl = reportData.filter(r => r.frl && r.frl.trim() !== '').length;
-                const newItemsCount = await detectNewItems(uploadId);
-                const removedItemsCount = await detectRemovedItems(uploadId);
-
-                setMetrics({
-                    totalRows: reportData.length,
-                    uniqueMbls: uniqueMblSet.size,
-                    withFrl,
-                    withoutFrl: reportData.length - withFrl,
-                    newItems: newItemsCount,
-                    removedItems: removedItemsCount,
-                    updatedItems: 0,
-                    newFrl: 0,
-                });
-
-                let loadedData = [];
-                switch (activeFilter) {
-                    case 'new_items':
-                        loadedData = await getNewItemsData(uploadId);
-                        break;
-                    case 'updated_items':
-                        loadedData = await getRemovedItemsData(uploadId);
-                        break;
-                    default:
-                        loadedData = await getReportData(uploadId, activeFilter);
-                }
-                setData(loadedData);
+            const reportData = await getReportData(uploadId, mode);
+            const uniqueGroupSet = new Set(reportData.filter(r => r[groupField] && r[groupField].trim() !== '').map(r => r[groupField]));
+            const withFrl = reportData.filter(r => r[frlField] && r[frlField].trim() !== '').length;
+            const newItemsCount = await detectNewItems(uploadId, mode);
+            const removedItemsCount = await detectRemovedItems(uploadId, mode);
+            const osd = await loadDiscrepancies(reportData);
+
+            setMetrics({
+                totalRows: reportData.length,
+                uniqueMbls: uniqueGroupSet.size,
+                withFrl,
+                withoutFrl: reportData.length - withFrl,
+                newItems: newItemsCount,
+                removedItems: removedItemsCount,
+                updatedItems: 0,
+                newFrl: 0,
+                ...osd.metrics,
+            });
+
+            let loadedData = [];
+            switch (activeFilter) {
+                case 'new_items':
+                    loadedData = await getNewItemsData(uploadId, mode);
+                    break;
+                case 'removed_items':
+                    loadedData = await getRemovedItemsData(uploadId, mode);
+                    break;
+                default:
+                    loadedData = osdType
+                        ? filterDiscrepancies(osd.found)
+                        : await getReportData(uploadId, mode, activeFilter);
             }
+            setData(loadedData);
         } catch (err) {
             console.error('Error loading upload data:', err);
             showToast('Error loading data', 'error');
@@ -221,67 +282,172 @@ export default function Dashboard({ onLogout }) {
         setLoading(false);
     };
 
+    const isRemovedView = activeFilter === 'removed_items';
+
+    // Removed items show the upload they were last seen in
+    const viewData = useMemo(
+        () => (isRemovedView ? withLastSeen(data, uploads) : data),
+        [data, uploads, isRemovedView]
+    );
+
     // Filtered data based on search
-    const filteredData = useMemo(() => {
-        if (!searchText.trim()) return data;
+    // Table columns: the manifest ones, then LAST SEEN on the Removed view and WAREHOUSE when searching all warehouses
+    const extraColumns = useMemo(() => [
+        ...(searchAll ? [{ key: 'warehouse_name', label: 'WAREHOUSE' }] : []),
+        ...(isRemovedView ? [{ key: 'last_seen', label: 'LAST SEEN' }] : []),
+    ], [searchAll, isRemovedView]);
+    const columns = useMemo(
+        () => [...(mode === 'air' ? AIR_DISPLAY_COLUMNS : DISPLAY_COLUMNS), ...extraColumns],
+        [mode, extraColumns]
+    );
 
-        const searchLower = searchText.toLowerCase();
+    const filteredData = useMemo(
+        () => filterBySearch(viewData, searchText, searchField, columns),
+        [viewData, searchText, searchField, columns]
+    );
 
-        return data.filter(row => {
-            if (searchField === 'all') {
-                return Object.values(row).some(val =>
-                    val && String(val).toLowerCase().includes(searchLower)
-                );
-            }
-            const value = row[searchField];
-            return value && String(value).toLowerCase().includes(searchLower);
+    // The table shows every warehouse's matches when searching all of them;
+    // reports and tallies keep working on this warehouse's rows
+    const tableData = useMemo(
+        () => (searchAll ? filterBySearch(warehouseItems, searchText, searchField, columns) : filteredData),
+        [searchAll, warehouseItems, searchText, searchField, columns, filteredData]
+    );
+
+    // Go to another view, keeping whatever `view` doesn't change
+    // Opening the view already shown replaces it instead of adding a history entry
+    const navigateTo = (view, options = {}) => {
+        const path = viewPath({
+            warehouse,
+            mode,
+            uploadId: selectedUpload,
+            filter: activeFilter,
+            q: searchText,
+            field: searchField,
+            scope: searchAll ? 'all' : '',
+            ...view,
         });
-    }, [data, searchText, searchField]);
+        const isCurrent = path === location.pathname + location.search;
+        navigate(path, { replace: isCurrent, ...options });
+    };
+
+    // Typing a search updates the URL without a history entry per keystroke
+    const handleSearchChange = (text) => navigateTo({ q: text }, { replace: true });
+    const handleSearchFieldChange = (field) => navigateTo({ field }, { replace: true });
+    const handleSearchAllChange = (all) => navigateTo({ scope: all ? 'all' : '' }, { replace: true });
+
+    // Switching mode starts on its master list
+    const handleModeChange = (nextMode) => {
+        if (nextMode !== mode) navigate(viewPath({ warehouse, mode: nextMode }));
+    };
+
+    // Switching warehouse keeps the mode and starts on its master list
+    const handleWarehouseChange = (nextWarehouse) => {
+        if (nextWarehouse !== warehouse) navigate(viewPath({ warehouse: nextWarehouse, mode }));
+    };
+
+    // Rows of this warehouse open their history; another warehouse's rows open that warehouse, searched for the row
+    const handleRowClick = (row) => {
+        const keyField = mode === 'air' ? 'hawb' : 'hb';
+        const key = row[keyField];
+        if (!key) return;
+        if (searchAll && row.warehouse !== warehouse) {
+            navigate(viewPath({ warehouse: row.warehouse, mode, q: key, field: keyField }));
+        } else {
+            setHistoryKey(key);
+        }
+    };
 
     // Handlers
     const handleSelectUpload = (uploadId) => {
-        setSelectedUpload(uploadId);
-        setIsMasterList(false);
-        setActiveFilter('all');
-        setSearchText('');
+        navigateTo({ uploadId, filter: 'all', q: '', scope: '' });
     };
 
     const handleSelectMasterList = () => {
-        setSelectedUpload(null);
-        setIsMasterList(true);
-        setActiveFilter('all');
-        setSearchText('');
+        navigateTo({ uploadId: null, filter: 'all', q: '', scope: '' });
     };
 
+    // Errors are shown in the delete dialog
     const handleDeleteUpload = async (uploadId) => {
-        const success = mode === 'air'
-            ? await deleteAirUpload(uploadId)
-            : await deleteUpload(uploadId);
-        if (success) {
-            await loadUploads();
-            if (selectedUpload === uploadId) {
-                handleSelectMasterList();
-            }
-            showToast('Upload deleted successfully', 'success');
+        if (mode === 'air') {
+            await deleteAirUpload(uploadId);
         } else {
-            showToast('Failed to delete upload', 'error');
+            await deleteUpload(uploadId);
+        }
+        await loadUploads();
+        if (selectedUpload === uploadId) {
+            // Back shouldn't lead to the deleted upload
+            navigateTo({ uploadId: null, filter: 'all', q: '' }, { replace: true });
+        } else {
+            // The master list was rewound
+            await reloadData();
+        }
+        showToast('Upload deleted and master list rewound', 'success');
+    };
+
+    // Errors are shown in the clear dialog
+    const handleClearData = async () => {
+        await clearAllData(mode);
+        await loadUploads();
+        if (isMasterList) {
+            await loadMasterListData();
+        } else {
+            navigateTo({ uploadId: null, filter: 'all', q: '' }, { replace: true });
+        }
+        showToast(`${mode === 'air' ? 'Air' : 'Ocean'} data cleared`, 'success');
+    };
+
+    const handleArchiveAfterDaysChange = async (days) => {
+        setArchiveAfterDays(days);
+        await saveSettings({ archiveRemovedAfterDays: days });
+        if (days > 0) {
+            try {
+                const archived = await archiveRemovedItems(days, mode);
+                if (archived > 0) {
+                    showToast(`${archived} removed items archived`, 'success');
+                }
+            } catch (err) {
+                console.error('Error archiving removed items:', err);
+                showToast('Error archiving removed items', 'error');
+            }
         }
+        await loadMasterListData();
     };
 
     const handleFilterChange = (filter) => {
-        setActiveFilter(filter);
-        setSearchText('');
+        navigateTo({ filter, q: '' });
     };
 
-    const handleUploadSuccess = async ({ rowsInserted, itemsAdded, itemsUpdated }) => {
+    const handleUploadSuccess = async ({ rowsInserted, itemsAdded, itemsUpdated, uploadsReplaced }) => {
         await loadUploads();
         handleSelectMasterList();
+        const replaced = uploadsReplaced
+            ? `, replaced ${uploadsReplaced} earlier upload${uploadsReplaced === 1 ? '' : 's'}`
+            : '';
         showToast(
-            `Upload successful! ${rowsInserted} rows, ${itemsAdded} new items, ${itemsUpdated} updated`,
+            `Upload successful! ${rowsInserted} rows, ${itemsAdded} new items, ${itemsUpdated} updated${replaced}`,
             'success'
         );
     };
 
+    // Reload so the OS&D cards pick up the new tallies
+    const reloadData = async () => {
+        if (isMasterList) {
+            await loadMasterListData();
+        } else if (selectedUpload) {
+            await loadUploadData(selectedUpload);
+        }
+    };
+
+    const handleTallySaved = async (count) => {
+        showToast(`Saved tally for ${count} ${mode === 'air' ? 'HAWB' : 'HB'}${count === 1 ? '' : 's'}`, 'success');
+        await reloadData();
+    };
+
+    const handleCloseReceive = async () => {
+        setShowReceive(false);
+        await reloadData();
+    };
+
     const handleDownloadCSV = () => {
         if (filteredData.length === 0) {
             showToast('No data to export', 'error');
@@ -290,22 +456,16 @@ export default function Dashboard({ onLogout }) {
 
         const timestamp = new Date().toISOString().split('T')[0];
         const filename = `export_${timestamp}.csv`;
-        exportToCSV(filteredData, filename);
+        // Only the columns the table shows - WAREHOUSE stays out, the export is this warehouse's rows
+        exportToCSV(toDisplayRows(filteredData, columns.filter(col => col.key !== 'warehouse_name')), filename);
         showToast('CSV downloaded successfully', 'success');
     };
 
-    const showToast = (message, type = 'success') => {
-        setToast({ message, type });
-        setTimeout(() => setToast(null), 3000);
-    };
+    const currentUpload = isMasterList ? null : uploads.find(u => u.id === selectedUpload);
 
     const getSelectedTitle = () => {
         if (isMasterList) return '📦 Master List';
-        const upload = uploads.find(u => u.id === selectedUpload);
-        if (upload) {
-            const date = new Date(upload.upload_date);
-            return `📄 ${date.toLocaleDateString()} - ${upload.filename}`;
-        }
+        if (currentUpload) return `📄 ${uploadLabel(currentUpload)}`;
         return 'Select an upload';
     };
 
@@ -321,7 +481,13 @@ export default function Dashboard({ onLogout }) {
                 onUploadClick={() => setShowUploadModal(true)}
                 onDeleteUpload={handleDeleteUpload}
                 onRefresh={loadUploads}
+                onCompare={setComparePair}
+                onClearData={handleClearData}
                 onLogout={onLogout}
+                onWarehouseChange={handleWarehouseChange}
+                user={user}
+                warehouse={warehouse}
+                mode={mode}
             />
 
             <main className="main-content">
@@ -333,7 +499,7 @@ export default function Dashboard({ onLogout }) {
                     borderBottom: '2px solid var(--border-color)'
                 }}>
                     <button
-                        onClick={() => setMode('ocean')}
+                        onClick={() => handleModeChange('ocean')}
                         style={{
                             display: 'flex',
                             alignItems: 'center',
@@ -353,7 +519,7 @@ export default function Dashboard({ onLogout }) {
                         Ocean
                     </button>
                     <button
-                        onClick={() => setMode('air')}
+                        onClick={() => handleModeChange('air')}
                         style={{
                             display: 'flex',
                             alignItems: 'center',
@@ -382,16 +548,78 @@ export default function Dashboard({ onLogout }) {
                         {activeFilter !== 'all' && (
                             <button
                                 className="btn btn-sm btn-ghost"
-                                onClick={() => setActiveFilter('all')}
+                                onClick={() => handleFilterChange('all')}
                                 style={{ marginTop: '4px' }}
                             >
                                 <X size={14} />
                                 Clear Filter
                             </button>
                         )}
+                        {isMasterList && activeFilter === 'removed_items' && (
+                            <label style={{
+                                display: 'inline-flex',
+                                alignItems: 'center',
+                                gap: '8px',
+                                marginTop: '4px',
+                                marginLeft: '8px',
+                                fontSize: '0.8rem',
+                                color: 'var(--text-secondary)'
+                            }}>
+                                Auto-archive removed items after
+                                <select
+                                    className="input select"
+                                    style={{ width: 'auto', padding: '4px 28px 4px 8px', fontSize: '0.8rem' }}
+                                    value={archiveAfterDays}
+                                    onChange={(e) => handleArchiveAfterDaysChange(Number(e.target.value))}
+                                >
+                                    <option value={0}>Never</option>
+                                    <option value={7}>7 days</option>
+                                    <option value={14}>14 days</option>
+                                    <option value={30}>30 days</option>
+                                    <option value={60}>60 days</option>
+                                    <option value={90}>90 days</option>
+                                </select>
+                            </label>
+                        )}
                     </div>
 
                     <div style={{ display: 'flex', gap: '12px' }}>
+                        {isRemovedView && (
+                            <button
+                                className="btn btn-secondary"
+                                onClick={() => setShowRemovedReport(true)}
+                                disabled={filteredData.length === 0}
+                            >
+                                <PackageX size={18} />
+                                Hand-over Report
+                            </button>
+                        )}
+                        {can(user.role, 'tally') && (
+                            <>
+                                <button
+                                    className="btn btn-secondary"
+                                    onClick={() => setShowReceive(true)}
+                                >
+                                    <ScanLine size={18} />
+                                    Receive
+                                </button>
+                                <button
+                                    className="btn btn-secondary"
+                                    onClick={() => setShowTallyEntry(true)}
+                                    disabled={filteredData.length === 0}
+                                >
+                                    <ClipboardCheck size={18} />
+                                    Tally Entry
+                                </button>
+                            </>
+                        )}
+                        <button
+                            className="btn btn-secondary"
+                            onClick={() => setShowOsdReport(true)}
+                        >
+                            <AlertTriangle size={18} />
+                            OS&amp;D Report
+                        </button>
                         <button
                             className="btn btn-secondary"
                             onClick={() => setShowDockReport(true)}
@@ -422,21 +650,43 @@ export default function Dashboard({ onLogout }) {
                     <SearchBar
                         searchText={searchText}
                         searchField={searchField}
-                        onSearchChange={setSearchText}
-                        onFieldChange={setSearchField}
-                        onClear={() => setSearchText('')}
+                        onSearchChange={handleSearchChange}
+                        onFieldChange={handleSearchFieldChange}
+                        onClear={() => handleSearchChange('')}
                         mode={mode}
                     />
 
                     <div style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'space-between',
                         marginBottom: '12px',
                         fontSize: '0.875rem',
                         color: 'var(--text-muted)'
                     }}>
-                        Showing {filteredData.length} of {data.length} rows
+                        <span>
+                            Showing {tableData.length} of {searchAll ? warehouseItems.length : data.length} rows
+                            {searchAll && ` in ${user.warehouses.length} warehouses`}
+                        </span>
+                        {canSearchAll && isMasterList && (
+                            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={searchAll}
+                                    onChange={(e) => handleSearchAllChange(e.target.checked)}
+                                />
+                                Search all warehouses
+                            </label>
+                        )}
                     </div>
 
-                    <DataTable data={filteredData} loading={loading} mode={mode} />
+                    <DataTable
+                        data={tableData}
+                        loading={loading}
+                        mode={mode}
+                        extraColumns={extraColumns}
+                        onRowClick={handleRowClick}
+                    />
                 </div>
             </main>
 
@@ -446,6 +696,7 @@ export default function Dashboard({ onLogout }) {
                 onClose={() => setShowUploadModal(false)}
                 onSuccess={handleUploadSuccess}
                 mode={mode}
+                role={user.role}
             />
 
             <DockTallyReport
@@ -456,6 +707,52 @@ export default function Dashboard({ onLogout }) {
                 mode={mode}
             />
 
+            <TallyEntryModal
+                isOpen={showTallyEntry}
+                onClose={() => setShowTallyEntry(false)}
+                onSaved={handleTallySaved}
+                data={filteredData}
+                mode={mode}
+            />
+
+            <ReceiveScreen
+                isOpen={showReceive}
+                onClose={handleCloseReceive}
+                mode={mode}
+            />
+
+            <OsdReport
+                isOpen={showOsdReport}
+                onClose={() => setShowOsdReport(false)}
+                data={osdType ? filteredData : discrepancies}
+                activeFilter={activeFilter}
+                mode={mode}
+            />
+
+            <RemovedItemsReport
+                isOpen={showRemovedReport}
+                onClose={() => setShowRemovedReport(false)}
+                data={filteredData}
+                title={currentUpload ? uploadLabel(currentUpload) : 'Master List'}
+                mode={mode}
+            />
+
+            <CompareUploadsModal
+                key={comparePair ? comparePair.join(':') : 'closed'}
+                isOpen={!!comparePair}
+                onClose={() => setComparePair(null)}
+                uploads={uploads}
+                initialPair={comparePair || []}
+                mode={mode}
+            />
+
+            <HistoryDrawer
+                isOpen={!!historyKey}
+                onClose={() => setHistoryKey(null)}
+                itemKey={historyKey}
+                mode={mode}
+            />
+
             {/* Toast Notification */}
             {toast && (
                 <div className={`toast ${toast.type}`}>
@@ -30,6 +30,7 @@ const DEFAULT_WIDTHS = {
     volume: 80,
     vbond: 100,
     tdf: 100,
+    last_seen: 220,
 };
 
 // Default column widths for Air
@@ -51,10 +52,12 @@ const AIR_DEFAULT_WIDTHS = {
     eta_time: 80,
     log: 80,
     flt_date: 100,
+    last_seen: 220,
 };
 
-export default function DataTable({ data, loading, mode = 'ocean' }) {
-    const columns = mode === 'air' ? AIR_DISPLAY_COLUMNS : DISPLAY_COLUMNS;
+export default function DataTable({ data, loading, mode = 'ocean', onRowClick, extraColumns = [] }) {
+    // extraColumns are shown after the manifest columns, e.g. LAST SEEN on the Removed view
+    const columns = [...(mode === 'air' ? AIR_DISPLAY_COLUMNS : DISPLAY_COLUMNS), ...extraColumns];
     const widthsKey = mode === 'air' ? AIR_COLUMN_WIDTHS_KEY : COLUMN_WIDTHS_KEY;
     const defaultWidths = mode === 'air' ? AIR_DEFAULT_WIDTHS : DEFAULT_WIDTHS;
     const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
@@ -297,7 +300,11 @@ export default function DataTable({ data, loading, mode = 'ocean' }) {
                 </thead>
                 <tbody>
                     {sortedData.map((row, idx) => (
-                        <tr key={row.id || idx}>
+                        <tr
+                            key={row.id || idx}
+                            onClick={onRowClick ? () => onRowClick(row) : undefined}
+                            style={{ cursor: onRowClick ? 'pointer' : 'default' }}
+                        >
                             {/* Row number cell */}
                             <td style={{
                                 width: 50,
@@ -0,0 +1,134 @@
+/**
+ * Delete Upload Modal - Shows how the master list will be rewound before an upload is deleted
+ */
+
+import { useState, useEffect } from 'react';
+import { X, Trash2, AlertTriangle } from 'lucide-react';
+import { previewDeleteUpload } from '../lib/database';
+
+// Keys listed per group; the rest are counted
+const MAX_KEYS = 30;
+
+export default function DeleteUploadModal({ upload, onClose, onConfirm, mode = 'ocean' }) {
+    const [preview, setPreview] = useState(null);
+    const [error, setError] = useState('');
+    const [deleting, setDeleting] = useState(false);
+
+    const keyField = mode === 'air' ? 'hawb' : 'hb';
+    const keyLabel = mode === 'air' ? 'HAWB' : 'HB';
+
+    useEffect(() => {
+        if (!upload) return;
+
+        let cancelled = false;
+        const load = async () => {
+            setPreview(null);
+            setError('');
+            try {
+                const result = await previewDeleteUpload(upload.id, mode);
+                if (!cancelled) setPreview(result);
+            } catch (err) {
+                if (!cancelled) setError(err.message);
+            }
+        };
+        load();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [upload, mode]);
+
+    if (!upload) return null;
+
+    const handleConfirm = async () => {
+        setDeleting(true);
+        setError('');
+        try {
+            await onConfirm(upload.id);
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setDeleting(false);
+        }
+    };
+
+    const renderKeys = (items) => {
+        const keys = items.map(item => item[keyField]);
+        return (
+            <p style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', wordBreak: 'break-word' }}>
+                {keys.slice(0, MAX_KEYS).join(', ')}
+                {keys.length > MAX_KEYS && ` and ${keys.length - MAX_KEYS} more`}
+            </p>
+        );
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={e => e.stopPropagation()} style={{ maxWidth: '560px' }}>
+                <div className="modal-header">
+                    <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <Trash2 size={20} />
+                        Delete Upload
+                    </h3>
+                    <button className="btn btn-ghost btn-icon" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    <p style={{ marginBottom: '16px' }}>
+                        Delete <strong>{upload.filename}</strong> ({upload.row_count} rows)?
+                        The master list is rewound to what the remaining uploads make it.
+                    </p>
+
+                    {error && (
+                        <div style={{
+                            background: 'var(--danger-bg)',
+                            border: '1px solid var(--danger)',
+                            borderRadius: 'var(--radius-md)',
+                            padding: '12px',
+                            marginBottom: '16px',
+                            color: 'var(--danger)',
+                            fontSize: '0.875rem'
+                        }}>
+                            {error}
+                        </div>
+                    )}
+
+                    {!preview && !error && (
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', color: 'var(--text-muted)' }}>
+                            <span className="loading-spinner" style={{ width: '16px', height: '16px' }}></span>
+                            Working out master list changes...
+                        </div>
+                    )}
+
+                    {preview && (
+                        <>
+                            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+                                <AlertTriangle size={16} style={{ color: 'var(--danger)' }} />
+                                <strong>{preview.removed.length}</strong> {keyLabel}s removed from the master list
+                            </div>
+                            {preview.removed.length > 0 && renderKeys(preview.removed)}
+
+                            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', margin: '16px 0 8px' }}>
+                                <AlertTriangle size={16} style={{ color: 'var(--warning)' }} />
+                                <strong>{preview.reverted.length}</strong> {keyLabel}s reverted to their earlier values
+                            </div>
+                            {preview.reverted.length > 0 && renderKeys(preview.reverted)}
+                        </>
+                    )}
+                </div>
+
+                <div className="modal-footer">
+                    <button className="btn btn-secondary" onClick={onClose} disabled={deleting}>
+                        Cancel
+                    </button>
+                    <button className="btn btn-danger" onClick={handleConfirm} disabled={!preview || deleting}>
+                        {deleting ? 'Deleting...' : 'Delete Upload'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -6,12 +6,20 @@
 
 import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { X, Printer, Download, FileText } from 'lucide-react';
-import html2pdf from 'html2pdf.js';
+import { getTallies } from '../lib/database';
+import { generateDockTallyPdf } from '../lib/dockTallyPdf';
+import { code128Svg, qrSvg } from '../lib/barcodes';
+import { downloadPdf, escapeHtml, getFilterLabel } from '../lib/reportUtils';
+
+const AIR_ARRIVALS = 4;
 
 export default function DockTallyReport({ isOpen, onClose, data = [], activeFilter, mode = 'ocean' }) {
     const [selectedMBLs, setSelectedMBLs] = useState([]);
     const [generating, setGenerating] = useState(false);
     const [progress, setProgress] = useState({ current: 0, total: 0, message: '' });
+    const [tallies, setTallies] = useState({});
+    const [talliesError, setTalliesError] = useState('');
+    const [showBarcodes, setShowBarcodes] = useState(true);
     const printRef = useRef(null);
 
     const isAir = mode === 'air';
@@ -65,12 +73,45 @@ export default function DockTallyReport({ isOpen, onClose, data = [], activeFilt
         return grouped;
     }, [data, isAir]);
 
-    // Select all items when data changes
-    useEffect(() => {
-        if (isOpen) {
-            setSelectedMBLs(Object.keys(groupedData));
+    // Select all items when the report opens or data changes
+    const selectionSource = isOpen ? groupedData : null;
+    const [prevSelectionSource, setPrevSelectionSource] = useState(null);
+    if (selectionSource !== prevSelectionSource) {
+        setPrevSelectionSource(selectionSource);
+        if (selectionSource) {
+            setSelectedMBLs(Object.keys(selectionSource));
         }
-    }, [isOpen, groupedData]);
+    }
+
+    // Load captured dock tallies so they are pre-filled into the report
+    useEffect(() => {
+        if (!isOpen) return;
+
+        let cancelled = false;
+        const load = async () => {
+            setTalliesError('');
+            try {
+                const records = await getTallies(null, mode);
+                if (!cancelled) {
+                    const byKey = {};
+                    for (const tally of records) {
+                        byKey[tally.item_key] = tally;
+                    }
+                    setTallies(byKey);
+                }
+            } catch (err) {
+                if (!cancelled) {
+                    setTallies({});
+                    setTalliesError(err.message);
+                }
+            }
+        };
+        load();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [isOpen, mode]);
 
     const toggleMBL = (mbl) => {
         setSelectedMBLs(prev =>
@@ -84,197 +125,33 @@ export default function DockTallyReport({ isOpen, onClose, data = [], activeFilt
     const selectNone = () => setSelectedMBLs([]);
 
     const handleDownloadPDF = async () => {
-        console.log('handleDownloadPDF called');
-        console.log('printRef.current:', printRef.current);
-        console.log('selectedMBLs:', selectedMBLs);
-
-        if (!printRef.current || selectedMBLs.length === 0) {
-            console.log('Early return - printRef or selectedMBLs empty');
-            return;
-        }
+        if (selectedMBLs.length === 0) return;
 
         setGenerating(true);
-        console.log('Starting PDF generation...');
+        setProgress({ current: 0, total: selectedMBLs.length, message: 'Drawing pages...' });
 
         try {
             const timestamp = new Date().toISOString().split('T')[0];
-            const filename = `Dock_Tally_Report_${timestamp}.pdf`;
-            console.log('Filename:', filename);
-
-            // For small number of MBLs, generate directly
-            if (selectedMBLs.length <= 15) {
-                console.log('Using generateSinglePDF');
-                await generateSinglePDF(printRef.current, filename);
-            } else {
-                // For large documents, generate in batches and merge
-                console.log('Using generateBatchPDF');
-                await generateBatchPDF(filename);
-            }
-            console.log('PDF generation completed successfully');
-
+            const pdfBytes = await generateDockTallyPdf({
+                groupKeys: selectedMBLs,
+                groupedData,
+                tallies,
+                mode,
+                showBarcodes,
+                onProgress: (current, total) => setProgress({
+                    current,
+                    total,
+                    message: `Drawing ${current} of ${total} ${isAir ? 'MAWBs' : 'MBLs'}...`
+                }),
+            });
+            downloadPdf(pdfBytes, `Dock_Tally_Report_${timestamp}.pdf`);
         } catch (err) {
             console.error('Error generating PDF:', err);
             alert('Error generating PDF: ' + (err.message || 'Please try again.'));
         }
 
-        setGenerating(false);
-    };
-
-    // Generate a single PDF from element
-    // Generate a single PDF from element
-    const generateSinglePDF = async (element, filename) => {
-        const opt = {
-            margin: [5, 10, 5, 10],
-            filename: filename,
-            image: { type: 'jpeg', quality: 0.95 },
-            html2canvas: {
-                scale: 1.5,
-                useCORS: true,
-                letterRendering: true,
-                logging: false,
-                windowWidth: 1100
-            },
-            jsPDF: {
-                unit: 'mm',
-                format: 'letter',
-                orientation: 'landscape'
-            },
-            pagebreak: {
-                mode: ['css', 'legacy'],
-                before: '.page-break'
-            }
-        };
-
-        // Use .save() which handles the download automatically and reliably
-        await html2pdf().set(opt).from(element).save();
-    };
-
-    // Generate PDF in batches and merge
-    const generateBatchPDF = async (filename) => {
-        const { PDFDocument } = await import('pdf-lib');
-
-        const BATCH_SIZE = 10; // Smaller batches for reliability
-        const batches = [];
-
-        // Split selected MBLs into batches
-        for (let i = 0; i < selectedMBLs.length; i += BATCH_SIZE) {
-            batches.push(selectedMBLs.slice(i, i + BATCH_SIZE));
-        }
-
-        setProgress({ current: 0, total: batches.length, message: 'Starting PDF generation...' });
-        console.log(`Generating ${batches.length} batch(es) for ${selectedMBLs.length} MBLs...`);
-
-        // Create merged PDF document
-        const mergedPdf = await PDFDocument.create();
-
-        for (let batchIdx = 0; batchIdx < batches.length; batchIdx++) {
-            const batch = batches[batchIdx];
-            setProgress({
-                current: batchIdx + 1,
-                total: batches.length,
-                message: `Processing batch ${batchIdx + 1} of ${batches.length} (${batch.length} MBLs)...`
-            });
-            console.log(`Processing batch ${batchIdx + 1}/${batches.length} (${batch.length} MBLs)...`);
-
-            // Create an iframe for isolated rendering
-            const iframe = document.createElement('iframe');
-            iframe.style.position = 'fixed';
-            iframe.style.left = '-9999px';
-            iframe.style.top = '0';
-            iframe.style.width = '1100px';
-            iframe.style.height = '800px';
-            iframe.style.border = 'none';
-            document.body.appendChild(iframe);
-
-            // Wait for iframe to load
-            await new Promise(resolve => {
-                iframe.onload = resolve;
-                iframe.src = 'about:blank';
-            });
-
-            const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
-
-            // Write complete HTML document to iframe
-            const batchHtml = renderBatchContent(batch);
-            iframeDoc.open();
-            iframeDoc.write(`
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <style>
-                        * { margin: 0; padding: 0; box-sizing: border-box; }
-                        body { font-family: Arial, sans-serif; background: white; }
-                        .page-break { page-break-before: always; }
-                    </style>
-                </head>
-                <body>
-                    ${batchHtml}
-                </body>
-                </html>
-            `);
-            iframeDoc.close();
-
-            // Wait for content to render
-            await new Promise(resolve => setTimeout(resolve, 500));
-
-            // Generate PDF for this batch
-            const opt = {
-                margin: [5, 10, 5, 10],
-                image: { type: 'jpeg', quality: 0.90 },
-                html2canvas: {
-                    scale: 1.5,
-                    useCORS: true,
-                    letterRendering: true,
-                    logging: false,
-                    windowWidth: 1100
-                },
-                jsPDF: {
-                    unit: 'mm',
-                    format: 'letter',
-                    orientation: 'landscape'
-                },
-                pagebreak: {
-                    mode: ['css', 'legacy'],
-                    before: '.page-break'
-                }
-            };
-
-            try {
-                // Get PDF as array buffer from the iframe body
-                const pdfBlob = await html2pdf().set(opt).from(iframeDoc.body).outputPdf('blob');
-                const pdfBytes = await pdfBlob.arrayBuffer();
-
-                // Load and merge
-                const batchPdf = await PDFDocument.load(pdfBytes);
-                const pages = await mergedPdf.copyPages(batchPdf, batchPdf.getPageIndices());
-                pages.forEach(page => mergedPdf.addPage(page));
-            } catch (batchErr) {
-                console.error(`Error in batch ${batchIdx + 1}:`, batchErr);
-                throw new Error(`Failed on batch ${batchIdx + 1}: ${batchErr.message}`);
-            }
-
-            // Cleanup iframe
-            document.body.removeChild(iframe);
-
-            // Delay to prevent browser from freezing
-            await new Promise(resolve => setTimeout(resolve, 200));
-        }
-
-        setProgress({ current: batches.length, total: batches.length, message: 'Merging PDFs...' });
-
-        // Standard download method
-        const mergedPdfBytes = await mergedPdf.save();
-        const blob = new Blob([mergedPdfBytes], { type: 'application/pdf' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = filename;
-        document.body.appendChild(link); // Required for some browsers
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
         setProgress({ current: 0, total: 0, message: '' });
-        console.log('PDF generation complete!');
+        setGenerating(false);
     };
 
     // Render content for a batch of items (MBLs or MAWBs)
@@ -316,6 +193,7 @@ export default function DockTallyReport({ isOpen, onClose, data = [], activeFilt
                                 </tr>
                                 <tr>
                                     <td style="width: 35%; padding: 6px 10px; border-right: 1px solid black; font-weight: bold;">
+                                        ${showBarcodes ? `<div style="float: right;">${qrSvg(mbl, { size: 56 })}</div>` : ''}
                                         MBL: ${mbl}
                                     </td>
                                     <td style="width: 35%; padding: 6px 10px; border-right: 1px solid black; font-weight: bold;">
@@ -352,10 +230,12 @@ export default function DockTallyReport({ isOpen, onClose, data = [], activeFilt
                 `;
 
                 pageItems.forEach(item => {
+                    const tally = tallies[item.hb] || {};
                     html += `
                         <tr>
                             <td style="padding: 6px; border-right: 1px solid black; border-bottom: 1px solid black; font-weight: bold; vertical-align: middle; height: 28px;">
                                 ${item.hb || ''}
+                                ${showBarcodes ? `<div style="margin-top: 3px;">${code128Svg(item.hb, { width: 130, height: 22 })}</div>` : ''}
                             </td>
                             <td style="padding: 6px; border-right: 1px solid black; border-bottom: 1px solid black; vertical-align: middle;">
                                 ${item.dest || ''}
@@ -364,11 +244,11 @@ export default function DockTallyReport({ isOpen, onClose, data = [], activeFilt
                                 <div style="border-bottom: 1px solid black; padding: 4px; font-weight: bold;">${item.outer_quantity || ''}</div>
                                 <div style="padding: 4px;">${item.pcs || ''}</div>
                             </td>
-                            <td style="border-right: 1px solid black; border-bottom: 1px solid black;"></td>
-                            <td style="border-right: 1px solid black; border-bottom: 1px solid black;"></td>
-                            <td style="border-right: 1px solid black; border-bottom: 1px solid black;"></td>
-                            <td style="border-right: 1px solid black; border-bottom: 1px solid black;"></td>
-                            <td style="border-bottom: 1px solid black;"></td>
+                            <td style="border-right: 1px solid black; border-bottom: 1px solid black; text-align: center; vertical-align: middle;">${escapeHtml(tally.received_pcs)}</td>
+                            <td style="border-right: 1px solid black; border-bottom: 1px solid black; text-align: center; vertical-align: middle;">${escapeHtml(tally.location)}</td>
+                            <td style="border-right: 1px solid black; border-bottom: 1px solid black; text-align: center; vertical-align: middle;">${escapeHtml(tally.received_time)}</td>
+                            <td style="border-right: 1px solid black; border-bottom: 1px solid black; text-align: center; vertical-align: middle;">${escapeHtml(tally.damaged_pcs)}</td>
+                            <td style="border-bottom: 1px solid black; text-align: center; vertical-align: middle;">${escapeHtml(tally.crew)}</td>
                         </tr>
                         <tr>
                             <td style="height: 50px; border-right: 1px solid black; border-bottom: 2px solid black;"></td>
@@ -425,8 +305,9 @@ export default function DockTallyReport({ isOpen, onClose, data = [], activeFilt
 
                     // MAWB Info
                     html += `
-                    <div style="font-weight: bold; font-size: 12px; margin-bottom: 4px; border: 1px solid black; padding: 3px;">
-                        MAWB: ${mawb}
+                    <div style="display: flex; justify-content: space-between; align-items: center; font-weight: bold; font-size: 12px; margin-bottom: 4px; border: 1px solid black; padding: 3px;">
+                        <span>MAWB: ${mawb}</span>
+                        ${showBarcodes ? qrSvg(mawb, { size: 56 }) : ''}
                     </div>
                 `;
                 }
@@ -474,10 +355,18 @@ export default function DockTallyReport({ isOpen, onClose, data = [], activeFilt
                 `;
 
                 pageItems.forEach(item => {
+                    const tally = tallies[item.hawb] || {};
+                    const arrivals = Array.from({ length: AIR_ARRIVALS }, (_, i) => (tally.arrivals || [])[i] || {});
+                    const arrivalCells = arrivals.map((arrival, i) =>
+                        ['pcs', 'loc', 'time', 'crw', 'sub'].map(field =>
+                            `<td style="border: 1px solid black; text-align: center; vertical-align: top; font-size: 7px;${i === 0 && field === 'pcs' ? ' height: 60px;' : ''}">${escapeHtml(arrival[field])}</td>`
+                        ).join('')
+                    ).join('');
                     html += `
                         <tr>
                             <td style="padding: 3px; border: 1px solid black; font-weight: bold; vertical-align: top; font-size: 9px;">
                                 ${item.hawb || ''}
+                                ${showBarcodes ? `<div style="margin-top: 3px;">${code128Svg(item.hawb, { width: 100, height: 20 })}</div>` : ''}
                             </td>
                             <td style="padding: 3px; border: 1px solid black; vertical-align: top; font-size: 7px;">
                                 ${item.destination || ''}
@@ -486,30 +375,13 @@ export default function DockTallyReport({ isOpen, onClose, data = [], activeFilt
                                 <div style="border-bottom: 1px solid black; padding: 2px; font-weight: bold;">${item.slac || ''}</div>
                                 <div style="padding: 2px; font-size: 7px;">${item.qty || ''}</div>
                             </td>
-                            <td style="border: 1px solid black; height: 60px;"></td>
-                            <td style="border: 1px solid black;"></td>
-                            <td style="border: 1px solid black;"></td>
-                            <td style="border: 1px solid black;"></td>
-                            <td style="border: 1px solid black;"></td>
-                            <td style="border: 1px solid black;"></td>
-                            <td style="border: 1px solid black;"></td>
-                            <td style="border: 1px solid black;"></td>
-                            <td style="border: 1px solid black;"></td>
-                            <td style="border: 1px solid black;"></td>
-                            <td style="border: 1px solid black;"></td>
-                            <td style="border: 1px solid black;"></td>
-                            <td style="border: 1px solid black;"></td>
-                            <td style="border: 1px solid black;"></td>
-                            <td style="border: 1px solid black;"></td>
-                            <td style="border: 1px solid black;"></td>
-                            <td style="border: 1px solid black;"></td>
-                            <td style="border: 1px solid black;"></td>
-                            <td style="border: 1px solid black;"></td>
-                            <td style="border: 1px solid black;"></td>
+                            ${arrivalCells}
                         </tr>
                         <tr>
                             <td colspan="3" style="height: 45px; border: 1px solid black; padding: 2px; vertical-align: top; font-size: 7px;">
                                 <span style="color: #666;">Dock Notes:</span>
+                                ${tally.damaged_pcs ? `<div><strong>DMG:</strong> ${escapeHtml(tally.damaged_pcs)}</div>` : ''}
+                                ${tally.notes ? `<div>${escapeHtml(tally.notes)}</div>` : ''}
                             </td>
                             <td colspan="5" style="border: 1px solid black;"></td>
                             <td colspan="5" style="border: 1px solid black;"></td>
@@ -652,7 +524,7 @@ export default function DockTallyReport({ isOpen, onClose, data = [], activeFilt
                                 borderRadius: '4px',
                                 marginLeft: '8px'
                             }}>
-                                Filtered: {activeFilter.replace('_', ' ').toUpperCase()}
+                                Filtered: {getFilterLabel(activeFilter, mode).toUpperCase()}
                             </span>
                         )}
                     </h3>
@@ -662,6 +534,19 @@ export default function DockTallyReport({ isOpen, onClose, data = [], activeFilt
                 </div>
 
                 <div className="modal-body" style={{ overflow: 'auto' }}>
+                    {talliesError && (
+                        <div style={{
+                            background: 'var(--danger-bg)',
+                            border: '1px solid var(--danger)',
+                            borderRadius: 'var(--radius-md)',
+                            padding: '12px',
+                            marginBottom: '16px',
+                            color: 'var(--danger)',
+                            fontSize: '0.875rem'
+                        }}>
+                            Captured tallies could not be loaded, so the report leaves them blank: {talliesError}
+                        </div>
+                    )}
                     {mblList.length === 0 ? (
                         <div className="empty-state">
                             <div className="empty-state-icon">📄</div>
@@ -681,7 +566,22 @@ export default function DockTallyReport({ isOpen, onClose, data = [], activeFilt
                                     <span style={{ fontWeight: '500' }}>
                                         Select {itemLabel} to include ({selectedMBLs.length} of {mblList.length})
                                     </span>
-                                    <div style={{ display: 'flex', gap: '8px' }}>
+                                    <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                                        <label style={{
+                                            display: 'flex',
+                                            alignItems: 'center',
+                                            gap: '6px',
+                                            fontSize: '0.875rem',
+                                            marginRight: '8px',
+                                            cursor: 'pointer'
+                                        }}>
+                                            <input
+                                                type="checkbox"
+                                                checked={showBarcodes}
+                                                onChange={(e) => setShowBarcodes(e.target.checked)}
+                                            />
+                                            Barcodes
+                                        </label>
                                         <button className="btn btn-sm btn-secondary" onClick={selectAll}>
                                             Select All
                                         </button>
@@ -807,7 +707,7 @@ export default function DockTallyReport({ isOpen, onClose, data = [], activeFilt
                             {generating ? (
                                 <>
                                     <span className="loading-spinner" style={{ width: '16px', height: '16px' }}></span>
-                                    {progress.total > 0 ? `Batch ${progress.current}/${progress.total}` : 'Generating...'}
+                                    {progress.total > 0 ? `${progress.current}/${progress.total}` : 'Generating...'}
                                 </>
                             ) : (
                                 <>
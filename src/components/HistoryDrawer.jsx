@@ -0,0 +1,139 @@
+/**
+ * History Drawer Component - Timeline of every upload that touched an HB / HAWB
+ */
+
+import { useState, useEffect } from 'react';
+import { X, History } from 'lucide-react';
+import { getItemHistory } from '../lib/database';
+
+const CHANGE_TYPE_BADGES = {
+    added: { label: 'First seen', className: 'badge-info' },
+    updated: { label: 'Changed', className: 'badge-warning' },
+    unchanged: { label: 'No changes', className: 'badge-success' },
+    removed: { label: 'Removed', className: 'badge-danger' },
+    restored: { label: 'Restored', className: 'badge-info' },
+};
+
+export default function HistoryDrawer({ isOpen, onClose, itemKey, mode = 'ocean' }) {
+    const [history, setHistory] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const keyLabel = mode === 'air' ? 'HAWB' : 'HB';
+
+    useEffect(() => {
+        if (!isOpen || !itemKey) return;
+
+        let cancelled = false;
+        const load = async () => {
+            setLoading(true);
+            setError('');
+            try {
+                const records = await getItemHistory(itemKey, mode);
+                if (!cancelled) setHistory(records);
+            } catch (err) {
+                if (!cancelled) setError(err.message);
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+        load();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [isOpen, itemKey, mode]);
+
+    if (!isOpen) return null;
+
+    const formatDate = (dateString) => {
+        if (!dateString) return '';
+        return new Date(dateString).toLocaleString('en-US', {
+            month: '2-digit',
+            day: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    // Newest first
+    const timeline = [...history].reverse();
+
+    return (
+        <div className="drawer-overlay" onClick={onClose}>
+            <aside className="drawer" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <History size={20} />
+                        {keyLabel} {itemKey}
+                    </h3>
+                    <button className="btn btn-ghost btn-icon" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    {loading ? (
+                        <div className="empty-state">
+                            <span className="loading-spinner" style={{ width: '32px', height: '32px' }}></span>
+                        </div>
+                    ) : error ? (
+                        <div className="empty-state">
+                            <p>{error}</p>
+                        </div>
+                    ) : timeline.length === 0 ? (
+                        <div className="empty-state">
+                            <h3>No history yet</h3>
+                            <p>History is recorded for uploads made from now on.</p>
+                        </div>
+                    ) : (
+                        <ol className="timeline">
+                            {timeline.map(record => {
+                                const badge = CHANGE_TYPE_BADGES[record.change_type] || CHANGE_TYPE_BADGES.unchanged;
+                                return (
+                                    <li key={record.id} className={`timeline-item ${record.change_type}`}>
+                                        <div style={{
+                                            display: 'flex',
+                                            justifyContent: 'space-between',
+                                            alignItems: 'center',
+                                            gap: '8px'
+                                        }}>
+                                            <strong>v{record.version}</strong>
+                                            <span className={`badge ${badge.className}`}>{badge.label}</span>
+                                        </div>
+                                        <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', marginTop: '4px' }}>
+                                            {formatDate(record.upload_date)}
+                                        </div>
+                                        <div
+                                            style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}
+                                            title={record.filename || ''}
+                                        >
+                                            {record.filename || record.upload_id}
+                                        </div>
+
+                                        {record.changes && record.changes.length > 0 && (
+                                            <table className="timeline-changes">
+                                                <tbody>
+                                                    {record.changes.map(change => (
+                                                        <tr key={change.field}>
+                                                            <td style={{ fontWeight: '500' }}>{change.label}</td>
+                                                            <td style={{ color: 'var(--text-muted)', textDecoration: 'line-through' }}>
+                                                                {change.old_value || '—'}
+                                                            </td>
+                                                            <td>{change.new_value || '—'}</td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        )}
+                                    </li>
+                                );
+                            })}
+                        </ol>
+                    )}
+                </div>
+            </aside>
+        </div>
+    );
+}
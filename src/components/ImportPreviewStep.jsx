@@ -0,0 +1,161 @@
+/**
+ * Import Preview Step - What an upload will do to the master list, shown before anything is saved
+ * Shown by UploadModal; the preview comes from previewImport
+ */
+
+import { useState } from 'react';
+import { Eye } from 'lucide-react';
+import { toRecord, DISPLAY_COLUMNS, AIR_DISPLAY_COLUMNS } from '../lib/csvUtils';
+
+const TABS = [
+    { key: 'added', label: 'New' },
+    { key: 'changed', label: 'Changed' },
+    { key: 'restored', label: 'Restored' },
+    { key: 'missing', label: 'Missing' },
+];
+
+// Rows shown per list and in the sample
+const MAX_ITEMS = 200;
+const SAMPLE_ROWS = 5;
+
+export default function ImportPreviewStep({ preview, rows, replacing = [], mode = 'ocean' }) {
+    const [activeTab, setActiveTab] = useState(preview.changed.length > 0 ? 'changed' : 'added');
+
+    const isAir = mode === 'air';
+    const keyField = isAir ? 'hawb' : 'hb';
+    const keyLabel = isAir ? 'HAWB' : 'HB';
+    const columns = isAir ? AIR_DISPLAY_COLUMNS : DISPLAY_COLUMNS;
+    const sample = rows.slice(0, SAMPLE_ROWS).map(row => toRecord(row, mode));
+    const tabItems = preview[activeTab];
+
+    // How often each field changes, most first
+    const fieldCounts = {};
+    for (const item of [...preview.changed, ...preview.restored]) {
+        for (const change of item.changes) {
+            fieldCounts[change.label] = (fieldCounts[change.label] || 0) + 1;
+        }
+    }
+    const changedFields = Object.entries(fieldCounts).sort((a, b) => b[1] - a[1]);
+
+    return (
+        <div>
+            <div style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                marginBottom: '12px',
+                fontWeight: '500'
+            }}>
+                <Eye size={18} />
+                {rows.length} rows compared with the master list
+            </div>
+
+            <div className="metrics-bar">
+                {TABS.map(tab => (
+                    <div
+                        key={tab.key}
+                        className={`metric-card ${activeTab === tab.key ? 'active' : ''}`}
+                        onClick={() => setActiveTab(tab.key)}
+                    >
+                        <div className="metric-value">{preview[tab.key].length}</div>
+                        <div className="metric-label">{tab.label}</div>
+                    </div>
+                ))}
+                <div className="metric-card" style={{ pointerEvents: 'none' }}>
+                    <div className="metric-value">{preview.result.itemsUnchanged}</div>
+                    <div className="metric-label">Unchanged</div>
+                </div>
+            </div>
+
+            {changedFields.length > 0 && (
+                <p style={{ fontSize: '0.8rem', marginBottom: '12px' }}>
+                    <strong>Changed fields:</strong>{' '}
+                    {changedFields.map(([label, count]) => `${label} (${count})`).join(', ')}
+                </p>
+            )}
+
+            {activeTab === 'missing' && preview.missing.length > 0 && (
+                <p style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginBottom: '12px' }}>
+                    Active {keyLabel}s this file doesn't list.
+                    {` ${preview.removed.length} of them were in the last upload and will be marked removed.`}
+                </p>
+            )}
+
+            {tabItems.length === 0 ? (
+                <div className="empty-state" style={{ padding: '16px' }}>
+                    <p>No {TABS.find(tab => tab.key === activeTab).label.toLowerCase()} {keyLabel}s</p>
+                </div>
+            ) : (
+                <div className="table-container" style={{ maxHeight: '220px', overflow: 'auto' }}>
+                    <table className="data-table" style={{ fontSize: '0.8rem' }}>
+                        <thead>
+                            <tr>
+                                <th>{keyLabel}</th>
+                                <th>{isAir ? 'MAWB' : 'MBL'}</th>
+                                <th>{activeTab === 'changed' || activeTab === 'restored' ? 'Changes' : isAir ? 'FLIGHT #' : 'CONTAINER'}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {tabItems.slice(0, MAX_ITEMS).map(item => (
+                                <tr key={item[keyField]}>
+                                    <td style={{ fontWeight: '500' }}>{item[keyField]}</td>
+                                    <td>{isAir ? item.mawb : item.mbl}</td>
+                                    {activeTab === 'changed' || activeTab === 'restored' ? (
+                                        <td>
+                                            {item.changes.length === 0 && '—'}
+                                            {item.changes.map(change => (
+                                                <div key={change.field}>
+                                                    <strong>{change.label}:</strong>{' '}
+                                                    <span style={{ color: 'var(--text-muted)', textDecoration: 'line-through' }}>
+                                                        {change.old_value || '—'}
+                                                    </span>
+                                                    {' → '}
+                                                    {change.new_value || '—'}
+                                                </div>
+                                            ))}
+                                        </td>
+                                    ) : (
+                                        <td>{isAir ? item.flight_number : item.container}</td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            {tabItems.length > MAX_ITEMS && (
+                <p style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginTop: '4px' }}>
+                    Showing the first {MAX_ITEMS} of {tabItems.length}
+                </p>
+            )}
+
+            <div style={{ fontWeight: '500', fontSize: '0.875rem', margin: '16px 0 8px' }}>
+                First rows as they will be stored
+            </div>
+            <div className="table-container" style={{ overflow: 'auto' }}>
+                <table className="data-table" style={{ fontSize: '0.75rem', whiteSpace: 'nowrap' }}>
+                    <thead>
+                        <tr>
+                            {columns.map(column => <th key={column.key}>{column.label}</th>)}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sample.map((record, i) => (
+                            <tr key={i}>
+                                {columns.map(column => <td key={column.key}>{record[column.key] ?? ''}</td>)}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {replacing.length > 0 && (
+                <p style={{ fontSize: '0.8rem', color: 'var(--warning)', marginTop: '12px' }}>
+                    Compared with the master list as it would be without{' '}
+                    {replacing.map(({ upload }) => `"${upload.filename}"`).join(', ')}, which
+                    {replacing.length === 1 ? ' is' : ' are'} deleted once the import succeeds.
+                </p>
+            )}
+        </div>
+    );
+}
@@ -4,6 +4,9 @@
 
 import { useState } from 'react';
 import { Lock, User, AlertCircle } from 'lucide-react';
+import { isLocalAuth } from '../lib/supabase';
+import { LOCAL_USERS, LOCAL_PASSWORD } from '../lib/localAuth';
+import { ROLE_LABELS } from '../lib/permissions';
 
 export default function LoginPage({ onLogin }) {
     const [email, setEmail] = useState('');
@@ -117,6 +120,20 @@ export default function LoginPage({ onLogin }) {
                             )}
                         </button>
                     </form>
+
+                    {isLocalAuth && (
+                        <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginTop: '24px' }}>
+                            <p style={{ marginBottom: '6px' }}>
+                                No Supabase project is configured. Sign in with a local account,
+                                password <strong>{LOCAL_PASSWORD}</strong>:
+                            </p>
+                            {LOCAL_USERS.map(account => (
+                                <div key={account.id}>
+                                    {account.email} - {ROLE_LABELS[account.role]}
+                                </div>
+                            ))}
+                        </div>
+                    )}
                 </div>
             </div>
         </div>
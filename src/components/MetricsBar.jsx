@@ -42,22 +42,50 @@ export default function MetricsBar({
             value: metrics.newItems ?? 0,
             enabled: true
         },
+        // Only the master list tracks updates across uploads
         {
             key: 'updated_items',
-            label: isMasterList ? 'Updated' : 'Removed',
-            value: isMasterList ? (metrics.updatedItems ?? 0) : (metrics.removedItems ?? 0),
+            label: 'Updated',
+            value: metrics.updatedItems ?? 0,
             enabled: true,
-            hidden: isAir // Hide for Air mode since we don't track this yet
+            hidden: !isMasterList
+        },
+        // Master list: HBs / HAWBs that dropped out of the latest upload
+        // Upload: HBs / HAWBs of the previous upload that this one doesn't list
+        {
+            key: 'removed_items',
+            label: 'Removed',
+            value: metrics.removedItems ?? 0,
+            enabled: true
+        },
+        // Items whose FRL (Ocean) / LOG (Air) the latest upload set or changed
+        {
+            key: 'new_frl',
+            label: isAir ? 'Newly Logged' : "Newly FRL'd",
+            value: metrics.newFrl ?? 0,
+            enabled: true
+        },
+        // OS&D - discrepancies between captured dock tallies and the manifest
+        {
+            key: 'osd_over',
+            label: 'Overages',
+            value: metrics.osdOver ?? 0
+        },
+        {
+            key: 'osd_short',
+            label: 'Shortages',
+            value: metrics.osdShort ?? 0
+        },
+        {
+            key: 'osd_damaged',
+            label: 'Damaged',
+            value: metrics.osdDamaged ?? 0
+        },
+        {
+            key: 'osd_unmanifested',
+            label: 'Not on Manifest',
+            value: metrics.osdUnmanifested ?? 0
         },
-        // Only show Newly FRL'd for Ocean mode
-        ...(!isAir ? [
-            {
-                key: 'new_frl',
-                label: "Newly FRL'd",
-                value: metrics.newFrl ?? 0,
-                enabled: true
-            },
-        ] : []),
     ];
 
     return (
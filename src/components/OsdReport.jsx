@@ -0,0 +1,240 @@
+/**
+ * OS&D Report Component -
+ * Printable over / short / damage report grouped by MBL/MAWB and container/flight
+ * Uses the discrepancies found for the current Dashboard view
+ */
+
+import { useRef, useMemo, useState } from 'react';
+import { X, Printer, Download, AlertTriangle, FileSpreadsheet } from 'lucide-react';
+import { exportToCSV } from '../lib/csvUtils';
+import { OSD_TYPES, toOsdExportRows } from '../lib/osdReport';
+import { generateOsdReportPdf } from '../lib/osdReportPdf';
+import { downloadPdf, escapeHtml } from '../lib/reportUtils';
+
+export default function OsdReport({ isOpen, onClose, data = [], activeFilter, mode = 'ocean' }) {
+    const [generating, setGenerating] = useState(false);
+    const printRef = useRef(null);
+
+    const isAir = mode === 'air';
+    const groupLabel = isAir ? 'MAWB' : 'MBL';
+    const subGroupLabel = isAir ? 'Flight' : 'Container';
+
+    // Group by MBL (Ocean) / MAWB (Air), then by container / flight
+    const groupedData = useMemo(() => {
+        const grouped = {};
+        for (const item of data) {
+            const group = (isAir ? item.mawb : item.mbl) || `NO ${groupLabel}`;
+            const subGroup = (isAir ? item.flight_number : item.container) || `NO ${subGroupLabel.toUpperCase()}`;
+            if (!grouped[group]) grouped[group] = {};
+            if (!grouped[group][subGroup]) grouped[group][subGroup] = [];
+            grouped[group][subGroup].push(item);
+        }
+        return grouped;
+    }, [data, isAir, groupLabel, subGroupLabel]);
+
+    const renderReportContent = () => {
+        const today = new Date();
+        const dateStr = `${today.getMonth() + 1}/${today.getDate()}/${today.getFullYear()}`;
+        const cell = 'padding: 5px 6px; border: 1px solid black; vertical-align: middle;';
+        let html = '';
+
+        Object.entries(groupedData).forEach(([group, subGroups], groupIdx) => {
+            html += `<div class="${groupIdx > 0 ? 'page-break' : ''}" style="color: black; font-family: Arial, sans-serif; font-size: 11px; background-color: white;">`;
+
+            html += `
+                <table style="width: 100%; border-collapse: collapse; border: 2px solid black; margin-bottom: 8px;">
+                    <tbody>
+                        <tr>
+                            <td colspan="2" style="text-align: center; font-weight: bold; font-size: 14px; padding: 6px; border-bottom: 2px solid black;">
+                                ${isAir ? 'Air' : 'Ocean'} OS&amp;D Report
+                            </td>
+                        </tr>
+                        <tr>
+                            <td style="width: 60%; padding: 6px 10px; border-right: 1px solid black; font-weight: bold;">
+                                ${groupLabel}: ${escapeHtml(group)}
+                            </td>
+                            <td style="width: 40%; padding: 6px 10px; font-weight: bold;">
+                                Date: ${dateStr}
+                            </td>
+                        </tr>
+                    </tbody>
+                </table>
+            `;
+
+            Object.entries(subGroups).forEach(([subGroup, items]) => {
+                html += `
+                    <div style="font-weight: bold; margin: 6px 0 4px;">${subGroupLabel}: ${escapeHtml(subGroup)}</div>
+                    <table style="width: 100%; border-collapse: collapse; font-size: 10px; border: 2px solid black; margin-bottom: 8px;">
+                        <thead>
+                            <tr>
+                                <th style="${cell} width: 16%;">${isAir ? 'HAWB' : 'HB'}</th>
+                                <th style="${cell} width: 20%;">Discrepancy</th>
+                                <th style="${cell} width: 10%;">Mfst PCS</th>
+                                <th style="${cell} width: 10%;">Rcvd PCS</th>
+                                <th style="${cell} width: 10%;">Over/Short</th>
+                                <th style="${cell} width: 10%;">DMG</th>
+                                <th style="${cell}">Notes</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                `;
+
+                items.forEach(item => {
+                    const variance = item.variance > 0 ? `+${item.variance}` : item.variance ?? '';
+                    html += `
+                        <tr>
+                            <td style="${cell} font-weight: bold;">${escapeHtml(isAir ? item.hawb : item.hb)}</td>
+                            <td style="${cell}">${item.osd_types.map(type => OSD_TYPES[type]).join(', ')}</td>
+                            <td style="${cell} text-align: center;">${item.expected_pcs}</td>
+                            <td style="${cell} text-align: center;">${item.received_pcs ?? ''}</td>
+                            <td style="${cell} text-align: center; font-weight: bold;">${variance}</td>
+                            <td style="${cell} text-align: center;">${item.damaged_pcs || ''}</td>
+                            <td style="${cell}">${escapeHtml(item.tally_notes)}</td>
+                        </tr>
+                    `;
+                });
+
+                html += `</tbody></table>`;
+            });
+
+            html += `</div>`;
+        });
+
+        return html;
+    };
+
+    const handleDownloadPDF = async () => {
+        if (data.length === 0) return;
+
+        setGenerating(true);
+        try {
+            const timestamp = new Date().toISOString().split('T')[0];
+            const pdfBytes = await generateOsdReportPdf({ groupedData, mode });
+            downloadPdf(pdfBytes, `OSD_Report_${timestamp}.pdf`);
+        } catch (err) {
+            console.error('Error generating OS&D PDF:', err);
+            alert('Error generating PDF: ' + (err.message || 'Please try again.'));
+        }
+        setGenerating(false);
+    };
+
+    const handlePrint = () => {
+        const printWindow = window.open('', '_blank');
+        printWindow.document.write(`
+            <html>
+            <head>
+                <title>OS&amp;D Report</title>
+                <style>
+                    body { font-family: Arial, sans-serif; margin: 0; padding: 20px; }
+                    .page-break { page-break-before: always; }
+                </style>
+            </head>
+            <body>
+                ${printRef.current.innerHTML}
+            </body>
+            </html>
+        `);
+        printWindow.document.close();
+        printWindow.focus();
+        setTimeout(() => {
+            printWindow.print();
+            printWindow.close();
+        }, 250);
+    };
+
+    const handleExportCSV = () => {
+        const timestamp = new Date().toISOString().split('T')[0];
+        exportToCSV(toOsdExportRows(data, mode), `osd_${mode}_${timestamp}.csv`);
+    };
+
+    if (!isOpen) return null;
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div
+                className="modal"
+                onClick={e => e.stopPropagation()}
+                style={{ maxWidth: '1000px', maxHeight: '90vh' }}
+            >
+                <div className="modal-header">
+                    <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <AlertTriangle size={20} />
+                        {isAir ? 'Air' : 'Ocean'} OS&amp;D Report
+                        {activeFilter && activeFilter.startsWith('osd_') && (
+                            <span style={{
+                                fontSize: '0.75rem',
+                                background: 'var(--navy-dark)',
+                                color: 'white',
+                                padding: '2px 8px',
+                                borderRadius: '4px',
+                                marginLeft: '8px'
+                            }}>
+                                Filtered: {OSD_TYPES[activeFilter.slice(4)].toUpperCase()}
+                            </span>
+                        )}
+                    </h3>
+                    <button className="btn btn-ghost btn-icon" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body" style={{ overflow: 'auto' }}>
+                    {data.length === 0 ? (
+                        <div className="empty-state">
+                            <div className="empty-state-icon">✅</div>
+                            <h3>No discrepancies</h3>
+                            <p>Every tallied {isAir ? 'HAWB' : 'HB'} matches the manifest.</p>
+                        </div>
+                    ) : (
+                        <div style={{
+                            maxHeight: '500px',
+                            overflowY: 'auto',
+                            border: '1px solid var(--border-color)',
+                            borderRadius: 'var(--radius-md)',
+                            background: 'white'
+                        }}>
+                            <div
+                                ref={printRef}
+                                dangerouslySetInnerHTML={{ __html: renderReportContent() }}
+                            />
+                        </div>
+                    )}
+                </div>
+
+                <div className="modal-footer">
+                    <button className="btn btn-secondary" onClick={onClose}>
+                        Close
+                    </button>
+                    <button
+                        className="btn btn-secondary"
+                        onClick={handleExportCSV}
+                        disabled={data.length === 0}
+                    >
+                        <FileSpreadsheet size={18} />
+                        Export CSV
+                    </button>
+                    <button
+                        className="btn btn-secondary"
+                        onClick={handlePrint}
+                        disabled={data.length === 0 || generating}
+                    >
+                        <Printer size={18} />
+                        Print
+                    </button>
+                    <button
+                        className="btn btn-primary"
+                        onClick={handleDownloadPDF}
+                        disabled={data.length === 0 || generating}
+                    >
+                        {generating ? (
+                            <span className="loading-spinner" style={{ width: '16px', height: '16px' }}></span>
+                        ) : (
+                            <Download size={18} />
+                        )}
+                        Download PDF
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
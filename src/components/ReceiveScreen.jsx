@@ -0,0 +1,330 @@
+/**
+ * Receive Screen - Scan HB / HAWB labels against the master list
+ * Works with USB / keyboard-wedge scanners (they type the code followed by Enter) or typed input.
+ * Every scan adds a received piece to the item's dock tally; unknown codes are logged as exceptions.
+ */
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { X, ScanLine, CheckCircle, AlertTriangle } from 'lucide-react';
+import {
+    getMasterListData,
+    getTallies,
+    receivePieces,
+    getScanExceptions,
+    logScanException,
+} from '../lib/database';
+import { getExpectedPieces, getReceivedPieces } from '../lib/osdReport';
+import { buildReceivingIndex, normalizeScan, summarizeReceiving } from '../lib/receiving';
+
+const AIR_ARRIVALS = 4;
+const RECENT_SCANS = 15;
+
+export default function ReceiveScreen({ isOpen, onClose, mode = 'ocean' }) {
+    const [rows, setRows] = useState([]);
+    const [tallies, setTallies] = useState(new Map());
+    const [exceptions, setExceptions] = useState([]);
+    const [scans, setScans] = useState([]);
+    const [scanValue, setScanValue] = useState('');
+    const [arrivalIdx, setArrivalIdx] = useState(0);
+    const [loading, setLoading] = useState(false);
+    // Scanning against a master list that didn't load would log every scan as an exception
+    const [loadFailed, setLoadFailed] = useState(false);
+    const [error, setError] = useState('');
+    const inputRef = useRef(null);
+    // Pending saves, so the counts shown follow the order of the scans
+    const saveQueue = useRef(Promise.resolve());
+
+    const isAir = mode === 'air';
+    const keyField = isAir ? 'hawb' : 'hb';
+    const keyLabel = isAir ? 'HAWB' : 'HB';
+    const groupLabel = isAir ? 'MAWB' : 'MBL';
+
+    useEffect(() => {
+        if (!isOpen) return;
+
+        let cancelled = false;
+        const load = async () => {
+            setLoading(true);
+            setLoadFailed(false);
+            setError('');
+            try {
+                const [masterRows, savedTallies, savedExceptions] = await Promise.all([
+                    getMasterListData('all', mode),
+                    getTallies(null, mode),
+                    getScanExceptions(mode),
+                ]);
+                if (!cancelled) {
+                    const byKey = new Map(savedTallies.map(tally => [tally.item_key, tally]));
+                    setRows(masterRows);
+                    setTallies(byKey);
+                    setExceptions(savedExceptions);
+                    setScans([]);
+                }
+            } catch (err) {
+                if (!cancelled) {
+                    setLoadFailed(true);
+                    setError(err.message);
+                }
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+        load();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [isOpen, mode]);
+
+    // Keep the scanner input focused once the master list is loaded
+    useEffect(() => {
+        if (isOpen && !loading && !loadFailed) {
+            inputRef.current?.focus();
+        }
+    }, [isOpen, loading, loadFailed]);
+
+    const index = useMemo(() => buildReceivingIndex(rows, mode), [rows, mode]);
+    const progress = useMemo(() => summarizeReceiving(rows, tallies, mode), [rows, tallies, mode]);
+
+    if (!isOpen) return null;
+
+    const recordScan = (scan) => {
+        setScans(prev => [{ ...scan, id: `${Date.now()}-${prev.length}` }, ...prev].slice(0, RECENT_SCANS));
+    };
+
+    const handleScan = async (e) => {
+        e.preventDefault();
+        const code = normalizeScan(scanValue);
+        setScanValue('');
+        inputRef.current?.focus();
+        if (!code) return;
+
+        setError('');
+        const row = index.get(code);
+
+        try {
+            if (!row) {
+                recordScan({ code, found: false });
+                const exception = await logScanException(code, mode);
+                setExceptions(prev => [exception, ...prev]);
+                return;
+            }
+
+            // Added to the stored count, so scanners receiving the same item at once both count
+            const itemKey = row[keyField];
+            saveQueue.current = saveQueue.current.then(() =>
+                receivePieces(itemKey, row[isAir ? 'mawb' : 'mbl'], mode, { arrival: arrivalIdx })
+            );
+            const tally = await saveQueue.current;
+            setTallies(prev => new Map(prev).set(itemKey, tally));
+
+            recordScan({
+                code,
+                found: true,
+                row,
+                received: getReceivedPieces(tally, mode),
+                expected: getExpectedPieces(row, mode),
+            });
+        } catch (err) {
+            // Keep the queue usable for the next scan
+            saveQueue.current = Promise.resolve();
+            setError(err.message);
+        }
+    };
+
+    const lastScan = scans[0];
+    const lastGroup = lastScan?.found ? lastScan.row[isAir ? 'mawb' : 'mbl'] : null;
+    // Groups with anything received, the one just scanned first
+    const activeGroups = Object.values(progress)
+        .filter(entry => entry.received > 0 || entry.group === lastGroup)
+        .sort((a, b) => (b.group === lastGroup) - (a.group === lastGroup) || b.received / b.total - a.received / a.total);
+
+    const describe = (row) => isAir
+        ? `${groupLabel} ${row.mawb || '—'} · Flight ${row.flight_number || '—'}`
+        : `${groupLabel} ${row.mbl || '—'} · Container ${row.container || '—'}`;
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div
+                className="modal"
+                onClick={e => e.stopPropagation()}
+                style={{ maxWidth: '1100px', maxHeight: '90vh' }}
+            >
+                <div className="modal-header">
+                    <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <ScanLine size={20} />
+                        Receive {isAir ? 'Air' : 'Ocean'} Freight
+                    </h3>
+                    <button className="btn btn-ghost btn-icon" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body" style={{ overflow: 'auto' }}>
+                    {error && (
+                        <div style={{
+                            background: 'var(--danger-bg)',
+                            border: '1px solid var(--danger)',
+                            borderRadius: 'var(--radius-md)',
+                            padding: '12px',
+                            marginBottom: '16px',
+                            color: 'var(--danger)',
+                            fontSize: '0.875rem'
+                        }}>
+                            {error}
+                        </div>
+                    )}
+
+                    <form onSubmit={handleScan} style={{ display: 'flex', gap: '12px', alignItems: 'center', marginBottom: '16px' }}>
+                        <input
+                            ref={inputRef}
+                            className="input"
+                            style={{ fontSize: '1.25rem', padding: '12px 16px', flex: 1 }}
+                            placeholder={loading ? 'Loading master list...' : loadFailed ? 'Master list not loaded' : `Scan or type ${keyLabel}`}
+                            value={scanValue}
+                            onChange={(e) => setScanValue(e.target.value)}
+                            disabled={loading || loadFailed}
+                        />
+                        {isAir && (
+                            <select
+                                className="input select"
+                                style={{ maxWidth: '140px' }}
+                                value={arrivalIdx}
+                                onChange={(e) => {
+                                    setArrivalIdx(Number(e.target.value));
+                                    inputRef.current?.focus();
+                                }}
+                            >
+                                {Array.from({ length: AIR_ARRIVALS }, (_, i) => (
+                                    <option key={i} value={i}>Arrival {i + 1}</option>
+                                ))}
+                            </select>
+                        )}
+                        <button type="submit" className="btn btn-primary" disabled={loading || loadFailed || !scanValue.trim()}>
+                            Receive
+                        </button>
+                    </form>
+
+                    {lastScan && (
+                        <div style={{
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '12px',
+                            padding: '16px',
+                            marginBottom: '16px',
+                            borderRadius: 'var(--radius-md)',
+                            border: `1px solid ${lastScan.found ? 'var(--success)' : 'var(--danger)'}`,
+                            background: lastScan.found ? 'var(--success-bg)' : 'var(--danger-bg)'
+                        }}>
+                            {lastScan.found ? (
+                                <CheckCircle size={28} style={{ color: 'var(--success)' }} />
+                            ) : (
+                                <AlertTriangle size={28} style={{ color: 'var(--danger)' }} />
+                            )}
+                            <div>
+                                <div style={{ fontSize: '1.125rem', fontWeight: '600' }}>
+                                    {keyLabel} {lastScan.code}
+                                </div>
+                                <div style={{ fontSize: '0.875rem', color: 'var(--text-secondary)' }}>
+                                    {lastScan.found
+                                        ? `${describe(lastScan.row)} · ${lastScan.received} of ${lastScan.expected} pcs received`
+                                        : 'Not on the master list - logged as an exception'}
+                                </div>
+                            </div>
+                        </div>
+                    )}
+
+                    <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '16px' }}>
+                        <div>
+                            <h4 style={{ marginBottom: '8px' }}>Progress by {groupLabel}</h4>
+                            {activeGroups.length === 0 ? (
+                                <p style={{ color: 'var(--text-muted)', fontSize: '0.875rem' }}>
+                                    Nothing received yet.
+                                </p>
+                            ) : (
+                                <div className="table-container" style={{ maxHeight: '360px', overflow: 'auto' }}>
+                                    <table className="data-table">
+                                        <thead>
+                                            <tr>
+                                                <th>{groupLabel}</th>
+                                                <th>{isAir ? 'Flight' : 'Container'}</th>
+                                                <th>Received</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {activeGroups.map(entry => (
+                                                <tr
+                                                    key={entry.group}
+                                                    style={{ background: entry.group === lastGroup ? 'var(--info-bg)' : undefined }}
+                                                >
+                                                    <td style={{ fontWeight: '500' }}>{entry.group}</td>
+                                                    <td>{entry.subGroups.join(', ')}</td>
+                                                    <td style={{ minWidth: '200px' }}>
+                                                        <div style={{ fontSize: '0.8rem', marginBottom: '4px' }}>
+                                                            {entry.received} of {entry.total} {keyLabel}s received
+                                                        </div>
+                                                        <div style={{
+                                                            height: '6px',
+                                                            background: 'var(--bg-tertiary)',
+                                                            borderRadius: '3px',
+                                                            overflow: 'hidden'
+                                                        }}>
+                                                            <div style={{
+                                                                width: `${(entry.received / entry.total) * 100}%`,
+                                                                height: '100%',
+                                                                background: entry.received === entry.total ? 'var(--success)' : 'var(--info)'
+                                                            }} />
+                                                        </div>
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                        </div>
+
+                        <div>
+                            <h4 style={{ marginBottom: '8px' }}>Recent scans</h4>
+                            <ul style={{ listStyle: 'none', fontSize: '0.85rem', marginBottom: '16px' }}>
+                                {scans.map(scan => (
+                                    <li
+                                        key={scan.id}
+                                        style={{
+                                            padding: '4px 0',
+                                            borderBottom: '1px solid var(--border-color)',
+                                            color: scan.found ? 'var(--text-primary)' : 'var(--danger)'
+                                        }}
+                                    >
+                                        {scan.code} {scan.found ? `· ${scan.received}/${scan.expected}` : '· unknown'}
+                                    </li>
+                                ))}
+                            </ul>
+
+                            <h4 style={{ marginBottom: '8px' }}>Exceptions ({exceptions.length})</h4>
+                            <ul style={{ listStyle: 'none', fontSize: '0.85rem', maxHeight: '200px', overflow: 'auto' }}>
+                                {exceptions.map(exception => (
+                                    <li
+                                        key={exception.id}
+                                        style={{ padding: '4px 0', borderBottom: '1px solid var(--border-color)' }}
+                                    >
+                                        <strong>{exception.code}</strong>{' '}
+                                        <span style={{ color: 'var(--text-muted)' }}>
+                                            {new Date(exception.scanned_at).toLocaleString()}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    </div>
+                </div>
+
+                <div className="modal-footer">
+                    <button className="btn btn-secondary" onClick={onClose}>
+                        Done
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,233 @@
+/**
+ * Removed Items Report Component -
+ * Printable tally / hand-over sheet of the HBs / HAWBs that dropped out of the manifest,
+ * grouped by MBL/MAWB, with where each was last seen and space for the dock to record what it found
+ */
+
+import { useRef, useMemo, useState } from 'react';
+import { X, Printer, Download, PackageX, FileSpreadsheet } from 'lucide-react';
+import { exportToCSV } from '../lib/csvUtils';
+import { getExpectedPieces } from '../lib/osdReport';
+import { toRemovedExportRows } from '../lib/removedItems';
+import { generateRemovedItemsPdf } from '../lib/removedItemsPdf';
+import { downloadPdf, escapeHtml } from '../lib/reportUtils';
+
+export default function RemovedItemsReport({ isOpen, onClose, data = [], title = '', mode = 'ocean' }) {
+    const [generating, setGenerating] = useState(false);
+    const printRef = useRef(null);
+
+    const isAir = mode === 'air';
+    const groupLabel = isAir ? 'MAWB' : 'MBL';
+
+    // Group by MBL (Ocean) / MAWB (Air)
+    const groupedData = useMemo(() => {
+        const grouped = {};
+        for (const item of data) {
+            const group = (isAir ? item.mawb : item.mbl) || `NO ${groupLabel}`;
+            if (!grouped[group]) grouped[group] = [];
+            grouped[group].push(item);
+        }
+        return grouped;
+    }, [data, isAir, groupLabel]);
+
+    const renderReportContent = () => {
+        const today = new Date();
+        const dateStr = `${today.getMonth() + 1}/${today.getDate()}/${today.getFullYear()}`;
+        const cell = 'padding: 5px 6px; border: 1px solid black; vertical-align: middle;';
+        const signCell = 'width: 33%; padding: 18px 10px 6px; border: 1px solid black; font-weight: bold;';
+        let html = `
+            <div style="color: black; font-family: Arial, sans-serif; font-size: 11px; background-color: white;">
+                <table style="width: 100%; border-collapse: collapse; border: 2px solid black; margin-bottom: 8px;">
+                    <tbody>
+                        <tr>
+                            <td colspan="2" style="text-align: center; font-weight: bold; font-size: 14px; padding: 6px; border-bottom: 2px solid black;">
+                                ${isAir ? 'Air' : 'Ocean'} Removed Items Hand-over
+                            </td>
+                        </tr>
+                        <tr>
+                            <td style="width: 60%; padding: 6px 10px; border-right: 1px solid black; font-weight: bold;">
+                                ${escapeHtml(title)}
+                            </td>
+                            <td style="width: 40%; padding: 6px 10px; font-weight: bold;">
+                                Date: ${dateStr} &nbsp; ${isAir ? 'HAWBs' : 'HBs'}: ${data.length}
+                            </td>
+                        </tr>
+                    </tbody>
+                </table>
+        `;
+
+        Object.entries(groupedData).forEach(([group, items]) => {
+            html += `
+                <div style="font-weight: bold; margin: 6px 0 4px;">${groupLabel}: ${escapeHtml(group)}</div>
+                <table style="width: 100%; border-collapse: collapse; font-size: 10px; border: 2px solid black; margin-bottom: 8px; page-break-inside: avoid;">
+                    <thead>
+                        <tr>
+                            <th style="${cell} width: 13%;">${isAir ? 'HAWB' : 'HB'}</th>
+                            <th style="${cell} width: 12%;">${isAir ? 'Flight' : 'Container'}</th>
+                            <th style="${cell} width: 17%;">Consignee</th>
+                            <th style="${cell} width: 7%;">Mfst PCS</th>
+                            <th style="${cell} width: 19%;">Last Seen</th>
+                            <th style="${cell} width: 7%;">Found PCS</th>
+                            <th style="${cell} width: 9%;">Location</th>
+                            <th style="${cell}">Notes</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+            `;
+
+            items.forEach(item => {
+                html += `
+                    <tr>
+                        <td style="${cell} font-weight: bold;">${escapeHtml(isAir ? item.hawb : item.hb)}</td>
+                        <td style="${cell}">${escapeHtml(isAir ? item.flight_number : item.container)}</td>
+                        <td style="${cell}">${escapeHtml(isAir ? item.consignee : item.cnee)}</td>
+                        <td style="${cell} text-align: center;">${getExpectedPieces(item, mode)}</td>
+                        <td style="${cell}">${escapeHtml(item.last_seen)}</td>
+                        <td style="${cell}"></td>
+                        <td style="${cell}"></td>
+                        <td style="${cell}"></td>
+                    </tr>
+                `;
+            });
+
+            html += `</tbody></table>`;
+        });
+
+        html += `
+                <table style="width: 100%; border-collapse: collapse; border: 2px solid black; margin-top: 16px; page-break-inside: avoid;">
+                    <tbody>
+                        <tr>
+                            <td style="${signCell}">Handed over by:</td>
+                            <td style="${signCell}">Received by:</td>
+                            <td style="${signCell}">Date / Time:</td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        return html;
+    };
+
+    const handleDownloadPDF = async () => {
+        if (data.length === 0) return;
+
+        setGenerating(true);
+        try {
+            const timestamp = new Date().toISOString().split('T')[0];
+            const pdfBytes = await generateRemovedItemsPdf({ groupedData, title, mode });
+            downloadPdf(pdfBytes, `Removed_Items_${timestamp}.pdf`);
+        } catch (err) {
+            console.error('Error generating removed items PDF:', err);
+            alert('Error generating PDF: ' + (err.message || 'Please try again.'));
+        }
+        setGenerating(false);
+    };
+
+    const handlePrint = () => {
+        const printWindow = window.open('', '_blank');
+        printWindow.document.write(`
+            <html>
+            <head>
+                <title>Removed Items Hand-over</title>
+                <style>
+                    body { font-family: Arial, sans-serif; margin: 0; padding: 20px; }
+                </style>
+            </head>
+            <body>
+                ${printRef.current.innerHTML}
+            </body>
+            </html>
+        `);
+        printWindow.document.close();
+        printWindow.focus();
+        setTimeout(() => {
+            printWindow.print();
+            printWindow.close();
+        }, 250);
+    };
+
+    const handleExportCSV = () => {
+        const timestamp = new Date().toISOString().split('T')[0];
+        exportToCSV(toRemovedExportRows(data, mode), `removed_${mode}_${timestamp}.csv`);
+    };
+
+    if (!isOpen) return null;
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div
+                className="modal"
+                onClick={e => e.stopPropagation()}
+                style={{ maxWidth: '1000px', maxHeight: '90vh' }}
+            >
+                <div className="modal-header">
+                    <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <PackageX size={20} />
+                        {isAir ? 'Air' : 'Ocean'} Removed Items Hand-over
+                    </h3>
+                    <button className="btn btn-ghost btn-icon" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body" style={{ overflow: 'auto' }}>
+                    {data.length === 0 ? (
+                        <div className="empty-state">
+                            <div className="empty-state-icon">✅</div>
+                            <h3>No removed items</h3>
+                            <p>Every {isAir ? 'HAWB' : 'HB'} is still on the manifest.</p>
+                        </div>
+                    ) : (
+                        <div style={{
+                            maxHeight: '500px',
+                            overflowY: 'auto',
+                            border: '1px solid var(--border-color)',
+                            borderRadius: 'var(--radius-md)',
+                            background: 'white'
+                        }}>
+                            <div
+                                ref={printRef}
+                                dangerouslySetInnerHTML={{ __html: renderReportContent() }}
+                            />
+                        </div>
+                    )}
+                </div>
+
+                <div className="modal-footer">
+                    <button className="btn btn-secondary" onClick={onClose}>
+                        Close
+                    </button>
+                    <button
+                        className="btn btn-secondary"
+                        onClick={handleExportCSV}
+                        disabled={data.length === 0}
+                    >
+                        <FileSpreadsheet size={18} />
+                        Export CSV
+                    </button>
+                    <button
+                        className="btn btn-secondary"
+                        onClick={handlePrint}
+                        disabled={data.length === 0 || generating}
+                    >
+                        <Printer size={18} />
+                        Print
+                    </button>
+                    <button
+                        className="btn btn-primary"
+                        onClick={handleDownloadPDF}
+                        disabled={data.length === 0 || generating}
+                    >
+                        {generating ? (
+                            <span className="loading-spinner" style={{ width: '16px', height: '16px' }}></span>
+                        ) : (
+                            <Download size={18} />
+                        )}
+                        Download PDF
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
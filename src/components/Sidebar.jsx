@@ -1,5 +1,5 @@
 /**
- * Sidebar Component - Upload history and navigation
+ * Sidebar Component - Warehouse switcher, upload history and navigation
  */
 
 import { useState } from 'react';
@@ -10,8 +10,17 @@ import {
     RefreshCw,
     Package,
     Star,
-    LogOut
+    LogOut,
+    GitCompare,
+    Eraser,
+    ScrollText,
+    Warehouse
 } from 'lucide-react';
+import DeleteUploadModal from './DeleteUploadModal';
+import ClearDataModal from './ClearDataModal';
+import AuditLogModal from './AuditLogModal';
+import { can, ROLE_LABELS } from '../lib/permissions';
+import { getWarehouseName } from '../lib/warehouses';
 
 export default function Sidebar({
     uploads,
@@ -23,15 +32,51 @@ export default function Sidebar({
     onUploadClick,
     onDeleteUpload,
     onRefresh,
-    onLogout
+    onCompare,
+    onClearData,
+    onLogout,
+    onWarehouseChange,
+    user,
+    warehouse,
+    mode = 'ocean'
 }) {
     const [deleting, setDeleting] = useState(null);
+    const [pendingDelete, setPendingDelete] = useState(null);
+    const [confirmingClear, setConfirmingClear] = useState(false);
+    const [showingAudit, setShowingAudit] = useState(false);
+    const [compareMode, setCompareMode] = useState(false);
+    const [compareSelection, setCompareSelection] = useState([]);
 
-    const handleDelete = async (uploadId, e) => {
+    const toggleCompareMode = () => {
+        setCompareMode(prev => !prev);
+        setCompareSelection([]);
+    };
+
+    // Keep at most two uploads selected; picking a third drops the oldest pick
+    const toggleCompareSelection = (uploadId) => {
+        setCompareSelection(prev => {
+            if (prev.includes(uploadId)) return prev.filter(id => id !== uploadId);
+            return [...prev, uploadId].slice(-2);
+        });
+    };
+
+    const handleCompare = () => {
+        onCompare(compareSelection);
+        setCompareMode(false);
+        setCompareSelection([]);
+    };
+
+    // Ask first - the dialog previews how the master list is rewound
+    const handleDelete = (upload, e) => {
         e.stopPropagation();
-        if (confirm('Are you sure you want to delete this upload?')) {
-            setDeleting(uploadId);
+        setPendingDelete(upload);
+    };
+
+    const confirmDelete = async (uploadId) => {
+        setDeleting(uploadId);
+        try {
             await onDeleteUpload(uploadId);
+        } finally {
             setDeleting(null);
         }
     };
@@ -63,18 +108,47 @@ export default function Sidebar({
                 }}>
                     📊 Global Dock Tally
                 </h2>
+
+                {/* Warehouse - a switcher when the user works in more than one */}
+                <div style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '8px',
+                    marginTop: '12px',
+                    fontSize: '0.875rem',
+                    color: 'var(--text-secondary)'
+                }}>
+                    <Warehouse size={16} style={{ flexShrink: 0 }} />
+                    {user.warehouses.length > 1 ? (
+                        <select
+                            className="input select"
+                            style={{ flex: 1 }}
+                            value={warehouse}
+                            onChange={(e) => onWarehouseChange(e.target.value)}
+                            title="Warehouse"
+                        >
+                            {user.warehouses.map(w => (
+                                <option key={w.id} value={w.id}>{w.name}</option>
+                            ))}
+                        </select>
+                    ) : (
+                        <span>{getWarehouseName(user.warehouses, warehouse)}</span>
+                    )}
+                </div>
             </div>
 
             <div className="sidebar-content">
                 {/* Upload Button */}
-                <button
-                    className="btn btn-primary"
-                    style={{ width: '100%', marginBottom: '20px' }}
-                    onClick={onUploadClick}
-                >
-                    <Upload size={18} />
-                    Upload CSV
-                </button>
+                {can(user.role, 'upload') && (
+                    <button
+                        className="btn btn-primary"
+                        style={{ width: '100%', marginBottom: '20px' }}
+                        onClick={onUploadClick}
+                    >
+                        <Upload size={18} />
+                        Upload CSV
+                    </button>
+                )}
 
                 {/* Master List */}
                 <div style={{ marginBottom: '16px' }}>
@@ -106,15 +180,40 @@ export default function Sidebar({
                     }}>
                         Upload History
                     </span>
+                    <div style={{ display: 'flex', gap: '4px' }}>
+                        <button
+                            className={`btn btn-icon ${compareMode ? 'btn-primary' : 'btn-ghost'}`}
+                            style={{ width: '28px', height: '28px' }}
+                            onClick={toggleCompareMode}
+                            disabled={uploads.length < 2}
+                            title="Compare two uploads"
+                        >
+                            <GitCompare size={14} />
+                        </button>
+                        <button
+                            className="btn btn-ghost btn-icon"
+                            style={{ width: '28px', height: '28px' }}
+                            onClick={onRefresh}
+                            title="Refresh"
+                        >
+                            <RefreshCw size={14} />
+                        </button>
+                    </div>
+                </div>
+
+                {compareMode && (
                     <button
-                        className="btn btn-ghost btn-icon"
-                        style={{ width: '28px', height: '28px' }}
-                        onClick={onRefresh}
-                        title="Refresh"
+                        className="btn btn-sm btn-secondary"
+                        style={{ width: '100%', marginBottom: '12px' }}
+                        onClick={handleCompare}
+                        disabled={compareSelection.length !== 2}
                     >
-                        <RefreshCw size={14} />
+                        <GitCompare size={14} />
+                        {compareSelection.length === 2
+                            ? 'Compare selected uploads'
+                            : `Select ${2 - compareSelection.length} more upload${compareSelection.length === 1 ? '' : 's'}`}
                     </button>
-                </div>
+                )}
 
                 {/* Upload List */}
                 <div className="upload-list">
@@ -127,9 +226,17 @@ export default function Sidebar({
                             <div
                                 key={upload.id}
                                 className={`upload-item ${selectedUpload === upload.id && !isMasterList ? 'active' : ''}`}
-                                onClick={() => onSelectUpload(upload.id)}
+                                onClick={() => compareMode ? toggleCompareSelection(upload.id) : onSelectUpload(upload.id)}
                             >
                                 <div className="upload-date" style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                    {compareMode && (
+                                        <input
+                                            type="checkbox"
+                                            checked={compareSelection.includes(upload.id)}
+                                            onChange={() => toggleCompareSelection(upload.id)}
+                                            onClick={e => e.stopPropagation()}
+                                        />
+                                    )}
                                     {index === 0 && <Star size={12} fill="currentColor" />}
                                     {formatDate(upload.upload_date)}
                                 </div>
@@ -138,19 +245,21 @@ export default function Sidebar({
                                 </div>
                                 <div className="upload-count" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                                     <span>{upload.row_count} rows</span>
-                                    <button
-                                        className="btn btn-ghost btn-icon"
-                                        style={{ width: '24px', height: '24px', opacity: 0.7 }}
-                                        onClick={(e) => handleDelete(upload.id, e)}
-                                        disabled={deleting === upload.id}
-                                        title="Delete"
-                                    >
-                                        {deleting === upload.id ? (
-                                            <span className="loading-spinner" style={{ width: '12px', height: '12px' }}></span>
-                                        ) : (
-                                            <Trash2 size={12} />
-                                        )}
-                                    </button>
+                                    {can(user.role, 'deleteUpload') && (
+                                        <button
+                                            className="btn btn-ghost btn-icon"
+                                            style={{ width: '24px', height: '24px', opacity: 0.7 }}
+                                            onClick={(e) => handleDelete(upload, e)}
+                                            disabled={deleting === upload.id}
+                                            title="Delete"
+                                        >
+                                            {deleting === upload.id ? (
+                                                <span className="loading-spinner" style={{ width: '12px', height: '12px' }}></span>
+                                            ) : (
+                                                <Trash2 size={12} />
+                                            )}
+                                        </button>
+                                    )}
                                 </div>
                             </div>
                         ))
@@ -159,6 +268,33 @@ export default function Sidebar({
             </div>
 
             <div className="sidebar-footer">
+                <div style={{ fontSize: '0.8rem', marginBottom: '8px', textAlign: 'center' }}>
+                    <div style={{ fontWeight: '500', overflow: 'hidden', textOverflow: 'ellipsis' }} title={user.email}>
+                        {user.email}
+                    </div>
+                    <div style={{ color: 'var(--text-muted)' }}>{ROLE_LABELS[user.role]}</div>
+                </div>
+                {can(user.role, 'viewAudit') && (
+                    <button
+                        className="btn btn-ghost"
+                        style={{ width: '100%' }}
+                        onClick={() => setShowingAudit(true)}
+                    >
+                        <ScrollText size={16} />
+                        Audit Log
+                    </button>
+                )}
+                {can(user.role, 'clearData') && (
+                    <button
+                        className="btn btn-ghost"
+                        style={{ width: '100%', color: 'var(--danger)' }}
+                        onClick={() => setConfirmingClear(true)}
+                        disabled={uploads.length === 0}
+                    >
+                        <Eraser size={16} />
+                        Clear {mode === 'air' ? 'Air' : 'Ocean'} Data
+                    </button>
+                )}
                 <button
                     className="btn btn-ghost"
                     style={{ width: '100%' }}
@@ -168,6 +304,27 @@ export default function Sidebar({
                     Sign Out
                 </button>
             </div>
+
+            <DeleteUploadModal
+                upload={pendingDelete}
+                onClose={() => setPendingDelete(null)}
+                onConfirm={confirmDelete}
+                mode={mode}
+            />
+
+            <ClearDataModal
+                isOpen={confirmingClear}
+                onClose={() => setConfirmingClear(false)}
+                onConfirm={onClearData}
+                uploadCount={uploads.length}
+                mode={mode}
+                warehouseName={getWarehouseName(user.warehouses, warehouse)}
+            />
+
+            <AuditLogModal
+                isOpen={showingAudit}
+                onClose={() => setShowingAudit(false)}
+            />
         </aside>
     );
 }
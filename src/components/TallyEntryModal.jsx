@@ -0,0 +1,427 @@
+/**
+ * Tally Entry Modal - Capture dock tally results (PCS/LOC/TIME/DMG/CRW) per HB / HAWB
+ * Saved tallies are pre-filled into the Dock Tally Report
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { X, ClipboardCheck, Save, Plus } from 'lucide-react';
+import { getTallies, saveTallies } from '../lib/database';
+import { currentTime } from '../lib/receiving';
+
+const AIR_ARRIVALS = 4;
+const ARRIVAL_FIELDS = ['pcs', 'loc', 'time', 'crw', 'sub'];
+
+const emptyArrival = () => ({ pcs: '', loc: '', time: '', crw: '', sub: '' });
+
+export default function TallyEntryModal({ isOpen, onClose, onSaved, data = [], mode = 'ocean' }) {
+    const [selectedGroup, setSelectedGroup] = useState('');
+    const [drafts, setDrafts] = useState({});
+    const [arrivalIdx, setArrivalIdx] = useState(0);
+    const [loading, setLoading] = useState(false);
+    // Saved tallies that didn't load - drafts would overwrite them, so nothing can be entered
+    const [loadError, setLoadError] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [extraKey, setExtraKey] = useState('');
+
+    const isAir = mode === 'air';
+    const keyField = isAir ? 'hawb' : 'hb';
+    const groupField = isAir ? 'mawb' : 'mbl';
+    const groupLabel = isAir ? 'MAWB' : 'MBL';
+
+    const groups = useMemo(() => {
+        const grouped = {};
+        for (const row of data) {
+            if (!row[keyField]) continue;
+            const group = row[groupField] || `NO ${groupLabel}`;
+            if (!grouped[group]) grouped[group] = [];
+            // One line per HB / HAWB even if it appears in several rows
+            if (!grouped[group].some(r => r[keyField] === row[keyField])) {
+                grouped[group].push(row);
+            }
+        }
+        return grouped;
+    }, [data, keyField, groupField, groupLabel]);
+
+    const groupKeys = Object.keys(groups);
+    const activeGroup = selectedGroup && groups[selectedGroup] ? selectedGroup : groupKeys[0] || '';
+    const manifestItems = groups[activeGroup] || [];
+    // Pieces received for an HB / HAWB that is not on the manifest are tallied too (OS&D)
+    const items = [
+        ...manifestItems,
+        ...Object.keys(drafts)
+            .filter(key => !manifestItems.some(item => item[keyField] === key))
+            .map(key => ({ [keyField]: key, unmanifested: true })),
+    ];
+
+    // Load saved tallies for the selected group
+    useEffect(() => {
+        if (!isOpen || !activeGroup) return;
+
+        let cancelled = false;
+        const load = async () => {
+            setLoading(true);
+            setLoadError('');
+            try {
+                const saved = await getTallies(activeGroup, mode);
+                if (!cancelled) {
+                    const byKey = {};
+                    for (const tally of saved) {
+                        byKey[tally.item_key] = tally;
+                    }
+                    setDrafts(byKey);
+                }
+            } catch (err) {
+                if (!cancelled) {
+                    setDrafts({});
+                    setLoadError(err.message);
+                }
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+        load();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [isOpen, activeGroup, mode]);
+
+    if (!isOpen) return null;
+
+    const getDraft = (itemKey) => {
+        const draft = drafts[itemKey] || {};
+        if (isAir) {
+            const arrivals = Array.from({ length: AIR_ARRIVALS }, (_, i) => ({
+                ...emptyArrival(),
+                ...((draft.arrivals || [])[i] || {})
+            }));
+            return { ...draft, arrivals };
+        }
+        return draft;
+    };
+
+    const updateDraft = (itemKey, changes) => {
+        setDrafts(prev => ({
+            ...prev,
+            [itemKey]: { ...getDraft(itemKey), ...changes, dirty: true }
+        }));
+    };
+
+    const updateArrival = (itemKey, field, value) => {
+        const arrivals = getDraft(itemKey).arrivals.map((arrival, i) =>
+            i === arrivalIdx ? { ...arrival, [field]: value } : arrival
+        );
+        updateDraft(itemKey, { arrivals });
+    };
+
+    const handleAddExtra = () => {
+        const key = extraKey.trim().toUpperCase();
+        if (!key) return;
+        if (!items.some(item => item[keyField] === key)) {
+            updateDraft(key, {});
+        }
+        setExtraKey('');
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        setError('');
+
+        try {
+            const records = Object.entries(drafts)
+                .filter(([, draft]) => draft.dirty)
+                .map(([itemKey, draft]) => {
+                    const record = {
+                        item_key: itemKey,
+                        group_key: activeGroup,
+                        damaged_pcs: draft.damaged_pcs || '',
+                        notes: draft.notes || '',
+                    };
+
+                    if (isAir) {
+                        // Stamp the time on arrivals that got pieces but no time
+                        record.arrivals = getDraft(itemKey).arrivals.map(arrival => ({
+                            ...arrival,
+                            time: arrival.pcs && !arrival.time ? currentTime() : arrival.time
+                        }));
+                    } else {
+                        record.received_pcs = draft.received_pcs || '';
+                        record.location = draft.location || '';
+                        record.received_time = draft.received_pcs && !draft.received_time
+                            ? currentTime()
+                            : draft.received_time || '';
+                        record.crew = draft.crew || '';
+                    }
+                    return record;
+                });
+
+            if (records.length > 0) {
+                await saveTallies(records, mode);
+                setDrafts(prev => {
+                    const next = {};
+                    for (const [key, draft] of Object.entries(prev)) {
+                        const saved = records.find(r => r.item_key === key);
+                        next[key] = saved ? { ...draft, ...saved, dirty: false } : draft;
+                    }
+                    return next;
+                });
+            }
+            onSaved?.(records.length);
+        } catch (err) {
+            setError(err.message);
+        }
+
+        setSaving(false);
+    };
+
+    const dirtyCount = Object.values(drafts).filter(d => d.dirty).length;
+    const cellInput = { padding: '4px 6px', fontSize: '0.8rem', minWidth: '56px' };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div
+                className="modal"
+                onClick={e => e.stopPropagation()}
+                style={{ maxWidth: '1000px', maxHeight: '90vh' }}
+            >
+                <div className="modal-header">
+                    <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <ClipboardCheck size={20} />
+                        {isAir ? 'Air' : 'Ocean'} Tally Entry
+                    </h3>
+                    <button className="btn btn-ghost btn-icon" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body" style={{ overflow: 'auto' }}>
+                    {error && (
+                        <div style={{
+                            background: 'var(--danger-bg)',
+                            border: '1px solid var(--danger)',
+                            borderRadius: 'var(--radius-md)',
+                            padding: '12px',
+                            marginBottom: '16px',
+                            color: 'var(--danger)',
+                            fontSize: '0.875rem'
+                        }}>
+                            {error}
+                        </div>
+                    )}
+
+                    {groupKeys.length === 0 ? (
+                        <div className="empty-state">
+                            <div className="empty-state-icon">📄</div>
+                            <h3>No data available</h3>
+                            <p>Select an upload or the master list first.</p>
+                        </div>
+                    ) : (
+                        <>
+                            <div style={{ display: 'flex', gap: '12px', alignItems: 'center', marginBottom: '16px' }}>
+                                <label style={{ fontWeight: '500' }}>{groupLabel}</label>
+                                <select
+                                    className="input select"
+                                    style={{ maxWidth: '320px' }}
+                                    value={activeGroup}
+                                    onChange={(e) => {
+                                        setSelectedGroup(e.target.value);
+                                        setArrivalIdx(0);
+                                    }}
+                                >
+                                    {groupKeys.map(group => (
+                                        <option key={group} value={group}>
+                                            {group} ({groups[group].length})
+                                        </option>
+                                    ))}
+                                </select>
+
+                                {isAir && (
+                                    <div style={{ display: 'flex', gap: '4px', marginLeft: 'auto' }}>
+                                        {Array.from({ length: AIR_ARRIVALS }, (_, i) => (
+                                            <button
+                                                key={i}
+                                                className={`btn btn-sm ${arrivalIdx === i ? 'btn-primary' : 'btn-secondary'}`}
+                                                onClick={() => setArrivalIdx(i)}
+                                            >
+                                                Arrival {i + 1}
+                                            </button>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+
+                            {loading ? (
+                                <div className="empty-state">
+                                    <span className="loading-spinner" style={{ width: '32px', height: '32px' }}></span>
+                                </div>
+                            ) : loadError ? (
+                                <div className="empty-state">
+                                    <p>{loadError}</p>
+                                </div>
+                            ) : (
+                                <div className="table-container">
+                                    <table className="data-table">
+                                        <thead>
+                                            <tr>
+                                                <th>{isAir ? 'HAWB' : 'HB'}</th>
+                                                <th>Dest</th>
+                                                <th>{isAir ? 'SLAC / QTY' : 'Mfst Qty (Outer / PCS)'}</th>
+                                                {isAir ? (
+                                                    ARRIVAL_FIELDS.map(field => (
+                                                        <th key={field}>{field.toUpperCase()}</th>
+                                                    ))
+                                                ) : (
+                                                    <>
+                                                        <th>PCS</th>
+                                                        <th>LOC</th>
+                                                        <th>TIME</th>
+                                                        <th>CRW</th>
+                                                    </>
+                                                )}
+                                                <th>DMG</th>
+                                                <th>Notes</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {items.map(item => {
+                                                const itemKey = item[keyField];
+                                                const draft = getDraft(itemKey);
+                                                return (
+                                                    <tr key={itemKey}>
+                                                        <td style={{ fontWeight: '600' }}>
+                                                            {itemKey}
+                                                            {item.unmanifested && (
+                                                                <span className="badge badge-danger" style={{ marginLeft: '6px' }}>
+                                                                    Not on manifest
+                                                                </span>
+                                                            )}
+                                                        </td>
+                                                        <td>{isAir ? item.destination : item.dest}</td>
+                                                        <td>
+                                                            {isAir
+                                                                ? `${item.slac || ''} / ${item.qty || ''}`
+                                                                : `${item.outer_quantity || ''} / ${item.pcs || ''}`}
+                                                        </td>
+                                                        {isAir ? (
+                                                            ARRIVAL_FIELDS.map(field => (
+                                                                <td key={field}>
+                                                                    <input
+                                                                        className="input"
+                                                                        style={cellInput}
+                                                                        type={field === 'time' ? 'time' : 'text'}
+                                                                        inputMode={field === 'pcs' ? 'numeric' : undefined}
+                                                                        value={draft.arrivals[arrivalIdx][field]}
+                                                                        onChange={(e) => updateArrival(itemKey, field, e.target.value)}
+                                                                    />
+                                                                </td>
+                                                            ))
+                                                        ) : (
+                                                            <>
+                                                                <td>
+                                                                    <input
+                                                                        className="input"
+                                                                        style={cellInput}
+                                                                        inputMode="numeric"
+                                                                        value={draft.received_pcs || ''}
+                                                                        onChange={(e) => updateDraft(itemKey, { received_pcs: e.target.value })}
+                                                                    />
+                                                                </td>
+                                                                <td>
+                                                                    <input
+                                                                        className="input"
+                                                                        style={cellInput}
+                                                                        value={draft.location || ''}
+                                                                        onChange={(e) => updateDraft(itemKey, { location: e.target.value })}
+                                                                    />
+                                                                </td>
+                                                                <td>
+                                                                    <input
+                                                                        className="input"
+                                                                        style={cellInput}
+                                                                        type="time"
+                                                                        value={draft.received_time || ''}
+                                                                        onChange={(e) => updateDraft(itemKey, { received_time: e.target.value })}
+                                                                    />
+                                                                </td>
+                                                                <td>
+                                                                    <input
+                                                                        className="input"
+                                                                        style={cellInput}
+                                                                        maxLength={4}
+                                                                        value={draft.crew || ''}
+                                                                        onChange={(e) => updateDraft(itemKey, { crew: e.target.value.toUpperCase() })}
+                                                                    />
+                                                                </td>
+                                                            </>
+                                                        )}
+                                                        <td>
+                                                            <input
+                                                                className="input"
+                                                                style={cellInput}
+                                                                inputMode="numeric"
+                                                                placeholder="0"
+                                                                value={draft.damaged_pcs || ''}
+                                                                onChange={(e) => updateDraft(itemKey, { damaged_pcs: e.target.value })}
+                                                            />
+                                                        </td>
+                                                        <td>
+                                                            <input
+                                                                className="input"
+                                                                style={{ ...cellInput, minWidth: '140px' }}
+                                                                value={draft.notes || ''}
+                                                                onChange={(e) => updateDraft(itemKey, { notes: e.target.value })}
+                                                            />
+                                                        </td>
+                                                    </tr>
+                                                );
+                                            })}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+
+                            <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginTop: '12px' }}>
+                                <input
+                                    className="input"
+                                    style={{ maxWidth: '240px' }}
+                                    placeholder={`${isAir ? 'HAWB' : 'HB'} not on manifest`}
+                                    value={extraKey}
+                                    onChange={(e) => setExtraKey(e.target.value)}
+                                    onKeyDown={(e) => e.key === 'Enter' && handleAddExtra()}
+                                    disabled={!!loadError}
+                                />
+                                <button
+                                    className="btn btn-sm btn-secondary"
+                                    onClick={handleAddExtra}
+                                    disabled={!!loadError || !extraKey.trim()}
+                                >
+                                    <Plus size={16} />
+                                    Add
+                                </button>
+                            </div>
+                        </>
+                    )}
+                </div>
+
+                <div className="modal-footer">
+                    <button className="btn btn-secondary" onClick={onClose}>
+                        Close
+                    </button>
+                    <button
+                        className="btn btn-primary"
+                        onClick={handleSave}
+                        disabled={saving || dirtyCount === 0}
+                    >
+                        {saving ? (
+                            <span className="loading-spinner" style={{ width: '16px', height: '16px' }}></span>
+                        ) : (
+                            <Save size={18} />
+                        )}
+                        Save Tally{dirtyCount > 0 ? ` (${dirtyCount})` : ''}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,21 +1,53 @@
 /**
- * Upload Modal Component - CSV file upload with drag & drop
+ * Upload Modal Component - CSV / Excel file upload with drag & drop
  */
 
 import { useState, useRef } from 'react';
-import { Upload, X, FileText, CheckCircle, AlertCircle } from 'lucide-react';
-import { parseCSV, validateColumns, cleanData, cleanAirData } from '../lib/csvUtils';
+import { Upload, X, FileText, FileSpreadsheet, CheckCircle, AlertCircle, Copy } from 'lucide-react';
+import ColumnMappingStep from './ColumnMappingStep';
+import ValidationStep from './ValidationStep';
+import ImportPreviewStep from './ImportPreviewStep';
 import {
-    saveUpload, saveReportData, updateMasterList,
-    saveAirUpload, saveAirReportData, updateAirMasterList
+    parseCSV, validateColumns, cleanData, cleanAirData,
+    isExcelFile, isSupportedFile, readWorkbook, parseExcelSheet,
+    suggestColumnMapping, applyColumnMapping, getUnmappedColumns,
+    REQUIRED_COLUMNS, AIR_REQUIRED_COLUMNS
+} from '../lib/csvUtils';
+import {
+    importUpload, previewImport, findDuplicateUploads,
+    getMappingProfiles, saveMappingProfile, findMappingProfile
 } from '../lib/database';
+import { fingerprintUpload } from '../lib/uploadFingerprint';
+import { validateRows, rowsWithoutErrors } from '../lib/rowValidation';
+import { can, ROLE_LABELS } from '../lib/permissions';
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+    month: '2-digit',
+    day: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+});
 
-export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean' }) {
+export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean', role = null }) {
     const [file, setFile] = useState(null);
     const [dragActive, setDragActive] = useState(false);
     const [uploading, setUploading] = useState(false);
     const [error, setError] = useState('');
     const [progress, setProgress] = useState({ step: '', detail: '' });
+    const [step, setStep] = useState('select');
+    const [parsed, setParsed] = useState(null);
+    const [mapping, setMapping] = useState({});
+    const [profiles, setProfiles] = useState([]);
+    const [profileName, setProfileName] = useState('');
+    const [workbook, setWorkbook] = useState(null);
+    const [sheetName, setSheetName] = useState('');
+    // { issues, rowCount, validRows } while showing the row check
+    const [rowCheck, setRowCheck] = useState(null);
+    // { rows, fingerprint, matches } while asking what to do about an earlier copy
+    const [duplicate, setDuplicate] = useState(null);
+    // { rows, fingerprint, replacing, preview } waiting for Confirm
+    const [pending, setPending] = useState(null);
     const fileInputRef = useRef(null);
 
     const handleDrag = (e) => {
@@ -35,10 +67,11 @@ export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean'
         setError('');
 
         const droppedFile = e.dataTransfer.files[0];
-        if (droppedFile && droppedFile.name.endsWith('.csv')) {
+        if (droppedFile && isSupportedFile(droppedFile.name)) {
             setFile(droppedFile);
+            setWorkbook(null);
         } else {
-            setError('Please upload a CSV file');
+            setError('Please upload a CSV or Excel (.xlsx, .xls) file');
         }
     };
 
@@ -47,19 +80,46 @@ export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean'
         const selectedFile = e.target.files[0];
         if (selectedFile) {
             setFile(selectedFile);
+            setWorkbook(null);
         }
     };
 
-    const handleUpload = async () => {
+    // Parse the selected file; returns null when a sheet still has to be picked
+    const parseFile = async (selectedSheet) => {
+        if (!isExcelFile(file.name)) {
+            setProgress({ step: 'Parsing CSV...', detail: '' });
+            return parseCSV(file);
+        }
+
+        setProgress({ step: 'Reading workbook...', detail: '' });
+        const wb = workbook || await readWorkbook(file);
+
+        if (!selectedSheet && wb.SheetNames.length > 1) {
+            setWorkbook(wb);
+            setSheetName(wb.SheetNames[0]);
+            setStep('sheet');
+            return null;
+        }
+
+        const sheet = selectedSheet || wb.SheetNames[0];
+        setProgress({ step: `Parsing sheet "${sheet}"...`, detail: '' });
+        return parseExcelSheet(wb, sheet);
+    };
+
+    const handleUpload = async (selectedSheet) => {
         if (!file) return;
 
         setUploading(true);
         setError('');
 
         try {
-            // Step 1: Parse CSV
-            setProgress({ step: 'Parsing CSV...', detail: '' });
-            const results = await parseCSV(file);
+            // Step 1: Parse CSV / Excel sheet
+            const results = await parseFile(selectedSheet);
+
+            if (!results) {
+                setUploading(false);
+                return;
+            }
 
             if (results.errors.length > 0) {
                 throw new Error(`CSV parsing error: ${results.errors[0].message}`);
@@ -67,87 +127,218 @@ export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean'
 
             // Step 2: Validate columns (mode-aware)
             setProgress({ step: 'Validating columns...', detail: '' });
-            const validation = validateColumns(results.meta.fields, mode);
+            const headers = results.meta.fields || [];
+            const validation = validateColumns(headers, mode);
 
-            if (!validation.isValid) {
-                throw new Error(validation.message);
+            const { rowNumbers } = results.meta;
+            if (validation.isValid) {
+                await importRows(results.data, rowNumbers);
+                return;
             }
 
-            // Step 3: Clean data (mode-aware)
-            setProgress({ step: 'Cleaning data...', detail: '' });
-            const cleanedData = mode === 'air'
-                ? cleanAirData(results.data)
-                : cleanData(results.data);
-
-            if (cleanedData.length === 0) {
-                throw new Error('No valid data rows found in CSV');
+            // Headers don't match - try a saved profile for this layout first
+            const profile = await findMappingProfile(headers, mode);
+            if (profile && getUnmappedColumns(profile.mapping, mode).length === 0) {
+                setProgress({ step: `Applying mapping profile "${profile.name}"...`, detail: '' });
+                await importRows(applyColumnMapping(results.data, profile.mapping), rowNumbers);
+                return;
             }
 
-            setProgress({ step: 'Saving upload...', detail: `${cleanedData.length} rows` });
+            // Otherwise ask the user to map the columns
+            setParsed({ headers, rows: results.data, rowNumbers });
+            setMapping(suggestColumnMapping(headers, mode));
+            setProfiles(await getMappingProfiles(mode));
+            setStep('mapping');
+            setUploading(false);
+        } catch (err) {
+            setError(err.message);
+            setUploading(false);
+        }
+    };
 
-            // Step 4: Save upload record (mode-aware)
-            const upload = mode === 'air'
-                ? await saveAirUpload(file.name, cleanedData.length)
-                : await saveUpload(file.name, cleanedData.length);
-            if (!upload) {
-                throw new Error('Failed to save upload record');
-            }
+    const handleConfirmMapping = async () => {
+        const missingColumns = getUnmappedColumns(mapping, mode);
+        if (missingColumns.length > 0) {
+            setError(`Missing required columns: ${missingColumns.join(', ')}`);
+            return;
+        }
 
-            // Step 5: Save report data (mode-aware)
-            setProgress({ step: 'Saving report data...', detail: '' });
-            const rowsInserted = mode === 'air'
-                ? await saveAirReportData(upload.id, cleanedData)
-                : await saveReportData(upload.id, cleanedData);
+        setUploading(true);
+        setError('');
 
-            if (!rowsInserted) {
-                throw new Error('Failed to save report data');
+        try {
+            if (profileName.trim()) {
+                await saveMappingProfile(profileName.trim(), mode, parsed.headers, mapping);
             }
+            await importRows(applyColumnMapping(parsed.rows, mapping), parsed.rowNumbers);
+        } catch (err) {
+            setError(err.message);
+            setUploading(false);
+        }
+    };
+
+    const handleSelectProfile = (profile) => {
+        if (!profile) return;
+        // Keep suggestions for headers the profile doesn't know about
+        const next = { ...mapping };
+        for (const header of parsed.headers) {
+            if (header in profile.mapping) {
+                next[header] = profile.mapping[header];
+            }
+        }
+        setMapping(next);
+        setProfileName(profile.name);
+    };
 
-            // Step 6: Update master list (mode-aware)
-            setProgress({ step: 'Updating master list...', detail: '' });
-            const { itemsAdded, itemsUpdated } = mode === 'air'
-                ? await updateAirMasterList(upload.id, cleanedData)
-                : await updateMasterList(upload.id, cleanedData);
+    // Check, clean, save and merge rows that are keyed by the required column names
+    const importRows = async (rows, rowNumbers) => {
+        // Step 3: Check each row - stop to show any errors and warnings
+        setProgress({ step: 'Checking rows...', detail: `${rows.length} rows` });
+        const issues = validateRows(rows, mode, rowNumbers);
+        if (issues.length > 0) {
+            setRowCheck({ issues, rowCount: rows.length, validRows: rowsWithoutErrors(rows, issues) });
+            setStep('validation');
+            setUploading(false);
+            return;
+        }
 
-            setProgress({
-                step: 'Complete!',
-                detail: `${rowsInserted} rows imported, ${itemsAdded} new items, ${itemsUpdated} updated`
-            });
+        await cleanAndSave(rows);
+    };
+
+    const handleImportValidRows = async () => {
+        setUploading(true);
+        setError('');
+
+        try {
+            await cleanAndSave(rowCheck.validRows);
+        } catch (err) {
+            setError(err.message);
+            setUploading(false);
+        }
+    };
+
+    const cleanAndSave = async (rows) => {
+        // Step 4: Clean data (mode-aware)
+        setProgress({ step: 'Cleaning data...', detail: '' });
+        const cleanedData = mode === 'air'
+            ? cleanAirData(rows)
+            : cleanData(rows);
 
-            // Success - wait a moment then close
-            setTimeout(() => {
-                onSuccess({
-                    rowsInserted,
-                    itemsAdded,
-                    itemsUpdated,
-                    uploadId: upload.id
-                });
-                handleClose();
-            }, 1500);
+        if (cleanedData.length === 0) {
+            throw new Error('No valid data rows found in CSV');
+        }
+
+        // Step 5: Check whether this manifest (or most of it) was uploaded before
+        setProgress({ step: 'Checking for earlier uploads...', detail: '' });
+        const fingerprint = await fingerprintUpload(file, cleanedData);
+        const matches = await findDuplicateUploads(fingerprint, mode, cleanedData);
+        if (matches.length > 0) {
+            setDuplicate({ rows: cleanedData, fingerprint, matches });
+            setStep('duplicate');
+            setUploading(false);
+            return;
+        }
 
+        await showPreview(cleanedData, fingerprint);
+    };
+
+    // Replacing only deletes the earlier copies once the import is confirmed
+    const handleDuplicateChoice = async (replace) => {
+        setUploading(true);
+        setError('');
+
+        try {
+            await showPreview(duplicate.rows, duplicate.fingerprint, replace ? duplicate.matches : []);
         } catch (err) {
             setError(err.message);
             setUploading(false);
         }
     };
 
+    // Step 6: Show what the import will do - nothing has been written so far
+    // Replacing, it's compared with the master list as it would be without the earlier copies
+    const showPreview = async (cleanedData, fingerprint, replacing = []) => {
+        setProgress({ step: 'Comparing with the master list...', detail: `${cleanedData.length} rows` });
+        const preview = await previewImport(cleanedData, mode, { replacing: replacing.map(({ upload }) => upload.id) });
+        setPending({ rows: cleanedData, fingerprint, replacing, preview });
+        setStep('preview');
+        setUploading(false);
+    };
+
+    // Replace: the import deletes the earlier copies only once it has succeeded
+    const handleConfirmImport = async () => {
+        setUploading(true);
+        setError('');
+
+        try {
+            await saveRows(pending.rows, pending.fingerprint, pending.replacing.map(({ upload }) => upload.id));
+        } catch (err) {
+            setError(err.message);
+            setUploading(false);
+        }
+    };
+
+    const saveRows = async (cleanedData, fingerprint, replacing = []) => {
+        // Step 7: Save the upload, its report data and the master list merge together, and delete
+        // the uploads it replaces - if any part fails nothing is kept
+        const { upload, rowsInserted, itemsAdded, itemsUpdated } = await importUpload(file.name, cleanedData, mode, {
+            fingerprint,
+            replacing,
+            onProgress: (step) => setProgress({ step, detail: `${cleanedData.length} rows` }),
+        });
+
+        setProgress({
+            step: 'Complete!',
+            detail: `${rowsInserted} rows imported, ${itemsAdded} new items, ${itemsUpdated} updated`
+        });
+
+        // Success - wait a moment then close
+        setTimeout(() => {
+            onSuccess({
+                rowsInserted,
+                itemsAdded,
+                itemsUpdated,
+                uploadsReplaced: replacing.length,
+                uploadId: upload.id
+            });
+            handleClose();
+        }, 1500);
+    };
+
     const handleClose = () => {
         setFile(null);
         setError('');
         setUploading(false);
         setProgress({ step: '', detail: '' });
+        setStep('select');
+        setWorkbook(null);
+        setSheetName('');
+        setParsed(null);
+        setMapping({});
+        setProfileName('');
+        setRowCheck(null);
+        setDuplicate(null);
+        setPending(null);
         onClose();
     };
 
     if (!isOpen) return null;
 
+    // Replacing deletes the earlier uploads, which needs the delete permission
+    const canUpload = can(role, 'upload');
+    const canReplace = can(role, 'deleteUpload');
+
     return (
         <div className="modal-overlay" onClick={handleClose}>
-            <div className="modal" onClick={e => e.stopPropagation()}>
+            <div
+                className="modal"
+                onClick={e => e.stopPropagation()}
+                style={step === 'mapping' ? { maxWidth: '700px' } : step === 'validation' || step === 'preview' ? { maxWidth: '760px' } : undefined}
+            >
                 <div className="modal-header">
                     <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
                         <Upload size={20} />
-                        Upload CSV File
+                        Upload CSV / Excel File
                     </h3>
                     <button className="btn btn-ghost btn-icon" onClick={handleClose}>
                         <X size={20} />
@@ -173,7 +364,108 @@ export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean'
                         </div>
                     )}
 
-                    {!uploading ? (
+                    {!canUpload ? (
+                        <p style={{ color: 'var(--text-secondary)' }}>
+                            {ROLE_LABELS[role] || 'Your role'}s can't upload manifests. Ask a dock clerk or supervisor.
+                        </p>
+                    ) : !uploading && step === 'mapping' ? (
+                        <ColumnMappingStep
+                            headers={parsed.headers}
+                            mapping={mapping}
+                            sampleRow={parsed.rows[0]}
+                            profiles={profiles}
+                            profileName={profileName}
+                            mode={mode}
+                            onMappingChange={setMapping}
+                            onProfileNameChange={setProfileName}
+                            onSelectProfile={handleSelectProfile}
+                        />
+                    ) : !uploading && step === 'validation' ? (
+                        <ValidationStep
+                            issues={rowCheck.issues}
+                            rowCount={rowCheck.rowCount}
+                            validRowCount={rowCheck.validRows.length}
+                            filename={file.name}
+                            mode={mode}
+                        />
+                    ) : !uploading && step === 'preview' ? (
+                        <ImportPreviewStep
+                            preview={pending.preview}
+                            rows={pending.rows}
+                            replacing={pending.replacing}
+                            mode={mode}
+                        />
+                    ) : !uploading && step === 'duplicate' ? (
+                        <div>
+                            <div style={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                gap: '8px',
+                                marginBottom: '12px',
+                                fontWeight: '500',
+                                color: 'var(--warning)'
+                            }}>
+                                <Copy size={18} />
+                                This manifest looks like it was already uploaded
+                            </div>
+                            {duplicate.matches.map(({ upload, match, overlap }) => (
+                                <div
+                                    key={upload.id}
+                                    style={{
+                                        padding: '10px 12px',
+                                        marginBottom: '8px',
+                                        background: 'var(--warning-bg)',
+                                        border: '1px solid var(--warning)',
+                                        borderRadius: 'var(--radius-md)',
+                                        fontSize: '0.875rem'
+                                    }}
+                                >
+                                    <div style={{ fontWeight: '500' }}>{upload.filename}</div>
+                                    <div style={{ color: 'var(--text-muted)', fontSize: '0.8rem' }}>
+                                        {formatDate(upload.upload_date)} · {upload.row_count} rows ·{' '}
+                                        {match === 'file'
+                                            ? 'identical file'
+                                            : match === 'rows'
+                                                ? 'same rows, different file'
+                                                : `${Math.floor(overlap * 100)}% of ${mode === 'air' ? 'HAWB / MAWB' : 'HB / MBL'} pairs the same`}
+                                    </div>
+                                </div>
+                            ))}
+                            <p style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginTop: '12px' }}>
+                                {canReplace ? (
+                                    <>
+                                        Replace imports this file as if the earlier upload{duplicate.matches.length === 1 ? '' : 's'} had
+                                        never been made, and deletes {duplicate.matches.length === 1 ? 'it' : 'them'} once the
+                                        import succeeds. Upload Anyway keeps both.
+                                    </>
+                                ) : (
+                                    'Upload Anyway keeps both. Only a supervisor can replace an earlier upload.'
+                                )}
+                            </p>
+                        </div>
+                    ) : !uploading && step === 'sheet' ? (
+                        <div>
+                            <div style={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                gap: '8px',
+                                marginBottom: '12px',
+                                fontWeight: '500'
+                            }}>
+                                <FileSpreadsheet size={18} />
+                                This workbook has {workbook.SheetNames.length} sheets. Which one should be imported?
+                            </div>
+                            <select
+                                className="input select"
+                                value={sheetName}
+                                onChange={(e) => setSheetName(e.target.value)}
+                            >
+                                {workbook.SheetNames.map(name => (
+                                    <option key={name} value={name}>{name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    ) : !uploading ? (
                         <>
                             <div
                                 className={`drop-zone ${dragActive ? 'active' : ''}`}
@@ -186,14 +478,18 @@ export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean'
                                 <input
                                     ref={fileInputRef}
                                     type="file"
-                                    accept=".csv"
+                                    accept=".csv,.xlsx,.xls"
                                     onChange={handleFileSelect}
                                     style={{ display: 'none' }}
                                 />
 
                                 {file ? (
                                     <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
-                                        <FileText size={32} style={{ color: 'var(--accent-primary)' }} />
+                                        {isExcelFile(file.name) ? (
+                                            <FileSpreadsheet size={32} style={{ color: 'var(--accent-primary)' }} />
+                                        ) : (
+                                            <FileText size={32} style={{ color: 'var(--accent-primary)' }} />
+                                        )}
                                         <div>
                                             <div style={{ fontWeight: '500' }}>{file.name}</div>
                                             <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>
@@ -205,7 +501,7 @@ export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean'
                                     <>
                                         <Upload size={48} style={{ color: 'var(--text-muted)', marginBottom: '16px' }} />
                                         <p style={{ fontWeight: '500', marginBottom: '8px' }}>
-                                            Drop your CSV file here
+                                            Drop your CSV or Excel file here
                                         </p>
                                         <p style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>
                                             or click to browse
@@ -222,8 +518,11 @@ export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean'
                                 fontSize: '0.75rem',
                                 color: 'var(--text-muted)'
                             }}>
-                                <strong>Required columns:</strong> CONTAINER, SEAL #, CARRIER, MBL, MI, VESSEL, HB,
-                                OUTER QUANTITY, PCS, WT_LBS, CNEE, FRL, FILE_NO, DEST, VOLUME, VBOND#, TDF
+                                <strong>Required columns:</strong>{' '}
+                                {(mode === 'air' ? AIR_REQUIRED_COLUMNS : REQUIRED_COLUMNS).join(', ')}
+                                <div style={{ marginTop: '4px' }}>
+                                    Files with different headers can be mapped after you click Upload.
+                                </div>
                             </div>
                         </>
                     ) : (
@@ -246,13 +545,56 @@ export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean'
                         <button className="btn btn-secondary" onClick={handleClose}>
                             Cancel
                         </button>
-                        <button
-                            className="btn btn-primary"
-                            onClick={handleUpload}
-                            disabled={!file}
-                        >
-                            Upload
-                        </button>
+                        {!canUpload ? null : step === 'preview' ? (
+                            <button className="btn btn-primary" onClick={handleConfirmImport}>
+                                Confirm Import
+                            </button>
+                        ) : step === 'validation' ? (
+                            <button
+                                className="btn btn-primary"
+                                onClick={handleImportValidRows}
+                                disabled={rowCheck.validRows.length === 0}
+                            >
+                                {rowCheck.validRows.length < rowCheck.rowCount
+                                    ? `Import ${rowCheck.validRows.length} Valid Rows`
+                                    : 'Import'}
+                            </button>
+                        ) : step === 'duplicate' ? (
+                            <>
+                                <button className="btn btn-secondary" onClick={() => handleDuplicateChoice(false)}>
+                                    Upload Anyway
+                                </button>
+                                {canReplace && (
+                                    <button className="btn btn-primary" onClick={() => handleDuplicateChoice(true)}>
+                                        Replace Earlier Upload{duplicate.matches.length === 1 ? '' : 's'}
+                                    </button>
+                                )}
+                            </>
+                        ) : step === 'sheet' ? (
+                            <button
+                                className="btn btn-primary"
+                                onClick={() => handleUpload(sheetName)}
+                                disabled={!sheetName}
+                            >
+                                Continue
+                            </button>
+                        ) : step === 'mapping' ? (
+                            <button
+                                className="btn btn-primary"
+                                onClick={handleConfirmMapping}
+                                disabled={getUnmappedColumns(mapping, mode).length > 0}
+                            >
+                                Import with Mapping
+                            </button>
+                        ) : (
+                            <button
+                                className="btn btn-primary"
+                                onClick={() => handleUpload()}
+                                disabled={!file}
+                            >
+                                Upload
+                            </button>
+                        )}
                     </div>
                 )}
             </div>
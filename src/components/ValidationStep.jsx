@@ -0,0 +1,93 @@
+/**
+ * Validation Step - Row errors and warnings found before an upload is saved
+ * Shown by UploadModal; rows with errors can be left out of the import
+ */
+
+import { ClipboardCheck, Download } from 'lucide-react';
+import { exportToCSV } from '../lib/csvUtils';
+import { toValidationExportRows } from '../lib/rowValidation';
+
+// Table rows shown; the CSV has all of them
+const MAX_ISSUES = 500;
+
+export default function ValidationStep({ issues, rowCount, validRowCount, filename, mode = 'ocean' }) {
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    const warningCount = issues.length - errorCount;
+    const invalidRowCount = rowCount - validRowCount;
+
+    const handleDownload = () => {
+        const timestamp = new Date().toISOString().split('T')[0];
+        const name = (filename || 'upload').replace(/\.[^.]+$/, '');
+        exportToCSV(toValidationExportRows(issues), `validation_${mode}_${name}_${timestamp}.csv`);
+    };
+
+    return (
+        <div>
+            <div style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                gap: '8px',
+                marginBottom: '12px'
+            }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontWeight: '500' }}>
+                    <ClipboardCheck size={18} />
+                    {errorCount} error{errorCount === 1 ? '' : 's'}, {warningCount} warning{warningCount === 1 ? '' : 's'}
+                </div>
+                <button className="btn btn-secondary btn-sm" onClick={handleDownload}>
+                    <Download size={14} />
+                    Download CSV
+                </button>
+            </div>
+
+            <div style={{
+                maxHeight: '300px',
+                overflowY: 'auto',
+                border: '1px solid var(--border-color)',
+                borderRadius: 'var(--radius-md)'
+            }}>
+                <table className="data-table" style={{ fontSize: '0.8rem' }}>
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            <th>Severity</th>
+                            <th>Column</th>
+                            <th>Value</th>
+                            <th>Problem</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {issues.slice(0, MAX_ISSUES).map((issue, i) => (
+                            <tr key={i}>
+                                <td>{issue.row}</td>
+                                <td>
+                                    <span className={`badge ${issue.severity === 'error' ? 'badge-danger' : 'badge-warning'}`}>
+                                        {issue.severity}
+                                    </span>
+                                </td>
+                                <td style={{ fontWeight: '500' }}>{issue.column}</td>
+                                <td style={{
+                                    color: 'var(--text-muted)',
+                                    maxWidth: '120px',
+                                    overflow: 'hidden',
+                                    textOverflow: 'ellipsis',
+                                    whiteSpace: 'nowrap'
+                                }}>
+                                    {issue.value}
+                                </td>
+                                <td>{issue.message}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <p style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginTop: '12px' }}>
+                {issues.length > MAX_ISSUES && `Showing the first ${MAX_ISSUES} - download the CSV for all of them. `}
+                {invalidRowCount > 0
+                    ? `${invalidRowCount} of ${rowCount} rows have errors and will be left out; ${validRowCount} rows can be imported.`
+                    : `Warnings only - all ${rowCount} rows can be imported.`}
+            </p>
+        </div>
+    );
+}
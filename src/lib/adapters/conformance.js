@@ -0,0 +1,481 @@
+/**
+ * Conformance - Record shapes every storage adapter returns, and a suite that checks them
+ * The Supabase adapter selects exactly these fields; the local adapter stores the same ones.
+ * Run it in Node with `npm run conformance` (scripts/conformance.js).
+ */
+
+import { COLUMN_MAPPING, AIR_COLUMN_MAPPING } from '../csvUtils.js';
+import { getReceivedPieces } from '../osdReport.js';
+import { ADAPTER_METHODS } from './storageAdapter.js';
+
+const DATA_COLUMNS = {
+    ocean: Object.values(COLUMN_MAPPING),
+    air: Object.values(AIR_COLUMN_MAPPING),
+};
+
+// Master list tracking fields, set by the shared merge in masterListDiff.js
+const TRACKING_FIELDS = [
+    'status',
+    'first_seen_upload_id',
+    'last_seen_upload_id',
+    'last_updated_upload_id',
+    'last_update_reason',
+    'last_changes',
+    'removed_at',
+    'removed_upload_id',
+    'restored_at',
+    'archived_at',
+    'created_at',
+    'updated_at',
+];
+
+// Only set once an item is removed, archived or restored - the local adapter omits them until then
+const OPTIONAL_TRACKING_FIELDS = ['removed_at', 'removed_upload_id', 'restored_at', 'archived_at'];
+
+export const UPLOAD_FIELDS = ['id', 'filename', 'row_count', 'upload_date', 'file_hash', 'row_hash'];
+
+export const REPORT_FIELDS = {
+    ocean: ['id', 'upload_id', ...DATA_COLUMNS.ocean],
+    air: ['id', 'upload_id', ...DATA_COLUMNS.air],
+};
+
+export const MASTER_LIST_FIELDS = {
+    ocean: ['id', ...DATA_COLUMNS.ocean, ...TRACKING_FIELDS],
+    air: ['id', ...DATA_COLUMNS.air, ...TRACKING_FIELDS],
+};
+
+export const HISTORY_FIELDS = [
+    'id', 'item_key', 'version', 'upload_id', 'filename', 'upload_date', 'change_type', 'changes', 'recorded_at',
+];
+
+export const METRICS_FIELDS = ['totalRows', 'withFrl', 'withoutFrl'];
+
+export const MERGE_RESULT_FIELDS = ['itemsAdded', 'itemsUpdated', 'itemsUnchanged', 'itemsRestored', 'itemsRemoved'];
+
+export const AUDIT_FIELDS = [
+    'id', 'warehouse', 'user_id', 'user_email', 'mode', 'action', 'upload_id', 'item_keys', 'before_value', 'after_value',
+    'created_at',
+];
+
+/**
+ * Fields a record lacks, ignoring the optional ones
+ */
+export function missingFields(record, fields, optional = []) {
+    if (!record || typeof record !== 'object') return fields;
+    return fields.filter(field => !(field in record) && !optional.includes(field));
+}
+
+// CSV rows for the suite, keyed by CSV header like cleaned upload data
+function contractRows(mode, uploadIndex) {
+    const [groupHeader, keyHeader, frlHeader] = mode === 'air'
+        ? ['MAWB', 'HAWB', 'LOG']
+        : ['MBL', 'HB', 'FRL'];
+    const row = (key, frl) => ({ [groupHeader]: 'CONTRACT-G1', [keyHeader]: key, [frlHeader]: frl });
+
+    // Second upload: K1 gets an FRL / LOG, K2 drops out, K3 is new
+    return uploadIndex === 0
+        ? [row('CONTRACT-K1', ''), row('CONTRACT-K2', '')]
+        : [row('CONTRACT-K1', '01/02/2026'), row('CONTRACT-K3', '')];
+}
+
+/**
+ * Run the same two-upload scenario against an adapter and compare every result with the contract
+ * Run it against an empty database (a scratch Supabase project, a fresh browser profile or
+ * an in-memory adapter): it deletes its uploads again, which removes its master list items.
+ * @param {Object} api - A storage adapter, or the database.js module
+ * @param {string} mode - 'ocean' or 'air'
+ * @returns {Promise<Array<{name: string, passed: boolean, message: string}>>}
+ */
+export async function runContractSuite(api, mode = 'ocean') {
+    const results = [];
+    const check = (name, passed, message = '') => results.push({ name, passed: !!passed, message });
+    const checkFields = (name, record, fields, optional) => {
+        const missing = missingFields(record, fields, optional);
+        check(name, missing.length === 0, missing.length ? `missing ${missing.join(', ')}` : '');
+    };
+    const checkEqual = (name, actual, expected) => {
+        const same = JSON.stringify(actual) === JSON.stringify(expected);
+        check(name, same, same ? '' : `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    };
+
+    const keyField = mode === 'air' ? 'hawb' : 'hb';
+    const uploads = [];
+
+    try {
+        // The first upload is saved step by step, the second in one importUpload
+        for (const index of [0, 1]) {
+            const rows = contractRows(mode, index);
+            const filename = `contract-${mode}-${index + 1}.csv`;
+            let upload, merge;
+            if (index === 0) {
+                upload = await api.saveUpload(filename, rows.length, mode);
+                checkEqual(`saveReportData ${index + 1} count`, await api.saveReportData(upload.id, rows, mode), rows.length);
+                merge = await api.updateMasterList(upload.id, rows, mode);
+            } else {
+                const preview = await api.previewImport(rows, mode);
+                const fingerprint = { fileHash: `file-${mode}`, rowHash: `rows-${mode}` };
+                ({ upload, ...merge } = await api.importUpload(filename, rows, mode, { fingerprint }));
+                checkEqual(`importUpload ${index + 1} count`, merge.rowsInserted, rows.length);
+                const mergeResult = Object.fromEntries(MERGE_RESULT_FIELDS.map(field => [field, merge[field]]));
+                checkEqual('previewImport matches importUpload', preview.result, mergeResult);
+                const previewKeys = (items) => items.map(item => item[keyField]).filter(key => key.startsWith('CONTRACT-'));
+                checkEqual('previewImport keys', [preview.added, preview.changed, preview.missing].map(previewKeys),
+                    [['CONTRACT-K3'], ['CONTRACT-K1'], ['CONTRACT-K2']]);
+                checkEqual('importUpload fingerprint', [upload.file_hash, upload.row_hash], [fingerprint.fileHash, fingerprint.rowHash]);
+            }
+            uploads.push(upload);
+            checkFields(`saveUpload ${index + 1} shape`, upload, UPLOAD_FIELDS);
+            checkFields(`updateMasterList ${index + 1} shape`, merge, MERGE_RESULT_FIELDS);
+            const expected = index === 0
+                ? { itemsAdded: 2, itemsUpdated: 0 }
+                : { itemsAdded: 1, itemsUpdated: 1 };
+            checkEqual(`updateMasterList ${index + 1} counts`, { itemsAdded: merge.itemsAdded, itemsUpdated: merge.itemsUpdated }, expected);
+        }
+        const [first, second] = uploads;
+
+        const allUploads = await api.getAllUploads(mode);
+        checkEqual('getAllUploads newest first', allUploads.slice(0, 2).map(u => u.id), [second.id, first.id]);
+        checkEqual('getAllUploads fingerprints', allUploads.slice(0, 2).map(u => u.row_hash), [`rows-${mode}`, null]);
+        allUploads.slice(0, 1).forEach(upload => checkFields('getAllUploads shape', upload, UPLOAD_FIELDS));
+
+        const reportRows = await api.getReportData(second.id, mode);
+        checkEqual('getReportData keeps file order', reportRows.map(r => r[keyField]), ['CONTRACT-K1', 'CONTRACT-K3']);
+        reportRows.slice(0, 1).forEach(row => checkFields('getReportData shape', row, REPORT_FIELDS[mode]));
+        checkEqual('getReportData with_frl', (await api.getReportData(second.id, mode, 'with_frl')).length, 1);
+
+        const masterRows = (await api.getMasterListData('all', mode)).filter(r => r[keyField]?.startsWith('CONTRACT-'));
+        checkFields('getMasterListData shape', masterRows[0], MASTER_LIST_FIELDS[mode], OPTIONAL_TRACKING_FIELDS);
+
+        const metrics = await api.getMasterListMetrics(mode);
+        checkFields('getMasterListMetrics shape', metrics, METRICS_FIELDS);
+        check('getMasterListMetrics totals', metrics.totalRows === metrics.withFrl + metrics.withoutFrl);
+
+        const newItems = await api.getMasterListNewItems(mode);
+        checkEqual('getMasterListNewItems', newItems.data.map(r => r[keyField]), ['CONTRACT-K3']);
+        checkEqual('getMasterListNewItems count', newItems.count, newItems.data.length);
+
+        const history = await api.getItemHistory('CONTRACT-K1', mode);
+        checkEqual('getItemHistory versions', history.map(h => [h.version, h.change_type]), [[1, 'added'], [2, 'updated']]);
+        history.slice(0, 1).forEach(record => checkFields('getItemHistory shape', record, HISTORY_FIELDS));
+
+        // Updated / removed tracking and upload comparison
+        const keys = (items) => items.map(r => r[keyField]);
+        checkEqual('getMasterListData active items', keys(masterRows).sort(), ['CONTRACT-K1', 'CONTRACT-K3']);
+
+        const updated = await api.getMasterListUpdatedItems(mode);
+        checkEqual('getMasterListUpdatedItems', updated.data.map(r => [r[keyField], r.last_update_reason]),
+            [['CONTRACT-K1', mode === 'air' ? 'LOG' : 'FRL']]);
+
+        const newFrl = await api.getMasterListNewFrl(mode);
+        checkEqual('getMasterListNewFrl', keys(newFrl.data), ['CONTRACT-K1']);
+
+        const removed = await api.getMasterListRemovedItems(mode);
+        checkEqual('getMasterListRemovedItems', keys(removed.data).filter(key => key.startsWith('CONTRACT-')), ['CONTRACT-K2']);
+
+        checkEqual('detectNewItems', await api.detectNewItems(second.id, mode), 1);
+        checkEqual('detectRemovedItems', await api.detectRemovedItems(second.id, mode), 1);
+        checkEqual('getNewItemsData', keys(await api.getNewItemsData(second.id, mode)), ['CONTRACT-K3']);
+        checkEqual('getRemovedItemsData', keys(await api.getRemovedItemsData(second.id, mode)), ['CONTRACT-K2']);
+
+        // Deleting the second upload rewinds the master list to the first: K3 goes, K1 loses its FRL / LOG
+        // and K2, removed by the second upload, is active again
+        const contractKeys = (items) => items.map(r => r[keyField]).filter(key => key?.startsWith('CONTRACT-')).sort();
+        const preview = await api.previewDeleteUpload(second.id, mode);
+        checkEqual('previewDeleteUpload removed', contractKeys(preview.removed), ['CONTRACT-K3']);
+        checkEqual('previewDeleteUpload reverted', contractKeys(preview.reverted), ['CONTRACT-K1', 'CONTRACT-K2']);
+
+        checkEqual('deleteUpload (latest)', await api.deleteUpload(second.id, mode), true);
+        uploads.pop();
+        const rewound = (await api.getMasterListData('all', mode)).filter(r => r[keyField]?.startsWith('CONTRACT-'));
+        checkEqual('deleteUpload rewinds master list', rewound.map(r => [r[keyField], r.status, r.last_update_reason]).sort(), [
+            ['CONTRACT-K1', 'active', null],
+            ['CONTRACT-K2', 'active', null],
+        ]);
+        checkEqual('getMasterListNewItems after delete', contractKeys((await api.getMasterListNewItems(mode)).data), ['CONTRACT-K1', 'CONTRACT-K2']);
+        checkEqual('getItemHistory after delete', (await api.getItemHistory('CONTRACT-K1', mode)).map(h => h.change_type), ['added']);
+
+        checkEqual('deleteUpload (last)', await api.deleteUpload(first.id, mode), true);
+        uploads.pop();
+        checkEqual('deleteUpload empties master list', contractKeys(await api.getMasterListData('all', mode)), []);
+
+        // Replacing: the second upload merges as if the first had never been made, and deletes it
+        const { upload: replaced } = await api.importUpload(`contract-${mode}-1.csv`, contractRows(mode, 0), mode);
+        uploads.push(replaced);
+        const replacePreview = await api.previewImport(contractRows(mode, 1), mode, { replacing: [replaced.id] });
+        const { upload: replacement, ...replaceMerge } = await api.importUpload(`contract-${mode}-2.csv`, contractRows(mode, 1), mode,
+            { replacing: [replaced.id] });
+        uploads.splice(uploads.indexOf(replaced), 1, replacement);
+        checkEqual('importUpload replacing counts', [replaceMerge.itemsAdded, replaceMerge.itemsUpdated, replaceMerge.itemsRemoved], [2, 0, 0]);
+        checkEqual('previewImport replacing', replacePreview.result,
+            Object.fromEntries(MERGE_RESULT_FIELDS.map(field => [field, replaceMerge[field]])));
+        checkEqual('importUpload deletes the replaced upload',
+            (await api.getAllUploads(mode)).filter(u => [replaced.id, replacement.id].includes(u.id)).map(u => u.id), [replacement.id]);
+        checkEqual('importUpload replacing master list', contractKeys(await api.getMasterListData('all', mode)),
+            ['CONTRACT-K1', 'CONTRACT-K3']);
+        checkEqual('importUpload replacing removed items', contractKeys((await api.getMasterListRemovedItems(mode)).data), []);
+        await api.deleteUpload(replacement.id, mode);
+        uploads.pop();
+
+        // Dock tallies - receives add to the stored count, even two at once
+        const receivedPieces = async () => {
+            const [tally] = (await api.getTallies('CONTRACT-G1', mode)).filter(t => t.item_key === 'CONTRACT-K1');
+            return getReceivedPieces(tally, mode) ?? 0;
+        };
+        const receivedBefore = await receivedPieces();
+        const received = await Promise.all([1, 2].map(pieces =>
+            api.receivePieces('CONTRACT-K1', 'CONTRACT-G1', mode, { arrival: 1, pieces, time: '08:00' })));
+        checkEqual('receivePieces returns the tally', received.map(tally => tally?.item_key), ['CONTRACT-K1', 'CONTRACT-K1']);
+        checkEqual('receivePieces adds up', await receivedPieces(), receivedBefore + 3);
+
+        // Audit log - entries can't be deleted, so a real project keeps these
+        const auditEntry = {
+            user_id: null,
+            user_email: 'contract@example.com',
+            mode,
+            action: 'contract_check',
+            upload_id: 'contract-upload',
+            item_keys: ['CONTRACT-K1'],
+            before_value: { pcs: '1' },
+            after_value: { pcs: '2' },
+        };
+        checkFields('appendAuditEntry shape', await api.appendAuditEntry(auditEntry), AUDIT_FIELDS);
+        await api.appendAuditEntry({ ...auditEntry, item_keys: ['CONTRACT-K2'] });
+        const auditLog = await api.getAuditLog({ mode, action: 'contract_check' });
+        checkEqual('getAuditLog newest first', auditLog.slice(0, 2).map(e => e.item_keys), [['CONTRACT-K2'], ['CONTRACT-K1']]);
+        checkEqual('getAuditLog values', [auditLog[1]?.upload_id, auditLog[1]?.before_value, auditLog[1]?.after_value],
+            ['contract-upload', { pcs: '1' }, { pcs: '2' }]);
+        check('getAuditLog mode filter', auditLog.every(e => e.mode === mode));
+        checkEqual('getAuditLog date filter', (await api.getAuditLog({ action: 'contract_check', from: '9999-01-01' })).length, 0);
+    } catch (err) {
+        check('scenario completed', false, err.message);
+    }
+
+    // Clean up after a failed scenario
+    for (const upload of uploads.reverse()) {
+        try {
+            await api.deleteUpload(upload.id, mode);
+        } catch (err) {
+            check(`deleteUpload ${upload.filename}`, false, err.message);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Run the contract suite in both modes, after checking the adapter has every interface method
+ * @param {Object} adapter - A storage adapter (see storageAdapter.js)
+ * @returns {Promise<Array<{name: string, passed: boolean, message: string}>>}
+ */
+export async function runConformanceSuite(adapter, modes = ['ocean', 'air']) {
+    const missing = ADAPTER_METHODS.filter(method => typeof adapter[method] !== 'function');
+    const results = [{
+        name: 'adapter interface',
+        passed: missing.length === 0,
+        message: missing.length ? `missing ${missing.join(', ')}` : '',
+    }];
+    if (missing.length > 0) return results;
+
+    for (const mode of modes) {
+        const modeResults = await runContractSuite(adapter, mode);
+        results.push(...modeResults.map(result => ({ ...result, name: `${mode}: ${result.name}` })));
+    }
+    return results;
+}
+
+/**
+ * Check that two warehouses don't see each other's data
+ * @param {Object} adapter - A storage adapter
+ * @param {Object} otherAdapter - The same storage, opened for another warehouse
+ */
+export async function runWarehouseSuite(adapter, otherAdapter, mode = 'ocean') {
+    const results = [];
+    const check = (name, passed, message = '') => results.push({ name: `${mode}: ${name}`, passed: !!passed, message });
+    const keyField = mode === 'air' ? 'hawb' : 'hb';
+    const contractKeys = async (api) => (await api.getMasterListData('all', mode))
+        .map(r => r[keyField]).filter(key => key?.startsWith('CONTRACT-')).sort();
+    const imported = [];
+
+    try {
+        const { upload } = await adapter.importUpload(`warehouse-${mode}.csv`, contractRows(mode, 0), mode);
+        imported.push([adapter, upload.id]);
+
+        const otherUploads = await otherAdapter.getAllUploads(mode);
+        check('uploads stay in their warehouse', !otherUploads.some(u => u.id === upload.id), 'the other warehouse lists the upload');
+        check('master list stays in its warehouse', (await contractKeys(otherAdapter)).length === 0, 'the other warehouse has the items');
+        check('history stays in its warehouse', (await otherAdapter.getItemHistory('CONTRACT-K1', mode)).length === 0);
+
+        // The same HBs / HAWBs can be on both warehouses' master lists
+        const { upload: otherUpload } = await otherAdapter.importUpload(`warehouse-${mode}.csv`, contractRows(mode, 0), mode);
+        imported.push([otherAdapter, otherUpload.id]);
+        const [keys, otherKeys] = [await contractKeys(adapter), await contractKeys(otherAdapter)];
+        check('same keys in two warehouses', JSON.stringify(keys) === JSON.stringify(otherKeys) && keys.length === 2,
+            `${JSON.stringify(keys)} / ${JSON.stringify(otherKeys)}`);
+    } catch (err) {
+        check('warehouse scenario completed', false, err.message);
+    }
+
+    for (const [api, uploadId] of imported.reverse()) {
+        try {
+            await api.deleteUpload(uploadId, mode);
+        } catch (err) {
+            check('deleteUpload', false, err.message);
+        }
+    }
+    return results;
+}
+
+/**
+ * Check that clearAllData empties one mode of one warehouse - uploads, master list, tallies and scan exceptions -
+ * and leaves the other mode and the other warehouse alone. Deletes everything of the mode: scratch storage only.
+ * @param {Object} adapter - A storage adapter
+ * @param {Object} otherAdapter - The same storage, opened for another warehouse
+ */
+export async function runClearSuite(adapter, otherAdapter, mode = 'ocean') {
+    const results = [];
+    const check = (name, passed, message = '') => results.push({ name: `${mode}: ${name}`, passed: !!passed, message });
+    const otherMode = mode === 'air' ? 'ocean' : 'air';
+    const hasTally = async (api, tallyMode) =>
+        (await api.getTallies('CONTRACT-G1', tallyMode)).some(t => t.item_key === 'CONTRACT-K1');
+
+    try {
+        await adapter.importUpload(`clear-${mode}.csv`, contractRows(mode, 0), mode);
+        await adapter.receivePieces('CONTRACT-K1', 'CONTRACT-G1', mode);
+        await adapter.logScanException('CONTRACT-UNKNOWN', mode);
+        await adapter.receivePieces('CONTRACT-K1', 'CONTRACT-G1', otherMode);
+        await otherAdapter.receivePieces('CONTRACT-K1', 'CONTRACT-G1', mode);
+
+        await adapter.clearAllData(mode);
+        check('clearAllData uploads', (await adapter.getAllUploads(mode)).length === 0, 'uploads left');
+        check('clearAllData master list', (await adapter.getMasterListData('all', mode)).length === 0, 'master list items left');
+        check('clearAllData tallies', (await adapter.getTallies(null, mode)).length === 0, 'tallies left');
+        check('clearAllData scan exceptions', (await adapter.getScanExceptions(mode)).length === 0, 'scan exceptions left');
+        check('clearAllData keeps the other mode', await hasTally(adapter, otherMode), `the ${otherMode} tally is gone`);
+        check('clearAllData keeps the other warehouse', await hasTally(otherAdapter, mode), 'the other warehouse\'s tally is gone');
+    } catch (err) {
+        check('clear scenario completed', false, err.message);
+    }
+    return results;
+}
+
+/**
+ * Check that a failed import leaves no trace
+ * @param {Object} adapter - A storage adapter whose storage can be made to fail writes
+ * @param {Function} setFailing - setFailing(true) makes the storage fail the master list / history writes
+ */
+export async function runRollbackSuite(adapter, setFailing, mode = 'ocean') {
+    const results = [];
+    const check = (name, passed, message = '') => results.push({ name: `${mode}: ${name}`, passed: !!passed, message });
+    // updated_at is left out: Postgres sets it on every write, the rollback's included
+    const withoutUpdatedAt = (items) => items.map(item => ({ ...item, updated_at: undefined }));
+    const snapshot = async () => JSON.stringify({
+        uploads: await adapter.getAllUploads(mode),
+        masterList: withoutUpdatedAt(await adapter.getMasterListData('all', mode)),
+        removed: withoutUpdatedAt((await adapter.getMasterListRemovedItems(mode)).data),
+    });
+
+    const before = await snapshot();
+    setFailing(true);
+    try {
+        await adapter.importUpload(`rollback-${mode}.csv`, contractRows(mode, 1), mode);
+        check('importUpload fails', false, 'the import succeeded');
+    } catch (err) {
+        check('importUpload fails', err.message.startsWith('Upload failed'), err.message);
+    } finally {
+        setFailing(false);
+    }
+    check('importUpload rolled back', (await snapshot()) === before, 'uploads or master list changed');
+
+    // A failed import keeps the upload it was to replace
+    const { upload: earlier } = await adapter.importUpload(`rollback-${mode}.csv`, contractRows(mode, 0), mode);
+    const beforeReplace = await snapshot();
+    setFailing(true);
+    try {
+        await adapter.importUpload(`rollback-${mode}.csv`, contractRows(mode, 1), mode, { replacing: [earlier.id] });
+        check('replacing importUpload fails', false, 'the import succeeded');
+    } catch (err) {
+        check('replacing importUpload fails', err.message.startsWith('Upload failed'), err.message);
+    } finally {
+        setFailing(false);
+    }
+    check('replacing importUpload rolled back', (await snapshot()) === beforeReplace, 'uploads or master list changed');
+    await adapter.deleteUpload(earlier.id, mode);
+
+    return results;
+}
+
+/**
+ * Check that every read throws when the backend can't be read, instead of returning no data
+ * An empty upload list or master list would be shown as if it were true, and a rewind would drop every item.
+ * @param {Function} setFailingReads - setFailingReads(true) makes the adapter's reads fail until setFailingReads(false)
+ */
+export async function runFailedReadSuite(adapter, setFailingReads, mode = 'ocean') {
+    const results = [];
+    const check = (name, passed, message = '') => results.push({ name: `${mode}: ${name}`, passed: !!passed, message });
+    const keyField = mode === 'air' ? 'HAWB' : 'HB';
+    const rows = contractRows(mode, 0);
+    const { upload } = await adapter.importUpload(`failed-read-${mode}.csv`, rows, mode);
+
+    const reads = {
+        getAllUploads: () => adapter.getAllUploads(mode),
+        previewDeleteUpload: () => adapter.previewDeleteUpload(upload.id, mode),
+        previewImport: () => adapter.previewImport(rows, mode),
+        getReportData: () => adapter.getReportData(upload.id, mode),
+        getMasterListData: () => adapter.getMasterListData('all', mode),
+        getMasterListMetrics: () => adapter.getMasterListMetrics(mode),
+        getMasterListNewItems: () => adapter.getMasterListNewItems(mode),
+        getMasterListRemovedItems: () => adapter.getMasterListRemovedItems(mode),
+        getNewItemsData: () => adapter.getNewItemsData(upload.id, mode),
+        getItemHistory: () => adapter.getItemHistory(rows[0][keyField], mode),
+        getTallies: () => adapter.getTallies(null, mode),
+        getScanExceptions: () => adapter.getScanExceptions(mode),
+        getAuditLog: () => adapter.getAuditLog({ mode }),
+    };
+
+    setFailingReads(true);
+    try {
+        for (const [name, read] of Object.entries(reads)) {
+            try {
+                const value = await read();
+                check(`${name} throws when reads fail`, false, `returned ${JSON.stringify(value)}`);
+            } catch {
+                check(`${name} throws when reads fail`, true);
+            }
+        }
+    } finally {
+        setFailingReads(false);
+    }
+
+    await adapter.deleteUpload(upload.id, mode);
+    return results;
+}
+
+/**
+ * Check a record store's index lookups (see recordStores.js)
+ * A null or undefined value matches nothing, as in IndexedDB - not even records without the field.
+ * @param {Object} store - A record store
+ * @param {string} collection - Collection to use, emptied afterwards (IndexedDB: one with an index on `field`)
+ */
+export async function runRecordStoreSuite(store, collection = 'conformance_records', field = 'group_key') {
+    const results = [];
+    const checkIds = (name, records, expected) => {
+        const [actual, wanted] = [JSON.stringify(records.map(record => record.id)), JSON.stringify(expected)];
+        results.push({ name: `record store: ${name}`, passed: actual === wanted, message: actual === wanted ? '' : `expected ${wanted}, got ${actual}` });
+    };
+
+    try {
+        await store.replaceAll(collection, [{ id: 1, [field]: 'G1' }, { id: 2, [field]: null }, { id: 3 }]);
+        checkIds('getAllByIndex value', await store.getAllByIndex(collection, field, 'G1'), [1]);
+        checkIds('getAllByIndex null', await store.getAllByIndex(collection, field, null), []);
+        checkIds('getAllByIndex undefined', await store.getAllByIndex(collection, field, undefined), []);
+        await store.deleteByIndex(collection, field, null);
+        checkIds('deleteByIndex null', await store.getAll(collection), [1, 2, 3]);
+        await store.deleteByIndex(collection, field, 'G1');
+        checkIds('deleteByIndex value', await store.getAll(collection), [2, 3]);
+    } catch (err) {
+        results.push({ name: 'record store: scenario completed', passed: false, message: err.message });
+    } finally {
+        await store.replaceAll(collection, []);
+    }
+    return results;
+}
@@ -0,0 +1,33 @@
+/**
+ * Storage Adapters - Create an adapter by type
+ * 'indexeddb', 'localstorage' and 'memory' keep data in the browser (or the page),
+ * 'supabase' in a Supabase project.
+ * An adapter works on one warehouse's data (see warehouses.js).
+ */
+
+import { createLocalAdapter, createRecordStore } from './localAdapter.js';
+import { createSupabaseAdapter } from './supabaseAdapter.js';
+import { assertStorageAdapter } from './storageAdapter.js';
+import { isIndexedDbAvailable } from './recordStores.js';
+
+export const ADAPTER_TYPES = ['indexeddb', 'localstorage', 'memory', 'supabase'];
+
+/**
+ * @param {string} type - One of ADAPTER_TYPES
+ * @param {Object} options - { client } for 'supabase', { warehouse } for every type
+ */
+export function createStorageAdapter(type, { client, warehouse } = {}) {
+    if (type === 'supabase') {
+        if (!client) throw new Error('The supabase storage adapter needs a Supabase client');
+        return assertStorageAdapter(createSupabaseAdapter(client, { warehouse }));
+    }
+    if (!ADAPTER_TYPES.includes(type)) {
+        throw new Error(`Unknown storage adapter: ${type}`);
+    }
+    // IndexedDB falls back to localStorage where it is unavailable
+    const storeType = type === 'indexeddb' && !isIndexedDbAvailable() ? 'localstorage' : type;
+    return assertStorageAdapter(createLocalAdapter(createRecordStore(storeType, warehouse), storeType, { warehouse }));
+}
+
+export { createLocalAdapter, createRecordStore, createSupabaseAdapter };
+export { ADAPTER_METHODS, assertStorageAdapter } from './storageAdapter.js';
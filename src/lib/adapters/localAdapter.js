@@ -0,0 +1,621 @@
+/**
+ * Local Adapter - Storage adapter over a record store in the browser (or in memory)
+ * Works the same on IndexedDB, localStorage and in-memory stores (see recordStores.js)
+ * Each warehouse has its own collections, and on IndexedDB its own database.
+ */
+
+import { isActiveItem, hasNewFrl, createMasterListMerge, rewindMasterList, previewMasterListMerge } from '../masterListDiff.js';
+import { toRecord, filterByFrl } from '../csvUtils.js';
+import { addReceivedPieces } from '../receiving.js';
+import {
+    createIndexedDbStore,
+    createLocalStorageStore,
+    createMemoryStore,
+    isIndexedDbAvailable,
+} from './recordStores.js';
+import { DEFAULT_WAREHOUSE } from '../warehouses.js';
+
+/**
+ * Collection names of a warehouse, per mode
+ * The default warehouse keeps the keys the localStorage version of the app used;
+ * the others put their id after the prefix (csvdock_lax_uploads, csvdock_lax_air_uploads)
+ */
+function warehouseCollections(warehouse = DEFAULT_WAREHOUSE) {
+    const prefix = warehouse === DEFAULT_WAREHOUSE ? 'csvdock_' : `csvdock_${warehouse}_`;
+    return {
+        ocean: {
+            uploads: `${prefix}uploads`,
+            reportData: `${prefix}report_data`,
+            masterList: `${prefix}master_list`,
+            // Per HB change history
+            history: `${prefix}history`,
+            // Dock tally results captured on screen
+            tallies: `${prefix}tallies`,
+            // Receive screen scans that matched nothing
+            scanExceptions: `${prefix}scan_exceptions`,
+        },
+        air: {
+            uploads: `${prefix}air_uploads`,
+            reportData: `${prefix}air_report_data`,
+            masterList: `${prefix}air_master_list`,
+            history: `${prefix}air_history`,
+            tallies: `${prefix}air_tallies`,
+            scanExceptions: `${prefix}air_scan_exceptions`,
+        },
+        // Who changed what (both modes) - only ever appended to
+        auditLog: `${prefix}audit_log`,
+    };
+}
+
+// Column mapping profiles (shared by both modes and every warehouse)
+// Only the default warehouse's store holds these two - database.js reads them through its adapter
+const MAPPING_PROFILES = 'csvdock_mapping_profiles';
+// App settings object (e.g. auto-archive window)
+const SETTINGS = 'csvdock_settings';
+
+// Indexed fields per collection of a warehouse, for the lookups the app makes
+function warehouseIndexes(warehouse) {
+    const { ocean, air, auditLog } = warehouseCollections(warehouse);
+    const shared = warehouse === DEFAULT_WAREHOUSE ? { [MAPPING_PROFILES]: ['mode'] } : {};
+    return {
+        [ocean.uploads]: [],
+        [ocean.reportData]: ['upload_id', 'hb', 'mbl'],
+        [ocean.masterList]: ['hb', 'mbl'],
+        [air.uploads]: [],
+        [air.reportData]: ['upload_id', 'hawb', 'mawb'],
+        [air.masterList]: ['hawb', 'mawb'],
+        [ocean.history]: ['item_key', 'upload_id'],
+        [air.history]: ['item_key', 'upload_id'],
+        [ocean.tallies]: ['item_key', 'group_key'],
+        [air.tallies]: ['item_key', 'group_key'],
+        [ocean.scanExceptions]: [],
+        [air.scanExceptions]: [],
+        [auditLog]: ['action'],
+        ...shared,
+    };
+}
+
+/**
+ * Record store for a local adapter
+ * @param {string} type - 'indexeddb', 'localstorage' or 'memory'
+ * @param {string} warehouse - IndexedDB keeps each warehouse in its own database
+ */
+export function createRecordStore(type, warehouse = DEFAULT_WAREHOUSE) {
+    if (type === 'memory') {
+        return createMemoryStore();
+    }
+    if (type === 'indexeddb' && isIndexedDbAvailable()) {
+        // Existing localStorage data is migrated into IndexedDB the first time it opens -
+        // each database takes only its own collections, so opening another warehouse first can't take the shared ones
+        return createIndexedDbStore({
+            name: warehouse === DEFAULT_WAREHOUSE ? 'csvdock' : `csvdock_${warehouse}`,
+            // 2 added the audit log
+            version: 2,
+            collections: warehouseIndexes(warehouse),
+            valueKeys: warehouse === DEFAULT_WAREHOUSE ? [SETTINGS] : [],
+        });
+    }
+    return createLocalStorageStore();
+}
+
+// Helper to generate unique IDs
+function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+function getKeyField(mode) {
+    return mode === 'air' ? 'hawb' : 'hb';
+}
+
+// Upload before the given one in a newest-first list, or null for the first upload
+function previousUploadId(uploads, uploadId) {
+    const currentIndex = uploads.findIndex(u => u.id === uploadId);
+    if (currentIndex === -1 || currentIndex >= uploads.length - 1) return null;
+    return uploads[currentIndex + 1].id;
+}
+
+/**
+ * Storage adapter over a record store
+ * @param {Object} store - From createRecordStore
+ * @param {string} name - Adapter name reported by getDatabaseType
+ * @param {Object} options - { warehouse } whose data the adapter reads and writes
+ */
+export function createLocalAdapter(store, name = 'local', { warehouse = DEFAULT_WAREHOUSE } = {}) {
+    const names = warehouseCollections(warehouse);
+    const collections = (mode) => names[mode] || names.ocean;
+
+    // Pending receives - each reads the count the one before saved
+    let receiving = Promise.resolve();
+
+    const getActiveMasterList = async (mode) =>
+        (await store.getAll(collections(mode).masterList)).filter(isActiveItem);
+
+    const getUploadRows = (mode, uploadId) =>
+        store.getAllByIndex(collections(mode).reportData, 'upload_id', uploadId);
+
+    // Set of HBs / HAWBs in one upload
+    const getUploadKeys = async (mode, uploadId) => {
+        const keyField = getKeyField(mode);
+        const rows = await getUploadRows(mode, uploadId);
+        return new Set(rows.filter(r => r[keyField]).map(r => r[keyField]));
+    };
+
+    const getLatestUploadId = async (mode) => {
+        const uploads = await store.getAll(collections(mode).uploads);
+        return uploads.length > 0 ? uploads[0].id : null;
+    };
+
+    const getPreviousUploadId = async (mode, uploadId) =>
+        previousUploadId(await store.getAll(collections(mode).uploads), uploadId);
+
+    // One versioned history record per key touched by an upload
+    const buildHistory = async (mode, upload, touched) => {
+        const history = await store.getAll(collections(mode).history);
+
+        const versions = new Map();
+        for (const record of history) {
+            versions.set(record.item_key, Math.max(versions.get(record.item_key) || 0, record.version));
+        }
+
+        const recordedAt = new Date().toISOString();
+        const records = [];
+        for (const { key, change_type, changes } of touched) {
+            const version = (versions.get(key) || 0) + 1;
+            versions.set(key, version);
+            records.push({
+                id: generateId(),
+                item_key: key,
+                version,
+                upload_id: upload.id,
+                filename: upload.filename ?? null,
+                upload_date: upload.upload_date ?? recordedAt,
+                change_type,
+                changes,
+                recorded_at: recordedAt,
+            });
+        }
+
+        return records;
+    };
+
+    // Master list without some uploads, replayed from the remaining ones (see rewindMasterList)
+    const planRewind = async (mode, uploadIds) => {
+        const uploads = (await store.getAll(collections(mode).uploads)).filter(u => !uploadIds.includes(u.id));
+        const remaining = [];
+        for (const upload of [...uploads].reverse()) {
+            remaining.push({ id: upload.id, rows: await getUploadRows(mode, upload.id) });
+        }
+        const masterList = await store.getAll(collections(mode).masterList);
+        return { uploads, ...rewindMasterList(masterList, remaining, getKeyField(mode), mode, { createId: generateId }) };
+    };
+
+    // Uploads and master list an import merges into - replacing uploads, as if those had never been made
+    const importBase = async (mode, replacing = []) => {
+        if (replacing.length > 0) {
+            const { uploads, items } = await planRewind(mode, replacing);
+            return { uploads, masterList: items };
+        }
+        const { uploads, masterList } = collections(mode);
+        return { uploads: await store.getAll(uploads), masterList: await store.getAll(masterList) };
+    };
+
+    /*
+     * Write plans: each reads what it needs and returns the writes to commit,
+     * so an import can commit all of them at once (see store.commit)
+     */
+
+    // New upload record - the upload list is kept newest first
+    const planUpload = async (mode, filename, rowCount, fingerprint = {}, existing = null) => {
+        const key = collections(mode).uploads;
+        const upload = {
+            id: generateId(),
+            filename,
+            row_count: rowCount,
+            upload_date: new Date().toISOString(),
+            file_hash: fingerprint.fileHash ?? null,
+            row_hash: fingerprint.rowHash ?? null,
+        };
+        const uploads = [upload, ...(existing ?? await store.getAll(key))];
+        return { upload, uploads, writes: [{ type: 'replaceAll', collection: key, records: uploads }] };
+    };
+
+    const planReportData = (mode, uploadId, rows) => {
+        const records = rows.map(row => ({
+            id: generateId(),
+            upload_id: uploadId,
+            ...toRecord(row, mode),
+        }));
+        return { count: records.length, writes: [{ type: 'append', collection: collections(mode).reportData, records }] };
+    };
+
+    // Merge of an upload into the master list (the stored one unless given), plus its history records
+    const planMasterListMerge = async (mode, upload, rows, uploads, base = null) => {
+        const { masterList: key, history } = collections(mode);
+        const keyField = getKeyField(mode);
+        const masterList = base ?? await store.getAll(key);
+        const merge = createMasterListMerge(masterList, keyField, upload.id, mode, { createId: generateId });
+
+        // Master List is a unique catalog by HB / HAWB - no duplicates
+        for (const row of rows) {
+            const itemData = toRecord(row, mode);
+            if (!itemData[keyField]) continue; // Skip rows without a key
+            merge.apply(itemData[keyField], itemData);
+        }
+
+        // Keys that were in the previous upload but not in this one
+        const prevUploadId = previousUploadId(uploads, upload.id);
+        if (prevUploadId) merge.markRemoved(prevUploadId);
+
+        return {
+            result: merge.result(),
+            writes: [
+                { type: 'replaceAll', collection: key, records: masterList },
+                { type: 'append', collection: history, records: await buildHistory(mode, upload, merge.touched()) },
+            ],
+        };
+    };
+
+    // Master list items of the latest upload matching a condition
+    const latestUploadItems = async (mode, matches) => {
+        const latestUploadId = await getLatestUploadId(mode);
+        if (!latestUploadId) return { count: 0, data: [] };
+
+        const data = (await getActiveMasterList(mode)).filter(item => matches(item, latestUploadId));
+        return { count: data.length, data };
+    };
+
+    return {
+        name,
+        warehouse,
+
+        /**
+         * UPLOADS
+         */
+
+        async saveUpload(filename, rowCount, mode = 'ocean', fingerprint = {}) {
+            const { upload, writes } = await planUpload(mode, filename, rowCount, fingerprint);
+            await store.commit(writes);
+            return upload;
+        },
+
+        async getAllUploads(mode = 'ocean') {
+            return store.getAll(collections(mode).uploads);
+        },
+
+        async previewDeleteUpload(uploadId, mode = 'ocean') {
+            const { removed, reverted } = await planRewind(mode, [uploadId]);
+            return { removed, reverted };
+        },
+
+        // Deletes the upload with its report rows and history records, and rewinds the master list
+        async deleteUpload(uploadId, mode = 'ocean') {
+            const { uploads: uploadsKey, reportData, history, masterList } = collections(mode);
+            const { uploads, items } = await planRewind(mode, [uploadId]);
+
+            await store.commit([
+                { type: 'replaceAll', collection: uploadsKey, records: uploads },
+                { type: 'deleteByIndex', collection: reportData, field: 'upload_id', value: uploadId },
+                { type: 'deleteByIndex', collection: history, field: 'upload_id', value: uploadId },
+                { type: 'replaceAll', collection: masterList, records: items },
+            ]);
+            return true;
+        },
+
+        async previewImport(rows, mode = 'ocean', { replacing = [] } = {}) {
+            const { uploads, masterList } = await importBase(mode, replacing);
+            return previewMasterListMerge(masterList, rows, mode, uploads[0]?.id ?? null);
+        },
+
+        /**
+         * Save an upload, its report rows and the master list merge in one commit
+         * Replaced uploads are deleted in the same commit. If it fails (e.g. storage quota exceeded) nothing is written.
+         */
+        async importUpload(filename, rows, mode = 'ocean', { onProgress, fingerprint, replacing = [] } = {}) {
+            const { reportData, history } = collections(mode);
+            const base = await importBase(mode, replacing);
+
+            onProgress?.('Saving upload...');
+            const { upload, uploads, writes: uploadWrites } = await planUpload(mode, filename, rows.length, fingerprint, base.uploads);
+            const report = planReportData(mode, upload.id, rows);
+            const replaceWrites = replacing.flatMap(uploadId => [
+                { type: 'deleteByIndex', collection: reportData, field: 'upload_id', value: uploadId },
+                { type: 'deleteByIndex', collection: history, field: 'upload_id', value: uploadId },
+            ]);
+
+            onProgress?.('Updating master list...');
+            const { result, writes: mergeWrites } = await planMasterListMerge(mode, upload, rows, uploads, base.masterList);
+
+            try {
+                await store.commit([...uploadWrites, ...replaceWrites, ...report.writes, ...mergeWrites]);
+            } catch (err) {
+                console.error(`Local importUpload error (${mode}):`, err);
+                throw new Error(`Upload failed, nothing was saved: ${err.message}`);
+            }
+            return { upload, rowsInserted: report.count, ...result };
+        },
+
+        /**
+         * REPORT ROWS
+         */
+
+        async saveReportData(uploadId, rows, mode = 'ocean') {
+            const { count, writes } = planReportData(mode, uploadId, rows);
+            await store.commit(writes);
+            return count;
+        },
+
+        async getReportData(uploadId, mode = 'ocean', filter = 'all') {
+            return filterByFrl(await getUploadRows(mode, uploadId), filter, mode);
+        },
+
+        /**
+         * MASTER LIST
+         */
+
+        async updateMasterList(uploadId, rows, mode = 'ocean') {
+            const uploads = await store.getAll(collections(mode).uploads);
+            const upload = uploads.find(u => u.id === uploadId) || { id: uploadId };
+            const { result, writes } = await planMasterListMerge(mode, upload, rows, uploads);
+            await store.commit(writes);
+            return result;
+        },
+
+        async getMasterListData(filter = 'all', mode = 'ocean') {
+            return filterByFrl(await getActiveMasterList(mode), filter, mode);
+        },
+
+        async getMasterListMetrics(mode = 'ocean') {
+            const data = await getActiveMasterList(mode);
+            const withFrl = filterByFrl(data, 'with_frl', mode).length;
+            return { totalRows: data.length, withFrl, withoutFrl: data.length - withFrl };
+        },
+
+        async getMasterListNewItems(mode = 'ocean') {
+            return latestUploadItems(mode, (item, latestUploadId) => item.first_seen_upload_id === latestUploadId);
+        },
+
+        async getMasterListUpdatedItems(mode = 'ocean') {
+            return latestUploadItems(mode, (item, latestUploadId) =>
+                item.last_updated_upload_id === latestUploadId && item.last_update_reason
+            );
+        },
+
+        async getMasterListNewFrl(mode = 'ocean') {
+            return latestUploadItems(mode, (item, latestUploadId) => hasNewFrl(item, latestUploadId, mode));
+        },
+
+        async getMasterListRemovedItems(mode = 'ocean') {
+            const data = (await store.getAll(collections(mode).masterList)).filter(m => m.status === 'removed');
+            return { count: data.length, data };
+        },
+
+        /**
+         * Move items removed more than `days` days ago to the archive
+         * They stay in storage so they can still be restored if they reappear
+         */
+        async archiveRemovedItems(days, mode = 'ocean') {
+            if (!days || days <= 0) return 0;
+
+            const key = collections(mode).masterList;
+            const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+            const archivedAt = new Date().toISOString();
+            let archived = 0;
+
+            const masterList = (await store.getAll(key)).map(item => {
+                if (item.status !== 'removed' || new Date(item.removed_at).getTime() > cutoff) {
+                    return item;
+                }
+                archived++;
+                return { ...item, status: 'archived', archived_at: archivedAt };
+            });
+
+            if (archived > 0) {
+                await store.replaceAll(key, masterList);
+            }
+            return archived;
+        },
+
+        /**
+         * UPLOAD DIFFS - against the upload before
+         */
+
+        async detectNewItems(uploadId, mode = 'ocean') {
+            const prevUploadId = await getPreviousUploadId(mode, uploadId);
+            // No previous upload - every row is new
+            if (!prevUploadId) return (await getUploadRows(mode, uploadId)).length;
+
+            const prevKeys = await getUploadKeys(mode, prevUploadId);
+            return [...await getUploadKeys(mode, uploadId)].filter(key => !prevKeys.has(key)).length;
+        },
+
+        async detectRemovedItems(uploadId, mode = 'ocean') {
+            const prevUploadId = await getPreviousUploadId(mode, uploadId);
+            if (!prevUploadId) return 0;
+
+            const currentKeys = await getUploadKeys(mode, uploadId);
+            return [...await getUploadKeys(mode, prevUploadId)].filter(key => !currentKeys.has(key)).length;
+        },
+
+        async getNewItemsData(uploadId, mode = 'ocean') {
+            const keyField = getKeyField(mode);
+            const prevUploadId = await getPreviousUploadId(mode, uploadId);
+            const currentData = await getUploadRows(mode, uploadId);
+            if (!prevUploadId) return currentData;
+
+            const prevKeys = await getUploadKeys(mode, prevUploadId);
+            return currentData.filter(r => r[keyField] && !prevKeys.has(r[keyField]));
+        },
+
+        async getRemovedItemsData(uploadId, mode = 'ocean') {
+            const keyField = getKeyField(mode);
+            const prevUploadId = await getPreviousUploadId(mode, uploadId);
+            if (!prevUploadId) return [];
+
+            const currentKeys = await getUploadKeys(mode, uploadId);
+            const prevData = await getUploadRows(mode, prevUploadId);
+            return prevData.filter(r => r[keyField] && !currentKeys.has(r[keyField]));
+        },
+
+        /**
+         * ITEM HISTORY
+         */
+
+        async getItemHistory(itemKey, mode = 'ocean') {
+            return (await store.getAllByIndex(collections(mode).history, 'item_key', itemKey))
+                .sort((a, b) => a.version - b.version);
+        },
+
+        /**
+         * DOCK TALLIES
+         * One record per HB / HAWB, replaced on every save
+         */
+
+        async getTallies(groupKey = null, mode = 'ocean') {
+            const key = collections(mode).tallies;
+            return groupKey ? store.getAllByIndex(key, 'group_key', groupKey) : store.getAll(key);
+        },
+
+        async saveTallies(records, mode = 'ocean') {
+            const key = collections(mode).tallies;
+            const tallies = await store.getAll(key);
+            const index = new Map(tallies.map((t, i) => [t.item_key, i]));
+            const now = new Date().toISOString();
+
+            const saved = records.map(record => {
+                const existingIndex = index.get(record.item_key);
+                if (existingIndex !== undefined) {
+                    tallies[existingIndex] = { ...tallies[existingIndex], ...record, updated_at: now };
+                    return tallies[existingIndex];
+                }
+                const tally = { ...record, id: generateId(), created_at: now, updated_at: now };
+                tallies.push(tally);
+                index.set(record.item_key, tallies.length - 1);
+                return tally;
+            });
+
+            await store.replaceAll(key, tallies);
+            return saved;
+        },
+
+        async receivePieces(itemKey, groupKey, mode = 'ocean', options = {}) {
+            const receive = receiving.then(async () => {
+                const [tally] = (await this.getTallies(null, mode)).filter(t => t.item_key === itemKey);
+                const [saved] = await this.saveTallies([{
+                    item_key: itemKey,
+                    group_key: groupKey,
+                    ...addReceivedPieces(tally, mode, options),
+                }], mode);
+                return saved;
+            });
+            // Keep the queue usable after a failed receive
+            receiving = receive.catch(() => {});
+            return receive;
+        },
+
+        /**
+         * SCAN EXCEPTIONS
+         * Unknown codes scanned on the Receive screen, newest first
+         */
+
+        async getScanExceptions(mode = 'ocean') {
+            return store.getAll(collections(mode).scanExceptions);
+        },
+
+        async logScanException(code, mode = 'ocean') {
+            const key = collections(mode).scanExceptions;
+            const exceptions = await store.getAll(key);
+            const now = new Date().toISOString();
+            const exception = { id: generateId(), code, scanned_at: now, created_at: now };
+            await store.replaceAll(key, [exception, ...exceptions]);
+            return exception;
+        },
+
+        /**
+         * COLUMN MAPPING PROFILES
+         */
+
+        async getMappingProfiles(mode = 'ocean') {
+            return store.getAllByIndex(MAPPING_PROFILES, 'mode', mode);
+        },
+
+        async saveMappingProfile(profileName, mode, headers, mapping) {
+            const profiles = await store.getAll(MAPPING_PROFILES);
+            const existingIndex = profiles.findIndex(p => p.mode === mode && p.name === profileName);
+
+            const profile = {
+                name: profileName,
+                mode,
+                headers: [...headers].sort(),
+                mapping,
+                updated_at: new Date().toISOString(),
+            };
+
+            if (existingIndex >= 0) {
+                profiles[existingIndex] = { ...profiles[existingIndex], ...profile };
+            } else {
+                profile.id = generateId();
+                profile.created_at = profile.updated_at;
+                profiles.push(profile);
+            }
+
+            await store.replaceAll(MAPPING_PROFILES, profiles);
+            return existingIndex >= 0 ? profiles[existingIndex] : profile;
+        },
+
+        async deleteMappingProfile(profileId) {
+            const profiles = (await store.getAll(MAPPING_PROFILES)).filter(p => p.id !== profileId);
+            await store.replaceAll(MAPPING_PROFILES, profiles);
+            return true;
+        },
+
+        // Find a profile saved from a file with exactly the same set of headers
+        async findMappingProfile(headers, mode = 'ocean') {
+            const signature = [...headers].sort().join('\u0000');
+            const profiles = await this.getMappingProfiles(mode);
+            return profiles.find(p => p.headers.join('\u0000') === signature) || null;
+        },
+
+        /**
+         * SETTINGS
+         */
+
+        async getSettings() {
+            return (await store.getValue(SETTINGS)) || {};
+        },
+
+        async saveSettings(changes) {
+            const settings = { ...(await this.getSettings()), ...changes };
+            await store.setValue(SETTINGS, settings);
+            return settings;
+        },
+
+        /**
+         * AUDIT LOG
+         */
+
+        async appendAuditEntry(entry) {
+            const record = { ...entry, id: generateId(), warehouse, created_at: new Date().toISOString() };
+            await store.append(names.auditLog, [record]);
+            return record;
+        },
+
+        async getAuditLog({ mode, action, userEmail, from, to } = {}) {
+            const entries = action
+                ? await store.getAllByIndex(names.auditLog, 'action', action)
+                : await store.getAll(names.auditLog);
+            return entries
+                .filter(e => (!mode || e.mode === mode)
+                    && (!userEmail || e.user_email === userEmail)
+                    && (!from || e.created_at >= from)
+                    && (!to || e.created_at <= to))
+                .reverse();
+        },
+
+        /**
+         * CLEAR ALL DATA of a mode (mapping profiles, settings and the audit log are kept)
+         */
+        async clearAllData(mode = 'ocean') {
+            await store.clear(Object.values(collections(mode)));
+        },
+    };
+}
@@ -0,0 +1,300 @@
+/**
+ * Record Stores - Collection storage behind the local adapter
+ * IndexedDB (one object store per collection with indexes on the lookup fields), localStorage
+ * (one JSON array per collection) and in-memory stores share one async API.
+ * Records keep their insertion order, like the arrays they replace.
+ *
+ * commit(writes) applies several writes all-or-nothing; each write is
+ * { type: 'append' | 'replaceAll', collection, records } or { type: 'deleteByIndex', collection, field, value }.
+ *
+ * getAllByIndex / deleteByIndex match records whose field equals value. IndexedDB leaves records
+ * without the field out of its indexes, so null or undefined matches nothing - in every store.
+ */
+
+const VALUES_STORE = 'values';
+const MIGRATED_KEY = 'migrated_from_local_storage';
+
+// Promise for a single IDBRequest
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Promise that settles when a transaction commits or aborts
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+}
+
+function readLocalStorage(key) {
+    const data = localStorage.getItem(key);
+    return data ? JSON.parse(data) : null;
+}
+
+export function isIndexedDbAvailable() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Open (and create or upgrade) the database
+ * @param {Object} collections - { [collection]: [indexed field, ...] }
+ */
+function openDatabase(name, version, collections) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            for (const [collection, fields] of Object.entries(collections)) {
+                // Out-of-line auto-increment keys keep records in insertion order
+                const store = db.objectStoreNames.contains(collection)
+                    ? request.transaction.objectStore(collection)
+                    : db.createObjectStore(collection, { autoIncrement: true });
+                for (const field of fields) {
+                    if (!store.indexNames.contains(field)) {
+                        store.createIndex(field, field);
+                    }
+                }
+            }
+            if (!db.objectStoreNames.contains(VALUES_STORE)) {
+                db.createObjectStore(VALUES_STORE);
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Close other CSV Dock tabs to upgrade local storage'));
+    });
+}
+
+/**
+ * Copy data saved by the localStorage version of the app, once
+ * The localStorage keys are removed only after the copy has committed.
+ */
+async function migrateFromLocalStorage(db, collections, valueKeys) {
+    const check = db.transaction(VALUES_STORE, 'readonly');
+    if (await requestResult(check.objectStore(VALUES_STORE).get(MIGRATED_KEY))) return;
+
+    const names = Object.keys(collections);
+    const transaction = db.transaction([...names, VALUES_STORE], 'readwrite');
+    for (const collection of names) {
+        const records = readLocalStorage(collection);
+        if (Array.isArray(records)) {
+            const store = transaction.objectStore(collection);
+            records.forEach(record => store.add(record));
+        }
+    }
+    for (const key of valueKeys) {
+        const value = readLocalStorage(key);
+        if (value !== null) {
+            transaction.objectStore(VALUES_STORE).put(value, key);
+        }
+    }
+    transaction.objectStore(VALUES_STORE).put(new Date().toISOString(), MIGRATED_KEY);
+    await transactionDone(transaction);
+
+    [...names, ...valueKeys].forEach(key => localStorage.removeItem(key));
+}
+
+// Whether an index lookup for value finds the record (see the header)
+function matchesIndex(record, field, value) {
+    return value !== null && value !== undefined && record[field] === value;
+}
+
+// Delete the records whose field equals value, inside the store's transaction
+function deleteMatching(store, field, value, indexed) {
+    if (value === null || value === undefined) return;
+    const request = indexed ? store.index(field).openCursor(IDBKeyRange.only(value)) : store.openCursor();
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        if (indexed || matchesIndex(cursor.value, field, value)) cursor.delete();
+        cursor.continue();
+    };
+}
+
+/**
+ * IndexedDB-backed store
+ * @param {Object} options - { name, version, collections: { [collection]: [indexed field] }, valueKeys: [] }
+ */
+export function createIndexedDbStore({ name, version, collections, valueKeys = [] }) {
+    let opening = null;
+
+    const open = () => {
+        if (!opening) {
+            opening = openDatabase(name, version, collections).then(async (db) => {
+                await migrateFromLocalStorage(db, collections, valueKeys);
+                return db;
+            });
+            // Allow a retry after a failed open
+            opening.catch(() => {
+                opening = null;
+            });
+        }
+        return opening;
+    };
+
+    const hasIndex = (collection, field) => (collections[collection] || []).includes(field);
+
+    return {
+        async getAll(collection) {
+            const db = await open();
+            return requestResult(db.transaction(collection, 'readonly').objectStore(collection).getAll());
+        },
+
+        async getAllByIndex(collection, field, value) {
+            if (!hasIndex(collection, field)) {
+                return (await this.getAll(collection)).filter(record => matchesIndex(record, field, value));
+            }
+            if (value === null || value === undefined) return [];
+            const db = await open();
+            const index = db.transaction(collection, 'readonly').objectStore(collection).index(field);
+            return requestResult(index.getAll(value));
+        },
+
+        async append(collection, records) {
+            return this.commit([{ type: 'append', collection, records }]);
+        },
+
+        async replaceAll(collection, records) {
+            return this.commit([{ type: 'replaceAll', collection, records }]);
+        },
+
+        // One transaction over every collection written
+        async commit(writes) {
+            if (writes.length === 0) return;
+            const db = await open();
+            const transaction = db.transaction([...new Set(writes.map(w => w.collection))], 'readwrite');
+            const done = transactionDone(transaction);
+            try {
+                for (const write of writes) {
+                    const store = transaction.objectStore(write.collection);
+                    if (write.type === 'deleteByIndex') {
+                        deleteMatching(store, write.field, write.value, hasIndex(write.collection, write.field));
+                        continue;
+                    }
+                    if (write.type === 'replaceAll') store.clear();
+                    write.records.forEach(record => store.add(record));
+                }
+            } catch (err) {
+                transaction.abort();
+                await done.catch(() => {});
+                throw err;
+            }
+            await done;
+        },
+
+        async deleteByIndex(collection, field, value) {
+            return this.commit([{ type: 'deleteByIndex', collection, field, value }]);
+        },
+
+        async getValue(key) {
+            const db = await open();
+            const value = await requestResult(db.transaction(VALUES_STORE, 'readonly').objectStore(VALUES_STORE).get(key));
+            return value ?? null;
+        },
+
+        async setValue(key, value) {
+            const db = await open();
+            const transaction = db.transaction(VALUES_STORE, 'readwrite');
+            transaction.objectStore(VALUES_STORE).put(value, key);
+            await transactionDone(transaction);
+        },
+
+        async clear(names) {
+            const db = await open();
+            const transaction = db.transaction(names, 'readwrite');
+            names.forEach(collection => transaction.objectStore(collection).clear());
+            await transactionDone(transaction);
+        },
+    };
+}
+
+/**
+ * localStorage-backed store with the same API
+ * Each collection is one JSON array, as before IndexedDB.
+ */
+export function createLocalStorageStore() {
+    return createArrayStore({
+        read: (key) => readLocalStorage(key),
+        write: (key, value) => localStorage.setItem(key, JSON.stringify(value)),
+        remove: (key) => localStorage.removeItem(key),
+    });
+}
+
+/**
+ * In-memory store with the same API - nothing is persisted
+ * Used for demos and the conformance suite in Node.
+ */
+export function createMemoryStore() {
+    const data = new Map();
+    // Copies, so callers can't change stored records by mutating results
+    const copy = (value) => (value === undefined ? null : structuredClone(value));
+    return createArrayStore({
+        read: (key) => copy(data.get(key)),
+        write: (key, value) => data.set(key, copy(value)),
+        remove: (key) => data.delete(key),
+    });
+}
+
+// Store over a key -> value backend, one array per collection
+function createArrayStore({ read: readValue, write, remove }) {
+    const read = (collection) => readValue(collection) || [];
+
+    return {
+        async getAll(collection) {
+            return read(collection);
+        },
+
+        async getAllByIndex(collection, field, value) {
+            return read(collection).filter(record => matchesIndex(record, field, value));
+        },
+
+        async append(collection, records) {
+            return this.commit([{ type: 'append', collection, records }]);
+        },
+
+        async replaceAll(collection, records) {
+            return this.commit([{ type: 'replaceAll', collection, records }]);
+        },
+
+        async commit(writes) {
+            const previous = new Map();
+            try {
+                for (const { type, collection, records, field, value } of writes) {
+                    if (!previous.has(collection)) previous.set(collection, readValue(collection));
+                    if (type === 'deleteByIndex') {
+                        write(collection, read(collection).filter(record => !matchesIndex(record, field, value)));
+                    } else {
+                        write(collection, type === 'append' ? [...read(collection), ...records] : records);
+                    }
+                }
+            } catch (err) {
+                // Put back what was written before the failure (e.g. localStorage quota exceeded)
+                previous.forEach((value, collection) => (value === null ? remove(collection) : write(collection, value)));
+                throw err;
+            }
+        },
+
+        async deleteByIndex(collection, field, value) {
+            return this.commit([{ type: 'deleteByIndex', collection, field, value }]);
+        },
+
+        async getValue(key) {
+            return readValue(key);
+        },
+
+        async setValue(key, value) {
+            write(key, value);
+        },
+
+        async clear(names) {
+            names.forEach(collection => remove(collection));
+        },
+    };
+}
@@ -0,0 +1,101 @@
+/**
+ * Storage Adapter - The interface every storage backend implements
+ * database.js picks one adapter at startup and delegates to it; conformance.js checks them.
+ *
+ * Every method is async and takes the mode ('ocean' or 'air') as its last argument (before any options).
+ * Records have the shapes listed in conformance.js.
+ * A read that fails throws - it never returns an empty result, which callers would take for no data.
+ * An adapter is created for one warehouse (adapter.warehouse) and never sees another warehouse's data.
+ */
+
+/**
+ * Methods of a storage adapter, by area
+ *
+ * Uploads
+ *   saveUpload(filename, rowCount, mode, fingerprint) -> upload
+ *   getAllUploads(mode) -> uploads, newest first
+ *   deleteUpload(uploadId, mode) -> true, also deletes its report rows and history records
+ *     and rewinds the master list to what the remaining uploads make it
+ *   previewDeleteUpload(uploadId, mode) -> { removed, reverted } master list items deleteUpload would change
+ *   previewImport(rows, mode, { replacing }) -> what importUpload would do to the master list, writing nothing
+ *     (see previewMasterListMerge in masterListDiff.js)
+ *   importUpload(filename, rows, mode, { onProgress, fingerprint, replacing }) -> { upload, rowsInserted, ...merge result }
+ *     saves the upload, its report rows and the master list merge all-or-nothing;
+ *     fingerprint { fileHash, rowHash } is kept as the upload's file_hash / row_hash (see uploadFingerprint.js);
+ *     replacing lists upload ids merged as if they had never been made, and deleted with the import
+ *
+ * Report rows
+ *   saveReportData(uploadId, rows, mode) -> number of rows saved (rows keyed by CSV header)
+ *   getReportData(uploadId, mode, filter) -> rows in file order
+ *
+ * Master list
+ *   updateMasterList(uploadId, rows, mode) -> merge result
+ *   getMasterListData(filter, mode) -> active items
+ *   getMasterListMetrics(mode) -> { totalRows, withFrl, withoutFrl }
+ *   getMasterListNewItems / getMasterListUpdatedItems / getMasterListNewFrl /
+ *   getMasterListRemovedItems(mode) -> { count, data }
+ *   archiveRemovedItems(days, mode) -> number of items archived
+ *
+ * Upload diffs, against the upload before
+ *   detectNewItems / detectRemovedItems(uploadId, mode) -> count
+ *   getNewItemsData / getRemovedItemsData(uploadId, mode) -> report rows
+ *
+ * History
+ *   getItemHistory(itemKey, mode) -> history records, oldest version first
+ *
+ * Dock tallies and scan exceptions
+ *   getTallies(groupKey, mode) / saveTallies(records, mode)
+ *   receivePieces(itemKey, groupKey, mode, { arrival, pieces, time }) -> saved tally
+ *     (adds to the stored count in one step - see addReceivedPieces in receiving.js)
+ *   getScanExceptions(mode) / logScanException(code, mode)
+ *
+ * Audit log - append-only, shared by both modes and kept by clearAllData
+ *   appendAuditEntry(entry) -> saved entry, with id and created_at
+ *   getAuditLog({ mode, action, userEmail, from, to }) -> entries, newest first
+ *     (from / to are ISO timestamps; every filter is optional)
+ *
+ *   clearAllData(mode)
+ */
+export const ADAPTER_METHODS = [
+    'saveUpload',
+    'getAllUploads',
+    'deleteUpload',
+    'previewDeleteUpload',
+    'previewImport',
+    'importUpload',
+    'saveReportData',
+    'getReportData',
+    'updateMasterList',
+    'getMasterListData',
+    'getMasterListMetrics',
+    'getMasterListNewItems',
+    'getMasterListUpdatedItems',
+    'getMasterListNewFrl',
+    'getMasterListRemovedItems',
+    'archiveRemovedItems',
+    'detectNewItems',
+    'detectRemovedItems',
+    'getNewItemsData',
+    'getRemovedItemsData',
+    'getItemHistory',
+    'getTallies',
+    'saveTallies',
+    'receivePieces',
+    'getScanExceptions',
+    'logScanException',
+    'appendAuditEntry',
+    'getAuditLog',
+    'clearAllData',
+];
+
+/**
+ * Throw if an adapter lacks any interface method
+ * @returns {Object} The adapter
+ */
+export function assertStorageAdapter(adapter) {
+    const missing = ADAPTER_METHODS.filter(method => typeof adapter?.[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Storage adapter ${adapter?.name || ''} is missing: ${missing.join(', ')}`);
+    }
+    return adapter;
+}
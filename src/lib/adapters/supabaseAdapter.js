@@ -0,0 +1,770 @@
+/**
+ * Supabase Adapter - Storage adapter over a Supabase (Postgres) project
+ * Master list items live in the data tables under upload_id 'master:<warehouse>', one row per HB / HAWB,
+ * and are merged exactly like the local adapter's (see masterListDiff.js).
+ * Every row carries the warehouse it belongs to; an adapter reads and writes one warehouse's rows.
+ */
+
+import { createMasterListMerge, isActiveItem, hasNewFrl, rewindMasterList, previewMasterListMerge } from '../masterListDiff.js';
+import { toRecord, filterByFrl } from '../csvUtils.js';
+import { REPORT_FIELDS, MASTER_LIST_FIELDS } from './conformance.js';
+import { DEFAULT_WAREHOUSE } from '../warehouses.js';
+
+// Supabase returns at most 1000 rows per request; writes are batched to keep payloads small
+const PAGE_SIZE = 1000;
+const WRITE_BATCH_SIZE = 500;
+
+// Helper to generate unique IDs
+function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+function getTableName(mode) {
+    return mode === 'air' ? 'air_data' : 'ocean_data';
+}
+
+function getKeyField(mode) {
+    return mode === 'air' ? 'hawb' : 'hb';
+}
+
+// Master list items live in the data tables under one upload per warehouse
+function getMasterUploadId(warehouse) {
+    return `master:${warehouse}`;
+}
+
+// Uploads are keyed by their TEXT upload_id, not the UUID primary key
+function toUpload(row) {
+    return {
+        id: row.upload_id,
+        filename: row.filename,
+        row_count: row.row_count,
+        upload_date: row.upload_date,
+        file_hash: row.file_hash ?? null,
+        row_hash: row.row_hash ?? null,
+    };
+}
+
+// Keep only the given columns that are set on a record
+function pickColumns(record, columns) {
+    return Object.fromEntries(columns.filter(column => column in record).map(column => [column, record[column]]));
+}
+
+// Master list item as a row under its warehouse's master upload
+function toMasterRow(item, mode, warehouse) {
+    return { ...pickColumns(item, MASTER_LIST_FIELDS[mode]), upload_id: getMasterUploadId(warehouse), warehouse };
+}
+
+function getKeySet(rows, keyField) {
+    return new Set(rows.map(r => r[keyField]).filter(Boolean));
+}
+
+/**
+ * Storage adapter over a Supabase client
+ * @param {Object} supabase - Client from createClient (or anything with the same query builder)
+ * @param {Object} options - { warehouse } whose rows the adapter reads and writes
+ */
+export function createSupabaseAdapter(supabase, { warehouse = DEFAULT_WAREHOUSE } = {}) {
+    const masterUploadId = getMasterUploadId(warehouse);
+
+    // Read every page of a query - buildQuery must return a fresh, ordered query
+    const selectAll = async (buildQuery) => {
+        const rows = [];
+        for (let from = 0; ; from += PAGE_SIZE) {
+            const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+            if (error) return { data: null, error };
+            rows.push(...data);
+            if (data.length < PAGE_SIZE) return { data: rows, error: null };
+        }
+    };
+
+    // Insert (or upsert on `onConflict`) records in batches
+    const writeInBatches = async (tableName, records, onConflict = null) => {
+        for (let i = 0; i < records.length; i += WRITE_BATCH_SIZE) {
+            const batch = records.slice(i, i + WRITE_BATCH_SIZE);
+            const { error } = onConflict
+                ? await supabase.from(tableName).upsert(batch, { onConflict })
+                : await supabase.from(tableName).insert(batch);
+            if (error) return { error };
+        }
+        return { error: null };
+    };
+
+    // Report rows of one upload in file order
+    const selectReportRows = (uploadId, mode) => selectAll(() => supabase
+        .from(getTableName(mode))
+        .select(REPORT_FIELDS[mode].join(','))
+        .eq('warehouse', warehouse)
+        .eq('upload_id', uploadId)
+        .order('row_index', { ascending: true }));
+
+    // Every master list item of a mode, including removed and archived ones
+    const fetchMasterList = (mode) => selectAll(() => supabase
+        .from(getTableName(mode))
+        .select(MASTER_LIST_FIELDS[mode].join(','))
+        .eq('warehouse', warehouse)
+        .eq('upload_id', masterUploadId)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true }));
+
+    // Uploads of a mode, newest first
+    // Throws: a failed read must not look like no uploads - a rewind would drop every master list item
+    const listUploads = async (mode) => {
+        const { data, error } = await supabase
+            .from('uploads')
+            .select('upload_id, filename, row_count, upload_date, file_hash, row_hash')
+            .eq('warehouse', warehouse)
+            .eq('mode', mode)
+            .neq('upload_id', masterUploadId)
+            .order('upload_date', { ascending: false });
+        if (error) {
+            console.error('Supabase uploads error:', error);
+            throw new Error(`Failed to load uploads: ${error.message}`);
+        }
+        return data.map(toUpload);
+    };
+
+    const getActiveMasterList = async (mode) => {
+        const { data, error } = await fetchMasterList(mode);
+        if (error) {
+            console.error(`Supabase master list error (${mode}):`, error);
+            throw new Error(`Failed to load master list: ${error.message}`);
+        }
+        return data.filter(isActiveItem);
+    };
+
+    // The master rows reference the warehouse's master upload, so make sure it exists
+    // One row serves both modes - it's never listed, cleared or deleted
+    const ensureMasterUpload = async (mode) => {
+        const { error } = await supabase
+            .from('uploads')
+            .upsert({
+                upload_id: masterUploadId,
+                mode,
+                warehouse,
+                filename: 'MASTER_LIST_SNAPSHOT',
+                row_count: 0,
+            }, { onConflict: 'upload_id', ignoreDuplicates: true });
+
+        if (error) {
+            console.error('Supabase create master upload error:', error);
+            throw new Error(`Failed to initialize Master List record: ${error.message}`);
+        }
+    };
+
+    // Append one versioned history record per key touched by an upload
+    const appendHistory = async (mode, uploadId, touched) => {
+        if (touched.length === 0) return;
+
+        const { data: upload } = await supabase
+            .from('uploads')
+            .select('filename, upload_date')
+            .eq('warehouse', warehouse)
+            .eq('upload_id', uploadId)
+            .maybeSingle();
+
+        // Latest version per touched key, queried in batches to keep the URL short
+        const keys = touched.map(t => t.key);
+        const versions = new Map();
+        for (let i = 0; i < keys.length; i += 200) {
+            const { data, error } = await selectAll(() => supabase
+                .from('item_history')
+                .select('item_key, version')
+                .eq('warehouse', warehouse)
+                .eq('mode', mode)
+                .in('item_key', keys.slice(i, i + 200))
+                .order('id', { ascending: true }));
+            if (error) throw new Error(`Failed to load item history: ${error.message}`);
+            for (const record of data) {
+                versions.set(record.item_key, Math.max(versions.get(record.item_key) || 0, record.version));
+            }
+        }
+
+        const recordedAt = new Date().toISOString();
+        const records = touched.map(({ key, change_type, changes }) => ({
+            warehouse,
+            mode,
+            item_key: key,
+            version: (versions.get(key) || 0) + 1,
+            upload_id: uploadId,
+            filename: upload ? upload.filename : null,
+            upload_date: upload ? upload.upload_date : recordedAt,
+            change_type,
+            changes,
+            recorded_at: recordedAt,
+        }));
+
+        const { error } = await writeInBatches('item_history', records);
+        if (error) throw new Error(`Failed to save item history: ${error.message}`);
+    };
+
+    // Delete master rows by id, in batches to keep the URL short
+    const deleteMasterRows = async (mode, ids) => {
+        for (let i = 0; i < ids.length; i += 200) {
+            const { error } = await supabase
+                .from(getTableName(mode))
+                .delete()
+                .eq('warehouse', warehouse)
+                .in('id', ids.slice(i, i + 200));
+            if (error) return { error };
+        }
+        return { error: null };
+    };
+
+    /**
+     * Master list an upload merges into, and the upload before it
+     * Replacing uploads, the master list is rewound as if those had never been made; `removed` are
+     * the rows the rewind drops. An upload already saved (uploadId) is left out of the rewind.
+     */
+    const importBase = async (mode, replacing = [], uploadId = null) => {
+        if (replacing.length > 0) {
+            const { masterList, uploads, items, removed } = await planRewind(mode, [...replacing, uploadId]);
+            return { masterList, items, removed, previousUploadId: uploads[0]?.id ?? null };
+        }
+
+        const { data: masterList, error } = await fetchMasterList(mode);
+        if (error) {
+            console.error(`Supabase master list error (${mode}):`, error);
+            throw new Error(`Failed to load master list: ${error.message}`);
+        }
+        const previousUploadId = uploadId
+            ? await getPreviousUploadId(uploadId, mode)
+            : (await listUploads(mode))[0]?.id ?? null;
+        return { masterList, items: masterList, removed: [], previousUploadId };
+    };
+
+    /**
+     * Merge an upload into the master rows
+     * @param {Array} originals - Receives the rows it changes or deletes as they were, before anything is written
+     * @param {Array<string>} replacing - Uploads to merge as if they had never been made (see importBase)
+     */
+    const mergeIntoMasterList = async (uploadId, rows, mode, originals = [], replacing = []) => {
+        const tableName = getTableName(mode);
+        const keyField = getKeyField(mode);
+        await ensureMasterUpload(mode);
+
+        const { masterList, items, removed, previousUploadId } = await importBase(mode, replacing, uploadId);
+
+        // The rewind and the merge replace the items they change, so these stay as loaded
+        const loaded = new Map(masterList.map(item => [item.id, item]));
+        const merge = createMasterListMerge(items, keyField, uploadId, mode);
+        for (const row of rows) {
+            const itemData = toRecord(row, mode);
+            if (!itemData[keyField]) continue;
+            merge.apply(itemData[keyField], itemData);
+        }
+
+        // Keys that were in the previous upload but not in this one
+        if (previousUploadId) merge.markRemoved(previousUploadId);
+
+        // Only rows that change are written: dropped ones deleted first (a key may come back as a new row),
+        // then existing ones by id and new ones inserted
+        const changed = items.filter(item => loaded.get(item.id) !== item);
+        originals.push(...removed, ...changed.filter(item => item.id).map(item => loaded.get(item.id)));
+        const records = changed.map(item => toMasterRow(item, mode, warehouse));
+        let { error } = await deleteMasterRows(mode, removed.map(item => item.id));
+        if (!error) {
+            ({ error } = await writeInBatches(tableName, records.filter(record => record.id), 'id'));
+        }
+        if (!error) {
+            ({ error } = await writeInBatches(tableName, records.filter(record => !record.id)));
+        }
+
+        if (error) {
+            console.error(`Supabase updateMasterList error (${mode}):`, error);
+            throw new Error(`Failed to update master list: ${error.message}`);
+        }
+
+        await appendHistory(mode, uploadId, merge.touched());
+        return merge.result();
+    };
+
+    // Master list without some uploads, replayed from the remaining ones (see rewindMasterList)
+    const planRewind = async (mode, uploadIds) => {
+        const { data: masterList, error } = await fetchMasterList(mode);
+        if (error) {
+            console.error(`Supabase master list error (${mode}):`, error);
+            throw new Error(`Failed to load master list: ${error.message}`);
+        }
+
+        const uploads = (await listUploads(mode)).filter(u => !uploadIds.includes(u.id));
+        const remaining = [];
+        for (const upload of [...uploads].reverse()) {
+            // A failed read must not look like an empty upload - that would remove its items
+            const { data: rows, error: rowsError } = await selectReportRows(upload.id, mode);
+            if (rowsError) throw new Error(`Failed to load upload rows: ${rowsError.message}`);
+            remaining.push({ id: upload.id, rows });
+        }
+        return { masterList, uploads, ...rewindMasterList(masterList, remaining, getKeyField(mode), mode) };
+    };
+
+    // Insert an upload row; an import saves its upload `importing`, so the clerk running it can delete it to roll back
+    const insertUpload = async (filename, rowCount, mode, fingerprint, importing = false) => {
+        const { data, error } = await supabase
+            .from('uploads')
+            .insert({
+                upload_id: generateId(),
+                warehouse,
+                mode,
+                filename,
+                row_count: rowCount,
+                file_hash: fingerprint.fileHash ?? null,
+                row_hash: fingerprint.rowHash ?? null,
+                importing,
+            })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Supabase saveUpload error:', error);
+            throw error;
+        }
+        return toUpload(data);
+    };
+
+    // Undo a failed import: drop the master rows it added, put back the ones it changed or deleted, delete the upload
+    const rollbackImport = async (mode, uploadId, originals) => {
+        const tableName = getTableName(mode);
+        const { error: addedError } = await supabase
+            .from(tableName)
+            .delete()
+            .eq('warehouse', warehouse)
+            .eq('upload_id', masterUploadId)
+            .eq('first_seen_upload_id', uploadId);
+        const { error: restoreError } = await writeInBatches(tableName, originals.map(item => toMasterRow(item, mode, warehouse)), 'id');
+        // Report rows and history records go with the upload (ON DELETE CASCADE)
+        const { error: uploadError } = await supabase
+            .from('uploads')
+            .delete()
+            .eq('warehouse', warehouse)
+            .eq('upload_id', uploadId);
+        return restoreError || addedError || uploadError;
+    };
+
+    const adapter = {
+        name: 'supabase',
+        warehouse,
+
+        /**
+         * UPLOADS
+         */
+
+        async saveUpload(filename, rowCount, mode = 'ocean', fingerprint = {}) {
+            return insertUpload(filename, rowCount, mode, fingerprint);
+        },
+
+        async getAllUploads(mode = 'ocean') {
+            return listUploads(mode);
+        },
+
+        async previewDeleteUpload(uploadId, mode = 'ocean') {
+            const { removed, reverted } = await planRewind(mode, [uploadId]);
+            return { removed, reverted };
+        },
+
+        /**
+         * Rewind the master list, then delete the upload
+         * In that order, so a failed delete can simply be retried: the rewind comes out the same.
+         */
+        async deleteUpload(uploadId, mode = 'ocean') {
+            const { removed, reverted } = await planRewind(mode, [uploadId]);
+
+            let { error } = await writeInBatches(getTableName(mode), reverted.map(item => toMasterRow(item, mode, warehouse)), 'id');
+            if (!error) {
+                ({ error } = await deleteMasterRows(mode, removed.map(item => item.id)));
+            }
+
+            if (!error) {
+                // Report rows and history records are removed by ON DELETE CASCADE
+                ({ error } = await supabase
+                    .from('uploads')
+                    .delete()
+                    .eq('warehouse', warehouse)
+                    .eq('upload_id', uploadId));
+            }
+
+            if (error) {
+                console.error('Supabase deleteUpload error:', error);
+                throw new Error(`Failed to delete upload: ${error.message}`);
+            }
+            return true;
+        },
+
+        async previewImport(rows, mode = 'ocean', { replacing = [] } = {}) {
+            const { items, previousUploadId } = await importBase(mode, replacing);
+            return previewMasterListMerge(items, rows, mode, previousUploadId);
+        },
+
+        /**
+         * Save an upload, its report rows and the master list merge, or none of them
+         * The REST API has no multi-request transactions, so a failed import is undone instead.
+         * The upload stays `importing` until the merge is saved, then replaced uploads are deleted last,
+         * in one statement - if that fails the import is undone too.
+         */
+        async importUpload(filename, rows, mode = 'ocean', { onProgress, fingerprint = {}, replacing = [] } = {}) {
+            onProgress?.('Saving upload...');
+            const upload = await insertUpload(filename, rows.length, mode, fingerprint, true);
+            const originals = [];
+
+            try {
+                onProgress?.('Saving report data...');
+                const rowsInserted = await adapter.saveReportData(upload.id, rows, mode);
+
+                onProgress?.('Updating master list...');
+                const result = await mergeIntoMasterList(upload.id, rows, mode, originals, replacing);
+
+                const { error: finishError } = await supabase
+                    .from('uploads')
+                    .update({ importing: false })
+                    .eq('warehouse', warehouse)
+                    .eq('upload_id', upload.id);
+                if (finishError) throw new Error(`Failed to finish the upload: ${finishError.message}`);
+
+                if (replacing.length > 0) {
+                    onProgress?.('Deleting replaced uploads...');
+                    // Their report rows and history records go with them (ON DELETE CASCADE)
+                    const { error } = await supabase
+                        .from('uploads')
+                        .delete()
+                        .eq('warehouse', warehouse)
+                        .in('upload_id', replacing);
+                    if (error) throw new Error(`Failed to delete replaced uploads: ${error.message}`);
+                }
+                return { upload, rowsInserted, ...result };
+            } catch (err) {
+                const rollbackError = await rollbackImport(mode, upload.id, originals);
+                if (rollbackError) {
+                    console.error(`Supabase importUpload rollback error (${mode}):`, rollbackError);
+                    throw new Error(`Upload failed and could not be fully undone: ${err.message}. Delete "${filename}" and try again.`);
+                }
+                throw new Error(`Upload failed, nothing was saved: ${err.message}`);
+            }
+        },
+
+        /**
+         * REPORT ROWS
+         */
+
+        async saveReportData(uploadId, rows, mode = 'ocean') {
+            // row_index keeps the file's row order
+            const records = rows.map((row, i) => ({
+                upload_id: uploadId,
+                warehouse,
+                row_index: i,
+                ...toRecord(row, mode),
+            }));
+
+            const { error } = await writeInBatches(getTableName(mode), records);
+
+            if (error) {
+                console.error(`Supabase saveReportData error (${mode}):`, error);
+                throw new Error(`Failed to save report data: ${error.message} (${error.details || ''})`);
+            }
+            return records.length;
+        },
+
+        async getReportData(uploadId, mode = 'ocean', filter = 'all') {
+            const { data, error } = await selectReportRows(uploadId, mode);
+
+            if (error) {
+                console.error(`Supabase getReportData error (${mode}):`, error);
+                throw new Error(`Failed to load report data: ${error.message}`);
+            }
+            return filterByFrl(data, filter, mode);
+        },
+
+        /**
+         * MASTER LIST
+         */
+
+        async updateMasterList(uploadId, rows, mode = 'ocean') {
+            return mergeIntoMasterList(uploadId, rows, mode);
+        },
+
+        async getMasterListData(filter = 'all', mode = 'ocean') {
+            return filterByFrl(await getActiveMasterList(mode), filter, mode);
+        },
+
+        async getMasterListMetrics(mode = 'ocean') {
+            const data = await getActiveMasterList(mode);
+            const withFrl = filterByFrl(data, 'with_frl', mode).length;
+            return { totalRows: data.length, withFrl, withoutFrl: data.length - withFrl };
+        },
+
+        async getMasterListNewItems(mode = 'ocean') {
+            return latestUploadItems(mode, (item, latestUploadId) => item.first_seen_upload_id === latestUploadId);
+        },
+
+        async getMasterListUpdatedItems(mode = 'ocean') {
+            return latestUploadItems(mode, (item, latestUploadId) =>
+                item.last_updated_upload_id === latestUploadId && item.last_update_reason
+            );
+        },
+
+        async getMasterListNewFrl(mode = 'ocean') {
+            return latestUploadItems(mode, (item, latestUploadId) => hasNewFrl(item, latestUploadId, mode));
+        },
+
+        async getMasterListRemovedItems(mode = 'ocean') {
+            const { data, error } = await fetchMasterList(mode);
+
+            if (error) {
+                console.error(`Supabase getMasterListRemovedItems error (${mode}):`, error);
+                throw new Error(`Failed to load removed items: ${error.message}`);
+            }
+            const removed = data.filter(item => item.status === 'removed');
+            return { count: removed.length, data: removed };
+        },
+
+        async archiveRemovedItems(days, mode = 'ocean') {
+            if (!days || days <= 0) return 0;
+
+            const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+            const { data, error } = await supabase
+                .from(getTableName(mode))
+                .update({ status: 'archived', archived_at: new Date().toISOString() })
+                .eq('warehouse', warehouse)
+                .eq('upload_id', masterUploadId)
+                .eq('status', 'removed')
+                .lt('removed_at', cutoff)
+                .select('id');
+
+            if (error) {
+                console.error(`Supabase archiveRemovedItems error (${mode}):`, error);
+                throw new Error(`Failed to archive removed items: ${error.message}`);
+            }
+            return data.length;
+        },
+
+        /**
+         * UPLOAD DIFFS - against the upload before
+         */
+
+        async detectNewItems(uploadId, mode = 'ocean') {
+            const keyField = getKeyField(mode);
+            const prevUploadId = await getPreviousUploadId(uploadId, mode);
+            const currentData = await adapter.getReportData(uploadId, mode);
+
+            // No previous upload - all rows are new
+            if (!prevUploadId) return currentData.length;
+
+            const prevKeys = getKeySet(await adapter.getReportData(prevUploadId, mode), keyField);
+            return [...getKeySet(currentData, keyField)].filter(key => !prevKeys.has(key)).length;
+        },
+
+        async detectRemovedItems(uploadId, mode = 'ocean') {
+            const keyField = getKeyField(mode);
+            const prevUploadId = await getPreviousUploadId(uploadId, mode);
+            if (!prevUploadId) return 0;
+
+            const currentKeys = getKeySet(await adapter.getReportData(uploadId, mode), keyField);
+            const prevKeys = getKeySet(await adapter.getReportData(prevUploadId, mode), keyField);
+            return [...prevKeys].filter(key => !currentKeys.has(key)).length;
+        },
+
+        async getNewItemsData(uploadId, mode = 'ocean') {
+            const keyField = getKeyField(mode);
+            const prevUploadId = await getPreviousUploadId(uploadId, mode);
+            const currentData = await adapter.getReportData(uploadId, mode);
+            if (!prevUploadId) return currentData;
+
+            const prevKeys = getKeySet(await adapter.getReportData(prevUploadId, mode), keyField);
+            return currentData.filter(r => r[keyField] && !prevKeys.has(r[keyField]));
+        },
+
+        async getRemovedItemsData(uploadId, mode = 'ocean') {
+            const keyField = getKeyField(mode);
+            const prevUploadId = await getPreviousUploadId(uploadId, mode);
+            if (!prevUploadId) return [];
+
+            const currentKeys = getKeySet(await adapter.getReportData(uploadId, mode), keyField);
+            const prevData = await adapter.getReportData(prevUploadId, mode);
+            return prevData.filter(r => r[keyField] && !currentKeys.has(r[keyField]));
+        },
+
+        /**
+         * ITEM HISTORY
+         */
+
+        async getItemHistory(itemKey, mode = 'ocean') {
+            const { data, error } = await supabase
+                .from('item_history')
+                .select('*')
+                .eq('warehouse', warehouse)
+                .eq('mode', mode)
+                .eq('item_key', itemKey)
+                .order('version', { ascending: true });
+
+            if (error) {
+                console.error(`Supabase getItemHistory error (${mode}):`, error);
+                throw new Error(`Failed to load item history: ${error.message}`);
+            }
+            return data;
+        },
+
+        /**
+         * DOCK TALLIES
+         */
+
+        async getTallies(groupKey = null, mode = 'ocean') {
+            let query = supabase
+                .from('dock_tallies')
+                .select('*')
+                .eq('warehouse', warehouse)
+                .eq('mode', mode);
+
+            if (groupKey) {
+                query = query.eq('group_key', groupKey);
+            }
+
+            const { data, error } = await query;
+
+            if (error) {
+                console.error(`Supabase getTallies error (${mode}):`, error);
+                throw new Error(`Failed to load tallies: ${error.message}`);
+            }
+            return data;
+        },
+
+        async saveTallies(records, mode = 'ocean') {
+            const { data, error } = await supabase
+                .from('dock_tallies')
+                .upsert(records.map(r => ({ ...r, warehouse, mode })), { onConflict: 'warehouse,mode,item_key' })
+                .select();
+
+            if (error) {
+                console.error(`Supabase saveTallies error (${mode}):`, error);
+                throw new Error(`Failed to save tallies: ${error.message}`);
+            }
+            return data;
+        },
+
+        // Added in the database (receive_pieces in supabase-schema.sql), so two scanners never overwrite each other
+        async receivePieces(itemKey, groupKey, mode = 'ocean', { arrival = 0, pieces = 1, time = null } = {}) {
+            const { data, error } = await supabase.rpc('receive_pieces', {
+                p_warehouse: warehouse,
+                p_mode: mode,
+                p_item_key: itemKey,
+                p_group_key: groupKey,
+                p_arrival: arrival,
+                p_pieces: pieces,
+                p_time: time,
+            });
+
+            if (error) {
+                console.error(`Supabase receivePieces error (${mode}):`, error);
+                throw new Error(`Failed to receive pieces: ${error.message}`);
+            }
+            return data;
+        },
+
+        /**
+         * SCAN EXCEPTIONS
+         */
+
+        async getScanExceptions(mode = 'ocean') {
+            const { data, error } = await supabase
+                .from('scan_exceptions')
+                .select('*')
+                .eq('warehouse', warehouse)
+                .eq('mode', mode)
+                .order('scanned_at', { ascending: false });
+
+            if (error) {
+                console.error(`Supabase getScanExceptions error (${mode}):`, error);
+                throw new Error(`Failed to load scan exceptions: ${error.message}`);
+            }
+            return data;
+        },
+
+        async logScanException(code, mode = 'ocean') {
+            const { data, error } = await supabase
+                .from('scan_exceptions')
+                .insert({ code, warehouse, mode })
+                .select()
+                .single();
+
+            if (error) {
+                console.error(`Supabase logScanException error (${mode}):`, error);
+                throw new Error(`Failed to log scan exception: ${error.message}`);
+            }
+            return data;
+        },
+
+        /**
+         * AUDIT LOG
+         * Written by the audit_changes triggers (007_audit_triggers.sql); the policies let users only read it,
+         * so appendAuditEntry needs the service role - database.js never calls it for Supabase
+         */
+
+        async appendAuditEntry(entry) {
+            const { data, error } = await supabase
+                .from('audit_log')
+                .insert({ ...entry, warehouse })
+                .select()
+                .single();
+
+            if (error) {
+                console.error(`Supabase appendAuditEntry error (${entry.action}):`, error);
+                throw new Error(`Failed to write audit log: ${error.message}`);
+            }
+            return data;
+        },
+
+        async getAuditLog({ mode, action, userEmail, from, to } = {}) {
+            const { data, error } = await selectAll(() => {
+                let query = supabase.from('audit_log').select('*').eq('warehouse', warehouse);
+                if (mode) query = query.eq('mode', mode);
+                if (action) query = query.eq('action', action);
+                if (userEmail) query = query.eq('user_email', userEmail);
+                if (from) query = query.gte('created_at', from);
+                if (to) query = query.lte('created_at', to);
+                return query
+                    .order('created_at', { ascending: false })
+                    .order('id', { ascending: true });
+            });
+
+            if (error) {
+                console.error('Supabase getAuditLog error:', error);
+                throw new Error(`Failed to load audit log: ${error.message}`);
+            }
+            return data;
+        },
+
+        async clearAllData(mode = 'ocean') {
+            // Delete all data for this mode in this warehouse - the warehouse's master upload stays,
+            // history goes with the uploads (ON DELETE CASCADE)
+            const deletes = [
+                () => supabase.from(getTableName(mode)).delete().eq('warehouse', warehouse),
+                () => supabase.from('uploads').delete().eq('warehouse', warehouse).eq('mode', mode).neq('upload_id', masterUploadId),
+                () => supabase.from('dock_tallies').delete().eq('warehouse', warehouse).eq('mode', mode),
+                () => supabase.from('scan_exceptions').delete().eq('warehouse', warehouse).eq('mode', mode),
+            ];
+            for (const runDelete of deletes) {
+                const { error } = await runDelete();
+                if (error) {
+                    console.error(`Supabase clearAllData error (${mode}):`, error);
+                    throw new Error(`Failed to clear data: ${error.message}`);
+                }
+            }
+        },
+    };
+
+    // Upload before the given one, or null for the first upload
+    async function getPreviousUploadId(uploadId, mode) {
+        const uploads = await listUploads(mode);
+        const currentIndex = uploads.findIndex(u => u.id === uploadId);
+        if (currentIndex === -1 || currentIndex >= uploads.length - 1) return null;
+        return uploads[currentIndex + 1].id;
+    }
+
+    // Master list items of the latest upload matching a condition
+    async function latestUploadItems(mode, matches) {
+        const uploads = await listUploads(mode);
+        if (uploads.length === 0) return { count: 0, data: [] };
+
+        const data = (await getActiveMasterList(mode)).filter(item => matches(item, uploads[0].id));
+        return { count: data.length, data };
+    }
+
+    return adapter;
+}
@@ -0,0 +1,74 @@
+/**
+ * Audit Log - Labels and CSV rows for the audit entries: appended by database.js on the browser database,
+ * by database triggers on Supabase (supabase-migrations/007_audit_triggers.sql)
+ * Entries: user_id, user_email, mode, action, upload_id, item_keys, before_value, after_value, created_at
+ */
+
+// Actions recorded, as the Audit Log view lists them
+export const AUDIT_ACTIONS = {
+    import_upload: 'Import upload',
+    update_master_list: 'Merge into master list',
+    delete_upload: 'Delete upload',
+    archive_removed: 'Archive removed items',
+    save_tallies: 'Save tallies',
+    receive_pieces: 'Receive pieces',
+    log_scan_exception: 'Log scan exception',
+    save_mapping_profile: 'Save mapping profile',
+    delete_mapping_profile: 'Delete mapping profile',
+    save_settings: 'Change settings',
+    clear_data: 'Clear data',
+    // Supabase triggers - one entry per statement
+    add_upload: 'Add upload',
+    change_upload: 'Change upload',
+    add_rows: 'Add manifest rows',
+    change_rows: 'Change manifest rows',
+    delete_rows: 'Delete manifest rows',
+    add_tally: 'Add tally',
+    change_tally: 'Change tally',
+    delete_tally: 'Delete tally',
+};
+
+export function getAuditActionLabel(action) {
+    return AUDIT_ACTIONS[action] || action;
+}
+
+/**
+ * Old and new values of changed items, by HB / HAWB
+ * @param {Array} items - Items carrying `changes` (see diffFields in masterListDiff.js)
+ * @returns {{before: Object, after: Object}} { [key]: { field: value } } each
+ */
+export function changedValues(items, keyField) {
+    const before = {};
+    const after = {};
+    for (const item of items) {
+        const key = item[keyField];
+        before[key] = {};
+        after[key] = {};
+        for (const change of item.changes || []) {
+            before[key][change.field] = change.old_value;
+            after[key][change.field] = change.new_value;
+        }
+    }
+    return { before, after };
+}
+
+// Before / after values as one line of JSON, blank when there are none
+export function formatAuditValue(value) {
+    return value == null ? '' : JSON.stringify(value);
+}
+
+/**
+ * Flatten audit entries into CSV rows
+ */
+export function toAuditExportRows(entries) {
+    return entries.map(entry => ({
+        'TIME': new Date(entry.created_at).toLocaleString(),
+        'USER': entry.user_email || '',
+        'MODE': entry.mode || '',
+        'ACTION': getAuditActionLabel(entry.action),
+        'UPLOAD': entry.upload_id || '',
+        'ITEMS': (entry.item_keys || []).join(' '),
+        'BEFORE': formatAuditValue(entry.before_value),
+        'AFTER': formatAuditValue(entry.after_value),
+    }));
+}
@@ -0,0 +1,138 @@
+/**
+ * Barcodes - Code 128 and QR encoding for the printed tally sheets
+ * Encoders return plain geometry so the HTML preview (SVG) and the vector PDF draw the same bars
+ */
+
+import QRCode from 'qrcode';
+
+// Code 128 symbol patterns: alternating bar/space widths in modules, indexed by symbol value
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+];
+
+const CODE_C = 99;
+const CODE_B = 100;
+const START_B = 104;
+const START_C = 105;
+const STOP = 106;
+
+// Blank modules on either side of the bars - scanners need them to find where the code starts and ends
+export const CODE128_QUIET_ZONE = 10;
+
+// Number of digits from position i on
+function digitRun(value, i) {
+    let end = i;
+    while (end < value.length && value[end] >= '0' && value[end] <= '9') end++;
+    return end - i;
+}
+
+/**
+ * Encode text as Code 128
+ * Runs of digits use code set C (two digits per symbol) where that is shorter - 4 or more at the start
+ * or end, 6 or more in between - everything else code set B. Characters outside printable ASCII are dropped.
+ * @returns {Array<number>} Bar/space widths in modules, starting with a bar
+ */
+export function encodeCode128(text) {
+    const value = String(text ?? '').replace(/[^\x20-\x7E]/g, '');
+    if (!value) return [];
+
+    const codes = [];
+    let set = null;
+    const switchTo = (next) => {
+        if (set === next) return;
+        if (set === null) codes.push(next === 'C' ? START_C : START_B);
+        else codes.push(next === 'C' ? CODE_C : CODE_B);
+        set = next;
+    };
+
+    let i = 0;
+    while (i < value.length) {
+        let run = digitRun(value, i);
+        const atEdge = i === 0 || i + run === value.length;
+        if (run >= (atEdge ? 4 : 6) || (run === value.length && run % 2 === 0)) {
+            // An odd run leaves its first digit in code set B
+            if (run % 2 === 1) {
+                switchTo('B');
+                codes.push(value.charCodeAt(i) - 32);
+                i++;
+                run--;
+            }
+            switchTo('C');
+            for (; run > 0; run -= 2, i += 2) codes.push(Number(value.slice(i, i + 2)));
+        } else {
+            switchTo('B');
+            codes.push(value.charCodeAt(i) - 32);
+            i++;
+        }
+    }
+
+    const checksum = codes.reduce((sum, code, i) => sum + code * Math.max(i, 1), 0) % 103;
+    codes.push(checksum, STOP);
+
+    return codes.flatMap(code => [...CODE128_PATTERNS[code]].map(Number));
+}
+
+/**
+ * Code 128 bars as {x, width} in modules, plus the total width - quiet zones included
+ */
+export function code128Bars(text) {
+    const widths = encodeCode128(text);
+    if (widths.length === 0) return { bars: [], modules: 0 };
+
+    const bars = [];
+    let x = CODE128_QUIET_ZONE;
+    widths.forEach((width, i) => {
+        if (i % 2 === 0) bars.push({ x, width });
+        x += width;
+    });
+    return { bars, modules: x + CODE128_QUIET_ZONE };
+}
+
+/**
+ * Code 128 as an inline SVG string, stretched to the given size (quiet zones included)
+ */
+export function code128Svg(text, { width = 140, height = 24 } = {}) {
+    const { bars, modules } = code128Bars(text);
+    if (modules === 0) return '';
+    const rects = bars.map(bar => `<rect x="${bar.x}" y="0" width="${bar.width}" height="1"/>`).join('');
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${modules} 1" preserveAspectRatio="none" shape-rendering="crispEdges">${rects}</svg>`;
+}
+
+/**
+ * QR code modules
+ * @returns {{size: number, isDark: (row: number, col: number) => boolean} | null}
+ */
+export function encodeQr(text) {
+    const value = String(text ?? '').trim();
+    if (!value) return null;
+    const { modules } = QRCode.create(value, { errorCorrectionLevel: 'M' });
+    return {
+        size: modules.size,
+        isDark: (row, col) => !!modules.get(row, col),
+    };
+}
+
+/**
+ * QR code as an inline SVG string
+ */
+export function qrSvg(text, { size = 56 } = {}) {
+    const qr = encodeQr(text);
+    if (!qr) return '';
+    let path = '';
+    for (let row = 0; row < qr.size; row++) {
+        for (let col = 0; col < qr.size; col++) {
+            if (qr.isDark(row, col)) path += `M${col} ${row}h1v1h-1z`;
+        }
+    }
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${qr.size} ${qr.size}" shape-rendering="crispEdges"><path d="${path}"/></svg>`;
+}
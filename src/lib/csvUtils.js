@@ -37,6 +37,123 @@ export function parseCSV(file) {
     });
 }
 
+/**
+ * Check whether a file should be read as an Excel workbook
+ * @param {string} filename - File name
+ * @returns {boolean}
+ */
+export function isExcelFile(filename) {
+    return /\.(xlsx|xls)$/i.test(filename || '');
+}
+
+/**
+ * Check whether a file can be uploaded (CSV or Excel)
+ * @param {string} filename - File name
+ * @returns {boolean}
+ */
+export function isSupportedFile(filename) {
+    return /\.csv$/i.test(filename || '') || isExcelFile(filename);
+}
+
+/**
+ * Read an Excel workbook (.xlsx / .xls)
+ * The xlsx library is loaded on demand to keep it out of the main bundle
+ * @param {File} file - The workbook file
+ * @returns {Promise<Object>} SheetJS workbook (use workbook.SheetNames for the sheet picker)
+ */
+export async function readWorkbook(file) {
+    const XLSX = await import('xlsx');
+    const buffer = await file.arrayBuffer();
+    // cellNF keeps each cell's number format so date serials can be detected
+    return XLSX.read(buffer, { type: 'array', cellNF: true });
+}
+
+/**
+ * Parse one sheet of a workbook into the same shape as parseCSV
+ * The first non-empty row is used as the header row; meta.rowNumbers has the sheet row of each data row
+ * @param {Object} workbook - Workbook from readWorkbook
+ * @param {string} sheetName - Sheet to parse
+ * @returns {Promise<{data: Array, errors: Array, meta: Object}>}
+ */
+export async function parseExcelSheet(workbook, sheetName) {
+    const XLSX = await import('xlsx');
+    const sheet = workbook.Sheets[sheetName];
+
+    if (!sheet || !sheet['!ref']) {
+        return { data: [], errors: [], meta: { fields: [] } };
+    }
+
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const readRow = (r) => {
+        const values = [];
+        for (let c = range.s.c; c <= range.e.c; c++) {
+            const cell = sheet[XLSX.utils.encode_cell({ r, c })];
+            values.push(excelCellToString(cell, XLSX.SSF));
+        }
+        return values;
+    };
+
+    let headerRow = range.s.r;
+    let headers = [];
+    for (; headerRow <= range.e.r; headerRow++) {
+        headers = readRow(headerRow);
+        if (headers.some(h => h !== '')) break;
+    }
+
+    // Drop trailing unnamed columns and label any gaps like PapaParse would
+    while (headers.length > 0 && headers[headers.length - 1] === '') {
+        headers.pop();
+    }
+    const fields = headers.map((h, i) => h || `_${i + 1}`);
+
+    const data = [];
+    const rowNumbers = [];
+    for (let r = headerRow + 1; r <= range.e.r; r++) {
+        const values = readRow(r);
+        if (values.every(v => v === '')) continue;
+
+        const row = {};
+        fields.forEach((field, i) => {
+            row[field] = values[i] ?? '';
+        });
+        data.push(row);
+        rowNumbers.push(r + 1);
+    }
+
+    return { data, errors: [], meta: { fields, sheetName, rowNumbers } };
+}
+
+/**
+ * Convert an Excel cell to the text a CSV export would contain.
+ * Date serials become MM/DD/YYYY and whole numbers keep every digit
+ * instead of falling back to scientific notation (e.g. long HB/HAWB numbers).
+ * Other numbers are shown as formatted in the sheet (e.g. 12.50, not 12.5).
+ */
+function excelCellToString(cell, SSF) {
+    if (!cell || cell.v === undefined || cell.v === null) return '';
+
+    if (cell.t === 'n') {
+        if (cell.z && SSF.is_date(cell.z)) {
+            const date = SSF.parse_date_code(cell.v);
+            if (date) {
+                const pad = (n) => String(n).padStart(2, '0');
+                const datePart = `${pad(date.m)}/${pad(date.d)}/${date.y}`;
+                const hasTime = date.H || date.M || date.S;
+                return hasTime ? `${datePart} ${pad(date.H)}:${pad(date.M)}` : datePart;
+            }
+        }
+        if (Number.isInteger(cell.v)) {
+            return BigInt(cell.v).toString();
+        }
+        return cell.w ?? String(cell.v);
+    }
+
+    if (cell.t === 'b') return cell.v ? 'TRUE' : 'FALSE';
+    if (cell.t === 'e') return '';
+
+    return String(cell.v);
+}
+
 /**
  * Validate CSV has all required columns
  * @param {Array} headers - Column headers from CSV
@@ -62,6 +179,180 @@ export function validateColumns(headers, mode = 'ocean') {
     };
 }
 
+/**
+ * Known alternate spellings for required headers, keyed by the required column.
+ * Compared after normalizeHeader(), so case and punctuation don't matter.
+ */
+export const COLUMN_ALIASES = {
+    'CONTAINER': ['CNTR', 'CONTAINER NO', 'CONTAINER NUMBER', 'CONTAINER #'],
+    'SEAL #': ['SEAL', 'SEAL NO', 'SEAL NUMBER'],
+    'CARRIER': ['SSL', 'STEAMSHIP LINE', 'LINE'],
+    'MBL': ['MASTER BL', 'MASTER B/L', 'MBOL', 'MASTER BILL'],
+    'MI': ['MANIFEST IND', 'MANIFEST INDICATOR'],
+    'VESSEL': ['VESSEL NAME', 'VSL'],
+    'HB': ['HBL', 'HOUSE BL', 'HOUSE B/L', 'HOUSE BILL', 'HBOL'],
+    'OUTER QUANTITY': ['OUTER QTY', 'OUTER', 'OUTER PCS'],
+    'PCS': ['PIECES', 'PIECE COUNT', 'PKGS'],
+    'WT_LBS': ['WEIGHT', 'WEIGHT LBS', 'WT', 'LBS', 'GROSS WEIGHT'],
+    'CNEE': ['CONSIGNEE', 'CONSIGNEE NAME'],
+    'FRL': ['FRL DATE', 'FREIGHT RELEASE', 'FREIGHT RELEASED'],
+    'FILE_NO': ['FILE', 'FILE NUMBER', 'FILE #', 'REF', 'REFERENCE'],
+    'DEST': ['DESTINATION', 'FINAL DEST', 'PLACE OF DELIVERY'],
+    'VOLUME': ['CBM', 'VOL', 'MEASUREMENT'],
+    'VBOND#': ['VBOND', 'V BOND', 'IT NUMBER', 'IT #', 'BOND #'],
+    'TDF': ['TDF DATE'],
+    // Air
+    'MAWB': ['MASTER AWB', 'MASTER AIRWAYBILL'],
+    'HAWB': ['HOUSE AWB', 'HOUSE AIRWAYBILL'],
+    'Consignee': ['CNEE', 'CONSIGNEE NAME'],
+    'Carrier': ['AIRLINE', 'AIR CARRIER'],
+    'FLIGHT NUMBER': ['FLIGHT', 'FLIGHT NO', 'FLIGHT #', 'FLT', 'FLT NO'],
+    'FREIGHT LOCATION': ['LOCATION', 'FRT LOCATION', 'CFS LOCATION'],
+    'ORIGIN': ['ORIG', 'AIRPORT OF ORIGIN'],
+    'DESTINATION': ['DEST', 'AIRPORT OF DESTINATION'],
+    'File Number': ['FILE', 'FILE NO', 'FILE #', 'REF'],
+    'QTY': ['QUANTITY', 'PCS', 'PIECES'],
+    'Shipment Type': ['TYPE', 'SHPT TYPE'],
+    'SLAC': ['SLAC QTY', 'SHIPPER LOAD AND COUNT'],
+    'WEIGHT': ['WT', 'GROSS WEIGHT', 'WEIGHT KG'],
+    'ETA': ['ETA DATE', 'ARRIVAL DATE'],
+    'ETA TIME': ['ARRIVAL TIME'],
+    'LOG': ['LOGGED', 'LOG DATE'],
+    'Flt Date': ['FLIGHT DATE', 'FLT DT'],
+};
+
+/**
+ * Normalize a header for comparison: upper case, '#' read as 'NO',
+ * everything that isn't a letter or digit dropped
+ * @param {string} header - Raw header
+ * @returns {string} Normalized header
+ */
+export function normalizeHeader(header) {
+    return String(header || '')
+        .toUpperCase()
+        .replace(/#/g, 'NO')
+        .replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Similarity between two strings from 0 (different) to 1 (identical),
+ * based on Levenshtein distance
+ */
+function similarity(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+        }
+        prev = curr;
+    }
+
+    return 1 - prev[b.length] / Math.max(a.length, b.length);
+}
+
+const FUZZY_MATCH_THRESHOLD = 0.8;
+
+/**
+ * Suggest which required column each detected header should be imported as.
+ * Exact matches win, then aliases, then the closest fuzzy match above the threshold.
+ * Each required column is assigned to at most one header.
+ * @param {Array} headers - Column headers from the file
+ * @param {string} mode - 'ocean' or 'air'
+ * @returns {Object} Map of file header -> required column (null = ignore)
+ */
+export function suggestColumnMapping(headers, mode = 'ocean') {
+    const requiredCols = mode === 'air' ? AIR_REQUIRED_COLUMNS : REQUIRED_COLUMNS;
+    const mapping = {};
+    const taken = new Set();
+
+    const assign = (header, target) => {
+        mapping[header] = target;
+        taken.add(target);
+    };
+
+    for (const header of headers) {
+        mapping[header] = null;
+    }
+
+    // Pass 1: exact header names
+    for (const header of headers) {
+        if (requiredCols.includes(header) && !taken.has(header)) {
+            assign(header, header);
+        }
+    }
+
+    // Pass 2: normalized names and aliases
+    for (const header of headers) {
+        if (mapping[header]) continue;
+        const normalized = normalizeHeader(header);
+        const target = requiredCols.find(col =>
+            !taken.has(col) && (
+                normalizeHeader(col) === normalized ||
+                (COLUMN_ALIASES[col] || []).some(alias => normalizeHeader(alias) === normalized)
+            )
+        );
+        if (target) assign(header, target);
+    }
+
+    // Pass 3: fuzzy match against names and aliases
+    for (const header of headers) {
+        if (mapping[header]) continue;
+        const normalized = normalizeHeader(header);
+        let best = null;
+        let bestScore = FUZZY_MATCH_THRESHOLD;
+
+        for (const col of requiredCols) {
+            if (taken.has(col)) continue;
+            for (const candidate of [col, ...(COLUMN_ALIASES[col] || [])]) {
+                const score = similarity(normalized, normalizeHeader(candidate));
+                if (score >= bestScore) {
+                    best = col;
+                    bestScore = score;
+                }
+            }
+        }
+
+        if (best) assign(header, best);
+    }
+
+    return mapping;
+}
+
+/**
+ * Required columns not covered by a mapping
+ * @param {Object} mapping - Map of file header -> required column
+ * @param {string} mode - 'ocean' or 'air'
+ * @returns {Array} Missing required columns
+ */
+export function getUnmappedColumns(mapping, mode = 'ocean') {
+    const requiredCols = mode === 'air' ? AIR_REQUIRED_COLUMNS : REQUIRED_COLUMNS;
+    const mapped = new Set(Object.values(mapping).filter(Boolean));
+    return requiredCols.filter(col => !mapped.has(col));
+}
+
+/**
+ * Rename row keys according to a column mapping; ignored columns are dropped
+ * @param {Array} data - Raw CSV data rows
+ * @param {Object} mapping - Map of file header -> required column (null = ignore)
+ * @returns {Array} Rows keyed by required column names
+ */
+export function applyColumnMapping(data, mapping) {
+    const entries = Object.entries(mapping).filter(([, target]) => target);
+
+    return data.map(row => {
+        const mapped = {};
+        for (const [header, target] of entries) {
+            mapped[target] = row[header];
+        }
+        return mapped;
+    });
+}
+
 /**
  * Clean and normalize CSV data for Ocean
  * @param {Array} data - Raw CSV data rows
@@ -110,7 +401,7 @@ export function cleanData(data) {
  * @param {any} value - HB value
  * @returns {string} Normalized HB value
  */
-function normalizeHB(value) {
+export function normalizeHB(value) {
     if (value === null || value === undefined || value === '') {
         return '';
     }
@@ -133,6 +424,16 @@ function normalizeHB(value) {
     return strValue;
 }
 
+/**
+ * Records as export rows keyed by column label, with only the given columns
+ * Records carry internal fields too (status, last_changes, ...) that shouldn't end up in a CSV
+ * @param {Array} rows - Records
+ * @param {Array<{key: string, label: string}>} columns - e.g. DISPLAY_COLUMNS plus LAST SEEN
+ */
+export function toDisplayRows(rows, columns) {
+    return rows.map(row => Object.fromEntries(columns.map(col => [col.label, row[col.key] ?? ''])));
+}
+
 /**
  * Export data to CSV and trigger download
  * @param {Array} data - Data to export
@@ -245,6 +546,57 @@ export const AIR_DISPLAY_COLUMNS = [
     { key: 'flt_date', label: 'FLT DATE' },
 ];
 
+/**
+ * Map a cleaned CSV row to a stored record - every mapped column, blanks as null
+ * Shared by both database backends so they store the same fields
+ * @param {Object} row - Row keyed by CSV header
+ * @param {string} mode - 'ocean' or 'air'
+ * @returns {Object} Record keyed by database column
+ */
+export function toRecord(row, mode = 'ocean') {
+    const mapping = mode === 'air' ? AIR_COLUMN_MAPPING : COLUMN_MAPPING;
+    const keyField = mode === 'air' ? 'hawb' : 'hb';
+    const record = {};
+    for (const [header, column] of Object.entries(mapping)) {
+        record[column] = column === keyField ? normalizeHB(row[header]) : row[header] || null;
+    }
+    return record;
+}
+
+/**
+ * Apply the Dashboard FRL filter - FRL for Ocean, LOG for Air
+ * @param {Array} rows - Records
+ * @param {string} filter - 'all', 'with_frl' or 'without_frl'
+ */
+export function filterByFrl(rows, filter = 'all', mode = 'ocean') {
+    const field = mode === 'air' ? 'log' : 'frl';
+    if (filter === 'with_frl') {
+        return rows.filter(r => r[field] && r[field].trim() !== '');
+    }
+    if (filter === 'without_frl') {
+        return rows.filter(r => !r[field] || r[field].trim() === '');
+    }
+    return rows;
+}
+
+/**
+ * Apply the Dashboard search - case-insensitive, in one field or any of the shown columns
+ * @param {Array} rows - Records
+ * @param {string} text - Search text; blank matches every row
+ * @param {string} field - Field to search, or 'all'
+ * @param {Array<{key: string}>} columns - Columns 'all' searches, so internal fields never match
+ */
+export function filterBySearch(rows, text, field = 'all', columns = DISPLAY_COLUMNS) {
+    if (!text.trim()) return rows;
+
+    const searchLower = text.toLowerCase();
+    const matches = (value) => value && String(value).toLowerCase().includes(searchLower);
+
+    return rows.filter(row => (
+        field === 'all' ? columns.some(col => matches(row[col.key])) : matches(row[field])
+    ));
+}
+
 /**
  * Clean and normalize Air CSV data
  * @param {Array} data - Raw CSV data rows
@@ -1,666 +1,543 @@
 /**
- * Database Layer - Supabase with localStorage fallback
- * Automatically uses Supabase if configured, otherwise falls back to localStorage
+ * Database Layer - Delegates to the storage adapter selected at startup
+ * Supabase if configured, otherwise the browser database (IndexedDB, or localStorage where unavailable).
+ * Set VITE_STORAGE_ADAPTER to force one (see adapters/index.js for the types).
+ * Every adapter stores the same columns and returns the same record shapes (see adapters/conformance.js)
+ * On the browser database every change made through this module is also appended to the audit log (see auditLog.js);
+ * Supabase writes its own with triggers (supabase-migrations/007_audit_triggers.sql)
+ * Data is kept per warehouse; the functions work on the current one (setWarehouse)
  */
 
 import { supabase, isSupabaseEnabled } from './supabaseClient.js';
-import * as localDB from './localDatabase.js';
+import { createStorageAdapter } from './adapters/index.js';
+import { compareRowSets } from './masterListDiff.js';
+import { findDiscrepancies, getReceivedPieces } from './osdReport.js';
+import { currentTime } from './receiving.js';
+import { findDuplicateUploads as matchUploads, keyOverlap, keyOverlapCandidates, uploadKeys } from './uploadFingerprint.js';
+import { toRecord } from './csvUtils.js';
+import { changedValues } from './auditLog.js';
+import { DEFAULT_WAREHOUSE } from './warehouses.js';
 
-// Helper to generate unique IDs
-function generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+function selectAdapterType() {
+    const configured = import.meta.env.VITE_STORAGE_ADAPTER;
+    if (configured) return configured;
+    return isSupabaseEnabled() ? 'supabase' : 'indexeddb';
 }
 
-/**
- * UPLOADS OPERATIONS
- */
+const adapterType = selectAdapterType();
 
-export async function saveUpload(filename, rowCount, mode = 'ocean') {
-    if (isSupabaseEnabled()) {
-        const uploadId = generateId();
-        const { data, error } = await supabase
-            .from('uploads')
-            .insert({
-                upload_id: uploadId,
-                mode,
-                filename,
-                row_count: rowCount,
-            })
-            .select()
-            .single();
-
-        if (error) {
-            console.error('Supabase saveUpload error:', error);
-            throw error;
-        }
-        // Ensure id is set to upload_id (TEXT) not the UUID id from data
-        return { ...data, id: data.upload_id };
-    }
+// Supabase records changes to uploads, manifest rows and tallies in the database, where they can't be skipped
+const recordsAudit = adapterType !== 'supabase';
+
+// One adapter per warehouse, created the first time the warehouse is opened
+const adapters = new Map();
 
-    // Fallback to localStorage
-    if (mode === 'air') {
-        return localDB.saveAirUpload(filename, rowCount);
+function adapterFor(warehouse) {
+    if (!adapters.has(warehouse)) {
+        adapters.set(warehouse, createStorageAdapter(adapterType, { client: supabase, warehouse }));
     }
-    return localDB.saveUpload(filename, rowCount);
+    return adapters.get(warehouse);
 }
 
-export async function getAllUploads(mode = 'ocean') {
-    if (isSupabaseEnabled()) {
-        const { data, error } = await supabase
-            .from('uploads')
-            .select('*')
-            .eq('mode', mode)
-            .neq('upload_id', 'master')
-            .order('upload_date', { ascending: false });
-
-        if (error) {
-            console.error('Supabase getAllUploads error:', error);
-            return [];
-        }
-        console.log('[DEBUG] getAllUploads raw data:', data);
-        // Ensure id is set to upload_id (TEXT)
-        const mapped = data.map(u => ({ ...u, id: u.upload_id }));
-        console.log('[DEBUG] getAllUploads mapped:', mapped);
-
-        // Debug: Check total rows in ocean_data table
-        const tableName = mode === 'air' ? 'air_data' : 'ocean_data';
-        const { data: allRows, count } = await supabase
-            .from(tableName)
-            .select('*', { count: 'exact', head: false })
-            .limit(5);
-        console.log(`[DEBUG] Total rows in ${tableName} table:`, allRows?.length, 'Sample:', allRows);
-
-        return mapped;
-    }
+// Warehouse the functions below read and write
+// Each function resolves its adapter once, so a warehouse switch mid-call can't split its reads, writes and audit entry
+let currentWarehouse = DEFAULT_WAREHOUSE;
 
-    // Fallback to localStorage
-    if (mode === 'air') {
-        return localDB.getAllAirUploads();
-    }
-    return localDB.getAllUploads();
+function currentAdapter() {
+    return adapterFor(currentWarehouse);
 }
 
-export async function deleteUpload(uploadId, mode = 'ocean') {
-    if (isSupabaseEnabled()) {
-        const { error } = await supabase
-            .from('uploads')
-            .delete()
-            .eq('upload_id', uploadId);
-
-        if (error) {
-            console.error('Supabase deleteUpload error:', error);
-            throw error;
-        }
-        return;
-    }
+// Mapping profiles and settings always stay in the browser, shared by every warehouse
+const browserAdapter = adapterType === 'supabase' ? createStorageAdapter('indexeddb') : adapterFor(DEFAULT_WAREHOUSE);
 
-    // Fallback to localStorage
-    if (mode === 'air') {
-        return localDB.deleteAirUpload(uploadId);
-    }
-    return localDB.deleteUpload(uploadId);
+function getKeyField(mode) {
+    return mode === 'air' ? 'hawb' : 'hb';
+}
+
+// Values a record had for the fields a change sets, so the audit log can show before and after
+function pickFields(record, fields) {
+    return Object.fromEntries(Object.keys(fields).map(field => [field, record?.[field] ?? null]));
 }
 
 /**
- * REPORT DATA OPERATIONS (Ocean)
+ * WAREHOUSES
  */
 
-export async function saveReportData(uploadId, data, mode = 'ocean') {
-    if (isSupabaseEnabled()) {
-        const tableName = mode === 'air' ? 'air_data' : 'ocean_data';
-
-        // Map CSV columns to database columns
-        const records = data.map(row => {
-            if (mode === 'air') {
-                // Air cargo column mapping
-                return {
-                    upload_id: uploadId,
-                    mawb: row['MAWB'] || row['mawb'] || '',
-                    hawb: row['HAWB'] || row['hawb'] || '',
-                    flight_number: row['FLIGHT_NUMBER'] || row['FLIGHT NUMBER'] || row['flight_number'] || '',
-                    destination: row['DESTINATION'] || row['DEST'] || row['destination'] || '',
-                    slac: row['SLAC'] || row['slac'] || '',
-                    qty: row['QTY'] || row['qty'] || '',
-                    cfs_location: row['CFS_LOCATION'] || row['CFS LOCATION'] || row['cfs_location'] || '',
-                    log: row['LOG'] || row['log'] || '',
-                    status: 'active',
-                };
-            } else {
-                // Ocean cargo column mapping
-                return {
-                    upload_id: uploadId,
-                    mbl: row['MBL'] || row['mbl'] || '',
-                    hb: row['HB'] || row['hb'] || '',
-                    container: row['CONTAINER'] || row['container'] || '',
-                    dest: row['DEST'] || row['dest'] || '',
-                    outer_quantity: row['OUTER QUANTITY'] || row['OUTER_QUANTITY'] || row['outer_quantity'] || '',
-                    pcs: row['PCS'] || row['pcs'] || '',
-                    frl_date: row['FRL'] || row['frl'] || row['frl_date'] || '',
-                    tdf_date: row['TDF'] || row['tdf'] || row['tdf_date'] || '',
-                    vbond_date: row['VBOND#'] || row['VBOND'] || row['vbond_date'] || '',
-                    status: 'active',
-                };
-            }
-        });
-
-        console.log('[DEBUG] saveReportData records sample:', records.slice(0, 2));
-
-        // Batch insert in chunks if needed, but for now single batch
-        const { error } = await supabase
-            .from(tableName)
-            .insert(records);
-
-        if (error) {
-            console.error(`Supabase saveReportData error (${mode}):`, error);
-            throw new Error(`Failed to save report data: ${error.message} (${error.details || ''})`);
-        }
-        console.log(`[DEBUG] Successfully inserted ${records.length} rows into ${tableName}`);
-        return records.length;
-    }
-
-    // Fallback to localStorage
-    if (mode === 'air') {
-        return localDB.saveAirReportData(uploadId, data);
-    }
-    return localDB.saveReportData(uploadId, data);
+// Called by App when a warehouse is opened, before its Dashboard loads anything
+export function setWarehouse(warehouse) {
+    currentWarehouse = warehouse;
 }
 
-export async function getReportData(uploadId, mode = 'ocean') {
-    if (isSupabaseEnabled()) {
-        const tableName = mode === 'air' ? 'air_data' : 'ocean_data';
-
-        console.log(`[DEBUG] getReportData called with uploadId: ${uploadId}, mode: ${mode}, table: ${tableName}`);
-
-        // First, try to get data without status filter to debug
-        const { data: allData, error: debugError } = await supabase
-            .from(tableName)
-            .select('*')
-            .eq('upload_id', uploadId);
-
-        console.log(`[DEBUG] Query without status filter returned ${allData?.length || 0} rows`, allData?.slice(0, 2));
-
-        const { data, error } = await supabase
-            .from(tableName)
-            .select('*')
-            .eq('upload_id', uploadId)
-            .eq('status', 'active');
-
-        console.log(`[DEBUG] Query with status='active' returned ${data?.length || 0} rows`);
-
-        if (error) {
-            console.error(`Supabase getReportData error (${mode}):`, error);
-            return [];
-        }
-        return data;
-    }
-
-    // Fallback to localStorage
-    if (mode === 'air') {
-        return localDB.getAirReportData(uploadId);
-    }
-    return localDB.getReportData(uploadId);
+export function getWarehouse() {
+    return currentWarehouse;
 }
 
-export async function getAllReportData(mode = 'ocean') {
-    if (isSupabaseEnabled()) {
-        const tableName = mode === 'air' ? 'air_data' : 'ocean_data';
-
-        const { data, error } = await supabase
-            .from(tableName)
-            .select('*')
-            .eq('status', 'active')
-            .order('created_at', { ascending: false });
-
-        if (error) {
-            console.error(`Supabase getAllReportData error (${mode}):`, error);
-            return [];
-        }
-        return data;
-    }
-
-    // Fallback to localStorage
-    if (mode === 'air') {
-        return localDB.getAllAirReportData();
-    }
-    return localDB.getAllReportData();
+/**
+ * Master list items of several warehouses, for the admins' cross-warehouse search
+ * @param {Array<string>} warehouses - Warehouse ids
+ * @returns {Promise<Array>} Items, each with the `warehouse` it is in
+ */
+export async function getWarehousesMasterListData(warehouses, mode = 'ocean') {
+    const lists = await Promise.all(warehouses.map(async (warehouse) => {
+        const items = await adapterFor(warehouse).getMasterListData('all', mode);
+        return items.map(item => ({ ...item, warehouse }));
+    }));
+    return lists.flat();
 }
 
-export async function deleteReportData(uploadId, mode = 'ocean') {
-    if (isSupabaseEnabled()) {
-        const tableName = mode === 'air' ? 'air_data' : 'ocean_data';
-
-        const { error } = await supabase
-            .from(tableName)
-            .delete()
-            .eq('upload_id', uploadId);
-
-        if (error) {
-            console.error(`Supabase deleteReportData error (${mode}):`, error);
-            throw error;
-        }
-        return;
-    }
+/**
+ * AUDIT LOG
+ * Entries go to the selected adapter; on Supabase the database triggers write them instead,
+ * so everyone's changes land in one log
+ */
 
-    // Fallback to localStorage
-    if (mode === 'air') {
-        return localDB.deleteAirReportData(uploadId);
+// Signed-in user the next entries are recorded for
+let auditUser = null;
+
+// Called by App whenever the signed-in user changes (null when signed out)
+export function setAuditUser(user) {
+    auditUser = user ? { id: user.id, email: user.email } : null;
+}
+
+// Append an entry to the log of the adapter that made the change - a failed write is logged but doesn't undo the change
+async function recordAudit(adapter, action, mode, { uploadId = null, itemKeys = [], before = null, after = null } = {}) {
+    if (!recordsAudit) return;
+    try {
+        await adapter.appendAuditEntry({
+            user_id: auditUser?.id ?? null,
+            user_email: auditUser?.email ?? null,
+            mode,
+            action,
+            upload_id: uploadId,
+            item_keys: itemKeys,
+            before_value: before,
+            after_value: after,
+        });
+    } catch (err) {
+        console.error(`Audit log error (${action}):`, err);
     }
-    return localDB.deleteReportData(uploadId);
 }
 
 /**
- * MASTER LIST OPERATIONS
+ * Audit entries, newest first
+ * @param {Object} filters - { mode, action, userEmail, from, to } - all optional, from / to ISO timestamps
  */
-
-
-export async function saveMasterList(data, mode = 'ocean') {
-    if (isSupabaseEnabled()) {
-        const tableName = mode === 'air' ? 'air_data' : 'ocean_data';
-
-        // Ensure 'master' upload entry exists to satisfy foreign key constraint
-        // Use upsert to handle creation or update idempotently
-        const { error: uploadError } = await supabase
-            .from('uploads')
-            .upsert({
-                upload_id: 'master',
-                mode: mode,
-                filename: 'MASTER_LIST_SNAPSHOT',
-                row_count: 0
-            }, { onConflict: 'upload_id' });
-
-        if (uploadError) {
-            console.error('Supabase create/update master upload error:', uploadError);
-            throw new Error(`Failed to initialize Master List record: ${uploadError.message}`);
-        }
-
-        // Legacy variable to bypass the old block if it wasn't deleted
-        const masterUpload = true;
-
-        if (!masterUpload) {
-            const { error: uploadError } = await supabase.from('uploads').insert({
-                upload_id: 'master',
-                mode: mode,
-                filename: 'MASTER_LIST_SNAPSHOT',
-                row_count: 0
-            });
-
-            if (uploadError) {
-                console.error('Supabase create master upload error:', uploadError);
-                // We continue, but it might fail the next step if FK is strict
-            }
-        }
-
-        // Mark all existing as inactive first
-        await supabase
-            .from(tableName)
-            .update({ status: 'inactive' })
-            .eq('status', 'active');
-
-        // Insert new master list
-        const records = data.map(row => ({
-            upload_id: 'master',
-            ...row,
-            status: 'active',
-        }));
-
-        // Batch insert in chunks to avoid payload size limits if necessary, 
-        // but for now simple insert.
-        const { error } = await supabase
-            .from(tableName)
-            .insert(records);
-
-        if (error) {
-            console.error(`Supabase saveMasterList error (${mode}):`, error);
-            throw error;
-        }
-
-        // Return metrics (mocked as all new for now, since we replace the list)
-        return { itemsAdded: records.length, itemsUpdated: 0 };
-    }
-
-    // Fallback to localStorage
-    if (mode === 'air') {
-        return localDB.saveAirMasterList(data);
-    }
-    return localDB.saveMasterList(data);
+export async function getAuditLog(filters = {}) {
+    return currentAdapter().getAuditLog(filters);
 }
 
-export async function getMasterList(mode = 'ocean') {
-    if (isSupabaseEnabled()) {
-        const tableName = mode === 'air' ? 'air_data' : 'ocean_data';
-
-        const { data, error } = await supabase
-            .from(tableName)
-            .select('*')
-            .eq('upload_id', 'master')
-            .eq('status', 'active');
-
-        if (error) {
-            console.error(`Supabase getMasterList error (${mode}):`, error);
-            return [];
-        }
-        return data;
-    }
+/**
+ * UPLOADS OPERATIONS
+ */
 
-    // Fallback to localStorage
-    if (mode === 'air') {
-        return localDB.getAirMasterList();
-    }
-    return localDB.getMasterList();
+// Recorded with the merge that follows (update_master_list)
+export async function saveUpload(filename, rowCount, mode = 'ocean') {
+    return currentAdapter().saveUpload(filename, rowCount, mode);
 }
 
-export async function updateMasterList(uploadId, data, mode = 'ocean') {
-    // If called with (data, mode) signature (legacy/overload)
-    if (Array.isArray(uploadId)) {
-        return saveMasterList(uploadId, data || 'ocean');
-    }
-    // Called with (uploadId, data, mode)
-    return saveMasterList(data, mode);
+export async function getAllUploads(mode = 'ocean') {
+    return currentAdapter().getAllUploads(mode);
 }
 
-export async function clearMasterList(mode = 'ocean') {
-    if (isSupabaseEnabled()) {
-        const tableName = mode === 'air' ? 'air_data' : 'ocean_data';
-
-        const { error } = await supabase
-            .from(tableName)
-            .delete()
-            .eq('upload_id', 'master');
-
-        if (error) {
-            console.error(`Supabase clearMasterList error (${mode}):`, error);
-            throw error;
-        }
-        return;
-    }
-
-    // Fallback to localStorage
-    if (mode === 'air') {
-        return localDB.clearAirMasterList();
-    }
-    return localDB.clearMasterList();
+// Also rewinds the master list to what the remaining uploads make it
+export async function deleteUpload(uploadId, mode = 'ocean') {
+    const adapter = currentAdapter();
+    if (!recordsAudit) return adapter.deleteUpload(uploadId, mode);
+    const [uploads, preview] = await Promise.all([
+        adapter.getAllUploads(mode),
+        adapter.previewDeleteUpload(uploadId, mode),
+    ]);
+    const upload = uploads.find(u => u.id === uploadId);
+
+    const deleted = await adapter.deleteUpload(uploadId, mode);
+    const keyField = getKeyField(mode);
+    await recordAudit(adapter, 'delete_upload', mode, {
+        uploadId,
+        itemKeys: [...preview.removed, ...preview.reverted].map(item => item[keyField]),
+        before: upload ? { filename: upload.filename, row_count: upload.row_count, upload_date: upload.upload_date } : null,
+        after: { items_removed: preview.removed.length, items_reverted: preview.reverted.length },
+    });
+    return deleted;
 }
 
 /**
- * UTILITY FUNCTIONS
+ * Master list items deleting an upload would remove or revert
+ * @returns {Promise<{removed: Array, reverted: Array}>}
  */
+export async function previewDeleteUpload(uploadId, mode = 'ocean') {
+    return currentAdapter().previewDeleteUpload(uploadId, mode);
+}
 
-export async function clearAllData(mode = 'ocean') {
-    if (isSupabaseEnabled()) {
-        const tableName = mode === 'air' ? 'air_data' : 'ocean_data';
-
-        // Delete all data for this mode
-        await supabase.from(tableName).delete().neq('id', '00000000-0000-0000-0000-000000000000');
-        await supabase.from('uploads').delete().eq('mode', mode);
-        return;
-    }
-
-    // Fallback to localStorage
-    if (mode === 'air') {
-        return localDB.clearAllAirData();
+/**
+ * Earlier uploads of this mode with the same file, the same rows or mostly the same HB / MBL pairs
+ * @param {Object} fingerprint - { fileHash, rowHash } from fingerprintUpload
+ * @param {Array} rows - The cleaned rows of the new file, for the key overlap
+ * @returns {Promise<Array<{upload, match: 'file'|'rows'|'keys', overlap?: number}>>} See uploadFingerprint.js
+ */
+export async function findDuplicateUploads(fingerprint, mode = 'ocean', rows = []) {
+    const adapter = currentAdapter();
+    const uploads = await adapter.getAllUploads(mode);
+    const keys = uploadKeys(rows.map(row => toRecord(row, mode)), mode);
+
+    const overlaps = new Map();
+    for (const upload of keys.size > 0 ? keyOverlapCandidates(uploads, fingerprint, keys.size) : []) {
+        overlaps.set(upload.id, keyOverlap(keys, uploadKeys(await adapter.getReportData(upload.id, mode), mode)));
     }
-    return localDB.clearAllData();
+    return matchUploads(uploads, fingerprint, overlaps);
 }
 
-// Check if database is available
-export function isDatabaseAvailable() {
-    return isSupabaseEnabled();
+/**
+ * What importing rows would do to the master list, without saving anything
+ * @param {Object} options - { replacing: ids of uploads the import replaces }
+ * @returns {Promise<{result, added, changed, restored, missing, removed}>} See previewMasterListMerge
+ */
+export async function previewImport(rows, mode = 'ocean', options = {}) {
+    return currentAdapter().previewImport(rows, mode, options);
 }
 
-// Get database type
-export function getDatabaseType() {
-    return isSupabaseEnabled() ? 'supabase' : 'localStorage';
+/**
+ * Save an upload with its report rows and merge it into the master list - all or nothing
+ * Replaced uploads are merged as if they had never been made, and deleted only with a successful import.
+ * @param {Object} options - { onProgress(step), fingerprint: { fileHash, rowHash }, replacing: upload ids }
+ * @returns {Promise<{upload, rowsInserted, itemsAdded, itemsUpdated, itemsUnchanged, itemsRestored, itemsRemoved}>}
+ */
+export async function importUpload(filename, rows, mode = 'ocean', options = {}) {
+    const adapter = currentAdapter();
+    if (!recordsAudit) return adapter.importUpload(filename, rows, mode, options);
+    const replacing = options.replacing || [];
+    // Previewed first, for the old values of the items the import changes
+    const preview = await adapter.previewImport(rows, mode, { replacing });
+    const replaced = replacing.length > 0
+        ? (await adapter.getAllUploads(mode)).filter(upload => replacing.includes(upload.id)).map(upload => upload.filename)
+        : [];
+    const result = await adapter.importUpload(filename, rows, mode, options);
+
+    const keyField = getKeyField(mode);
+    const { before, after } = changedValues([...preview.changed, ...preview.restored], keyField);
+    await recordAudit(adapter, 'import_upload', mode, {
+        uploadId: result.upload.id,
+        itemKeys: [...preview.added, ...preview.changed, ...preview.restored, ...preview.removed].map(item => item[keyField]),
+        before: { items: before },
+        after: {
+            filename,
+            row_count: result.rowsInserted,
+            items_added: result.itemsAdded,
+            items_updated: result.itemsUpdated,
+            items_restored: result.itemsRestored,
+            items_removed: result.itemsRemoved,
+            ...(replaced.length > 0 && { replaced_uploads: replaced }),
+            items: after,
+        },
+    });
+    return result;
 }
 
 /**
- * BACKWARD COMPATIBILITY - Air-specific function wrappers
+ * REPORT DATA OPERATIONS
  */
 
-export async function saveAirUpload(filename, rowCount) {
-    return saveUpload(filename, rowCount, 'air');
+export async function saveReportData(uploadId, data, mode = 'ocean') {
+    return currentAdapter().saveReportData(uploadId, data, mode);
 }
 
-export async function getAllAirUploads() {
-    return getAllUploads('air');
+export async function getReportData(uploadId, mode = 'ocean', filter = 'all') {
+    return currentAdapter().getReportData(uploadId, mode, filter);
 }
 
-export async function deleteAirUpload(uploadId) {
-    return deleteUpload(uploadId, 'air');
+/**
+ * MASTER LIST OPERATIONS
+ */
+
+export async function getMasterList(mode = 'ocean') {
+    return currentAdapter().getMasterListData('all', mode);
 }
 
-export async function saveAirReportData(uploadId, data) {
-    return saveReportData(uploadId, data, 'air');
+/**
+ * Merge an upload into the master list by HB / HAWB
+ * @returns {Promise<{itemsAdded, itemsUpdated, itemsUnchanged, itemsRestored, itemsRemoved}>}
+ */
+export async function updateMasterList(uploadId, data, mode = 'ocean') {
+    const adapter = currentAdapter();
+    const merge = await adapter.updateMasterList(uploadId, data, mode);
+    await recordAudit(adapter, 'update_master_list', mode, {
+        uploadId,
+        after: {
+            items_added: merge.itemsAdded,
+            items_updated: merge.itemsUpdated,
+            items_restored: merge.itemsRestored,
+            items_removed: merge.itemsRemoved,
+        },
+    });
+    return merge;
 }
 
-export async function getAirReportData(uploadId) {
-    return getReportData(uploadId, 'air');
+export async function getMasterListData(filter = 'all', mode = 'ocean') {
+    return currentAdapter().getMasterListData(filter, mode);
 }
 
-export async function getAllAirReportData() {
-    return getAllReportData('air');
+export async function getMasterListMetrics(mode = 'ocean') {
+    return currentAdapter().getMasterListMetrics(mode);
 }
 
-export async function deleteAirReportData(uploadId) {
-    return deleteReportData(uploadId, 'air');
+export async function getMasterListNewItems(mode = 'ocean') {
+    return currentAdapter().getMasterListNewItems(mode);
 }
 
-export async function saveAirMasterList(data) {
-    return saveMasterList(data, 'air');
+export async function getMasterListUpdatedItems(mode = 'ocean') {
+    return currentAdapter().getMasterListUpdatedItems(mode);
 }
 
-export async function getAirMasterList() {
-    return getMasterList('air');
+export async function getMasterListNewFrl(mode = 'ocean') {
+    return currentAdapter().getMasterListNewFrl(mode);
 }
 
-export async function updateAirMasterList(uploadId, data) {
-    // If called with (data) signature
-    if (Array.isArray(uploadId)) {
-        return updateMasterList(null, uploadId, 'air');
-    }
-    return updateMasterList(uploadId, data, 'air');
+export async function getMasterListRemovedItems(mode = 'ocean') {
+    return currentAdapter().getMasterListRemovedItems(mode);
 }
 
-export async function clearAirMasterList() {
-    return clearMasterList('air');
+// Runs on every master list load, so only archiving something is recorded
+export async function archiveRemovedItems(days, mode = 'ocean') {
+    const adapter = currentAdapter();
+    const archived = await adapter.archiveRemovedItems(days, mode);
+    if (archived > 0) {
+        await recordAudit(adapter, 'archive_removed', mode, { after: { days, items_archived: archived } });
+    }
+    return archived;
 }
 
+/**
+ * UPLOAD COMPARISON
+ */
 
-export async function clearAllAirData() {
-    return clearAllData('air');
+export async function detectNewItems(currentUploadId, mode = 'ocean') {
+    return currentAdapter().detectNewItems(currentUploadId, mode);
 }
 
-// Additional helper functions that Dashboard might need
-export async function getMasterListData(mode = 'ocean') {
-    return getMasterList(mode);
+export async function detectRemovedItems(currentUploadId, mode = 'ocean') {
+    return currentAdapter().detectRemovedItems(currentUploadId, mode);
 }
 
-export async function getMasterListMetrics(mode = 'ocean') {
-    const data = await getMasterList(mode);
-    // Calculate metrics from master list
-    return {
-        total: data.length,
-        new: data.filter(item => item.is_new).length,
-        removed: data.filter(item => item.is_removed).length,
-        updated: data.filter(item => item.is_updated).length,
-    };
+export async function getNewItemsData(currentUploadId, mode = 'ocean') {
+    return currentAdapter().getNewItemsData(currentUploadId, mode);
 }
 
-export async function getMasterListNewItems(mode = 'ocean') {
-    const data = await getMasterList(mode);
-    return data.filter(item => item.is_new);
+export async function getRemovedItemsData(currentUploadId, mode = 'ocean') {
+    return currentAdapter().getRemovedItemsData(currentUploadId, mode);
 }
 
-export async function getAirMasterListData() {
-    return getMasterListData('air');
+/**
+ * Compare any two uploads of the same mode
+ * @returns {{added: Array, removed: Array, changed: Array, unchangedCount: number}}
+ */
+export async function compareUploads(baseUploadId, targetUploadId, mode = 'ocean') {
+    const adapter = currentAdapter();
+    const [baseRows, targetRows] = await Promise.all([
+        adapter.getReportData(baseUploadId, mode),
+        adapter.getReportData(targetUploadId, mode),
+    ]);
+    return compareRowSets(baseRows || [], targetRows || [], mode);
 }
 
-export async function getAirMasterListMetrics() {
-    return getMasterListMetrics('air');
+/**
+ * ITEM HISTORY
+ */
+
+export async function getItemHistory(itemKey, mode = 'ocean') {
+    return currentAdapter().getItemHistory(itemKey, mode);
 }
 
-export async function getAirMasterListNewItems() {
-    return getMasterListNewItems('air');
+/**
+ * DOCK TALLIES
+ * Ocean records: item_key (HB), group_key (MBL), received_pcs, location,
+ * received_time, damaged_pcs, crew, notes
+ * Air records: item_key (HAWB), group_key (MAWB), arrivals [{pcs, loc, time, crw, sub}],
+ * damaged_pcs, notes
+ */
+
+export async function getTallies(groupKey = null, mode = 'ocean') {
+    return currentAdapter().getTallies(groupKey, mode);
 }
 
-export async function getMasterListUpdatedItems(mode = 'ocean') {
-    if (isSupabaseEnabled()) {
-        const data = await getMasterList(mode);
-        const updatedItems = data.filter(item => item.is_updated && item.last_update_reason);
-        return { count: updatedItems.length, data: updatedItems };
-    }
-    return localDB.getMasterListUpdatedItems();
+export async function saveTallies(records, mode = 'ocean') {
+    const adapter = currentAdapter();
+    if (!recordsAudit) return adapter.saveTallies(records, mode);
+    const existing = await adapter.getTallies(null, mode);
+    const saved = await adapter.saveTallies(records, mode);
+
+    const byKey = new Map((existing || []).map(tally => [tally.item_key, tally]));
+    await recordAudit(adapter, 'save_tallies', mode, {
+        itemKeys: records.map(record => record.item_key),
+        before: Object.fromEntries(records.map(record => [record.item_key, byKey.has(record.item_key)
+            ? pickFields(byKey.get(record.item_key), record)
+            : null])),
+        after: Object.fromEntries(records.map(record => [record.item_key, record])),
+    });
+    return saved;
 }
 
-export async function getMasterListNewFrl(mode = 'ocean') {
-    if (isSupabaseEnabled()) {
-        const data = await getMasterList(mode);
-        const newFrlItems = data.filter(
-            item => item.last_update_reason && item.last_update_reason.includes('FRL')
-        );
-        return { count: newFrlItems.length, data: newFrlItems };
-    }
-    return localDB.getMasterListNewFrl();
+/**
+ * Add received pieces to an item's tally (Receive screen)
+ * The adapter adds them to the stored count, so scanners receiving the same item at once both count
+ * @param {Object} options - { arrival: 0-3 (Air), pieces: pieces to add }
+ * @returns {Promise<Object>} The tally as saved
+ */
+export async function receivePieces(itemKey, groupKey, mode = 'ocean', { arrival = 0, pieces = 1 } = {}) {
+    const adapter = currentAdapter();
+    const tally = await adapter.receivePieces(itemKey, groupKey, mode, { arrival, pieces, time: currentTime() });
+    await recordAudit(adapter, 'receive_pieces', mode, {
+        itemKeys: [itemKey],
+        after: { [itemKey]: { pieces, received: getReceivedPieces(tally, mode), ...(mode === 'air' && { arrival: arrival + 1 }) } },
+    });
+    return tally;
 }
 
-export async function detectNewItems(currentUploadId, mode = 'ocean') {
-    if (isSupabaseEnabled()) {
-        const tableName = mode === 'air' ? 'air_data' : 'ocean_data';
-        const keyField = mode === 'air' ? 'hawb' : 'hb';
-
-        // Get all uploads to find previous
-        const uploads = await getAllUploads(mode);
-        const currentIndex = uploads.findIndex(u => u.id === currentUploadId || u.upload_id === currentUploadId);
-
-        if (currentIndex === -1 || currentIndex >= uploads.length - 1) {
-            // No previous upload - all items are new
-            const { data } = await supabase
-                .from(tableName)
-                .select(keyField)
-                .eq('upload_id', currentUploadId);
-            return data ? data.length : 0;
-        }
-
-        const prevUploadId = uploads[currentIndex + 1].id || uploads[currentIndex + 1].upload_id;
-
-        const { data: currentData } = await supabase
-            .from(tableName)
-            .select(keyField)
-            .eq('upload_id', currentUploadId);
-
-        const { data: prevData } = await supabase
-            .from(tableName)
-            .select(keyField)
-            .eq('upload_id', prevUploadId);
-
-        const currentKeys = new Set((currentData || []).map(r => r[keyField]).filter(Boolean));
-        const prevKeys = new Set((prevData || []).map(r => r[keyField]).filter(Boolean));
-
-        let count = 0;
-        currentKeys.forEach(key => {
-            if (!prevKeys.has(key)) count++;
-        });
+/**
+ * SCAN EXCEPTIONS
+ * Codes scanned on the Receive screen that matched no HB / HAWB
+ */
 
-        return count;
-    }
-    return localDB.detectNewItems(currentUploadId);
+export async function getScanExceptions(mode = 'ocean') {
+    return currentAdapter().getScanExceptions(mode);
 }
 
-export async function detectRemovedItems(currentUploadId, mode = 'ocean') {
-    if (isSupabaseEnabled()) {
-        const tableName = mode === 'air' ? 'air_data' : 'ocean_data';
-        const keyField = mode === 'air' ? 'hawb' : 'hb';
+export async function logScanException(code, mode = 'ocean') {
+    const adapter = currentAdapter();
+    const exception = await adapter.logScanException(code, mode);
+    await recordAudit(adapter, 'log_scan_exception', mode, { itemKeys: [code], after: { code } });
+    return exception;
+}
 
-        const uploads = await getAllUploads(mode);
-        const currentIndex = uploads.findIndex(u => u.id === currentUploadId || u.upload_id === currentUploadId);
+/**
+ * Over / short / damaged / unmanifested items for a set of manifest rows
+ * @param {Array} rows - Master list or upload report rows
+ * @returns {Promise<Array>} See findDiscrepancies in osdReport.js
+ */
+export async function getDiscrepancies(rows, mode = 'ocean') {
+    const tallies = await currentAdapter().getTallies(null, mode);
+    return findDiscrepancies(rows || [], tallies || [], mode);
+}
 
-        if (currentIndex === -1 || currentIndex >= uploads.length - 1) {
-            return 0;
-        }
+/**
+ * COLUMN MAPPING PROFILES
+ * Profiles are stored in the browser for every adapter
+ */
 
-        const prevUploadId = uploads[currentIndex + 1].id || uploads[currentIndex + 1].upload_id;
+export async function getMappingProfiles(mode = 'ocean') {
+    return browserAdapter.getMappingProfiles(mode);
+}
 
-        const { data: currentData } = await supabase
-            .from(tableName)
-            .select(keyField)
-            .eq('upload_id', currentUploadId);
+export async function saveMappingProfile(name, mode, headers, mapping) {
+    const adapter = currentAdapter();
+    const existing = (await getMappingProfiles(mode)).find(p => p.name === name);
+    const profile = await browserAdapter.saveMappingProfile(name, mode, headers, mapping);
+    await recordAudit(adapter, 'save_mapping_profile', mode, {
+        before: existing ? { name, mapping: existing.mapping } : null,
+        after: { name, mapping },
+    });
+    return profile;
+}
 
-        const { data: prevData } = await supabase
-            .from(tableName)
-            .select(keyField)
-            .eq('upload_id', prevUploadId);
+export async function deleteMappingProfile(profileId) {
+    const adapter = currentAdapter();
+    const profiles = [...await getMappingProfiles('ocean'), ...await getMappingProfiles('air')];
+    const profile = profiles.find(p => p.id === profileId);
+    const deleted = await browserAdapter.deleteMappingProfile(profileId);
+    await recordAudit(adapter, 'delete_mapping_profile', profile?.mode ?? null, {
+        before: profile ? { name: profile.name, mapping: profile.mapping } : null,
+    });
+    return deleted;
+}
 
-        const currentKeys = new Set((currentData || []).map(r => r[keyField]).filter(Boolean));
-        const prevKeys = new Set((prevData || []).map(r => r[keyField]).filter(Boolean));
+export async function findMappingProfile(headers, mode = 'ocean') {
+    return browserAdapter.findMappingProfile(headers, mode);
+}
 
-        let count = 0;
-        prevKeys.forEach(key => {
-            if (!currentKeys.has(key)) count++;
-        });
+/**
+ * SETTINGS
+ * Stored in the browser for every adapter
+ */
 
-        return count;
-    }
-    return localDB.detectRemovedItems(currentUploadId);
+export async function getSettings() {
+    return browserAdapter.getSettings();
 }
 
-export async function getNewItemsData(currentUploadId, mode = 'ocean') {
-    if (isSupabaseEnabled()) {
-        const tableName = mode === 'air' ? 'air_data' : 'ocean_data';
-        const keyField = mode === 'air' ? 'hawb' : 'hb';
+export async function saveSettings(changes) {
+    const adapter = currentAdapter();
+    const previous = await getSettings();
+    const settings = await browserAdapter.saveSettings(changes);
+    await recordAudit(adapter, 'save_settings', null, { before: pickFields(previous, changes), after: changes });
+    return settings;
+}
 
-        const uploads = await getAllUploads(mode);
-        const currentIndex = uploads.findIndex(u => u.id === currentUploadId || u.upload_id === currentUploadId);
+/**
+ * UTILITY FUNCTIONS
+ */
 
-        const { data: currentData } = await supabase
-            .from(tableName)
-            .select('*')
-            .eq('upload_id', currentUploadId);
+// The audit log itself is kept
+export async function clearAllData(mode = 'ocean') {
+    const adapter = currentAdapter();
+    if (!recordsAudit) return adapter.clearAllData(mode);
+    const [uploads, metrics] = await Promise.all([adapter.getAllUploads(mode), adapter.getMasterListMetrics(mode)]);
+    await adapter.clearAllData(mode);
+    await recordAudit(adapter, 'clear_data', mode, {
+        before: { uploads: uploads.length, master_list_items: metrics?.totalRows ?? 0 },
+    });
+}
 
-        if (currentIndex === -1 || currentIndex >= uploads.length - 1) {
-            return currentData || [];
-        }
+// Check if database is available
+export function isDatabaseAvailable() {
+    return currentAdapter().name === 'supabase';
+}
 
-        const prevUploadId = uploads[currentIndex + 1].id || uploads[currentIndex + 1].upload_id;
+// Get database type - the name of the selected adapter
+export function getDatabaseType() {
+    return currentAdapter().name;
+}
 
-        const { data: prevData } = await supabase
-            .from(tableName)
-            .select(keyField)
-            .eq('upload_id', prevUploadId);
+/**
+ * BACKWARD COMPATIBILITY - Air-specific function wrappers
+ */
 
-        const prevKeys = new Set((prevData || []).map(r => r[keyField]).filter(Boolean));
+export async function saveAirUpload(filename, rowCount) {
+    return saveUpload(filename, rowCount, 'air');
+}
 
-        return (currentData || []).filter(r => r[keyField] && !prevKeys.has(r[keyField]));
-    }
-    return localDB.getNewItemsData(currentUploadId);
+export async function getAllAirUploads() {
+    return getAllUploads('air');
 }
 
-export async function getRemovedItemsData(currentUploadId, mode = 'ocean') {
-    if (isSupabaseEnabled()) {
-        const tableName = mode === 'air' ? 'air_data' : 'ocean_data';
-        const keyField = mode === 'air' ? 'hawb' : 'hb';
+export async function deleteAirUpload(uploadId) {
+    return deleteUpload(uploadId, 'air');
+}
 
-        const uploads = await getAllUploads(mode);
-        const currentIndex = uploads.findIndex(u => u.id === currentUploadId || u.upload_id === currentUploadId);
+export async function saveAirReportData(uploadId, data) {
+    return saveReportData(uploadId, data, 'air');
+}
 
-        if (currentIndex === -1 || currentIndex >= uploads.length - 1) {
-            return [];
-        }
+export async function getAirReportData(uploadId, filter = 'all') {
+    return getReportData(uploadId, 'air', filter);
+}
 
-        const prevUploadId = uploads[currentIndex + 1].id || uploads[currentIndex + 1].upload_id;
+export async function getAirMasterList() {
+    return getMasterList('air');
+}
 
-        const { data: currentData } = await supabase
-            .from(tableName)
-            .select(keyField)
-            .eq('upload_id', currentUploadId);
+export async function updateAirMasterList(uploadId, data) {
+    return updateMasterList(uploadId, data, 'air');
+}
 
-        const { data: prevData } = await supabase
-            .from(tableName)
-            .select('*')
-            .eq('upload_id', prevUploadId);
+export async function clearAllAirData() {
+    return clearAllData('air');
+}
 
-        const currentKeys = new Set((currentData || []).map(r => r[keyField]).filter(Boolean));
+export async function getAirMasterListData(filter = 'all') {
+    return getMasterListData(filter, 'air');
+}
 
-        return (prevData || []).filter(r => r[keyField] && !currentKeys.has(r[keyField]));
-    }
-    return localDB.getRemovedItemsData(currentUploadId);
+export async function getAirMasterListMetrics() {
+    return getMasterListMetrics('air');
 }
 
+export async function getAirMasterListNewItems() {
+    return getMasterListNewItems('air');
+}
@@ -0,0 +1,234 @@
+/**
+ * Dock Tally PDF - Draws the Ocean/Air Dock Tally layouts as vector PDFs with pdf-lib
+ * Same layout as the HTML preview in DockTallyReport, with selectable text and crisp lines
+ */
+
+import {
+    PAGE_WIDTH,
+    MARGIN_X,
+    CONTENT_WIDTH,
+    GRAY,
+    columnWidths,
+    createPageWriter,
+    createPdfDocument,
+} from './pdfPages.js';
+
+const ITEMS_PER_PAGE = 6;
+const QR_SIZE = 44;
+const AIR_ARRIVALS = 4;
+const ARRIVAL_FIELDS = ['pcs', 'loc', 'time', 'crw', 'sub'];
+
+const paginate = (items) => {
+    const pages = [];
+    for (let i = 0; i < items.length; i += ITEMS_PER_PAGE) {
+        pages.push(items.slice(i, i + ITEMS_PER_PAGE));
+    }
+    return pages;
+};
+
+// HB | Dest | Mfst Qty | PCS | LOC | TIME | DMG | CRW - HB is wider when it carries a barcode
+const oceanColumns = (showBarcodes) => columnWidths([showBarcodes ? 20 : 15, 12, 10, 10, 10, 10, 10, 10]);
+
+function drawOceanGroup(pdfDoc, fonts, mbl, group, { tallies, showBarcodes }) {
+    const columns = oceanColumns(showBarcodes);
+    paginate(group.items).forEach((pageItems, pageIdx) => {
+        const writer = createPageWriter(pdfDoc, fonts);
+
+        // Header (only on first page of each MBL)
+        if (pageIdx === 0) {
+            writer.drawRow([{
+                width: CONTENT_WIDTH,
+                lines: ['Ocean Dock Tally Report'],
+                size: 13,
+                bold: true,
+                align: 'center',
+                border: 1.5,
+            }], 24);
+            const infoTop = writer.top();
+            writer.drawRow([
+                { width: CONTENT_WIDTH * 0.35, lines: [`MBL: ${mbl}`], bold: true, size: 10, border: 1.5 },
+                { width: CONTENT_WIDTH * 0.35, lines: [`Container: ${group.containers.join(', ')}`], bold: true, size: 10, border: 1.5 },
+                { width: CONTENT_WIDTH * 0.30, lines: ['Arrival:'], bold: true, size: 10, border: 1.5 },
+            ], showBarcodes ? QR_SIZE + 6 : 22);
+            if (showBarcodes) {
+                writer.drawQr(mbl, MARGIN_X + CONTENT_WIDTH * 0.35 - QR_SIZE - 3, infoTop - 3, QR_SIZE);
+            }
+        }
+
+        const headers = [
+            ['HB'], ['Dest'], ['Mfst Qty', { text: '(Outer/PCS)', size: 7, bold: false }],
+            ['PCS'], ['LOC'], ['TIME'], ['DMG'], ['CRW'],
+        ];
+        writer.drawRow(headers.map((lines, i) => ({
+            width: columns[i],
+            lines,
+            bold: true,
+            align: 'center',
+        })), 26);
+
+        for (const item of pageItems) {
+            const tally = tallies[item.hb] || {};
+            const rowTop = writer.top();
+            const values = [
+                { lines: [item.hb], bold: true, size: 10, middle: !showBarcodes },
+                { lines: [item.dest] },
+                { lines: [{ text: item.outer_quantity, bold: true }, item.pcs], align: 'center' },
+                { lines: [tally.received_pcs], align: 'center' },
+                { lines: [tally.location], align: 'center' },
+                { lines: [tally.received_time], align: 'center' },
+                { lines: [tally.damaged_pcs], align: 'center' },
+                { lines: [tally.crew], align: 'center' },
+            ];
+            writer.drawRow(values.map((cell, i) => ({ width: columns[i], ...cell })), showBarcodes ? 38 : 26);
+            if (showBarcodes) {
+                writer.drawBarcode(item.hb, MARGIN_X + 6, rowTop - 16, columns[0] - 12, 18);
+            }
+            // Blank row for handwritten notes
+            writer.drawRow(columns.map(width => ({ width, border: 1 })), showBarcodes ? 40 : 44);
+        }
+    });
+}
+
+// HAWB | Dest | SLAC | 4 x (PCS | LOC | TIME | CRW | SUB) - HAWB is wider when it carries a barcode
+function airColumns(showBarcodes) {
+    const columns = columnWidths([showBarcodes ? 18 : 11, 7, 5, ...Array(AIR_ARRIVALS * ARRIVAL_FIELDS.length).fill(3)]);
+    return {
+        columns,
+        arrivalWidth: columns.slice(3, 3 + ARRIVAL_FIELDS.length).reduce((sum, w) => sum + w, 0),
+        infoWidth: columns[0] + columns[1] + columns[2],
+    };
+}
+
+function drawAirGroup(pdfDoc, fonts, mawb, group, { tallies, showBarcodes, dateStr, timeStr }) {
+    const { columns, arrivalWidth, infoWidth } = airColumns(showBarcodes);
+    paginate(group.items).forEach((pageItems, pageIdx) => {
+        const writer = createPageWriter(pdfDoc, fonts);
+
+        // Header - only on first page of MAWB
+        if (pageIdx === 0) {
+            writer.drawText(`Date: ${dateStr} ${timeStr}`, { size: 9 });
+            writer.drawText('DOCK TALLY REPORT', { size: 13, bold: true, align: 'center' });
+            writer.drawText(`Page: ${pageIdx + 1}`, { size: 9, align: 'right' });
+            writer.moveDown(17);
+            writer.drawRule();
+            writer.moveDown(5);
+            const mawbTop = writer.top();
+            writer.drawRow([{ width: CONTENT_WIDTH, lines: [`MAWB: ${mawb}`], bold: true, size: 11 }], showBarcodes ? QR_SIZE + 6 : 18);
+            if (showBarcodes) {
+                writer.drawQr(mawb, PAGE_WIDTH - MARGIN_X - QR_SIZE - 3, mawbTop - 3, QR_SIZE);
+            }
+            writer.moveDown(4);
+        }
+
+        // Two header rows: HAWB/Dest/SLAC span both, each arrival spans its 5 columns
+        const spanBoth = (width, lines) => ({ width, lines, bold: true, size: 8, align: 'center' });
+        writer.drawRow([
+            spanBoth(columns[0], ['HAWB']),
+            spanBoth(columns[1], ['Dest']),
+            spanBoth(columns[2], ['SLAC', { text: 'Total', size: 6, bold: false }]),
+        ], 32, { advance: false });
+        writer.drawRow([
+            { width: infoWidth, border: 0 },
+            ...Array.from({ length: AIR_ARRIVALS }, (_, i) => ({
+                width: arrivalWidth,
+                lines: [`Arrival ${i + 1}`, { text: 'Supv', size: 5, bold: false }],
+                bold: true,
+                size: 8,
+                align: 'center',
+            })),
+        ], 20);
+        writer.drawRow([
+            { width: infoWidth, border: 0 },
+            ...columns.slice(3).map((width, i) => ({
+                width,
+                lines: [ARRIVAL_FIELDS[i % ARRIVAL_FIELDS.length].toUpperCase()],
+                size: 5,
+                align: 'center',
+            })),
+        ], 12);
+
+        for (const item of pageItems) {
+            const tally = tallies[item.hawb] || {};
+            const arrivals = Array.from({ length: AIR_ARRIVALS }, (_, i) => (tally.arrivals || [])[i] || {});
+            const rowTop = writer.top();
+            writer.drawRow([
+                { width: columns[0], lines: [item.hawb], bold: true, size: 8, middle: false },
+                { width: columns[1], lines: [item.destination], size: 6, middle: false },
+                { width: columns[2], lines: [{ text: item.slac, bold: true }, item.qty], size: 7, align: 'center', middle: false },
+                ...arrivals.flatMap((arrival, a) => ARRIVAL_FIELDS.map((field, f) => ({
+                    width: columns[3 + a * ARRIVAL_FIELDS.length + f],
+                    lines: [arrival[field]],
+                    size: 6,
+                    align: 'center',
+                    middle: false,
+                }))),
+            ], 40);
+            if (showBarcodes) {
+                writer.drawBarcode(item.hawb, MARGIN_X + 4, rowTop - 16, columns[0] - 8, 18);
+            }
+            writer.drawRow([
+                {
+                    width: infoWidth,
+                    lines: [
+                        { text: 'Dock Notes:', color: GRAY },
+                        tally.damaged_pcs ? `DMG: ${tally.damaged_pcs}` : '',
+                        tally.notes,
+                    ],
+                    size: 6,
+                    middle: false,
+                },
+                ...Array.from({ length: AIR_ARRIVALS }, () => ({ width: arrivalWidth })),
+            ], 28);
+        }
+    });
+}
+
+/**
+ * Build a Dock Tally PDF
+ * Yields to the browser between MBLs/MAWBs so large reports don't freeze the tab.
+ * @param {Object} options
+ * @param {Array<string>} options.groupKeys - Selected MBLs (Ocean) or MAWBs (Air), in print order
+ * @param {Object} options.groupedData - DockTallyReport groups keyed by MBL/MAWB
+ * @param {Object} options.tallies - Captured tallies keyed by HB/HAWB
+ * @param {string} options.mode - 'ocean' or 'air'
+ * @param {boolean} options.showBarcodes - Code 128 per HB/HAWB and a QR code for the MBL/MAWB
+ * @param {Function} options.onProgress - Called with (done, total)
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export async function generateDockTallyPdf({
+    groupKeys,
+    groupedData,
+    tallies = {},
+    mode = 'ocean',
+    showBarcodes = false,
+    onProgress,
+}) {
+    const { pdfDoc, fonts } = await createPdfDocument(mode === 'air' ? 'Air Dock Tally Report' : 'Ocean Dock Tally Report');
+
+    const today = new Date();
+    const options = {
+        tallies,
+        showBarcodes,
+        dateStr: `${today.getMonth() + 1}/${today.getDate()}/${String(today.getFullYear()).slice(-2)}`,
+        timeStr: `${today.getHours()}:${String(today.getMinutes()).padStart(2, '0')}`,
+    };
+
+    for (let i = 0; i < groupKeys.length; i++) {
+        const key = groupKeys[i];
+        const group = groupedData[key];
+        if (group) {
+            if (mode === 'air') {
+                drawAirGroup(pdfDoc, fonts, key, group, options);
+            } else {
+                drawOceanGroup(pdfDoc, fonts, key, group, options);
+            }
+        }
+
+        onProgress?.(i + 1, groupKeys.length);
+        if (i % 25 === 24) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    return pdfDoc.save();
+}
@@ -0,0 +1,71 @@
+/**
+ * Local Auth - Stand-in for Supabase Auth when no Supabase project is configured
+ * Same calls and result shapes as the parts of supabase.auth the app uses, with one
+ * account per role, working in one or both local warehouses (the admin in all of them).
+ * The session is kept in localStorage, so it survives a reload.
+ * Only gates the UI - the browser database itself is not protected.
+ */
+
+const SESSION_KEY = 'csvdock_local_session';
+
+export const LOCAL_PASSWORD = 'dock1234';
+
+export const LOCAL_WAREHOUSES = [
+    { id: 'main', name: 'Main Warehouse' },
+    { id: 'annex', name: 'Annex Warehouse' },
+];
+
+export const LOCAL_USERS = [
+    { id: 'local-viewer', email: 'viewer@dock.local', role: 'viewer', warehouses: ['main'] },
+    { id: 'local-dock-clerk', email: 'clerk@dock.local', role: 'dock_clerk', warehouses: ['main'] },
+    { id: 'local-supervisor', email: 'supervisor@dock.local', role: 'supervisor', warehouses: ['main', 'annex'] },
+    { id: 'local-admin', email: 'admin@dock.local', role: 'admin', warehouses: ['main', 'annex'] },
+];
+
+const listeners = new Set();
+
+function readSession() {
+    try {
+        return JSON.parse(localStorage.getItem(SESSION_KEY));
+    } catch {
+        return null;
+    }
+}
+
+function notify(event, session) {
+    listeners.forEach(callback => callback(event, session));
+}
+
+export const localAuth = {
+    async signInWithPassword({ email, password }) {
+        const account = LOCAL_USERS.find(u => u.email === String(email).trim().toLowerCase());
+        if (!account || password !== LOCAL_PASSWORD) {
+            return { data: { user: null, session: null }, error: new Error('Invalid login credentials') };
+        }
+
+        const user = { id: account.id, email: account.email, app_metadata: { role: account.role, warehouses: account.warehouses } };
+        const session = { access_token: `local-${account.id}`, user };
+        localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+        notify('SIGNED_IN', session);
+        return { data: { user, session }, error: null };
+    },
+
+    async signOut() {
+        localStorage.removeItem(SESSION_KEY);
+        notify('SIGNED_OUT', null);
+        return { error: null };
+    },
+
+    async getSession() {
+        return { data: { session: readSession() }, error: null };
+    },
+
+    async getUser() {
+        return { data: { user: readSession()?.user ?? null }, error: null };
+    },
+
+    onAuthStateChange(callback) {
+        listeners.add(callback);
+        return { data: { subscription: { unsubscribe: () => listeners.delete(callback) } } };
+    },
+};
@@ -0,0 +1,411 @@
+/**
+ * Master List Diff - Field-level comparison and merging of master list items and uploads
+ * Shared by the local and Supabase backends
+ */
+
+import { COLUMN_MAPPING, AIR_COLUMN_MAPPING, toRecord } from './csvUtils.js';
+
+/**
+ * Tracked fields per mode: database column -> CSV label used in update reasons
+ * Every mapped column except the key (HB / HAWB) is tracked
+ */
+export const TRACKED_FIELDS = {
+    ocean: Object.fromEntries(
+        Object.entries(COLUMN_MAPPING)
+            .filter(([, key]) => key !== 'hb')
+            .map(([label, key]) => [key, label])
+    ),
+    air: Object.fromEntries(
+        Object.entries(AIR_COLUMN_MAPPING)
+            .filter(([, key]) => key !== 'hawb')
+            .map(([label, key]) => [key, label])
+    ),
+};
+
+// Master list items without a status predate removal tracking and are active
+export function isActiveItem(item) {
+    return !item.status || item.status === 'active';
+}
+
+/**
+ * A value counts as changed when it appears or differs.
+ * A value going blank is not a change - a later file missing a column
+ * must not wipe what we already know.
+ */
+export function hasValueChanged(oldVal, newVal) {
+    const old = (oldVal ?? '').toString().trim();
+    const now = (newVal ?? '').toString().trim();
+    if (!old && now) return true;
+    if (old && now && old !== now) return true;
+    return false;
+}
+
+/**
+ * Compare an existing master list item with incoming data
+ * @param {Object} existing - Current master list item
+ * @param {Object} incoming - Item built from the new upload row
+ * @param {string} mode - 'ocean' or 'air'
+ * @param {Object} options - { includeCleared: also report values that went blank }
+ * @returns {Array<{field: string, label: string, old_value: any, new_value: any}>}
+ */
+export function diffFields(existing, incoming, mode = 'ocean', { includeCleared = false } = {}) {
+    const fields = TRACKED_FIELDS[mode] || TRACKED_FIELDS.ocean;
+    const changes = [];
+    const isCleared = (oldVal, newVal) =>
+        includeCleared && (oldVal ?? '').toString().trim() && !(newVal ?? '').toString().trim();
+
+    for (const [field, label] of Object.entries(fields)) {
+        if (hasValueChanged(existing[field], incoming[field]) || isCleared(existing[field], incoming[field])) {
+            changes.push({
+                field,
+                label,
+                old_value: existing[field] ?? null,
+                new_value: incoming[field],
+            });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Apply a list of changes to an item
+ * @param {Object} item - Master list item
+ * @param {Array} changes - Output of diffFields
+ * @returns {Object} New item with changed fields updated
+ */
+export function applyChanges(item, changes) {
+    const updated = { ...item };
+    for (const change of changes) {
+        updated[change.field] = change.new_value;
+    }
+    return updated;
+}
+
+/**
+ * Whether an upload set or changed an item's FRL (Ocean) / LOG (Air) - the "Newly FRL'd" / "Newly Logged" filter
+ */
+export function hasNewFrl(item, uploadId, mode = 'ocean') {
+    const label = mode === 'air' ? 'LOG' : 'FRL';
+    return item.last_updated_upload_id === uploadId &&
+        (item.last_update_reason || '').split(', ').includes(label);
+}
+
+/**
+ * Human readable update reason, e.g. "FRL, TDF"
+ * Stored in last_update_reason and used by the "Newly FRL'd" filter
+ * @param {Array} changes - Output of diffFields
+ * @returns {string|null}
+ */
+export function formatUpdateReason(changes) {
+    if (!changes || changes.length === 0) return null;
+    return changes.map(c => c.label).join(', ');
+}
+
+/**
+ * Three-way comparison of two uploads keyed by HB / HAWB
+ * Values going blank count as changes here, since both sides are full files
+ * @param {Array} baseRows - Report rows of the older upload
+ * @param {Array} targetRows - Report rows of the newer upload
+ * @param {string} mode - 'ocean' or 'air'
+ * @returns {{added: Array, removed: Array, changed: Array, unchangedCount: number}}
+ */
+export function compareRowSets(baseRows, targetRows, mode = 'ocean') {
+    const keyField = mode === 'air' ? 'hawb' : 'hb';
+    const byKey = (rows) => {
+        const map = new Map();
+        for (const row of rows) {
+            if (row[keyField] && !map.has(row[keyField])) {
+                map.set(row[keyField], row);
+            }
+        }
+        return map;
+    };
+
+    const base = byKey(baseRows);
+    const target = byKey(targetRows);
+
+    const added = [];
+    const changed = [];
+    let unchangedCount = 0;
+
+    for (const [key, row] of target) {
+        const baseRow = base.get(key);
+        if (!baseRow) {
+            added.push(row);
+            continue;
+        }
+
+        const changes = diffFields(baseRow, row, mode, { includeCleared: true });
+        if (changes.length > 0) {
+            changed.push({ ...row, changes, change_reason: formatUpdateReason(changes) });
+        } else {
+            unchangedCount++;
+        }
+    }
+
+    const removed = [...base.values()].filter(row => !target.has(row[keyField]));
+
+    return { added, removed, changed, unchangedCount };
+}
+
+/**
+ * Merge upload rows into a master list array (mutated in place).
+ * New keys are added; existing keys are diffed field by field and only
+ * counted as updated when a tracked field actually changed. Rows repeating
+ * a key within the same upload are folded into that upload's changes.
+ * Removed or archived keys that reappear are restored.
+ * New items get an id from `createId`; without one the database assigns it.
+ */
+export function createMasterListMerge(masterList, keyField, uploadId, mode, { createId } = {}) {
+    const index = new Map(masterList.map((item, i) => [item[keyField], i]));
+    const added = new Set();
+    const updated = new Set();
+    const unchanged = new Set();
+    const restored = new Set();
+    const removed = new Set();
+
+    return {
+        apply(key, itemData) {
+            const now = new Date().toISOString();
+            const existingIndex = index.get(key);
+
+            if (existingIndex === undefined) {
+                masterList.push({
+                    ...itemData,
+                    ...(createId && { id: createId() }),
+                    status: 'active',
+                    first_seen_upload_id: uploadId,
+                    last_seen_upload_id: uploadId,
+                    last_updated_upload_id: uploadId,
+                    last_update_reason: null,
+                    last_changes: [],
+                    created_at: now,
+                    updated_at: now,
+                });
+                index.set(key, masterList.length - 1);
+                added.add(key);
+                return;
+            }
+
+            const existing = masterList[existingIndex];
+            const changes = diffFields(existing, itemData, mode);
+            const merged = { ...applyChanges(existing, changes), last_seen_upload_id: uploadId };
+
+            if (!isActiveItem(existing)) {
+                merged.status = 'active';
+                merged.removed_at = null;
+                merged.removed_upload_id = null;
+                merged.restored_at = now;
+                restored.add(key);
+            }
+
+            if (added.has(key)) {
+                // Same key repeated in the file that introduced it
+                masterList[existingIndex] = merged;
+                return;
+            }
+
+            if (changes.length === 0) {
+                masterList[existingIndex] = merged;
+                if (!updated.has(key)) unchanged.add(key);
+                return;
+            }
+
+            const allChanges = updated.has(key)
+                ? [...existing.last_changes, ...changes]
+                : changes;
+
+            masterList[existingIndex] = {
+                ...merged,
+                last_updated_upload_id: uploadId,
+                last_update_reason: formatUpdateReason(allChanges),
+                last_changes: allChanges,
+                updated_at: now,
+            };
+            updated.add(key);
+            unchanged.delete(key);
+        },
+
+        // Mark active keys that were in the previous upload but not in this one
+        markRemoved(prevUploadId) {
+            const now = new Date().toISOString();
+            masterList.forEach((item, i) => {
+                const key = item[keyField];
+                const lastSeen = item.last_seen_upload_id || item.last_updated_upload_id;
+                if (!isActiveItem(item) || lastSeen !== prevUploadId) return;
+
+                masterList[i] = {
+                    ...item,
+                    status: 'removed',
+                    removed_at: now,
+                    removed_upload_id: uploadId,
+                };
+                removed.add(key);
+            });
+        },
+
+        // Keys touched by this upload with the changes recorded for each
+        touched() {
+            const touched = [];
+            for (const key of added) {
+                touched.push({ key, change_type: 'added', changes: [] });
+            }
+            for (const key of updated) {
+                touched.push({
+                    key,
+                    change_type: restored.has(key) ? 'restored' : 'updated',
+                    changes: masterList[index.get(key)].last_changes,
+                });
+            }
+            for (const key of unchanged) {
+                touched.push({ key, change_type: restored.has(key) ? 'restored' : 'unchanged', changes: [] });
+            }
+            for (const key of removed) {
+                touched.push({ key, change_type: 'removed', changes: [] });
+            }
+            return touched;
+        },
+
+        // Items written by this upload, for backends that save only what changed
+        touchedItems() {
+            const keys = new Set([...added, ...updated, ...unchanged, ...removed]);
+            return [...keys].map(key => masterList[index.get(key)]);
+        },
+
+        result() {
+            return {
+                itemsAdded: added.size,
+                itemsUpdated: updated.size,
+                itemsUnchanged: unchanged.size,
+                itemsRestored: restored.size,
+                itemsRemoved: removed.size,
+            };
+        },
+    };
+}
+
+/**
+ * What merging an upload would do to the master list, without changing it
+ * Runs the same merge as the import on a copy.
+ * @param {Array} masterList - Every master list item, removed and archived ones included
+ * @param {Array} rows - Cleaned upload rows keyed by CSV header
+ * @param {string} mode - 'ocean' or 'air'
+ * @param {string|null} latestUploadId - Newest upload so far; its keys missing from the file are marked removed
+ * @returns {{result, added: Array, changed: Array, restored: Array, missing: Array, removed: Array}}
+ *   changed / restored items carry their `changes`; missing are active items the file doesn't list
+ */
+export function previewMasterListMerge(masterList, rows, mode = 'ocean', latestUploadId = null) {
+    const keyField = mode === 'air' ? 'hawb' : 'hb';
+    const items = masterList.map(item => ({ ...item }));
+    const merge = createMasterListMerge(items, keyField, 'preview', mode);
+
+    const fileKeys = new Set();
+    for (const row of rows) {
+        const itemData = toRecord(row, mode);
+        if (!itemData[keyField]) continue;
+        fileKeys.add(itemData[keyField]);
+        merge.apply(itemData[keyField], itemData);
+    }
+    if (latestUploadId) merge.markRemoved(latestUploadId);
+
+    const byKey = new Map(items.map(item => [item[keyField], item]));
+    const preview = { result: merge.result(), added: [], changed: [], restored: [], missing: [], removed: [] };
+    for (const { key, change_type: changeType, changes } of merge.touched()) {
+        const item = { ...byKey.get(key), changes };
+        if (changeType === 'added') preview.added.push(item);
+        if (changeType === 'updated') preview.changed.push(item);
+        if (changeType === 'restored') preview.restored.push(item);
+        if (changeType === 'removed') preview.removed.push(item);
+    }
+    preview.missing = masterList.filter(item => isActiveItem(item) && !fileKeys.has(item[keyField]));
+    return preview;
+}
+
+// Tracking fields that make up an item's state (with its status and data), compared when rewinding
+const REWIND_FIELDS = [
+    'first_seen_upload_id',
+    'last_seen_upload_id',
+    'last_updated_upload_id',
+    'last_update_reason',
+    'removed_upload_id',
+];
+
+// Archiving only ages a removed item, it doesn't change what the uploads say about it
+function rewindStatus(item) {
+    return item.status === 'archived' ? 'removed' : item.status || 'active';
+}
+
+function sameRewindState(existing, item, mode) {
+    const columns = Object.values(mode === 'air' ? AIR_COLUMN_MAPPING : COLUMN_MAPPING);
+    return rewindStatus(existing) === rewindStatus(item) &&
+        [...columns, ...REWIND_FIELDS].every(field => (existing[field] ?? null) === (item[field] ?? null)) &&
+        JSON.stringify(existing.last_changes || []) === JSON.stringify(item.last_changes || []);
+}
+
+/**
+ * The master list as if an upload had never been made, by replaying the remaining uploads
+ * Items keep their id and created_at; archived items stay archived while the uploads still remove them.
+ * @param {Array} masterList - Current master list items (not changed)
+ * @param {Array<{id: string, rows: Array}>} uploads - Remaining uploads, oldest first, with their report rows
+ * @param {string} keyField - 'hb' or 'hawb'
+ * @param {string} mode - 'ocean' or 'air'
+ * @param {Object} options - { createId } as for createMasterListMerge
+ * @returns {{items: Array, removed: Array, reverted: Array}} The rewound master list,
+ *   the current items no remaining upload has, and the rewound versions of items that change
+ */
+export function rewindMasterList(masterList, uploads, keyField, mode, { createId } = {}) {
+    const columns = Object.values(mode === 'air' ? AIR_COLUMN_MAPPING : COLUMN_MAPPING);
+    const replayed = [];
+
+    uploads.forEach((upload, i) => {
+        const merge = createMasterListMerge(replayed, keyField, upload.id, mode, { createId });
+        for (const row of upload.rows) {
+            if (!row[keyField]) continue;
+            merge.apply(row[keyField], Object.fromEntries(columns.map(column => [column, row[column] ?? null])));
+        }
+        // Keys the upload before had and this one doesn't, as in updateMasterList
+        if (i > 0) merge.markRemoved(uploads[i - 1].id);
+    });
+
+    const byKey = new Map(replayed.map(item => [item[keyField], item]));
+    const now = new Date().toISOString();
+    const items = [];
+    const removed = [];
+    const reverted = [];
+
+    for (const existing of masterList) {
+        const item = byKey.get(existing[keyField]);
+        byKey.delete(existing[keyField]);
+        if (!item) {
+            removed.push(existing);
+            continue;
+        }
+        if (sameRewindState(existing, item, mode)) {
+            items.push(existing);
+            continue;
+        }
+
+        const rewound = {
+            ...existing,
+            ...item,
+            id: existing.id,
+            created_at: existing.created_at,
+            removed_at: item.removed_at ?? null,
+            removed_upload_id: item.removed_upload_id ?? null,
+            restored_at: item.restored_at ?? null,
+            archived_at: null,
+            updated_at: now,
+        };
+        if (existing.status === 'archived' && item.status === 'removed' && existing.removed_upload_id === item.removed_upload_id) {
+            Object.assign(rewound, { status: 'archived', removed_at: existing.removed_at, archived_at: existing.archived_at });
+        }
+        items.push(rewound);
+        reverted.push(rewound);
+    }
+
+    // Keys the current list lacks (e.g. after it was cleared) come back as new items
+    items.push(...byKey.values());
+
+    return { items, removed, reverted };
+}
@@ -0,0 +1,144 @@
+/**
+ * OS&D Report - Over / short / damage detection from captured dock tallies
+ * Compares received pieces in the tallies against the manifest pieces
+ */
+
+export const OSD_TYPES = {
+    over: 'Overage',
+    short: 'Shortage',
+    damaged: 'Damaged',
+    unmanifested: 'Not on Manifest',
+};
+
+const toCount = (value) => {
+    const count = parseInt(String(value ?? '').replace(/[^\d-]/g, ''), 10);
+    return Number.isNaN(count) ? 0 : count;
+};
+
+const hasValue = (value) => String(value ?? '').trim() !== '';
+
+/**
+ * Manifest pieces for an item
+ * Ocean counts against PCS (falling back to outer quantity), Air against QTY (falling back to SLAC)
+ */
+export function getExpectedPieces(row, mode = 'ocean') {
+    if (mode === 'air') {
+        return hasValue(row.qty) ? toCount(row.qty) : toCount(row.slac);
+    }
+    return hasValue(row.pcs) ? toCount(row.pcs) : toCount(row.outer_quantity);
+}
+
+/**
+ * Received pieces recorded in a tally - Air sums every arrival
+ * @returns {number|null} null when nothing has been counted yet
+ */
+export function getReceivedPieces(tally, mode = 'ocean') {
+    if (!tally) return null;
+    if (mode === 'air') {
+        const counted = (tally.arrivals || []).filter(arrival => hasValue(arrival.pcs));
+        if (counted.length === 0) return null;
+        return counted.reduce((sum, arrival) => sum + toCount(arrival.pcs), 0);
+    }
+    return hasValue(tally.received_pcs) ? toCount(tally.received_pcs) : null;
+}
+
+/**
+ * Find over / short / damaged / unmanifested items
+ * Items without a tally have not been received yet and are skipped.
+ * A tally only counts as unmanifested when its MBL/MAWB is part of the given rows,
+ * so tallies from other uploads don't show up here.
+ * @param {Array} rows - Manifest rows (master list or upload report data)
+ * @param {Array} tallies - Output of getTallies
+ * @param {string} mode - 'ocean' or 'air'
+ * @returns {Array} Manifest rows with osd_types, expected_pcs, received_pcs, variance and damaged_pcs
+ */
+export function findDiscrepancies(rows, tallies, mode = 'ocean') {
+    const isAir = mode === 'air';
+    const keyField = isAir ? 'hawb' : 'hb';
+    const groupField = isAir ? 'mawb' : 'mbl';
+
+    const tallyByKey = new Map(tallies.map(tally => [tally.item_key, tally]));
+    const manifest = new Map();
+    for (const row of rows) {
+        if (row[keyField] && !manifest.has(row[keyField])) {
+            manifest.set(row[keyField], row);
+        }
+    }
+
+    const discrepancies = [];
+
+    for (const [key, row] of manifest) {
+        const tally = tallyByKey.get(key);
+        const received = getReceivedPieces(tally, mode);
+        if (received === null && !hasValue(tally?.damaged_pcs)) continue;
+
+        const expected = getExpectedPieces(row, mode);
+        const damaged = toCount(tally.damaged_pcs);
+        const types = [];
+        if (received !== null && received > expected) types.push('over');
+        if (received !== null && received < expected) types.push('short');
+        if (damaged > 0) types.push('damaged');
+        if (types.length === 0) continue;
+
+        discrepancies.push({
+            ...row,
+            osd_types: types,
+            expected_pcs: expected,
+            received_pcs: received,
+            variance: received === null ? null : received - expected,
+            damaged_pcs: damaged,
+            tally_notes: tally.notes || '',
+        });
+    }
+
+    const manifestGroups = new Set(rows.map(row => row[groupField]).filter(Boolean));
+    for (const tally of tallies) {
+        if (manifest.has(tally.item_key) || !manifestGroups.has(tally.group_key)) continue;
+
+        const received = getReceivedPieces(tally, mode);
+        const damaged = toCount(tally.damaged_pcs);
+        discrepancies.push({
+            [keyField]: tally.item_key,
+            [groupField]: tally.group_key,
+            osd_types: damaged > 0 ? ['unmanifested', 'damaged'] : ['unmanifested'],
+            expected_pcs: 0,
+            received_pcs: received,
+            variance: received,
+            damaged_pcs: damaged,
+            tally_notes: tally.notes || '',
+        });
+    }
+
+    return discrepancies;
+}
+
+/**
+ * Count discrepancies per type, e.g. { over: 2, short: 5, damaged: 1, unmanifested: 0 }
+ */
+export function countDiscrepancies(discrepancies) {
+    const counts = Object.fromEntries(Object.keys(OSD_TYPES).map(type => [type, 0]));
+    for (const item of discrepancies) {
+        for (const type of item.osd_types) {
+            counts[type]++;
+        }
+    }
+    return counts;
+}
+
+/**
+ * Flatten discrepancies into CSV rows
+ */
+export function toOsdExportRows(discrepancies, mode = 'ocean') {
+    const isAir = mode === 'air';
+    return discrepancies.map(item => ({
+        [isAir ? 'MAWB' : 'MBL']: (isAir ? item.mawb : item.mbl) || '',
+        [isAir ? 'FLIGHT #' : 'CONTAINER']: (isAir ? item.flight_number : item.container) || '',
+        [isAir ? 'HAWB' : 'HB']: (isAir ? item.hawb : item.hb) || '',
+        'DISCREPANCY': item.osd_types.map(type => OSD_TYPES[type]).join(', '),
+        'MANIFEST PCS': item.expected_pcs,
+        'RECEIVED PCS': item.received_pcs ?? '',
+        'VARIANCE': item.variance ?? '',
+        'DAMAGED PCS': item.damaged_pcs || '',
+        'NOTES': item.tally_notes,
+    }));
+}
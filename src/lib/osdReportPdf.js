@@ -0,0 +1,64 @@
+/**
+ * OS&D Report PDF - Draws the OS&D report as a vector PDF with pdf-lib
+ * Same layout as the HTML preview in OsdReport: one page run per MBL/MAWB, a table per container/flight
+ */
+
+import { CONTENT_WIDTH, columnWidths, createPageFlow, createPdfDocument, drawTable } from './pdfPages.js';
+import { OSD_TYPES } from './osdReport.js';
+
+// HB | Discrepancy | Mfst PCS | Rcvd PCS | Over/Short | DMG | Notes
+const COLUMNS = columnWidths([16, 20, 10, 10, 10, 10, 24]);
+
+/**
+ * Build an OS&D Report PDF
+ * @param {Object} options
+ * @param {Object} options.groupedData - Discrepancies keyed by MBL/MAWB, then by container/flight
+ * @param {string} options.mode - 'ocean' or 'air'
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export async function generateOsdReportPdf({ groupedData, mode = 'ocean' }) {
+    const isAir = mode === 'air';
+    const title = `${isAir ? 'Air' : 'Ocean'} OS&D Report`;
+    const { pdfDoc, fonts } = await createPdfDocument(title);
+    const flow = createPageFlow(pdfDoc, fonts);
+
+    const today = new Date();
+    const dateStr = `${today.getMonth() + 1}/${today.getDate()}/${today.getFullYear()}`;
+    const header = [isAir ? 'HAWB' : 'HB', 'Discrepancy', 'Mfst PCS', 'Rcvd PCS', 'Over/Short', 'DMG', 'Notes']
+        .map((label, i) => ({ width: COLUMNS[i], lines: [label], bold: true, align: 'center' }));
+
+    Object.entries(groupedData).forEach(([group, subGroups], groupIdx) => {
+        if (groupIdx > 0) flow.newPage();
+
+        flow.writer.drawRow([{ width: CONTENT_WIDTH, lines: [title], size: 13, bold: true, align: 'center', border: 1.5 }], 24);
+        flow.writer.drawRow([
+            { width: CONTENT_WIDTH * 0.6, lines: [`${isAir ? 'MAWB' : 'MBL'}: ${group}`], bold: true, size: 10, border: 1.5 },
+            { width: CONTENT_WIDTH * 0.4, lines: [`Date: ${dateStr}`], bold: true, size: 10, border: 1.5 },
+        ], 22);
+        flow.writer.moveDown(8);
+
+        Object.entries(subGroups).forEach(([subGroup, items]) => {
+            // Keep the label with the table header and its first row
+            flow.ensureSpace(16 + 20 + 18);
+            flow.writer.drawText(`${isAir ? 'Flight' : 'Container'}: ${subGroup}`, { size: 10, bold: true });
+            flow.writer.moveDown(16);
+
+            const rows = items.map(item => {
+                const variance = item.variance > 0 ? `+${item.variance}` : item.variance ?? '';
+                return [
+                    { lines: [isAir ? item.hawb : item.hb], bold: true },
+                    { lines: [item.osd_types.map(type => OSD_TYPES[type]).join(', ')] },
+                    { lines: [item.expected_pcs], align: 'center' },
+                    { lines: [item.received_pcs], align: 'center' },
+                    { lines: [variance], bold: true, align: 'center' },
+                    { lines: [item.damaged_pcs || ''], align: 'center' },
+                    { lines: [item.tally_notes] },
+                ].map((cell, i) => ({ width: COLUMNS[i], ...cell }));
+            });
+            drawTable(flow, header, rows);
+            flow.writer.moveDown(8);
+        });
+    });
+
+    return pdfDoc.save();
+}
@@ -0,0 +1,220 @@
+/**
+ * PDF Pages - Letter landscape pages drawn top-down with pdf-lib: bordered table cells, text,
+ * Code 128 barcodes and QR codes. Shared by the Dock Tally, OS&D and Removed Items PDFs.
+ */
+
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { code128Bars, encodeQr } from './barcodes.js';
+
+// Letter landscape, in points
+export const PAGE_WIDTH = 792;
+export const PAGE_HEIGHT = 612;
+export const MARGIN_X = 28;
+export const MARGIN_Y = 14;
+export const CONTENT_WIDTH = PAGE_WIDTH - MARGIN_X * 2;
+
+// Narrowest Code 128 bar, in points (0.25 mm) - narrower bars don't scan reliably with wedge scanners
+const MIN_MODULE_WIDTH = 0.71;
+
+export const BLACK = rgb(0, 0, 0);
+export const GRAY = rgb(0.4, 0.4, 0.4);
+
+// Keep path coordinates short - they are written into the PDF as text
+const round = (value) => Math.round(value * 100) / 100;
+
+// Standard fonts only cover WinAnsi - replace anything else so drawing never throws
+const toWinAnsi = (value) => String(value ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+/**
+ * Scale relative column widths to the printable width
+ */
+export function columnWidths(weights) {
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    return weights.map(w => (w / total) * CONTENT_WIDTH);
+}
+
+/**
+ * Page wrapper with a top-down cursor and table drawing helpers
+ */
+export function createPageWriter(pdfDoc, fonts) {
+    const page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    let cursor = PAGE_HEIGHT - MARGIN_Y;
+
+    const fitText = (text, font, size, maxWidth) => {
+        let fitted = toWinAnsi(text);
+        if (font.widthOfTextAtSize(fitted, size) <= maxWidth) return fitted;
+        while (fitted.length > 0 && font.widthOfTextAtSize(`${fitted}...`, size) > maxWidth) {
+            fitted = fitted.slice(0, -1);
+        }
+        return fitted ? `${fitted}...` : '';
+    };
+
+    /**
+     * Draw a bordered cell. `lines` are drawn top-down, or vertically centered when `middle` is set.
+     */
+    const drawCell = (x, top, width, height, {
+        lines = [],
+        size = 9,
+        bold = false,
+        align = 'left',
+        middle = true,
+        color = BLACK,
+        border = 0.75,
+    } = {}) => {
+        if (border > 0) {
+            page.drawRectangle({
+                x,
+                y: top - height,
+                width,
+                height,
+                borderColor: BLACK,
+                borderWidth: border,
+            });
+        }
+
+        const texts = lines.filter(line => line !== null && line !== undefined && line !== '');
+        if (texts.length === 0) return;
+
+        const lineHeight = size + 2;
+        const blockHeight = texts.length * lineHeight;
+        let y = middle ? top - (height - blockHeight) / 2 - size : top - 3 - size;
+
+        for (const line of texts) {
+            const spec = typeof line === 'object' ? line : { text: line };
+            const font = (spec.bold ?? bold) ? fonts.bold : fonts.regular;
+            const lineSize = spec.size || size;
+            const text = fitText(spec.text, font, lineSize, width - 6);
+            const textWidth = font.widthOfTextAtSize(text, lineSize);
+            const textX = align === 'center' ? x + (width - textWidth) / 2 : x + 3;
+            page.drawText(text, { x: textX, y, size: lineSize, font, color: spec.color || color });
+            y -= lineHeight;
+        }
+    };
+
+    /**
+     * Draw a row of cells and move the cursor below it
+     * @param {Array<{width: number, ...cellOptions}>} cells
+     * @param {number} height
+     * @param {Object} options - { advance: false keeps the cursor, for cells spanning several rows }
+     */
+    const drawRow = (cells, height, { advance = true } = {}) => {
+        let x = MARGIN_X;
+        for (const cell of cells) {
+            drawCell(x, cursor, cell.width, height, cell);
+            x += cell.width;
+        }
+        if (advance) cursor -= height;
+    };
+
+    const drawText = (text, { x = MARGIN_X, size = 9, bold = false, align = 'left' } = {}) => {
+        const font = bold ? fonts.bold : fonts.regular;
+        const fitted = toWinAnsi(text);
+        const width = font.widthOfTextAtSize(fitted, size);
+        const textX = align === 'center'
+            ? MARGIN_X + (CONTENT_WIDTH - width) / 2
+            : align === 'right' ? PAGE_WIDTH - MARGIN_X - width : x;
+        page.drawText(fitted, { x: textX, y: cursor - size, size, font, color: BLACK });
+    };
+
+    // Barcodes are drawn as one SVG path each (SVG y axis points down from the given top)
+    const drawPath = (path, x, top) => {
+        if (path) page.drawSvgPath(path, { x, y: top, color: BLACK, borderWidth: 0 });
+    };
+
+    // Code 128 stretched into the box, quiet zones included. Left out when its bars would be narrower
+    // than MIN_MODULE_WIDTH - the HB / HAWB is printed above it either way.
+    const drawBarcode = (text, x, top, width, height) => {
+        const { bars, modules } = code128Bars(text);
+        if (modules === 0) return;
+        const scale = width / modules;
+        if (scale < MIN_MODULE_WIDTH) return;
+        drawPath(bars.map(bar => `M${round(bar.x * scale)} 0h${round(bar.width * scale)}v${height}h${-round(bar.width * scale)}Z`).join(''), x, top);
+    };
+
+    const drawQr = (text, x, top, size) => {
+        const qr = encodeQr(text);
+        if (!qr) return;
+        const cell = round(size / qr.size);
+        let path = '';
+        for (let row = 0; row < qr.size; row++) {
+            for (let col = 0; col < qr.size; col++) {
+                if (qr.isDark(row, col)) path += `M${round(col * cell)} ${round(row * cell)}h${cell}v${cell}h${-cell}Z`;
+            }
+        }
+        drawPath(path, x, top);
+    };
+
+    return {
+        drawRow,
+        drawBarcode,
+        drawQr,
+        top: () => cursor,
+        // Room left above the bottom margin
+        space: () => cursor - MARGIN_Y,
+        drawText,
+        drawRule: (thickness = 0.75) => {
+            page.drawLine({
+                start: { x: MARGIN_X, y: cursor },
+                end: { x: PAGE_WIDTH - MARGIN_X, y: cursor },
+                thickness,
+                color: BLACK,
+            });
+        },
+        moveDown: (amount) => {
+            cursor -= amount;
+        },
+    };
+}
+
+/**
+ * New PDF with the Helvetica fonts the page writers draw with
+ * @returns {Promise<{pdfDoc: PDFDocument, fonts: {regular, bold}}>}
+ */
+export async function createPdfDocument(title) {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.setTitle(title);
+    const fonts = {
+        regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+        bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold),
+    };
+    return { pdfDoc, fonts };
+}
+
+/**
+ * Pages written one after another, for reports whose rows don't come in fixed pages
+ * `writer` is the current page; `ensureSpace(height)` starts a new one when the next `height`
+ * points don't fit on it but would on a fresh page, and returns whether it did.
+ */
+export function createPageFlow(pdfDoc, fonts) {
+    let writer = createPageWriter(pdfDoc, fonts);
+    const newPage = () => {
+        writer = createPageWriter(pdfDoc, fonts);
+        return writer;
+    };
+    return {
+        get writer() {
+            return writer;
+        },
+        newPage,
+        ensureSpace(height) {
+            if (writer.space() >= height || height > PAGE_HEIGHT - MARGIN_Y * 2) return false;
+            newPage();
+            return true;
+        },
+    };
+}
+
+/**
+ * Draw a table across as many pages as it needs, repeating the header row on each
+ * @param {Object} flow - From createPageFlow
+ * @param {Array} header - Header cells ({ width, ...cellOptions } as for drawRow)
+ * @param {Array<Array>} rows - Cells of each row
+ */
+export function drawTable(flow, header, rows, { headerHeight = 20, rowHeight = 18 } = {}) {
+    flow.ensureSpace(headerHeight + rowHeight);
+    flow.writer.drawRow(header, headerHeight);
+    for (const row of rows) {
+        if (flow.ensureSpace(rowHeight)) flow.writer.drawRow(header, headerHeight);
+        flow.writer.drawRow(row, rowHeight);
+    }
+}
@@ -0,0 +1,34 @@
+/**
+ * Permissions - What each role may do
+ * Roles are ranked; a role may do everything the roles below it may.
+ * The RLS policies in supabase-schema.sql enforce the same ranks with has_role().
+ */
+
+export const ROLES = ['viewer', 'dock_clerk', 'supervisor', 'admin'];
+
+export const ROLE_LABELS = {
+    viewer: 'Viewer',
+    dock_clerk: 'Dock Clerk',
+    supervisor: 'Supervisor',
+    admin: 'Admin',
+};
+
+// Lowest role allowed to do each action; viewing and exporting need any role
+const REQUIRED_ROLE = {
+    tally: 'dock_clerk',
+    upload: 'dock_clerk',
+    deleteUpload: 'supervisor',
+    viewAudit: 'supervisor',
+    clearData: 'admin',
+    searchAllWarehouses: 'admin',
+};
+
+/**
+ * Whether a role may do an action
+ * @param {string|null} role - One of ROLES; anything else may do nothing
+ * @param {'tally'|'upload'|'deleteUpload'|'viewAudit'|'clearData'|'searchAllWarehouses'} action
+ */
+export function can(role, action) {
+    const rank = ROLES.indexOf(role);
+    return rank !== -1 && rank >= ROLES.indexOf(REQUIRED_ROLE[action]);
+}
@@ -0,0 +1,103 @@
+/**
+ * Receiving - Scan lookups and received-piece counting for the Receive screen
+ * Counts are stored in the dock tallies, so the tally report and OS&D pick them up
+ */
+
+import { getReceivedPieces } from './osdReport.js';
+
+/**
+ * Current time as HH:MM, the format of the tally TIME column
+ */
+export function currentTime() {
+    const now = new Date();
+    return `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Normalize a scanned or typed code - scanners may add whitespace, crews type lower case
+ */
+export function normalizeScan(code) {
+    return String(code ?? '').trim().toUpperCase();
+}
+
+/**
+ * Index master list rows by normalized HB / HAWB for instant lookups
+ * @returns {Map<string, Object>}
+ */
+export function buildReceivingIndex(rows, mode = 'ocean') {
+    const keyField = mode === 'air' ? 'hawb' : 'hb';
+    const index = new Map();
+    for (const row of rows) {
+        const key = normalizeScan(row[keyField]);
+        if (key && !index.has(key)) {
+            index.set(key, row);
+        }
+    }
+    return index;
+}
+
+/**
+ * Tally changes for receiving pieces of an item
+ * Ocean adds to PCS, Air to the PCS of the given arrival. The time is stamped on the first piece.
+ * Storage adapters apply this to the stored tally (receive_pieces in supabase-schema.sql does the same),
+ * so the count always adds to the latest value.
+ * @param {Object|undefined} tally - Stored tally of the item
+ * @param {string} mode - 'ocean' or 'air'
+ * @param {Object} options - { arrival: 0-3 (Air), pieces: pieces to add, time: HH:MM }
+ * @returns {Object} Changed tally fields
+ */
+export function addReceivedPieces(tally, mode = 'ocean', { arrival = 0, pieces = 1, time = currentTime() } = {}) {
+    if (mode !== 'air') {
+        return {
+            received_pcs: String((parseInt(tally?.received_pcs, 10) || 0) + pieces),
+            received_time: tally?.received_time || time,
+        };
+    }
+
+    const arrivals = [...(tally?.arrivals || [])];
+    while (arrivals.length <= arrival) {
+        arrivals.push({ pcs: '', loc: '', time: '', crw: '', sub: '' });
+    }
+    const current = arrivals[arrival];
+    arrivals[arrival] = {
+        ...current,
+        pcs: String((parseInt(current.pcs, 10) || 0) + pieces),
+        time: current.time || time,
+    };
+    return { arrivals };
+}
+
+/**
+ * Received progress per MBL / MAWB, e.g. "14 of 22 HBs received"
+ * @param {Array} rows - Master list rows
+ * @param {Map<string, Object>} tallies - Tallies keyed by HB / HAWB
+ * @returns {Object} { [group]: { group, subGroups: string[], received: number, total: number } }
+ */
+export function summarizeReceiving(rows, tallies, mode = 'ocean') {
+    const isAir = mode === 'air';
+    const keyField = isAir ? 'hawb' : 'hb';
+    const groupField = isAir ? 'mawb' : 'mbl';
+    const subGroupField = isAir ? 'flight_number' : 'container';
+
+    const summary = {};
+    const seen = new Set();
+    for (const row of rows) {
+        const key = row[keyField];
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+
+        const group = row[groupField] || `NO ${isAir ? 'MAWB' : 'MBL'}`;
+        if (!summary[group]) {
+            summary[group] = { group, subGroups: [], received: 0, total: 0 };
+        }
+        const entry = summary[group];
+        if (row[subGroupField] && !entry.subGroups.includes(row[subGroupField])) {
+            entry.subGroups.push(row[subGroupField]);
+        }
+        entry.total++;
+        if (getReceivedPieces(tallies.get(key), mode) > 0) {
+            entry.received++;
+        }
+    }
+    return summary;
+}
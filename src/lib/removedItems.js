@@ -0,0 +1,46 @@
+/**
+ * Removed Items - HBs / HAWBs that dropped out of an upload, and the upload they were last seen in
+ * Feeds the Removed view of the Dashboard and the removed items hand-over report
+ */
+
+import { getExpectedPieces } from './osdReport.js';
+
+/**
+ * Upload as the sidebar lists it: date and filename
+ */
+export function uploadLabel(upload) {
+    return `${new Date(upload.upload_date).toLocaleDateString()} - ${upload.filename}`;
+}
+
+/**
+ * Add last_seen - the upload each item was last listed in
+ * Upload report rows carry their own upload_id, master list items last_seen_upload_id.
+ * @param {Array} items - getRemovedItemsData rows or getMasterListRemovedItems data
+ * @param {Array} uploads - Uploads of the same mode
+ */
+export function withLastSeen(items, uploads) {
+    const uploadsById = new Map(uploads.map(upload => [upload.id, upload]));
+    return items.map(item => {
+        const upload = uploadsById.get(item.last_seen_upload_id || item.last_updated_upload_id || item.upload_id);
+        return { ...item, last_seen: upload ? uploadLabel(upload) : '' };
+    });
+}
+
+/**
+ * Flatten removed items into CSV rows, with blank columns for the hand-over
+ */
+export function toRemovedExportRows(items, mode = 'ocean') {
+    const isAir = mode === 'air';
+    return items.map(item => ({
+        [isAir ? 'MAWB' : 'MBL']: (isAir ? item.mawb : item.mbl) || '',
+        [isAir ? 'FLIGHT #' : 'CONTAINER']: (isAir ? item.flight_number : item.container) || '',
+        [isAir ? 'HAWB' : 'HB']: (isAir ? item.hawb : item.hb) || '',
+        'CONSIGNEE': (isAir ? item.consignee : item.cnee) || '',
+        'MANIFEST PCS': getExpectedPieces(item, mode),
+        'LAST SEEN': item.last_seen || '',
+        'REMOVED': item.removed_at ? new Date(item.removed_at).toLocaleDateString() : '',
+        'FOUND PCS': '',
+        'LOCATION': '',
+        'NOTES': '',
+    }));
+}
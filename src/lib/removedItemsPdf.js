@@ -0,0 +1,78 @@
+/**
+ * Removed Items PDF - Draws the removed items hand-over sheet as a vector PDF with pdf-lib
+ * Same layout as the HTML preview in RemovedItemsReport: a table per MBL/MAWB, then the sign-off row
+ */
+
+import { CONTENT_WIDTH, columnWidths, createPageFlow, createPdfDocument, drawTable } from './pdfPages.js';
+import { getExpectedPieces } from './osdReport.js';
+
+// HB | Container | Consignee | Mfst PCS | Last Seen | Found PCS | Location | Notes
+const COLUMNS = columnWidths([13, 12, 17, 7, 19, 7, 9, 16]);
+const LABEL_HEIGHT = 16;
+const HEADER_HEIGHT = 20;
+const ROW_HEIGHT = 18;
+const SIGN_HEIGHT = 34;
+
+/**
+ * Build a Removed Items hand-over PDF
+ * @param {Object} options
+ * @param {Object} options.groupedData - Removed items keyed by MBL/MAWB
+ * @param {string} options.title - Upload / view the items were removed from
+ * @param {string} options.mode - 'ocean' or 'air'
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export async function generateRemovedItemsPdf({ groupedData, title = '', mode = 'ocean' }) {
+    const isAir = mode === 'air';
+    const heading = `${isAir ? 'Air' : 'Ocean'} Removed Items Hand-over`;
+    const { pdfDoc, fonts } = await createPdfDocument(heading);
+    const flow = createPageFlow(pdfDoc, fonts);
+
+    const today = new Date();
+    const dateStr = `${today.getMonth() + 1}/${today.getDate()}/${today.getFullYear()}`;
+    const count = Object.values(groupedData).reduce((sum, items) => sum + items.length, 0);
+
+    flow.writer.drawRow([{ width: CONTENT_WIDTH, lines: [heading], size: 13, bold: true, align: 'center', border: 1.5 }], 24);
+    flow.writer.drawRow([
+        { width: CONTENT_WIDTH * 0.6, lines: [title], bold: true, size: 10, border: 1.5 },
+        { width: CONTENT_WIDTH * 0.4, lines: [`Date: ${dateStr}   ${isAir ? 'HAWBs' : 'HBs'}: ${count}`], bold: true, size: 10, border: 1.5 },
+    ], 22);
+    flow.writer.moveDown(8);
+
+    const header = [
+        isAir ? 'HAWB' : 'HB', isAir ? 'Flight' : 'Container', 'Consignee', 'Mfst PCS',
+        'Last Seen', 'Found PCS', 'Location', 'Notes',
+    ].map((label, i) => ({ width: COLUMNS[i], lines: [label], bold: true, align: 'center' }));
+
+    for (const [group, items] of Object.entries(groupedData)) {
+        // Keep each MBL/MAWB on one page when it fits on one
+        flow.ensureSpace(LABEL_HEIGHT + HEADER_HEIGHT + ROW_HEIGHT * items.length);
+        flow.ensureSpace(LABEL_HEIGHT + HEADER_HEIGHT + ROW_HEIGHT);
+        flow.writer.drawText(`${isAir ? 'MAWB' : 'MBL'}: ${group}`, { size: 10, bold: true });
+        flow.writer.moveDown(LABEL_HEIGHT);
+
+        const rows = items.map(item => [
+            { lines: [isAir ? item.hawb : item.hb], bold: true },
+            { lines: [isAir ? item.flight_number : item.container] },
+            { lines: [isAir ? item.consignee : item.cnee] },
+            { lines: [getExpectedPieces(item, mode)], align: 'center' },
+            { lines: [item.last_seen] },
+            {},
+            {},
+            {},
+        ].map((cell, i) => ({ width: COLUMNS[i], ...cell })));
+        drawTable(flow, header, rows, { headerHeight: HEADER_HEIGHT, rowHeight: ROW_HEIGHT });
+        flow.writer.moveDown(8);
+    }
+
+    flow.ensureSpace(8 + SIGN_HEIGHT);
+    flow.writer.moveDown(8);
+    flow.writer.drawRow(['Handed over by:', 'Received by:', 'Date / Time:'].map(label => ({
+        width: CONTENT_WIDTH / 3,
+        lines: [label],
+        bold: true,
+        middle: false,
+        border: 1.5,
+    })), SIGN_HEIGHT);
+
+    return pdfDoc.save();
+}
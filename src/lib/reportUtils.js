@@ -0,0 +1,49 @@
+/**
+ * Report Utilities - Helpers shared by the printable reports
+ */
+
+import { OSD_TYPES } from './osdReport.js';
+
+const FILTER_LABELS = {
+    all: 'All',
+    with_frl: 'With FRL',
+    without_frl: 'Without FRL',
+    new_items: 'New Items',
+    updated_items: 'Updated',
+    removed_items: 'Removed',
+};
+
+/**
+ * Escape user-entered values (tally notes, crew initials) before they go into report HTML
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Save generated PDF bytes as a download
+ */
+export function downloadPdf(pdfBytes, filename) {
+    const blob = new Blob([pdfBytes], { type: 'application/pdf' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link); // Required for some browsers
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Label of a Dashboard filter for report headers, e.g. 'removed_items' -> 'Removed'
+ */
+export function getFilterLabel(filter, mode = 'ocean') {
+    if (filter.startsWith('osd_')) return OSD_TYPES[filter.slice(4)] || filter;
+    if (filter === 'new_frl') return mode === 'air' ? 'Newly Logged' : "Newly FRL'd";
+    return FILTER_LABELS[filter] || filter;
+}
@@ -0,0 +1,41 @@
+/**
+ * Routes - Dashboard views as shareable URLs
+ * Warehouse, mode and upload are the path, filter and search the query string:
+ * /main/ocean/master?filter=new_frl&q=MSCU123, /main/air/uploads/:uploadId?field=hawb&q=123
+ * scope=all searches the master lists of every warehouse (admins only)
+ */
+
+import { DEFAULT_WAREHOUSE } from './warehouses.js';
+
+export const MODES = ['ocean', 'air'];
+
+/**
+ * URL of a Dashboard view; defaults ('all', empty search) are left out
+ * @param {Object} view
+ * @param {string} view.warehouse - Warehouse id
+ * @param {string} view.mode - 'ocean' or 'air'
+ * @param {string|null} view.uploadId - null for the master list
+ * @param {string} view.filter - MetricsBar filter key
+ * @param {string} view.q - Search text
+ * @param {string} view.field - Search field
+ * @param {string} view.scope - 'all' to search every warehouse, else just this one
+ */
+export function viewPath({
+    warehouse = DEFAULT_WAREHOUSE,
+    mode = 'ocean',
+    uploadId = null,
+    filter = 'all',
+    q = '',
+    field = 'all',
+    scope = '',
+} = {}) {
+    const base = `/${encodeURIComponent(warehouse)}/${mode}`;
+    const path = uploadId ? `${base}/uploads/${encodeURIComponent(uploadId)}` : `${base}/master`;
+    const params = new URLSearchParams();
+    if (filter && filter !== 'all') params.set('filter', filter);
+    if (q) params.set('q', q);
+    if (field && field !== 'all') params.set('field', field);
+    if (scope === 'all') params.set('scope', scope);
+    const query = params.toString();
+    return query ? `${path}?${query}` : path;
+}
@@ -0,0 +1,201 @@
+/**
+ * Row Validation - Per-row checks run before an upload is saved
+ * Rows are keyed by the required column names (after column mapping, before cleanData).
+ * Errors mark a row that should not be imported, warnings only point at suspicious values.
+ */
+
+const OCEAN_RULES = {
+    keyColumn: 'HB',
+    groupColumn: 'MBL',
+    // cleanData drops a row without any of these
+    anyOf: ['CONTAINER', 'HB', 'MBL'],
+    numbers: ['OUTER QUANTITY', 'PCS', 'WT_LBS', 'VOLUME'],
+    dates: ['FRL', 'TDF'],
+};
+
+const AIR_RULES = {
+    keyColumn: 'HAWB',
+    groupColumn: 'MAWB',
+    // cleanAirData drops a row without either
+    anyOf: ['MAWB', 'HAWB'],
+    numbers: ['QTY', 'SLAC', 'WEIGHT'],
+    dates: ['ETA', 'Flt Date'],
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const text = (value) => String(value ?? '').trim();
+
+const isBlank = (value) => {
+    const trimmed = text(value);
+    return trimmed === '' || trimmed.toLowerCase() === 'nan';
+};
+
+// ISO 6346 letter values: A=10 upwards, skipping multiples of 11
+const CONTAINER_LETTER_VALUES = (() => {
+    const values = {};
+    let value = 10;
+    for (const letter of 'ABCDEFGHIJKLMNOPQRSTUVWXYZ') {
+        if (value % 11 === 0) value++;
+        values[letter] = value++;
+    }
+    return values;
+})();
+
+/**
+ * Check a container number: owner code, category (U, J or Z), serial and ISO 6346 check digit
+ * @returns {'valid'|'format'|'check_digit'}
+ */
+export function checkContainerNumber(value) {
+    const container = text(value).toUpperCase().replace(/[\s.-]/g, '');
+    if (!/^[A-Z]{3}[UJZ]\d{7}$/.test(container)) return 'format';
+
+    let sum = 0;
+    for (let i = 0; i < 10; i++) {
+        const char = container[i];
+        const charValue = i < 4 ? CONTAINER_LETTER_VALUES[char] : Number(char);
+        sum += charValue * 2 ** i;
+    }
+    return (sum % 11) % 10 === Number(container[10]) ? 'valid' : 'check_digit';
+}
+
+/**
+ * Check a MAWB: 3-digit airline prefix, 7-digit serial and a check digit of serial mod 7
+ * @returns {'valid'|'format'|'check_digit'}
+ */
+export function checkMawbNumber(value) {
+    const mawb = text(value).replace(/[\s-]/g, '');
+    if (!/^\d{11}$/.test(mawb)) return 'format';
+    return Number(mawb.slice(3, 10)) % 7 === Number(mawb[10]) ? 'valid' : 'check_digit';
+}
+
+/**
+ * Whether a value is a plain number - thousands separators and decimals allowed
+ */
+export function isNumeric(value) {
+    return /^-?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$|^-?\.\d+$/.test(text(value));
+}
+
+const isCalendarDate = (year, month, day) => {
+    if (month < 1 || month > 12 || day < 1) return false;
+    return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+};
+
+const fullYear = (year) => (year.length === 2 ? 2000 + Number(year) : Number(year));
+
+/**
+ * Whether a value is a date in one of the formats manifests use, optionally followed by a time:
+ * 2024-03-05, 03/05/2024, 3/5/24, 03-05-2024, 05-Mar-2024, 5 Mar 24, Mar 5, 2024
+ */
+export function isDate(value) {
+    const date = text(value).replace(/[ T]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(\s?[AP]M|Z)?$/i, '').trim();
+    let match;
+
+    if ((match = date.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+        return isCalendarDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    }
+    if ((match = date.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2}|\d{4})$/))) {
+        return isCalendarDate(fullYear(match[3]), Number(match[1]), Number(match[2]));
+    }
+    if ((match = date.match(/^(\d{1,2})[\s-]([a-z]{3})[a-z]*[\s-](\d{2}|\d{4})$/i))) {
+        const month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+        return month > 0 && isCalendarDate(fullYear(match[3]), month, Number(match[1]));
+    }
+    if ((match = date.match(/^([a-z]{3})[a-z]*\.?\s(\d{1,2}),?\s(\d{4})$/i))) {
+        const month = MONTHS.indexOf(match[1].toLowerCase()) + 1;
+        return month > 0 && isCalendarDate(Number(match[3]), month, Number(match[2]));
+    }
+    return false;
+}
+
+/**
+ * Check every row of an upload
+ * @param {Array} rows - Rows keyed by required column name
+ * @param {string} mode - 'ocean' or 'air'
+ * @param {Array<number>} rowNumbers - File row number of each row (parseExcelSheet's meta.rowNumbers);
+ *   defaults to the CSV line, counting the header as line 1
+ * @returns {Array<{index, row, column, value, severity: 'error'|'warning', message}>} In row order
+ */
+export function validateRows(rows, mode = 'ocean', rowNumbers = null) {
+    const rules = mode === 'air' ? AIR_RULES : OCEAN_RULES;
+    const issues = [];
+    // Key -> { group, row } of its first appearance
+    const groups = new Map();
+
+    rows.forEach((source, index) => {
+        const row = rowNumbers?.[index] ?? index + 2;
+        const add = (column, severity, message) => {
+            issues.push({ index, row, column, value: text(source[column]), severity, message });
+        };
+
+        // Nothing mapped in this row at all - cleanData skips it and there is nothing to report
+        if (Object.values(source).every(isBlank)) return;
+
+        if (rules.anyOf.every(column => isBlank(source[column]))) {
+            const columns = `${rules.anyOf.slice(0, -1).join(', ')} or ${rules.anyOf.at(-1)}`;
+            add(rules.keyColumn, 'error', `No ${columns} - the row would be skipped`);
+            return;
+        }
+        if (isBlank(source[rules.keyColumn])) {
+            add(rules.keyColumn, 'warning', `No ${rules.keyColumn} - saved with the upload but not tracked in the master list`);
+        }
+
+        if (mode === 'air') {
+            if (!isBlank(source.MAWB)) {
+                const result = checkMawbNumber(source.MAWB);
+                if (result === 'format') add('MAWB', 'warning', 'Not an 11-digit MAWB number');
+                if (result === 'check_digit') add('MAWB', 'error', 'MAWB check digit is wrong (mod 7)');
+            }
+        } else if (!isBlank(source.CONTAINER)) {
+            const result = checkContainerNumber(source.CONTAINER);
+            if (result === 'format') add('CONTAINER', 'warning', 'Not an ISO 6346 container number (e.g. CSQU3054383)');
+            if (result === 'check_digit') add('CONTAINER', 'error', 'Container check digit is wrong (ISO 6346)');
+        }
+
+        for (const column of rules.numbers) {
+            if (!isBlank(source[column]) && !isNumeric(source[column])) {
+                add(column, 'error', `${column} is not a number`);
+            }
+        }
+
+        for (const column of rules.dates) {
+            if (!isBlank(source[column]) && !isDate(source[column])) {
+                add(column, 'warning', `${column} is not a date`);
+            }
+        }
+
+        const key = text(source[rules.keyColumn]);
+        const group = text(source[rules.groupColumn]);
+        if (key && group) {
+            const first = groups.get(key);
+            if (!first) {
+                groups.set(key, { group, row });
+            } else if (first.group !== group) {
+                add(rules.keyColumn, 'warning', `${rules.keyColumn} ${key} is also under ${rules.groupColumn} ${first.group} (row ${first.row})`);
+            }
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Rows without any error, for importing only the valid rows
+ */
+export function rowsWithoutErrors(rows, issues) {
+    const invalid = new Set(issues.filter(issue => issue.severity === 'error').map(issue => issue.index));
+    return rows.filter((_, index) => !invalid.has(index));
+}
+
+/**
+ * Flat rows for exporting the validation report as CSV
+ */
+export function toValidationExportRows(issues) {
+    return issues.map(issue => ({
+        'ROW': issue.row,
+        'SEVERITY': issue.severity.toUpperCase(),
+        'COLUMN': issue.column,
+        'VALUE': issue.value,
+        'MESSAGE': issue.message,
+    }));
+}
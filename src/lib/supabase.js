@@ -1,23 +1,23 @@
 /**
- * Supabase Client Configuration
+ * Auth - Sign in / out and the signed-in user's role and warehouses
+ * Uses Supabase Auth when Supabase is configured, otherwise the local stand-in (localAuth.js)
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { supabase } from './supabaseClient.js';
+import { localAuth, LOCAL_WAREHOUSES } from './localAuth.js';
 
-const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
-const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
+const auth = supabase ? supabase.auth : localAuth;
 
-if (!supabaseUrl || !supabaseAnonKey) {
-  console.error('Missing Supabase environment variables. Please check your .env file.');
-}
+export { supabase };
 
-export const supabase = createClient(supabaseUrl || '', supabaseAnonKey || '');
+// Whether accounts are the local stand-in ones
+export const isLocalAuth = !supabase;
 
 /**
  * Sign in with email and password
  */
 export async function signIn(email, password) {
-  const { data, error } = await supabase.auth.signInWithPassword({
+  const { data, error } = await auth.signInWithPassword({
     email,
     password,
   });
@@ -28,21 +28,74 @@ export async function signIn(email, password) {
  * Sign out
  */
 export async function signOut() {
-  const { error } = await supabase.auth.signOut();
+  const { error } = await auth.signOut();
   return { error };
 }
 
+/**
+ * Get the stored session, or null when signed out
+ * Supabase and the stand-in both keep it in localStorage, so it survives a reload
+ */
+export async function getSession() {
+  const { data: { session } } = await auth.getSession();
+  return session;
+}
+
 /**
  * Get current user
  */
 export async function getCurrentUser() {
-  const { data: { user } } = await supabase.auth.getUser();
+  const { data: { user } } = await auth.getUser();
   return user;
 }
 
+/**
+ * Role of a user - one of ROLES in permissions.js, or null when the user has none
+ * Supabase keeps roles in the user_roles table; stand-in users carry theirs
+ */
+export async function getUserRole(user) {
+  if (!supabase) return user.app_metadata?.role ?? null;
+
+  const { data, error } = await supabase
+    .from('user_roles')
+    .select('role')
+    .eq('user_id', user.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Supabase getUserRole error:', error);
+    return null;
+  }
+  return data?.role ?? null;
+}
+
+/**
+ * Warehouses a user works in, by name - empty when they have none yet
+ * On Supabase the RLS policies only return the user's warehouses (admins get all);
+ * stand-in users carry theirs
+ * @returns {Promise<Array<{id: string, name: string}>>}
+ */
+export async function getUserWarehouses(user) {
+  if (!supabase) {
+    const ids = user.app_metadata?.warehouses ?? [];
+    return LOCAL_WAREHOUSES.filter(w => ids.includes(w.id));
+  }
+
+  const { data, error } = await supabase
+    .from('warehouses')
+    .select('id, name')
+    .order('name');
+
+  if (error) {
+    console.error('Supabase getUserWarehouses error:', error);
+    return [];
+  }
+  return data;
+}
+
 /**
  * Listen for auth changes
  */
 export function onAuthStateChange(callback) {
-  return supabase.auth.onAuthStateChange(callback);
+  return auth.onAuthStateChange(callback);
 }
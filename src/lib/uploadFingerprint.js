@@ -0,0 +1,112 @@
+/**
+ * Upload Fingerprints - Spot a manifest that was already uploaded
+ * file_hash: the file's bytes. row_hash: the cleaned rows, ignoring row order, column order,
+ * whitespace and the file format - the same manifest saved again or exported as Excel instead of CSV.
+ * Key overlap: the HB / MBL pairs an upload shares with an earlier one - the same manifest re-sent
+ * with a few lines added, dropped or corrected.
+ */
+
+// Uploads sharing at least this share of their HB / MBL pairs are flagged
+export const SIMILAR_KEY_OVERLAP = 0.9;
+
+// Earlier uploads compared by key overlap - a re-sent manifest follows its first version closely
+export const SIMILAR_UPLOAD_LIMIT = 10;
+
+/**
+ * 53-bit string / byte hash (cyrb53) as hex
+ * Not crypto.subtle - that only exists on https or localhost, and the app is also served over plain http on the LAN.
+ * @param {string|Uint8Array} input
+ */
+export function hashContent(input) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    const isString = typeof input === 'string';
+    for (let i = 0; i < input.length; i++) {
+        const code = isString ? input.charCodeAt(i) : input[i];
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+// One row as text: columns sorted, values trimmed, blanks left out
+function rowText(row) {
+    return Object.keys(row)
+        .sort()
+        .map(column => [column, String(row[column] ?? '').trim()])
+        .filter(([, value]) => value !== '')
+        .map(([column, value]) => `${column}=${value}`)
+        .join('\u001f');
+}
+
+/**
+ * Fingerprint of a file and its cleaned rows (the rows cleanData / cleanAirData return)
+ * @param {Blob} file
+ * @param {Array} rows
+ * @returns {Promise<{fileHash: string, rowHash: string}>}
+ */
+export async function fingerprintUpload(file, rows) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    return {
+        fileHash: hashContent(bytes),
+        rowHash: hashContent(rows.map(rowText).sort().join('\n')),
+    };
+}
+
+/**
+ * HB / MBL (Air: HAWB / MAWB) pairs of report records, as toRecord returns them
+ * @returns {Set<string>}
+ */
+export function uploadKeys(records, mode = 'ocean') {
+    const [keyField, groupField] = mode === 'air' ? ['hawb', 'mawb'] : ['hb', 'mbl'];
+    return new Set(records
+        .filter(record => record[keyField])
+        .map(record => `${record[keyField]}\u001f${record[groupField] ?? ''}`));
+}
+
+/**
+ * Share of the pairs in either upload that both have (0-1)
+ * @param {Set<string>} keys
+ * @param {Set<string>} otherKeys
+ */
+export function keyOverlap(keys, otherKeys) {
+    let shared = 0;
+    for (const key of keys) {
+        if (otherKeys.has(key)) shared++;
+    }
+    const total = keys.size + otherKeys.size - shared;
+    return total === 0 ? 0 : shared / total;
+}
+
+/**
+ * Earlier uploads worth comparing by key overlap, newest first: the fingerprints don't match, and
+ * they have enough rows to share SIMILAR_KEY_OVERLAP of the keyCount pairs of the new file
+ */
+export function keyOverlapCandidates(uploads, { fileHash, rowHash }, keyCount) {
+    return uploads
+        .filter(upload => !(fileHash && upload.file_hash === fileHash) && !(rowHash && upload.row_hash === rowHash))
+        .filter(upload => upload.row_count >= keyCount * SIMILAR_KEY_OVERLAP)
+        .slice(0, SIMILAR_UPLOAD_LIMIT);
+}
+
+/**
+ * Earlier uploads with the same file, the same rows or mostly the same keys, newest first
+ * @param {Array} uploads - Uploads of one mode, as getAllUploads returns them
+ * @param {Map<string, number>} overlaps - keyOverlap with the new file, by upload id
+ * @returns {Array<{upload: Object, match: 'file'|'rows'|'keys', overlap?: number}>}
+ */
+export function findDuplicateUploads(uploads, { fileHash, rowHash }, overlaps = new Map()) {
+    const matches = [];
+    for (const upload of uploads) {
+        if (fileHash && upload.file_hash === fileHash) {
+            matches.push({ upload, match: 'file' });
+        } else if (rowHash && upload.row_hash === rowHash) {
+            matches.push({ upload, match: 'rows' });
+        } else if (overlaps.get(upload.id) >= SIMILAR_KEY_OVERLAP) {
+            matches.push({ upload, match: 'keys', overlap: overlaps.get(upload.id) });
+        }
+    }
+    return matches;
+}
@@ -0,0 +1,16 @@
+/**
+ * Warehouses - The CFS locations the data is partitioned by
+ * Every upload, master list, tally and audit entry belongs to one warehouse. Which warehouses a user
+ * works in comes from user_warehouses on Supabase (admins work in all) or the local accounts (localAuth.js).
+ */
+
+// Data saved before warehouses existed belongs to this one - the seed row in supabase-schema.sql
+export const DEFAULT_WAREHOUSE = 'main';
+
+/**
+ * Name of a warehouse, or its id when it isn't in the list
+ * @param {Array<{id: string, name: string}>} warehouses
+ */
+export function getWarehouseName(warehouses, id) {
+    return warehouses.find(w => w.id === id)?.name || id;
+}
@@ -0,0 +1,103 @@
+-- Migration 001: store every mapped column and merge the master list per HB / HAWB
+-- Run this once in the Supabase SQL Editor on databases created from an older supabase-schema.sql
+-- Column names match COLUMN_MAPPING / AIR_COLUMN_MAPPING in src/lib/csvUtils.js
+
+BEGIN;
+
+-- The views select *, so they have to go before columns can be renamed or dropped
+DROP VIEW IF EXISTS latest_ocean_data;
+DROP VIEW IF EXISTS latest_air_data;
+
+-- Ocean: rename the date columns and add the missing ones
+ALTER TABLE ocean_data RENAME COLUMN frl_date TO frl;
+ALTER TABLE ocean_data RENAME COLUMN tdf_date TO tdf;
+ALTER TABLE ocean_data RENAME COLUMN vbond_date TO vbond;
+ALTER TABLE ocean_data
+    ADD COLUMN IF NOT EXISTS seal_number TEXT,
+    ADD COLUMN IF NOT EXISTS carrier TEXT,
+    ADD COLUMN IF NOT EXISTS mi TEXT,
+    ADD COLUMN IF NOT EXISTS vessel TEXT,
+    ADD COLUMN IF NOT EXISTS wt_lbs TEXT,
+    ADD COLUMN IF NOT EXISTS cnee TEXT,
+    ADD COLUMN IF NOT EXISTS file_no TEXT,
+    ADD COLUMN IF NOT EXISTS volume TEXT;
+
+-- Air: CFS location is the freight location, add the missing columns
+ALTER TABLE air_data RENAME COLUMN cfs_location TO freight_location;
+ALTER TABLE air_data
+    ADD COLUMN IF NOT EXISTS consignee TEXT,
+    ADD COLUMN IF NOT EXISTS carrier TEXT,
+    ADD COLUMN IF NOT EXISTS origin TEXT,
+    ADD COLUMN IF NOT EXISTS file_number TEXT,
+    ADD COLUMN IF NOT EXISTS shipment_type TEXT,
+    ADD COLUMN IF NOT EXISTS weight TEXT,
+    ADD COLUMN IF NOT EXISTS eta TEXT,
+    ADD COLUMN IF NOT EXISTS eta_time TEXT,
+    ADD COLUMN IF NOT EXISTS flt_date TEXT;
+
+-- Both: file row order and the master list tracking fields; the is_* flags were never set
+ALTER TABLE ocean_data
+    ADD COLUMN IF NOT EXISTS row_index INTEGER,
+    ADD COLUMN IF NOT EXISTS first_seen_upload_id TEXT,
+    ADD COLUMN IF NOT EXISTS last_seen_upload_id TEXT,
+    ADD COLUMN IF NOT EXISTS last_update_reason TEXT,
+    ADD COLUMN IF NOT EXISTS last_changes JSONB DEFAULT '[]'::jsonb,
+    ADD COLUMN IF NOT EXISTS restored_at TIMESTAMPTZ,
+    DROP COLUMN IF EXISTS is_new,
+    DROP COLUMN IF EXISTS is_removed,
+    DROP COLUMN IF EXISTS is_updated;
+
+ALTER TABLE air_data
+    ADD COLUMN IF NOT EXISTS row_index INTEGER,
+    ADD COLUMN IF NOT EXISTS first_seen_upload_id TEXT,
+    ADD COLUMN IF NOT EXISTS last_seen_upload_id TEXT,
+    ADD COLUMN IF NOT EXISTS last_update_reason TEXT,
+    ADD COLUMN IF NOT EXISTS last_changes JSONB DEFAULT '[]'::jsonb,
+    ADD COLUMN IF NOT EXISTS restored_at TIMESTAMPTZ,
+    DROP COLUMN IF EXISTS is_new,
+    DROP COLUMN IF EXISTS is_removed,
+    DROP COLUMN IF EXISTS is_updated;
+
+-- The old master list save marked every previous snapshot 'inactive' and reinserted; keep only the latest row per key
+DELETE FROM ocean_data WHERE upload_id = 'master' AND status = 'inactive';
+DELETE FROM air_data WHERE upload_id = 'master' AND status = 'inactive';
+
+DELETE FROM ocean_data a USING ocean_data b
+WHERE a.upload_id = 'master' AND b.upload_id = 'master'
+    AND a.hb = b.hb AND (a.created_at, a.id) < (b.created_at, b.id);
+
+DELETE FROM air_data a USING air_data b
+WHERE a.upload_id = 'master' AND b.upload_id = 'master'
+    AND a.hawb = b.hawb AND (a.created_at, a.id) < (b.created_at, b.id);
+
+UPDATE ocean_data
+SET first_seen_upload_id = COALESCE(first_seen_upload_id, last_updated_upload_id),
+    last_seen_upload_id = COALESCE(last_seen_upload_id, last_updated_upload_id)
+WHERE upload_id = 'master';
+
+UPDATE air_data
+SET first_seen_upload_id = COALESCE(first_seen_upload_id, last_updated_upload_id),
+    last_seen_upload_id = COALESCE(last_seen_upload_id, last_updated_upload_id)
+WHERE upload_id = 'master';
+
+-- One master list row per HB / HAWB
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ocean_master_hb ON ocean_data(hb) WHERE upload_id = 'master';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_air_master_hawb ON air_data(hawb) WHERE upload_id = 'master';
+CREATE INDEX IF NOT EXISTS idx_ocean_upload_row ON ocean_data(upload_id, row_index);
+CREATE INDEX IF NOT EXISTS idx_air_upload_row ON air_data(upload_id, row_index);
+
+CREATE OR REPLACE VIEW latest_ocean_data AS
+SELECT DISTINCT ON (hb, mbl)
+    *
+FROM ocean_data
+WHERE status = 'active'
+ORDER BY hb, mbl, created_at DESC;
+
+CREATE OR REPLACE VIEW latest_air_data AS
+SELECT DISTINCT ON (hawb, mawb)
+    *
+FROM air_data
+WHERE status = 'active'
+ORDER BY hawb, mawb, created_at DESC;
+
+COMMIT;
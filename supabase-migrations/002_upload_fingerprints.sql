@@ -0,0 +1,10 @@
+-- Migration 002: upload fingerprints, so a manifest uploaded twice can be spotted
+-- Run this once in the Supabase SQL Editor on databases created before it
+-- Hashes are computed in the browser (src/lib/uploadFingerprint.js); older uploads keep NULL and never match
+
+BEGIN;
+
+ALTER TABLE uploads ADD COLUMN IF NOT EXISTS file_hash TEXT;
+ALTER TABLE uploads ADD COLUMN IF NOT EXISTS row_hash TEXT;
+
+COMMIT;
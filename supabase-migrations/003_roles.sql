@@ -0,0 +1,120 @@
+-- Migration 003: sign-in roles and the RLS policies that enforce them
+-- Run this once in the Supabase SQL Editor on databases created before it
+-- Roles and what they may do match src/lib/permissions.js:
+--   viewer      read and export
+--   dock_clerk  + capture tallies and upload manifests
+--   supervisor  + delete uploads
+--   admin       + clear all data of a mode, manage user_roles
+-- Afterwards, make yourself admin (users without a row see nothing):
+--   INSERT INTO user_roles (user_id, email, role)
+--   SELECT id, email, 'admin' FROM auth.users WHERE email = 'you@example.com';
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS user_roles (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    email TEXT,
+    role TEXT NOT NULL CHECK (role IN ('viewer', 'dock_clerk', 'supervisor', 'admin')),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Whether the signed-in user has at least the given role
+-- SECURITY DEFINER so policies can read user_roles without going through its own policies
+CREATE OR REPLACE FUNCTION has_role(required TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+    SELECT COALESCE(
+        (SELECT array_position(ARRAY['viewer', 'dock_clerk', 'supervisor', 'admin'], role)
+         FROM user_roles WHERE user_id = auth.uid())
+        >= array_position(ARRAY['viewer', 'dock_clerk', 'supervisor', 'admin'], required),
+        false
+    );
+$$;
+
+-- Who saved an upload, so a clerk can roll back their own failed import
+ALTER TABLE uploads ADD COLUMN IF NOT EXISTS created_by UUID DEFAULT auth.uid();
+
+-- Whether the signed-in user saved the given upload
+CREATE OR REPLACE FUNCTION owns_upload(target TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+    SELECT EXISTS (SELECT 1 FROM uploads WHERE upload_id = target AND created_by = auth.uid());
+$$;
+
+DROP POLICY IF EXISTS "Allow all operations on uploads" ON uploads;
+DROP POLICY IF EXISTS "Allow all operations on ocean_data" ON ocean_data;
+DROP POLICY IF EXISTS "Allow all operations on air_data" ON air_data;
+DROP POLICY IF EXISTS "Allow all operations on item_history" ON item_history;
+DROP POLICY IF EXISTS "Allow all operations on dock_tallies" ON dock_tallies;
+DROP POLICY IF EXISTS "Allow all operations on scan_exceptions" ON scan_exceptions;
+
+ALTER TABLE user_roles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users read their own role" ON user_roles
+    FOR SELECT USING (user_id = auth.uid() OR has_role('admin'));
+CREATE POLICY "Admins manage roles" ON user_roles
+    FOR ALL USING (has_role('admin')) WITH CHECK (has_role('admin'));
+
+-- Uploads: the 'master' row is added by the first import and left alone after (the upsert ignores duplicates)
+CREATE POLICY "Viewers read uploads" ON uploads
+    FOR SELECT USING (has_role('viewer'));
+CREATE POLICY "Clerks add uploads" ON uploads
+    FOR INSERT WITH CHECK (has_role('dock_clerk'));
+CREATE POLICY "Clerks update their own uploads" ON uploads
+    FOR UPDATE USING (has_role('supervisor') OR (has_role('dock_clerk') AND created_by = auth.uid()))
+    WITH CHECK (has_role('supervisor') OR (has_role('dock_clerk') AND created_by = auth.uid()));
+CREATE POLICY "Supervisors delete uploads" ON uploads
+    FOR DELETE USING (has_role('supervisor'));
+
+-- Report rows and master list: imports merge into the master list and roll it back on failure
+-- Supervisors delete rows of any upload (deleting or replacing an upload rewinds the master list);
+-- clerks only report rows of their own uploads and the master rows those added
+CREATE POLICY "Viewers read ocean_data" ON ocean_data
+    FOR SELECT USING (has_role('viewer'));
+CREATE POLICY "Clerks add ocean_data" ON ocean_data
+    FOR INSERT WITH CHECK (has_role('dock_clerk'));
+CREATE POLICY "Clerks update ocean_data" ON ocean_data
+    FOR UPDATE USING (has_role('dock_clerk')) WITH CHECK (has_role('dock_clerk'));
+CREATE POLICY "Clerks delete ocean_data of their own uploads" ON ocean_data
+    FOR DELETE USING (has_role('supervisor') OR (has_role('dock_clerk')
+        AND owns_upload(CASE WHEN upload_id = 'master' THEN first_seen_upload_id ELSE upload_id END)));
+
+CREATE POLICY "Viewers read air_data" ON air_data
+    FOR SELECT USING (has_role('viewer'));
+CREATE POLICY "Clerks add air_data" ON air_data
+    FOR INSERT WITH CHECK (has_role('dock_clerk'));
+CREATE POLICY "Clerks update air_data" ON air_data
+    FOR UPDATE USING (has_role('dock_clerk')) WITH CHECK (has_role('dock_clerk'));
+CREATE POLICY "Clerks delete air_data of their own uploads" ON air_data
+    FOR DELETE USING (has_role('supervisor') OR (has_role('dock_clerk')
+        AND owns_upload(CASE WHEN upload_id = 'master' THEN first_seen_upload_id ELSE upload_id END)));
+
+-- History is append-only; records go with their upload (ON DELETE CASCADE)
+CREATE POLICY "Viewers read item_history" ON item_history
+    FOR SELECT USING (has_role('viewer'));
+CREATE POLICY "Clerks add item_history" ON item_history
+    FOR INSERT WITH CHECK (has_role('dock_clerk'));
+
+CREATE POLICY "Viewers read dock_tallies" ON dock_tallies
+    FOR SELECT USING (has_role('viewer'));
+CREATE POLICY "Clerks add dock_tallies" ON dock_tallies
+    FOR INSERT WITH CHECK (has_role('dock_clerk'));
+CREATE POLICY "Clerks update dock_tallies" ON dock_tallies
+    FOR UPDATE USING (has_role('dock_clerk')) WITH CHECK (has_role('dock_clerk'));
+CREATE POLICY "Admins delete dock_tallies" ON dock_tallies
+    FOR DELETE USING (has_role('admin'));
+
+CREATE POLICY "Viewers read scan_exceptions" ON scan_exceptions
+    FOR SELECT USING (has_role('viewer'));
+CREATE POLICY "Clerks add scan_exceptions" ON scan_exceptions
+    FOR INSERT WITH CHECK (has_role('dock_clerk'));
+CREATE POLICY "Admins delete scan_exceptions" ON scan_exceptions
+    FOR DELETE USING (has_role('admin'));
+
+-- Views would otherwise read the tables as their owner, past the policies
+ALTER VIEW latest_ocean_data SET (security_invoker = on);
+ALTER VIEW latest_air_data SET (security_invoker = on);
+
+COMMIT;
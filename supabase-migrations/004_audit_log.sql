@@ -0,0 +1,36 @@
+-- Migration 004: audit log of who uploaded, deleted or edited what
+-- Run this once in the Supabase SQL Editor on databases created before it (needs 003_roles.sql)
+-- Entries are written by src/lib/database.js; supervisors and admins read them in the Audit Log view
+
+BEGIN;
+
+-- Create audit_log table: who changed what, written by src/lib/database.js after every change
+-- Append-only - the policies allow inserting and reading, never updating or deleting
+CREATE TABLE IF NOT EXISTS audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID,
+    user_email TEXT,
+    mode TEXT CHECK (mode IN ('ocean', 'air')),
+    action TEXT NOT NULL,
+    upload_id TEXT,
+    item_keys JSONB DEFAULT '[]'::jsonb,
+    before_value JSONB,
+    after_value JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at DESC);
+
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users add their own audit_log entries" ON audit_log;
+DROP POLICY IF EXISTS "Supervisors read audit_log" ON audit_log;
+
+-- Audit log: anyone signed in adds their own entries; supervisors read them
+CREATE POLICY "Users add their own audit_log entries" ON audit_log
+    FOR INSERT WITH CHECK (has_role('viewer') AND user_id = auth.uid());
+CREATE POLICY "Supervisors read audit_log" ON audit_log
+    FOR SELECT USING (has_role('supervisor'));
+
+COMMIT;
@@ -0,0 +1,219 @@
+-- Migration 005: partition the data by warehouse and keep users to the warehouses they work in
+-- Run this once in the Supabase SQL Editor on databases created before it (needs 003_roles.sql and 004_audit_log.sql)
+-- Existing data moves to the 'main' warehouse, and every user with a role gets access to it.
+-- Add more warehouses and give users access to them:
+--   INSERT INTO warehouses (id, name) VALUES ('lax', 'Los Angeles CFS');
+--   INSERT INTO user_warehouses (user_id, warehouse_id)
+--   SELECT id, 'lax' FROM auth.users WHERE email = 'someone@example.com';
+-- Admins work in every warehouse without a user_warehouses row.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS warehouses (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO warehouses (id, name) VALUES ('main', 'Main Warehouse') ON CONFLICT (id) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS user_warehouses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    warehouse_id TEXT NOT NULL REFERENCES warehouses(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (user_id, warehouse_id)
+);
+
+INSERT INTO user_warehouses (user_id, warehouse_id)
+SELECT user_id, 'main' FROM user_roles
+ON CONFLICT (user_id, warehouse_id) DO NOTHING;
+
+-- Whether the signed-in user works in the given warehouse
+CREATE OR REPLACE FUNCTION in_warehouse(target TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+    SELECT has_role('admin') OR EXISTS (
+        SELECT 1 FROM user_warehouses WHERE user_id = auth.uid() AND warehouse_id = target
+    );
+$$;
+
+-- Whether the signed-in user saved the given upload (also in 003, for databases that ran it before it had this)
+CREATE OR REPLACE FUNCTION owns_upload(target TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+    SELECT EXISTS (SELECT 1 FROM uploads WHERE upload_id = target AND created_by = auth.uid());
+$$;
+
+-- Existing rows belong to 'main'; new rows must name their warehouse
+ALTER TABLE uploads ADD COLUMN IF NOT EXISTS warehouse TEXT NOT NULL DEFAULT 'main' REFERENCES warehouses(id);
+ALTER TABLE uploads ALTER COLUMN warehouse DROP DEFAULT;
+ALTER TABLE ocean_data ADD COLUMN IF NOT EXISTS warehouse TEXT NOT NULL DEFAULT 'main' REFERENCES warehouses(id);
+ALTER TABLE ocean_data ALTER COLUMN warehouse DROP DEFAULT;
+ALTER TABLE air_data ADD COLUMN IF NOT EXISTS warehouse TEXT NOT NULL DEFAULT 'main' REFERENCES warehouses(id);
+ALTER TABLE air_data ALTER COLUMN warehouse DROP DEFAULT;
+ALTER TABLE item_history ADD COLUMN IF NOT EXISTS warehouse TEXT NOT NULL DEFAULT 'main' REFERENCES warehouses(id);
+ALTER TABLE item_history ALTER COLUMN warehouse DROP DEFAULT;
+ALTER TABLE dock_tallies ADD COLUMN IF NOT EXISTS warehouse TEXT NOT NULL DEFAULT 'main' REFERENCES warehouses(id);
+ALTER TABLE dock_tallies ALTER COLUMN warehouse DROP DEFAULT;
+ALTER TABLE scan_exceptions ADD COLUMN IF NOT EXISTS warehouse TEXT NOT NULL DEFAULT 'main' REFERENCES warehouses(id);
+ALTER TABLE scan_exceptions ALTER COLUMN warehouse DROP DEFAULT;
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS warehouse TEXT REFERENCES warehouses(id);
+
+-- HBs / HAWBs, their history and tallies are unique per warehouse
+ALTER TABLE item_history DROP CONSTRAINT IF EXISTS item_history_mode_item_key_version_key;
+ALTER TABLE item_history ADD CONSTRAINT item_history_warehouse_mode_item_key_version_key
+    UNIQUE (warehouse, mode, item_key, version);
+ALTER TABLE dock_tallies DROP CONSTRAINT IF EXISTS dock_tallies_mode_item_key_key;
+ALTER TABLE dock_tallies ADD CONSTRAINT dock_tallies_warehouse_mode_item_key_key
+    UNIQUE (warehouse, mode, item_key);
+
+DROP INDEX IF EXISTS idx_ocean_master_hb;
+DROP INDEX IF EXISTS idx_air_master_hawb;
+CREATE UNIQUE INDEX idx_ocean_master_hb ON ocean_data(warehouse, hb) WHERE upload_id = 'master';
+CREATE UNIQUE INDEX idx_air_master_hawb ON air_data(warehouse, hawb) WHERE upload_id = 'master';
+
+DROP INDEX IF EXISTS idx_history_item;
+DROP INDEX IF EXISTS idx_tallies_group;
+DROP INDEX IF EXISTS idx_scan_exceptions_mode;
+DROP INDEX IF EXISTS idx_audit_log_created;
+DROP INDEX IF EXISTS idx_audit_log_action;
+DROP INDEX IF EXISTS idx_uploads_mode;
+CREATE INDEX idx_history_item ON item_history(warehouse, mode, item_key);
+CREATE INDEX idx_tallies_group ON dock_tallies(warehouse, mode, group_key);
+CREATE INDEX idx_scan_exceptions_mode ON scan_exceptions(warehouse, mode, scanned_at DESC);
+CREATE INDEX idx_audit_log_created ON audit_log(warehouse, created_at DESC);
+CREATE INDEX idx_audit_log_action ON audit_log(warehouse, action, created_at DESC);
+CREATE INDEX idx_uploads_mode ON uploads(warehouse, mode);
+CREATE INDEX IF NOT EXISTS idx_ocean_warehouse ON ocean_data(warehouse, upload_id);
+CREATE INDEX IF NOT EXISTS idx_air_warehouse ON air_data(warehouse, upload_id);
+
+ALTER TABLE warehouses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_warehouses ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Viewers read uploads" ON uploads;
+DROP POLICY IF EXISTS "Clerks add uploads" ON uploads;
+DROP POLICY IF EXISTS "Clerks update uploads" ON uploads;
+DROP POLICY IF EXISTS "Clerks update their own uploads" ON uploads;
+DROP POLICY IF EXISTS "Supervisors delete uploads" ON uploads;
+DROP POLICY IF EXISTS "Viewers read ocean_data" ON ocean_data;
+DROP POLICY IF EXISTS "Clerks add ocean_data" ON ocean_data;
+DROP POLICY IF EXISTS "Clerks update ocean_data" ON ocean_data;
+DROP POLICY IF EXISTS "Clerks delete ocean_data" ON ocean_data;
+DROP POLICY IF EXISTS "Clerks delete ocean_data of their own uploads" ON ocean_data;
+DROP POLICY IF EXISTS "Viewers read air_data" ON air_data;
+DROP POLICY IF EXISTS "Clerks add air_data" ON air_data;
+DROP POLICY IF EXISTS "Clerks update air_data" ON air_data;
+DROP POLICY IF EXISTS "Clerks delete air_data" ON air_data;
+DROP POLICY IF EXISTS "Clerks delete air_data of their own uploads" ON air_data;
+DROP POLICY IF EXISTS "Viewers read item_history" ON item_history;
+DROP POLICY IF EXISTS "Clerks add item_history" ON item_history;
+DROP POLICY IF EXISTS "Viewers read dock_tallies" ON dock_tallies;
+DROP POLICY IF EXISTS "Clerks add dock_tallies" ON dock_tallies;
+DROP POLICY IF EXISTS "Clerks update dock_tallies" ON dock_tallies;
+DROP POLICY IF EXISTS "Admins delete dock_tallies" ON dock_tallies;
+DROP POLICY IF EXISTS "Viewers read scan_exceptions" ON scan_exceptions;
+DROP POLICY IF EXISTS "Clerks add scan_exceptions" ON scan_exceptions;
+DROP POLICY IF EXISTS "Admins delete scan_exceptions" ON scan_exceptions;
+DROP POLICY IF EXISTS "Users add their own audit_log entries" ON audit_log;
+DROP POLICY IF EXISTS "Supervisors read audit_log" ON audit_log;
+
+CREATE POLICY "Users read their warehouses" ON warehouses
+    FOR SELECT USING (in_warehouse(id));
+CREATE POLICY "Admins manage warehouses" ON warehouses
+    FOR ALL USING (has_role('admin')) WITH CHECK (has_role('admin'));
+
+CREATE POLICY "Users read their own warehouse access" ON user_warehouses
+    FOR SELECT USING (user_id = auth.uid() OR has_role('admin'));
+CREATE POLICY "Admins manage warehouse access" ON user_warehouses
+    FOR ALL USING (has_role('admin')) WITH CHECK (has_role('admin'));
+
+-- Uploads: the 'master' row is added by the first import and left alone after (the upsert ignores duplicates)
+CREATE POLICY "Viewers read uploads" ON uploads
+    FOR SELECT USING (has_role('viewer') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks add uploads" ON uploads
+    FOR INSERT WITH CHECK (has_role('dock_clerk') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks update their own uploads" ON uploads
+    FOR UPDATE USING (in_warehouse(warehouse)
+        AND (has_role('supervisor') OR (has_role('dock_clerk') AND created_by = auth.uid())))
+    WITH CHECK (in_warehouse(warehouse)
+        AND (has_role('supervisor') OR (has_role('dock_clerk') AND created_by = auth.uid())));
+CREATE POLICY "Supervisors delete uploads" ON uploads
+    FOR DELETE USING (has_role('supervisor') AND in_warehouse(warehouse));
+
+-- Report rows and master list: imports merge into the master list and roll it back on failure
+-- Supervisors delete rows of any upload (deleting or replacing an upload rewinds the master list);
+-- clerks only report rows of their own uploads and the master rows those added
+CREATE POLICY "Viewers read ocean_data" ON ocean_data
+    FOR SELECT USING (has_role('viewer') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks add ocean_data" ON ocean_data
+    FOR INSERT WITH CHECK (has_role('dock_clerk') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks update ocean_data" ON ocean_data
+    FOR UPDATE USING (has_role('dock_clerk') AND in_warehouse(warehouse))
+    WITH CHECK (has_role('dock_clerk') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks delete ocean_data of their own uploads" ON ocean_data
+    FOR DELETE USING (in_warehouse(warehouse) AND (has_role('supervisor') OR (has_role('dock_clerk')
+        AND owns_upload(CASE WHEN upload_id = 'master' THEN first_seen_upload_id ELSE upload_id END))));
+
+CREATE POLICY "Viewers read air_data" ON air_data
+    FOR SELECT USING (has_role('viewer') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks add air_data" ON air_data
+    FOR INSERT WITH CHECK (has_role('dock_clerk') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks update air_data" ON air_data
+    FOR UPDATE USING (has_role('dock_clerk') AND in_warehouse(warehouse))
+    WITH CHECK (has_role('dock_clerk') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks delete air_data of their own uploads" ON air_data
+    FOR DELETE USING (in_warehouse(warehouse) AND (has_role('supervisor') OR (has_role('dock_clerk')
+        AND owns_upload(CASE WHEN upload_id = 'master' THEN first_seen_upload_id ELSE upload_id END))));
+
+-- History is append-only; records go with their upload (ON DELETE CASCADE)
+CREATE POLICY "Viewers read item_history" ON item_history
+    FOR SELECT USING (has_role('viewer') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks add item_history" ON item_history
+    FOR INSERT WITH CHECK (has_role('dock_clerk') AND in_warehouse(warehouse));
+
+CREATE POLICY "Viewers read dock_tallies" ON dock_tallies
+    FOR SELECT USING (has_role('viewer') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks add dock_tallies" ON dock_tallies
+    FOR INSERT WITH CHECK (has_role('dock_clerk') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks update dock_tallies" ON dock_tallies
+    FOR UPDATE USING (has_role('dock_clerk') AND in_warehouse(warehouse))
+    WITH CHECK (has_role('dock_clerk') AND in_warehouse(warehouse));
+CREATE POLICY "Admins delete dock_tallies" ON dock_tallies
+    FOR DELETE USING (has_role('admin'));
+
+CREATE POLICY "Viewers read scan_exceptions" ON scan_exceptions
+    FOR SELECT USING (has_role('viewer') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks add scan_exceptions" ON scan_exceptions
+    FOR INSERT WITH CHECK (has_role('dock_clerk') AND in_warehouse(warehouse));
+CREATE POLICY "Admins delete scan_exceptions" ON scan_exceptions
+    FOR DELETE USING (has_role('admin'));
+
+-- Audit log: anyone signed in adds their own entries; supervisors read them
+-- Entries from before warehouses (warehouse NULL) are only read by admins
+CREATE POLICY "Users add their own audit_log entries" ON audit_log
+    FOR INSERT WITH CHECK (has_role('viewer') AND user_id = auth.uid() AND in_warehouse(warehouse));
+CREATE POLICY "Supervisors read audit_log" ON audit_log
+    FOR SELECT USING (has_role('supervisor') AND in_warehouse(warehouse));
+
+-- The latest views pick the newest row per warehouse (dropped first, their column list changes)
+DROP VIEW IF EXISTS latest_ocean_data;
+DROP VIEW IF EXISTS latest_air_data;
+
+CREATE VIEW latest_ocean_data WITH (security_invoker = on) AS
+SELECT DISTINCT ON (warehouse, hb, mbl)
+    *
+FROM ocean_data
+WHERE status = 'active'
+ORDER BY warehouse, hb, mbl, created_at DESC;
+
+CREATE VIEW latest_air_data WITH (security_invoker = on) AS
+SELECT DISTINCT ON (warehouse, hawb, mawb)
+    *
+FROM air_data
+WHERE status = 'active'
+ORDER BY warehouse, hawb, mawb, created_at DESC;
+
+COMMIT;
@@ -0,0 +1,66 @@
+-- Migration 006: add received pieces in the database, so concurrent scans don't overwrite each other
+-- Run this once in the Supabase SQL Editor on databases created before it (needs 005_warehouses.sql)
+
+BEGIN;
+
+-- Received pieces, added to a tally in one statement (Receive screen, receivePieces in supabaseAdapter.js)
+-- Two scanners receiving the same item both count, where saving the count each had read would lose one.
+-- Ocean adds to received_pcs, Air to the pcs of arrival p_arrival (0-3); the time is stamped on the first piece.
+-- Same rules as addReceivedPieces in src/lib/receiving.js. Runs as the caller, so the dock_tallies policies apply.
+CREATE OR REPLACE FUNCTION piece_count(value TEXT)
+RETURNS INTEGER
+LANGUAGE sql IMMUTABLE
+AS $$
+    SELECT COALESCE(substring(value FROM '^\s*(-?\d+)')::INTEGER, 0);
+$$;
+
+CREATE OR REPLACE FUNCTION add_arrival_pieces(arrivals JSONB, arrival INTEGER, pieces INTEGER, stamp TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql IMMUTABLE
+AS $$
+DECLARE
+    entry JSONB;
+BEGIN
+    arrivals := COALESCE(arrivals, '[]'::jsonb);
+    WHILE jsonb_array_length(arrivals) <= arrival LOOP
+        arrivals := arrivals || jsonb_build_array(jsonb_build_object('pcs', '', 'loc', '', 'time', '', 'crw', '', 'sub', ''));
+    END LOOP;
+    entry := arrivals -> arrival;
+    RETURN jsonb_set(arrivals, ARRAY[arrival::TEXT], entry || jsonb_build_object(
+        'pcs', (piece_count(entry ->> 'pcs') + pieces)::TEXT,
+        'time', COALESCE(NULLIF(entry ->> 'time', ''), stamp)
+    ));
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION receive_pieces(
+    p_warehouse TEXT,
+    p_mode TEXT,
+    p_item_key TEXT,
+    p_group_key TEXT,
+    p_arrival INTEGER DEFAULT 0,
+    p_pieces INTEGER DEFAULT 1,
+    p_time TEXT DEFAULT NULL
+)
+RETURNS dock_tallies
+LANGUAGE sql
+AS $$
+    INSERT INTO dock_tallies AS t (warehouse, mode, item_key, group_key, received_pcs, received_time, arrivals)
+    VALUES (
+        p_warehouse, p_mode, p_item_key, p_group_key,
+        CASE WHEN p_mode = 'ocean' THEN p_pieces::TEXT END,
+        CASE WHEN p_mode = 'ocean' THEN p_time END,
+        CASE WHEN p_mode = 'air' THEN add_arrival_pieces('[]', p_arrival, p_pieces, p_time) ELSE '[]' END
+    )
+    ON CONFLICT (warehouse, mode, item_key) DO UPDATE SET
+        group_key = EXCLUDED.group_key,
+        received_pcs = CASE WHEN p_mode = 'ocean'
+            THEN (piece_count(t.received_pcs) + p_pieces)::TEXT ELSE t.received_pcs END,
+        received_time = CASE WHEN p_mode = 'ocean'
+            THEN COALESCE(NULLIF(t.received_time, ''), p_time) ELSE t.received_time END,
+        arrivals = CASE WHEN p_mode = 'air'
+            THEN add_arrival_pieces(t.arrivals, p_arrival, p_pieces, p_time) ELSE t.arrivals END
+    RETURNING *;
+$$;
+
+COMMIT;
@@ -0,0 +1,139 @@
+-- Migration 007: write the audit log of uploads, manifest rows and tallies with database triggers
+-- Run this once in the Supabase SQL Editor on databases created before it (needs 005_warehouses.sql)
+-- Until now the browser wrote these entries after each change, and a failed write was only logged.
+-- The triggers are now the only writers: the client insert policy goes, so nobody can add entries by hand.
+
+BEGIN;
+
+-- Audit log entries for changes to uploads, manifest rows and tallies, written by the database itself
+-- One entry per statement, warehouse and mode: the keys it touched (HB / HAWB, or filename for uploads) and
+-- the values before and after - only the fields that changed for updates. Manifest rows come in thousands
+-- per import, so adding or deleting them records a row count instead of the values.
+-- SECURITY DEFINER so the entry is written whatever the caller may do; auth.uid() is still the caller.
+CREATE OR REPLACE FUNCTION audit_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+    entity TEXT := TG_ARGV[0];
+    key_field TEXT := TG_ARGV[1];
+    table_mode TEXT := TG_ARGV[2];
+    changes JSONB;
+BEGIN
+    -- Each changed row as { before, after }; updates are paired by id and skipped when nothing changed
+    IF TG_OP = 'INSERT' THEN
+        SELECT jsonb_agg(jsonb_build_object('after', to_jsonb(n))) INTO changes FROM new_rows n;
+    ELSIF TG_OP = 'UPDATE' THEN
+        SELECT jsonb_agg(jsonb_build_object('before', to_jsonb(o), 'after', to_jsonb(n))) INTO changes
+        FROM new_rows n JOIN old_rows o ON o.id = n.id
+        WHERE to_jsonb(o) - 'updated_at' <> to_jsonb(n) - 'updated_at';
+    ELSE
+        SELECT jsonb_agg(jsonb_build_object('before', to_jsonb(o))) INTO changes FROM old_rows o;
+    END IF;
+    IF changes IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO audit_log (warehouse, user_id, user_email, mode, action, upload_id, item_keys, before_value, after_value)
+    SELECT
+        warehouse,
+        auth.uid(),
+        (SELECT email FROM auth.users WHERE id = auth.uid()),
+        mode,
+        CASE TG_OP WHEN 'INSERT' THEN 'add_' WHEN 'UPDATE' THEN 'change_' ELSE 'delete_' END || entity,
+        CASE WHEN count(DISTINCT upload_id) = 1 THEN min(upload_id) END,
+        COALESCE(jsonb_agg(DISTINCT item_key) FILTER (WHERE item_key IS NOT NULL), '[]'::jsonb),
+        CASE
+            WHEN entity = 'rows' AND TG_OP = 'DELETE' THEN jsonb_build_object('rows', count(*))
+            WHEN entity = 'rows' AND TG_OP = 'INSERT' THEN NULL
+            ELSE jsonb_object_agg(COALESCE(item_key, ''), before_fields) FILTER (WHERE before_fields IS NOT NULL)
+        END,
+        CASE
+            WHEN entity = 'rows' AND TG_OP = 'INSERT' THEN jsonb_build_object('rows', count(*))
+            WHEN entity = 'rows' AND TG_OP = 'DELETE' THEN NULL
+            ELSE jsonb_object_agg(COALESCE(item_key, ''), after_fields) FILTER (WHERE after_fields IS NOT NULL)
+        END
+    FROM (
+        SELECT
+            row->>'warehouse' AS warehouse,
+            COALESCE(table_mode, row->>'mode') AS mode,
+            row->>'upload_id' AS upload_id,
+            row->>key_field AS item_key,
+            CASE WHEN TG_OP = 'UPDATE'
+                THEN (SELECT jsonb_object_agg(field.key, field.value) FROM jsonb_each(change->'before') field
+                      WHERE field.key <> 'updated_at' AND field.value IS DISTINCT FROM change->'after'->field.key)
+                ELSE (change->'before') - 'id' - 'warehouse' - 'mode' - 'created_at' - 'updated_at'
+            END AS before_fields,
+            CASE WHEN TG_OP = 'UPDATE'
+                THEN (SELECT jsonb_object_agg(field.key, field.value) FROM jsonb_each(change->'after') field
+                      WHERE field.key <> 'updated_at' AND field.value IS DISTINCT FROM change->'before'->field.key)
+                ELSE (change->'after') - 'id' - 'warehouse' - 'mode' - 'created_at' - 'updated_at'
+            END AS after_fields
+        FROM (
+            SELECT change, COALESCE(change->'after', change->'before') AS row
+            FROM jsonb_array_elements(changes) AS change
+        ) changed
+    ) rows
+    GROUP BY warehouse, mode;
+
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS audit_uploads_insert ON uploads;
+DROP TRIGGER IF EXISTS audit_uploads_update ON uploads;
+DROP TRIGGER IF EXISTS audit_uploads_delete ON uploads;
+DROP TRIGGER IF EXISTS audit_ocean_data_insert ON ocean_data;
+DROP TRIGGER IF EXISTS audit_ocean_data_update ON ocean_data;
+DROP TRIGGER IF EXISTS audit_ocean_data_delete ON ocean_data;
+DROP TRIGGER IF EXISTS audit_air_data_insert ON air_data;
+DROP TRIGGER IF EXISTS audit_air_data_update ON air_data;
+DROP TRIGGER IF EXISTS audit_air_data_delete ON air_data;
+DROP TRIGGER IF EXISTS audit_dock_tallies_insert ON dock_tallies;
+DROP TRIGGER IF EXISTS audit_dock_tallies_update ON dock_tallies;
+DROP TRIGGER IF EXISTS audit_dock_tallies_delete ON dock_tallies;
+
+-- Transition tables need one trigger per event
+CREATE TRIGGER audit_uploads_insert AFTER INSERT ON uploads
+    REFERENCING NEW TABLE AS new_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('upload', 'filename');
+CREATE TRIGGER audit_uploads_update AFTER UPDATE ON uploads
+    REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('upload', 'filename');
+CREATE TRIGGER audit_uploads_delete AFTER DELETE ON uploads
+    REFERENCING OLD TABLE AS old_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('upload', 'filename');
+
+CREATE TRIGGER audit_ocean_data_insert AFTER INSERT ON ocean_data
+    REFERENCING NEW TABLE AS new_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('rows', 'hb', 'ocean');
+CREATE TRIGGER audit_ocean_data_update AFTER UPDATE ON ocean_data
+    REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('rows', 'hb', 'ocean');
+CREATE TRIGGER audit_ocean_data_delete AFTER DELETE ON ocean_data
+    REFERENCING OLD TABLE AS old_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('rows', 'hb', 'ocean');
+
+CREATE TRIGGER audit_air_data_insert AFTER INSERT ON air_data
+    REFERENCING NEW TABLE AS new_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('rows', 'hawb', 'air');
+CREATE TRIGGER audit_air_data_update AFTER UPDATE ON air_data
+    REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('rows', 'hawb', 'air');
+CREATE TRIGGER audit_air_data_delete AFTER DELETE ON air_data
+    REFERENCING OLD TABLE AS old_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('rows', 'hawb', 'air');
+
+CREATE TRIGGER audit_dock_tallies_insert AFTER INSERT ON dock_tallies
+    REFERENCING NEW TABLE AS new_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('tally', 'item_key');
+CREATE TRIGGER audit_dock_tallies_update AFTER UPDATE ON dock_tallies
+    REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('tally', 'item_key');
+CREATE TRIGGER audit_dock_tallies_delete AFTER DELETE ON dock_tallies
+    REFERENCING OLD TABLE AS old_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('tally', 'item_key');
+
+DROP POLICY IF EXISTS "Users add their own audit_log entries" ON audit_log;
+
+COMMIT;
@@ -0,0 +1,45 @@
+-- Migration 008: one master upload per warehouse ('master:<warehouse>') instead of one 'master' row for all
+-- Run this once in the Supabase SQL Editor on databases created before it (needs 007_audit_triggers.sql)
+-- The shared row belonged to whichever warehouse imported first, so the others couldn't see it.
+
+BEGIN;
+
+-- Moving rows is not a change anyone made - keep it out of the audit log and updated_at
+ALTER TABLE uploads DISABLE TRIGGER USER;
+ALTER TABLE ocean_data DISABLE TRIGGER USER;
+ALTER TABLE air_data DISABLE TRIGGER USER;
+
+INSERT INTO uploads (warehouse, upload_id, mode, filename, row_count)
+SELECT warehouse, 'master:' || warehouse, 'ocean', 'MASTER_LIST_SNAPSHOT', 0
+FROM (
+    SELECT warehouse FROM ocean_data WHERE upload_id = 'master'
+    UNION
+    SELECT warehouse FROM air_data WHERE upload_id = 'master'
+) master_warehouses
+ON CONFLICT (upload_id) DO NOTHING;
+
+DROP INDEX IF EXISTS idx_ocean_master_hb;
+DROP INDEX IF EXISTS idx_air_master_hawb;
+UPDATE ocean_data SET upload_id = 'master:' || warehouse WHERE upload_id = 'master';
+UPDATE air_data SET upload_id = 'master:' || warehouse WHERE upload_id = 'master';
+CREATE UNIQUE INDEX idx_ocean_master_hb ON ocean_data(warehouse, hb) WHERE upload_id LIKE 'master:%';
+CREATE UNIQUE INDEX idx_air_master_hawb ON air_data(warehouse, hawb) WHERE upload_id LIKE 'master:%';
+
+DELETE FROM uploads WHERE upload_id = 'master';
+
+ALTER TABLE uploads ENABLE TRIGGER USER;
+ALTER TABLE ocean_data ENABLE TRIGGER USER;
+ALTER TABLE air_data ENABLE TRIGGER USER;
+
+-- Master rows are now under 'master:<warehouse>'
+DROP POLICY IF EXISTS "Clerks delete ocean_data of their own uploads" ON ocean_data;
+DROP POLICY IF EXISTS "Clerks delete air_data of their own uploads" ON air_data;
+
+CREATE POLICY "Clerks delete ocean_data of their own uploads" ON ocean_data
+    FOR DELETE USING (in_warehouse(warehouse) AND (has_role('supervisor') OR (has_role('dock_clerk')
+        AND owns_upload(CASE WHEN upload_id LIKE 'master:%' THEN first_seen_upload_id ELSE upload_id END))));
+CREATE POLICY "Clerks delete air_data of their own uploads" ON air_data
+    FOR DELETE USING (in_warehouse(warehouse) AND (has_role('supervisor') OR (has_role('dock_clerk')
+        AND owns_upload(CASE WHEN upload_id LIKE 'master:%' THEN first_seen_upload_id ELSE upload_id END))));
+
+COMMIT;
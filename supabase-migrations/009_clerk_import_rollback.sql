@@ -0,0 +1,24 @@
+-- Migration 009: clerks delete only their own uploads still importing, never a finished one
+-- Run this once in the Supabase SQL Editor on databases created before it (needs 008_master_upload_per_warehouse.sql)
+-- An import marks its upload importing until it has finished, so a clerk can still roll back a failed one.
+
+BEGIN;
+
+-- Set while the import that saved it is running - only then may that clerk delete it
+ALTER TABLE uploads ADD COLUMN IF NOT EXISTS importing BOOLEAN NOT NULL DEFAULT false;
+
+DROP POLICY IF EXISTS "Clerks update their own uploads" ON uploads;
+DROP POLICY IF EXISTS "Supervisors delete uploads" ON uploads;
+DROP POLICY IF EXISTS "Supervisors delete uploads, clerks their own unfinished imports" ON uploads;
+
+-- Clerks can't mark one of their uploads importing again
+CREATE POLICY "Clerks update their own uploads" ON uploads
+    FOR UPDATE USING (in_warehouse(warehouse)
+        AND (has_role('supervisor') OR (has_role('dock_clerk') AND created_by = auth.uid())))
+    WITH CHECK (in_warehouse(warehouse)
+        AND (has_role('supervisor') OR (has_role('dock_clerk') AND created_by = auth.uid() AND NOT importing)));
+CREATE POLICY "Supervisors delete uploads, clerks their own unfinished imports" ON uploads
+    FOR DELETE USING (in_warehouse(warehouse)
+        AND (has_role('supervisor') OR (has_role('dock_clerk') AND created_by = auth.uid() AND importing)));
+
+COMMIT;
@@ -1,75 +1,260 @@
 -- Global Dock Tally Database Schema
 -- Run this in Supabase SQL Editor
+-- Existing databases: run the files in supabase-migrations/ in order instead
 
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Create warehouses table: the CFS locations every upload, master list and tally belongs to
+CREATE TABLE warehouses (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- The first warehouse (DEFAULT_WAREHOUSE in src/lib/warehouses.js) - add yours the same way
+INSERT INTO warehouses (id, name) VALUES ('main', 'Main Warehouse');
+
 -- Create uploads table to track CSV uploads
 CREATE TABLE uploads (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    warehouse TEXT NOT NULL REFERENCES warehouses(id),
     upload_id TEXT UNIQUE NOT NULL,
     mode TEXT NOT NULL CHECK (mode IN ('ocean', 'air')),
     filename TEXT NOT NULL,
     upload_date TIMESTAMPTZ DEFAULT NOW(),
     row_count INTEGER NOT NULL,
+    -- Fingerprints for spotting a manifest uploaded twice (src/lib/uploadFingerprint.js)
+    file_hash TEXT,
+    row_hash TEXT,
+    -- Who saved it, so a clerk can roll back their own failed import
+    created_by UUID DEFAULT auth.uid(),
+    -- Set while the import that saved it is running - only then may that clerk delete it
+    importing BOOLEAN NOT NULL DEFAULT false,
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 -- Create ocean_data table for Ocean cargo
+-- Holds upload report rows and, under upload_id 'master:<warehouse>', one master list row per HB
+-- Data columns match COLUMN_MAPPING in src/lib/csvUtils.js
 CREATE TABLE ocean_data (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    warehouse TEXT NOT NULL REFERENCES warehouses(id),
     upload_id TEXT NOT NULL REFERENCES uploads(upload_id) ON DELETE CASCADE,
+    row_index INTEGER,
+    container TEXT,
+    seal_number TEXT,
+    carrier TEXT,
     mbl TEXT,
+    mi TEXT,
+    vessel TEXT,
     hb TEXT,
-    container TEXT,
-    dest TEXT,
     outer_quantity TEXT,
     pcs TEXT,
-    frl_date TEXT,
-    tdf_date TEXT,
-    vbond_date TEXT,
+    wt_lbs TEXT,
+    cnee TEXT,
+    frl TEXT,
+    file_no TEXT,
+    dest TEXT,
+    volume TEXT,
+    vbond TEXT,
+    tdf TEXT,
     status TEXT DEFAULT 'active',
-    is_new BOOLEAN DEFAULT false,
-    is_removed BOOLEAN DEFAULT false,
-    is_updated BOOLEAN DEFAULT false,
+    first_seen_upload_id TEXT,
+    last_seen_upload_id TEXT,
     last_updated_upload_id TEXT,
+    last_update_reason TEXT,
+    last_changes JSONB DEFAULT '[]'::jsonb,
+    removed_at TIMESTAMPTZ,
+    removed_upload_id TEXT,
+    restored_at TIMESTAMPTZ,
+    archived_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 -- Create air_data table for Air cargo
+-- Same layout as ocean_data; data columns match AIR_COLUMN_MAPPING in src/lib/csvUtils.js
 CREATE TABLE air_data (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    warehouse TEXT NOT NULL REFERENCES warehouses(id),
     upload_id TEXT NOT NULL REFERENCES uploads(upload_id) ON DELETE CASCADE,
+    row_index INTEGER,
     mawb TEXT,
     hawb TEXT,
+    consignee TEXT,
+    carrier TEXT,
     flight_number TEXT,
+    freight_location TEXT,
+    origin TEXT,
     destination TEXT,
-    slac TEXT,
+    file_number TEXT,
     qty TEXT,
-    cfs_location TEXT,
+    shipment_type TEXT,
+    slac TEXT,
+    weight TEXT,
+    eta TEXT,
+    eta_time TEXT,
     log TEXT,
+    flt_date TEXT,
     status TEXT DEFAULT 'active',
-    is_new BOOLEAN DEFAULT false,
-    is_removed BOOLEAN DEFAULT false,
-    is_updated BOOLEAN DEFAULT false,
+    first_seen_upload_id TEXT,
+    last_seen_upload_id TEXT,
     last_updated_upload_id TEXT,
+    last_update_reason TEXT,
+    last_changes JSONB DEFAULT '[]'::jsonb,
+    removed_at TIMESTAMPTZ,
+    removed_upload_id TEXT,
+    restored_at TIMESTAMPTZ,
+    archived_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Create item_history table: one versioned record per HB/HAWB per upload
+CREATE TABLE item_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    warehouse TEXT NOT NULL REFERENCES warehouses(id),
+    mode TEXT NOT NULL CHECK (mode IN ('ocean', 'air')),
+    item_key TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    upload_id TEXT NOT NULL REFERENCES uploads(upload_id) ON DELETE CASCADE,
+    filename TEXT,
+    upload_date TIMESTAMPTZ,
+    change_type TEXT NOT NULL CHECK (change_type IN ('added', 'updated', 'unchanged', 'removed', 'restored')),
+    changes JSONB DEFAULT '[]'::jsonb,
+    recorded_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (warehouse, mode, item_key, version)
+);
+
+-- Create dock_tallies table: received pieces captured per HB/HAWB
+CREATE TABLE dock_tallies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    warehouse TEXT NOT NULL REFERENCES warehouses(id),
+    mode TEXT NOT NULL CHECK (mode IN ('ocean', 'air')),
+    item_key TEXT NOT NULL,
+    group_key TEXT,
+    received_pcs TEXT,
+    location TEXT,
+    received_time TEXT,
+    damaged_pcs TEXT,
+    crew TEXT,
+    arrivals JSONB DEFAULT '[]'::jsonb,
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (warehouse, mode, item_key)
+);
+
+-- Create scan_exceptions table: scans on the Receive screen that matched no HB/HAWB
+CREATE TABLE scan_exceptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    warehouse TEXT NOT NULL REFERENCES warehouses(id),
+    mode TEXT NOT NULL CHECK (mode IN ('ocean', 'air')),
+    code TEXT NOT NULL,
+    scanned_at TIMESTAMPTZ DEFAULT NOW(),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create audit_log table: who changed what, written by the audit_changes triggers below
+-- Read-only to every user - the policies allow reading, never inserting, updating or deleting
+CREATE TABLE audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    warehouse TEXT REFERENCES warehouses(id),
+    user_id UUID,
+    user_email TEXT,
+    mode TEXT CHECK (mode IN ('ocean', 'air')),
+    action TEXT NOT NULL,
+    upload_id TEXT,
+    item_keys JSONB DEFAULT '[]'::jsonb,
+    before_value JSONB,
+    after_value JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create user_roles table: the sign-in role of each user (src/lib/permissions.js)
+--   viewer      read and export
+--   dock_clerk  + capture tallies and upload manifests
+--   supervisor  + delete uploads
+--   admin       + clear all data of a mode, manage user_roles
+-- Users without a row see nothing. Make yourself admin after running this file:
+--   INSERT INTO user_roles (user_id, email, role)
+--   SELECT id, email, 'admin' FROM auth.users WHERE email = 'you@example.com';
+CREATE TABLE user_roles (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    email TEXT,
+    role TEXT NOT NULL CHECK (role IN ('viewer', 'dock_clerk', 'supervisor', 'admin')),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create user_warehouses table: the warehouses each user works in (admins work in all of them)
+CREATE TABLE user_warehouses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    warehouse_id TEXT NOT NULL REFERENCES warehouses(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (user_id, warehouse_id)
+);
+
+-- Whether the signed-in user has at least the given role
+-- SECURITY DEFINER so policies can read user_roles without going through its own policies
+CREATE OR REPLACE FUNCTION has_role(required TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+    SELECT COALESCE(
+        (SELECT array_position(ARRAY['viewer', 'dock_clerk', 'supervisor', 'admin'], role)
+         FROM user_roles WHERE user_id = auth.uid())
+        >= array_position(ARRAY['viewer', 'dock_clerk', 'supervisor', 'admin'], required),
+        false
+    );
+$$;
+
+-- Whether the signed-in user works in the given warehouse
+CREATE OR REPLACE FUNCTION in_warehouse(target TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+    SELECT has_role('admin') OR EXISTS (
+        SELECT 1 FROM user_warehouses WHERE user_id = auth.uid() AND warehouse_id = target
+    );
+$$;
+
+-- Whether the signed-in user saved the given upload, so a clerk can roll back their own failed import
+CREATE OR REPLACE FUNCTION owns_upload(target TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+    SELECT EXISTS (SELECT 1 FROM uploads WHERE upload_id = target AND created_by = auth.uid());
+$$;
+
 -- Create indexes for better query performance
 CREATE INDEX idx_ocean_upload_id ON ocean_data(upload_id);
 CREATE INDEX idx_ocean_mbl ON ocean_data(mbl);
 CREATE INDEX idx_ocean_hb ON ocean_data(hb);
 CREATE INDEX idx_ocean_status ON ocean_data(status);
+CREATE INDEX idx_ocean_upload_row ON ocean_data(upload_id, row_index);
+CREATE UNIQUE INDEX idx_ocean_master_hb ON ocean_data(warehouse, hb) WHERE upload_id LIKE 'master:%';
 
 CREATE INDEX idx_air_upload_id ON air_data(upload_id);
 CREATE INDEX idx_air_mawb ON air_data(mawb);
 CREATE INDEX idx_air_hawb ON air_data(hawb);
 CREATE INDEX idx_air_status ON air_data(status);
+CREATE INDEX idx_air_upload_row ON air_data(upload_id, row_index);
+CREATE UNIQUE INDEX idx_air_master_hawb ON air_data(warehouse, hawb) WHERE upload_id LIKE 'master:%';
+
+CREATE INDEX idx_history_item ON item_history(warehouse, mode, item_key);
+CREATE INDEX idx_history_upload_id ON item_history(upload_id);
+
+CREATE INDEX idx_tallies_group ON dock_tallies(warehouse, mode, group_key);
+CREATE INDEX idx_scan_exceptions_mode ON scan_exceptions(warehouse, mode, scanned_at DESC);
+
+CREATE INDEX idx_audit_log_created ON audit_log(warehouse, created_at DESC);
+CREATE INDEX idx_audit_log_action ON audit_log(warehouse, action, created_at DESC);
 
-CREATE INDEX idx_uploads_mode ON uploads(mode);
+CREATE INDEX idx_uploads_mode ON uploads(warehouse, mode);
+CREATE INDEX idx_ocean_warehouse ON ocean_data(warehouse, upload_id);
+CREATE INDEX idx_air_warehouse ON air_data(warehouse, upload_id);
 CREATE INDEX idx_uploads_date ON uploads(upload_date DESC);
 
 -- Create updated_at trigger function
@@ -92,34 +277,298 @@ CREATE TRIGGER update_air_data_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_dock_tallies_updated_at
+    BEFORE UPDATE ON dock_tallies
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Received pieces, added to a tally in one statement (Receive screen, receivePieces in supabaseAdapter.js)
+-- Two scanners receiving the same item both count, where saving the count each had read would lose one.
+-- Ocean adds to received_pcs, Air to the pcs of arrival p_arrival (0-3); the time is stamped on the first piece.
+-- Same rules as addReceivedPieces in src/lib/receiving.js. Runs as the caller, so the dock_tallies policies apply.
+CREATE OR REPLACE FUNCTION piece_count(value TEXT)
+RETURNS INTEGER
+LANGUAGE sql IMMUTABLE
+AS $$
+    SELECT COALESCE(substring(value FROM '^\s*(-?\d+)')::INTEGER, 0);
+$$;
+
+CREATE OR REPLACE FUNCTION add_arrival_pieces(arrivals JSONB, arrival INTEGER, pieces INTEGER, stamp TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql IMMUTABLE
+AS $$
+DECLARE
+    entry JSONB;
+BEGIN
+    arrivals := COALESCE(arrivals, '[]'::jsonb);
+    WHILE jsonb_array_length(arrivals) <= arrival LOOP
+        arrivals := arrivals || jsonb_build_array(jsonb_build_object('pcs', '', 'loc', '', 'time', '', 'crw', '', 'sub', ''));
+    END LOOP;
+    entry := arrivals -> arrival;
+    RETURN jsonb_set(arrivals, ARRAY[arrival::TEXT], entry || jsonb_build_object(
+        'pcs', (piece_count(entry ->> 'pcs') + pieces)::TEXT,
+        'time', COALESCE(NULLIF(entry ->> 'time', ''), stamp)
+    ));
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION receive_pieces(
+    p_warehouse TEXT,
+    p_mode TEXT,
+    p_item_key TEXT,
+    p_group_key TEXT,
+    p_arrival INTEGER DEFAULT 0,
+    p_pieces INTEGER DEFAULT 1,
+    p_time TEXT DEFAULT NULL
+)
+RETURNS dock_tallies
+LANGUAGE sql
+AS $$
+    INSERT INTO dock_tallies AS t (warehouse, mode, item_key, group_key, received_pcs, received_time, arrivals)
+    VALUES (
+        p_warehouse, p_mode, p_item_key, p_group_key,
+        CASE WHEN p_mode = 'ocean' THEN p_pieces::TEXT END,
+        CASE WHEN p_mode = 'ocean' THEN p_time END,
+        CASE WHEN p_mode = 'air' THEN add_arrival_pieces('[]', p_arrival, p_pieces, p_time) ELSE '[]' END
+    )
+    ON CONFLICT (warehouse, mode, item_key) DO UPDATE SET
+        group_key = EXCLUDED.group_key,
+        received_pcs = CASE WHEN p_mode = 'ocean'
+            THEN (piece_count(t.received_pcs) + p_pieces)::TEXT ELSE t.received_pcs END,
+        received_time = CASE WHEN p_mode = 'ocean'
+            THEN COALESCE(NULLIF(t.received_time, ''), p_time) ELSE t.received_time END,
+        arrivals = CASE WHEN p_mode = 'air'
+            THEN add_arrival_pieces(t.arrivals, p_arrival, p_pieces, p_time) ELSE t.arrivals END
+    RETURNING *;
+$$;
+
+-- Audit log entries for changes to uploads, manifest rows and tallies, written by the database itself
+-- One entry per statement, warehouse and mode: the keys it touched (HB / HAWB, or filename for uploads) and
+-- the values before and after - only the fields that changed for updates. Manifest rows come in thousands
+-- per import, so adding or deleting them records a row count instead of the values.
+-- SECURITY DEFINER so the entry is written whatever the caller may do; auth.uid() is still the caller.
+CREATE OR REPLACE FUNCTION audit_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+    entity TEXT := TG_ARGV[0];
+    key_field TEXT := TG_ARGV[1];
+    table_mode TEXT := TG_ARGV[2];
+    changes JSONB;
+BEGIN
+    -- Each changed row as { before, after }; updates are paired by id and skipped when nothing changed
+    IF TG_OP = 'INSERT' THEN
+        SELECT jsonb_agg(jsonb_build_object('after', to_jsonb(n))) INTO changes FROM new_rows n;
+    ELSIF TG_OP = 'UPDATE' THEN
+        SELECT jsonb_agg(jsonb_build_object('before', to_jsonb(o), 'after', to_jsonb(n))) INTO changes
+        FROM new_rows n JOIN old_rows o ON o.id = n.id
+        WHERE to_jsonb(o) - 'updated_at' <> to_jsonb(n) - 'updated_at';
+    ELSE
+        SELECT jsonb_agg(jsonb_build_object('before', to_jsonb(o))) INTO changes FROM old_rows o;
+    END IF;
+    IF changes IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO audit_log (warehouse, user_id, user_email, mode, action, upload_id, item_keys, before_value, after_value)
+    SELECT
+        warehouse,
+        auth.uid(),
+        (SELECT email FROM auth.users WHERE id = auth.uid()),
+        mode,
+        CASE TG_OP WHEN 'INSERT' THEN 'add_' WHEN 'UPDATE' THEN 'change_' ELSE 'delete_' END || entity,
+        CASE WHEN count(DISTINCT upload_id) = 1 THEN min(upload_id) END,
+        COALESCE(jsonb_agg(DISTINCT item_key) FILTER (WHERE item_key IS NOT NULL), '[]'::jsonb),
+        CASE
+            WHEN entity = 'rows' AND TG_OP = 'DELETE' THEN jsonb_build_object('rows', count(*))
+            WHEN entity = 'rows' AND TG_OP = 'INSERT' THEN NULL
+            ELSE jsonb_object_agg(COALESCE(item_key, ''), before_fields) FILTER (WHERE before_fields IS NOT NULL)
+        END,
+        CASE
+            WHEN entity = 'rows' AND TG_OP = 'INSERT' THEN jsonb_build_object('rows', count(*))
+            WHEN entity = 'rows' AND TG_OP = 'DELETE' THEN NULL
+            ELSE jsonb_object_agg(COALESCE(item_key, ''), after_fields) FILTER (WHERE after_fields IS NOT NULL)
+        END
+    FROM (
+        SELECT
+            row->>'warehouse' AS warehouse,
+            COALESCE(table_mode, row->>'mode') AS mode,
+            row->>'upload_id' AS upload_id,
+            row->>key_field AS item_key,
+            CASE WHEN TG_OP = 'UPDATE'
+                THEN (SELECT jsonb_object_agg(field.key, field.value) FROM jsonb_each(change->'before') field
+                      WHERE field.key <> 'updated_at' AND field.value IS DISTINCT FROM change->'after'->field.key)
+                ELSE (change->'before') - 'id' - 'warehouse' - 'mode' - 'created_at' - 'updated_at'
+            END AS before_fields,
+            CASE WHEN TG_OP = 'UPDATE'
+                THEN (SELECT jsonb_object_agg(field.key, field.value) FROM jsonb_each(change->'after') field
+                      WHERE field.key <> 'updated_at' AND field.value IS DISTINCT FROM change->'before'->field.key)
+                ELSE (change->'after') - 'id' - 'warehouse' - 'mode' - 'created_at' - 'updated_at'
+            END AS after_fields
+        FROM (
+            SELECT change, COALESCE(change->'after', change->'before') AS row
+            FROM jsonb_array_elements(changes) AS change
+        ) changed
+    ) rows
+    GROUP BY warehouse, mode;
+
+    RETURN NULL;
+END;
+$$;
+
+-- Transition tables need one trigger per event
+CREATE TRIGGER audit_uploads_insert AFTER INSERT ON uploads
+    REFERENCING NEW TABLE AS new_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('upload', 'filename');
+CREATE TRIGGER audit_uploads_update AFTER UPDATE ON uploads
+    REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('upload', 'filename');
+CREATE TRIGGER audit_uploads_delete AFTER DELETE ON uploads
+    REFERENCING OLD TABLE AS old_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('upload', 'filename');
+
+CREATE TRIGGER audit_ocean_data_insert AFTER INSERT ON ocean_data
+    REFERENCING NEW TABLE AS new_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('rows', 'hb', 'ocean');
+CREATE TRIGGER audit_ocean_data_update AFTER UPDATE ON ocean_data
+    REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('rows', 'hb', 'ocean');
+CREATE TRIGGER audit_ocean_data_delete AFTER DELETE ON ocean_data
+    REFERENCING OLD TABLE AS old_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('rows', 'hb', 'ocean');
+
+CREATE TRIGGER audit_air_data_insert AFTER INSERT ON air_data
+    REFERENCING NEW TABLE AS new_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('rows', 'hawb', 'air');
+CREATE TRIGGER audit_air_data_update AFTER UPDATE ON air_data
+    REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('rows', 'hawb', 'air');
+CREATE TRIGGER audit_air_data_delete AFTER DELETE ON air_data
+    REFERENCING OLD TABLE AS old_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('rows', 'hawb', 'air');
+
+CREATE TRIGGER audit_dock_tallies_insert AFTER INSERT ON dock_tallies
+    REFERENCING NEW TABLE AS new_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('tally', 'item_key');
+CREATE TRIGGER audit_dock_tallies_update AFTER UPDATE ON dock_tallies
+    REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('tally', 'item_key');
+CREATE TRIGGER audit_dock_tallies_delete AFTER DELETE ON dock_tallies
+    REFERENCING OLD TABLE AS old_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_changes('tally', 'item_key');
+
 -- Enable Row Level Security (RLS)
 ALTER TABLE uploads ENABLE ROW LEVEL SECURITY;
 ALTER TABLE ocean_data ENABLE ROW LEVEL SECURITY;
 ALTER TABLE air_data ENABLE ROW LEVEL SECURITY;
+ALTER TABLE item_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dock_tallies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scan_exceptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_roles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE warehouses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_warehouses ENABLE ROW LEVEL SECURITY;
+
+-- Role policies - every table needs at least viewer to read (has_role above),
+-- and rows of a warehouse are only seen and changed by the users working in it (in_warehouse above)
+CREATE POLICY "Users read their own role" ON user_roles
+    FOR SELECT USING (user_id = auth.uid() OR has_role('admin'));
+CREATE POLICY "Admins manage roles" ON user_roles
+    FOR ALL USING (has_role('admin')) WITH CHECK (has_role('admin'));
+
+CREATE POLICY "Users read their warehouses" ON warehouses
+    FOR SELECT USING (in_warehouse(id));
+CREATE POLICY "Admins manage warehouses" ON warehouses
+    FOR ALL USING (has_role('admin')) WITH CHECK (has_role('admin'));
+
+CREATE POLICY "Users read their own warehouse access" ON user_warehouses
+    FOR SELECT USING (user_id = auth.uid() OR has_role('admin'));
+CREATE POLICY "Admins manage warehouse access" ON user_warehouses
+    FOR ALL USING (has_role('admin')) WITH CHECK (has_role('admin'));
+
+-- Uploads: a warehouse's 'master:<warehouse>' row is added by its first import
+-- and left alone after (the upsert ignores duplicates)
+-- Clerks delete only their own uploads still importing (rolling back a failed import), and can't mark one importing again
+CREATE POLICY "Viewers read uploads" ON uploads
+    FOR SELECT USING (has_role('viewer') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks add uploads" ON uploads
+    FOR INSERT WITH CHECK (has_role('dock_clerk') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks update their own uploads" ON uploads
+    FOR UPDATE USING (in_warehouse(warehouse)
+        AND (has_role('supervisor') OR (has_role('dock_clerk') AND created_by = auth.uid())))
+    WITH CHECK (in_warehouse(warehouse)
+        AND (has_role('supervisor') OR (has_role('dock_clerk') AND created_by = auth.uid() AND NOT importing)));
+CREATE POLICY "Supervisors delete uploads, clerks their own unfinished imports" ON uploads
+    FOR DELETE USING (in_warehouse(warehouse)
+        AND (has_role('supervisor') OR (has_role('dock_clerk') AND created_by = auth.uid() AND importing)));
+
+-- Report rows and master list: imports merge into the master list and roll it back on failure
+-- Supervisors delete rows of any upload (deleting or replacing an upload rewinds the master list);
+-- clerks only report rows of their own uploads and the master rows those added
+CREATE POLICY "Viewers read ocean_data" ON ocean_data
+    FOR SELECT USING (has_role('viewer') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks add ocean_data" ON ocean_data
+    FOR INSERT WITH CHECK (has_role('dock_clerk') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks update ocean_data" ON ocean_data
+    FOR UPDATE USING (has_role('dock_clerk') AND in_warehouse(warehouse))
+    WITH CHECK (has_role('dock_clerk') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks delete ocean_data of their own uploads" ON ocean_data
+    FOR DELETE USING (in_warehouse(warehouse) AND (has_role('supervisor') OR (has_role('dock_clerk')
+        AND owns_upload(CASE WHEN upload_id LIKE 'master:%' THEN first_seen_upload_id ELSE upload_id END))));
+
+CREATE POLICY "Viewers read air_data" ON air_data
+    FOR SELECT USING (has_role('viewer') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks add air_data" ON air_data
+    FOR INSERT WITH CHECK (has_role('dock_clerk') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks update air_data" ON air_data
+    FOR UPDATE USING (has_role('dock_clerk') AND in_warehouse(warehouse))
+    WITH CHECK (has_role('dock_clerk') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks delete air_data of their own uploads" ON air_data
+    FOR DELETE USING (in_warehouse(warehouse) AND (has_role('supervisor') OR (has_role('dock_clerk')
+        AND owns_upload(CASE WHEN upload_id LIKE 'master:%' THEN first_seen_upload_id ELSE upload_id END))));
+
+-- History is append-only; records go with their upload (ON DELETE CASCADE)
+CREATE POLICY "Viewers read item_history" ON item_history
+    FOR SELECT USING (has_role('viewer') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks add item_history" ON item_history
+    FOR INSERT WITH CHECK (has_role('dock_clerk') AND in_warehouse(warehouse));
 
--- Create policies to allow public access (adjust based on your auth needs)
--- For now, we'll allow all operations for development
-CREATE POLICY "Allow all operations on uploads" ON uploads
-    FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Viewers read dock_tallies" ON dock_tallies
+    FOR SELECT USING (has_role('viewer') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks add dock_tallies" ON dock_tallies
+    FOR INSERT WITH CHECK (has_role('dock_clerk') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks update dock_tallies" ON dock_tallies
+    FOR UPDATE USING (has_role('dock_clerk') AND in_warehouse(warehouse))
+    WITH CHECK (has_role('dock_clerk') AND in_warehouse(warehouse));
+CREATE POLICY "Admins delete dock_tallies" ON dock_tallies
+    FOR DELETE USING (has_role('admin'));
 
-CREATE POLICY "Allow all operations on ocean_data" ON ocean_data
-    FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Viewers read scan_exceptions" ON scan_exceptions
+    FOR SELECT USING (has_role('viewer') AND in_warehouse(warehouse));
+CREATE POLICY "Clerks add scan_exceptions" ON scan_exceptions
+    FOR INSERT WITH CHECK (has_role('dock_clerk') AND in_warehouse(warehouse));
+CREATE POLICY "Admins delete scan_exceptions" ON scan_exceptions
+    FOR DELETE USING (has_role('admin'));
 
-CREATE POLICY "Allow all operations on air_data" ON air_data
-    FOR ALL USING (true) WITH CHECK (true);
+-- Audit log: only the audit_changes triggers write entries (no insert policy); supervisors read them
+-- Entries from before warehouses (warehouse NULL) are only read by admins
+CREATE POLICY "Supervisors read audit_log" ON audit_log
+    FOR SELECT USING (has_role('supervisor') AND in_warehouse(warehouse));
 
 -- Create a view for latest ocean data
-CREATE OR REPLACE VIEW latest_ocean_data AS
-SELECT DISTINCT ON (hb, mbl)
+-- security_invoker, so the views go through the policies instead of reading as their owner
+CREATE OR REPLACE VIEW latest_ocean_data WITH (security_invoker = on) AS
+SELECT DISTINCT ON (warehouse, hb, mbl)
     *
 FROM ocean_data
 WHERE status = 'active'
-ORDER BY hb, mbl, created_at DESC;
+ORDER BY warehouse, hb, mbl, created_at DESC;
 
 -- Create a view for latest air data
-CREATE OR REPLACE VIEW latest_air_data AS
-SELECT DISTINCT ON (hawb, mawb)
+CREATE OR REPLACE VIEW latest_air_data WITH (security_invoker = on) AS
+SELECT DISTINCT ON (warehouse, hawb, mawb)
     *
 FROM air_data
 WHERE status = 'active'
-ORDER BY hawb, mawb, created_at DESC;
+ORDER BY warehouse, hawb, mawb, created_at DESC;